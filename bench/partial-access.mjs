@@ -251,7 +251,63 @@ async function run() {
   console.log();
 
   // ==============================================
-  // Test 5: Real fixtures — partial access
+  // Test 5: duplicateKeys — one field per parse. Every policy pays for one
+  // duplicate-key scan: at parse time, or under the default on the first read
+  // ==============================================
+  console.log(
+    `  ─── Synthetic (${syntheticSizeKB} KB) — duplicateKeys policy, access .total ───`
+  );
+
+  for (const duplicateKeys of [undefined, "first", "error"]) {
+    printResult(
+      `VectorJSON.parse (${duplicateKeys ?? "default"}) → .total`,
+      bench(() => {
+        const r = parse(syntheticJson, { duplicateKeys });
+        const v = r.value.total;
+        r.value.free();
+        return v;
+      })
+    );
+  }
+  console.log();
+
+  // ==============================================
+  // Test 6: duplicateKeys — many field reads on one wide object.
+  // After the one-time scan, each hit stops at the first matching key.
+  // ==============================================
+  const wide = {};
+  for (let i = 0; i < 500; i++) wide[`field_${i}`] = i;
+  const wideJson = JSON.stringify(wide);
+  const wideKeys = Object.keys(wide);
+  console.log(
+    `  ─── Wide object (${wideKeys.length} keys) — read every field ───`
+  );
+
+  printResult(
+    "JSON.parse → every field",
+    bench(() => {
+      const r = JSON.parse(wideJson);
+      let sum = 0;
+      for (const k of wideKeys) sum += r[k];
+      return sum;
+    })
+  );
+  for (const duplicateKeys of [undefined, "first"]) {
+    printResult(
+      `VectorJSON.parse (${duplicateKeys ?? "default"}) → every field`,
+      bench(() => {
+        const r = parse(wideJson, { duplicateKeys });
+        let sum = 0;
+        for (const k of wideKeys) sum += r.value[k];
+        r.value.free();
+        return sum;
+      })
+    );
+  }
+  console.log();
+
+  // ==============================================
+  // Test 7: Real fixtures — partial access
   // ==============================================
   for (const name of ["large", "xlarge"]) {
     let json;
@@ -47,14 +47,22 @@ pub fn build(b: *std.Build) void {
         // Document slot exports (tape-direct navigation)
         "doc_parse",
         "doc_free",
+        "doc_set_limit",
+        "doc_get_limit",
+        "doc_get_active_count",
+        "doc_get_slot_count",
+        "doc_get_slot_stats",
+        "doc_compact",
         "doc_get_tag",
         "doc_get_number",
+        "doc_get_number_raw",
         "doc_read_string_raw",
         "doc_get_count",
         "doc_get_src_pos",
         "doc_get_close_index",
         "doc_find_field",
         "doc_get_input_ptr",
+        "doc_get_format",
         "doc_batch_ptr",
         "doc_array_elements",
         "doc_object_keys",
@@ -69,12 +77,31 @@ pub fn build(b: *std.Build) void {
         "stream_get_remaining_len",
         "stream_get_buffer_len",
         "stream_reset_for_next",
+        "stream_set_limits",
+        "stream_fail",
+        "stream_get_error",
+        "check_limits",
+        "stream_set_limit",
+        "stream_get_limit",
+        "stream_get_active_count",
+        "stream_get_slot_count",
+        "stream_get_slot_stats",
+        "stream_compact",
         // Tape export/import
         "doc_export_tape_size",
         "doc_export_tape",
         "doc_import_tape",
+        // Tape packs (attachTapes)
+        "pack_alloc",
+        "pack_bytes",
+        "pack_release",
+        "doc_attach_tape",
         // Deep comparison
         "doc_deep_equal",
+        "doc_find_duplicate_key",
+        // Structural diff (JSON Patch)
+        "doc_diff",
+        "doc_diff_ptr",
         // Input classification & autocomplete
         "classify_input",
         "autocomplete_input",
@@ -83,6 +110,7 @@ pub fn build(b: *std.Build) void {
         "doc_parse_fmt",
         // Error code
         "get_error_code",
+        "get_error_offset",
     };
 
     // Install to zig-out/bin/engine.wasm
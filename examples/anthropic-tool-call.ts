@@ -22,7 +22,7 @@
  *   4. Early abort when the model picks an unexpected tool
  */
 
-import { createEventParser, type EventParser, type FeedStatus } from "../dist/index.js";
+import { createEventParser, readSSE, type EventParser, type FeedStatus, type SSEEvent } from "../dist/index.js";
 
 // ─────────────────────────────────────────────────────────
 // Configuration
@@ -47,53 +47,6 @@ if (WRONG_TOOL_MODE) {
   console.log("⚡ --wrong-tool mode: expecting \"nonexistent_tool\" to trigger early abort\n");
 }
 
-// ─────────────────────────────────────────────────────────
-// SSE types
-// ─────────────────────────────────────────────────────────
-
-interface SSEEvent {
-  event: string;
-  data: string;
-}
-
-// ─────────────────────────────────────────────────────────
-// SSE parser — yields raw { event, data } from a stream
-// ─────────────────────────────────────────────────────────
-
-async function* readSSEEvents(
-  body: ReadableStream<Uint8Array>,
-): AsyncGenerator<SSEEvent> {
-  const decoder = new TextDecoder();
-  let buffer = "";
-
-  for await (const chunk of body) {
-    buffer += decoder.decode(chunk, { stream: true });
-
-    let boundary: number;
-    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
-      const frame = buffer.slice(0, boundary);
-      buffer = buffer.slice(boundary + 2);
-
-      let event = "message";
-      const dataLines: string[] = [];
-
-      for (const line of frame.split("\n")) {
-        if (line.startsWith("event: ")) {
-          event = line.slice(7).trim();
-        } else if (line.startsWith("data: ")) {
-          dataLines.push(line.slice(6));
-        } else if (line.startsWith("data:")) {
-          dataLines.push(line.slice(5));
-        }
-      }
-
-      if (dataLines.length > 0) {
-        yield { event, data: dataLines.join("\n") };
-      }
-    }
-  }
-}
-
 // ─────────────────────────────────────────────────────────
 // Mock SSE generator — simulates Anthropic tool call stream
 // ─────────────────────────────────────────────────────────
@@ -267,7 +220,7 @@ async function main() {
       process.exit(1);
     }
 
-    sseSource = readSSEEvents(response.body!);
+    sseSource = readSSE(response);
   }
 
   // ── Set up the EventParser ──────────────────────────────
@@ -22,7 +22,7 @@
  *   4. Early abort when the model picks an unexpected function
  */
 
-import { createEventParser, type EventParser, type FeedStatus } from "../dist/index.js";
+import { createEventParser, readSSE, type EventParser, type FeedStatus, type SSEEvent } from "../dist/index.js";
 
 // ─────────────────────────────────────────────────────────
 // Configuration
@@ -45,49 +45,6 @@ if (WRONG_TOOL_MODE) {
   console.log('⚡ --wrong-tool mode: expecting "nonexistent_function" to trigger early abort\n');
 }
 
-// ─────────────────────────────────────────────────────────
-// SSE types & parser
-// ─────────────────────────────────────────────────────────
-
-interface SSEEvent {
-  event: string;
-  data: string;
-}
-
-async function* readSSEEvents(
-  body: ReadableStream<Uint8Array>,
-): AsyncGenerator<SSEEvent> {
-  const decoder = new TextDecoder();
-  let buffer = "";
-
-  for await (const chunk of body) {
-    buffer += decoder.decode(chunk, { stream: true });
-
-    let boundary: number;
-    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
-      const frame = buffer.slice(0, boundary);
-      buffer = buffer.slice(boundary + 2);
-
-      let event = "message";
-      const dataLines: string[] = [];
-
-      for (const line of frame.split("\n")) {
-        if (line.startsWith("event: ")) {
-          event = line.slice(7).trim();
-        } else if (line.startsWith("data: ")) {
-          dataLines.push(line.slice(6));
-        } else if (line.startsWith("data:")) {
-          dataLines.push(line.slice(5));
-        }
-      }
-
-      if (dataLines.length > 0) {
-        yield { event, data: dataLines.join("\n") };
-      }
-    }
-  }
-}
-
 // ─────────────────────────────────────────────────────────
 // Mock SSE generator — simulates OpenAI function call stream
 // ─────────────────────────────────────────────────────────
@@ -272,7 +229,7 @@ async function main() {
       process.exit(1);
     }
 
-    sseSource = readSSEEvents(response.body!);
+    sseSource = readSSE(response);
   }
 
   // ── Set up the EventParser ──────────────────────────────
@@ -30,7 +30,8 @@ function decodeBase64(b64: string): Uint8Array {
 // --- Types ---
 
 export type ParseStatus = "complete" | "complete_early" | "incomplete" | "invalid";
-export type FeedStatus = "incomplete" | "complete" | "error" | "end_early";
+/** `"schema_error"` is only returned by feed() with `validate: "streaming"`; getStatus() keeps reporting parse progress. */
+export type FeedStatus = "incomplete" | "complete" | "error" | "end_early" | "schema_error";
 
 /** Result shape compatible with Vercel AI SDK's parsePartialJson */
 export type PartialJsonState =
@@ -40,9 +41,9 @@ export type PartialJsonState =
 
 /** Discriminated union — narrows `value` type when you check `state`. */
 export type PartialJsonResult<T = unknown> =
-  | { value: T; state: "successful-parse" }
-  | { value: T | undefined; state: "repaired-parse" }
-  | { value: undefined; state: "failed-parse" };
+  | { value: T; state: "successful-parse"; repairs?: JsonRepair[] }
+  | { value: T | undefined; state: "repaired-parse"; repairs?: JsonRepair[] }
+  | { value: undefined; state: "failed-parse"; repairs?: JsonRepair[] };
 
 /** Recursively make all properties optional — matches Vercel AI SDK's DeepPartial. */
 export type DeepPartial<T> =
@@ -55,16 +56,30 @@ export type DeepPartial<T> =
 export interface StreamingParser<T = unknown> {
   /** Feed a chunk of bytes to the parser. Only NEW bytes are scanned (O(chunk_size)). */
   feed(chunk: Uint8Array | string): FeedStatus;
+  /**
+   * Mark the end of the input. With `repair: true` this releases text held back
+   * until the next chunk could decide it (a trailing `None`, or `Tr` read as `true`);
+   * otherwise it only returns the status. `for await` over a source calls it.
+   */
+  end(): FeedStatus;
   /** Get the parsed value. Returns autocompleted partial value while incomplete, final value when complete; throws on parse errors. */
   getValue(): T | undefined;
   /** Get remaining bytes after end_early status (for NDJSON). */
   getRemaining(): Uint8Array | null;
   /** Get the current status without feeding data. */
   getStatus(): FeedStatus;
+  /** Where and why the stream failed once `feed()` has returned "error"; null otherwise. */
+  getError(): JsonParseError | null;
+  /** Repairs applied to the chunks fed so far (empty unless created with `repair: true`). */
+  getRepairs(): JsonRepair[];
+  /** Prose the seeker skipped (requires the `seeker` option). */
+  onText(callback: (text: string) => void): StreamingParser<T>;
+  /** Contents of skipped blocks with `seeker: { skipTo: "reasoning" }`. */
+  onReasoning(callback: (text: string) => void): StreamingParser<T>;
   /** Copy the accumulated stream buffer into a new ArrayBuffer (for Worker postMessage transfer). */
   getRawBuffer(): ArrayBuffer | null;
   /** Export parsed tape + input as a packed ArrayBuffer for zero-parse transfer. */
-  getTapeBuffer(): ArrayBuffer | null;
+  getTapeBuffer(options?: TapeExportOptions): ArrayBuffer | null;
   /** Reset for next value in JSONL mode. Shifts remaining bytes, resets state. Returns remaining byte count. */
   resetForNext(): number;
   /** Destroy the parser and free all resources. */
@@ -76,24 +91,147 @@ export interface StreamingParser<T = unknown> {
 /** Zod-like schema type for createParser options. */
 export type ZodLike<T> = { safeParse: (v: unknown) => { success: boolean; data?: T } };
 
+/** A JSON Schema (draft 2020-12) object or boolean schema, e.g. an LLM tool's `input_schema`. */
+export type JsonSchema = boolean | { [keyword: string]: unknown };
+
+/** One validation failure reported by the built-in JSON Schema validator. */
+export interface JsonSchemaIssue {
+  /** Location of the failing value, as keys and array indices from the root. */
+  path: (string | number)[];
+  message: string;
+}
+
 /** Format for JSON parsing. */
 export type JsonFormat = "json" | "jsonl" | "json5";
 
+/**
+ * How numbers that don't survive conversion to a JS number are returned:
+ * - "number" (default): always a JS number (integers beyond 2^53 lose precision)
+ * - "bigint": integers outside the safe range become BigInt
+ * - "string": unsafe integers and over-precise decimals become their source text
+ * - "auto": unsafe integers become BigInt, over-precise decimals their source text
+ *
+ * JSON.stringify throws a TypeError on BigInt, so values from "bigint" and "auto"
+ * (including toJSON() and materialize() results) can't be stringified as they are;
+ * use "string", or write them out with createWriter(), which keeps BigInt exact.
+ */
+export type NumberMode = "number" | "bigint" | "string" | "auto";
+
+/**
+ * Which value an object keeps when its JSON repeats a key:
+ * - "last" (default): the last one, like JSON.parse (the key keeps its first position)
+ * - "first": the first one; later values are ignored
+ * - "error": the parse fails with a "duplicate_key" error
+ * - "collect": every value, in source order, as an array under the key
+ */
+export type DuplicateKeyPolicy = "first" | "last" | "error" | "collect";
+
+/**
+ * How a live document stores the keys "__proto__", "constructor" and "prototype".
+ * Under every policy "__proto__" never changes an object's prototype.
+ * - "define" (default): as ordinary own properties, like JSON.parse
+ * - "error": the stream fails with an "unsafe_key" error
+ * - "rename": under the key with a leading underscore ("___proto__", "_constructor", "_prototype");
+ *   an object that also has that key literally fails with "unsafe_key"
+ */
+export type UnsafeKeyPolicy = "define" | "error" | "rename";
+
+/** Options for parse(). */
+export interface ParseOptions {
+  /** Precision handling for large integers and long decimals (default: "number"). */
+  numbers?: NumberMode;
+  /** Fix common LLM mistakes (trailing commas, unquoted keys, Python literals, …) before parsing. */
+  repair?: boolean;
+  /** Reject input over these sizes before it is parsed; see ParseLimits. */
+  limits?: ParseLimits;
+  /** Which value wins when an object repeats a key (default: "last"). */
+  duplicateKeys?: DuplicateKeyPolicy;
+}
+
+/**
+ * Resource limits for untrusted input. Each is off when omitted or 0. A value
+ * over a limit fails with a dedicated JsonErrorCode before its document is built.
+ */
+export interface ParseLimits {
+  /** Maximum input size in UTF-8 bytes. Streaming parsers count buffered bytes (per value for JSONL). */
+  maxBytes?: number;
+  /** Maximum nesting of objects and arrays — `[[1]]` has depth 2. */
+  maxDepth?: number;
+  /** Maximum length of one string or key, in UTF-8 bytes as written (escapes included). */
+  maxStringLength?: number;
+  /** Maximum number of elements in one array. */
+  maxArrayLength?: number;
+  /** Maximum number of keys in one object. */
+  maxObjectKeys?: number;
+}
+
+/** A mistake fixed by `repair: true`. */
+export type JsonRepairKind =
+  | "trailing_comma"
+  | "unquoted_key"
+  | "single_quotes"
+  | "smart_quotes"
+  | "python_literal"
+  | "control_character"
+  | "comment";
+
+/** One repair applied to the input. */
+export interface JsonRepair {
+  kind: JsonRepairKind;
+  /** Offset in the input text (UTF-16 code units) where the repaired token starts. */
+  offset: number;
+}
+
+/** Options for parsePartialJson() when passed an options object instead of a schema. */
+export interface PartialJsonOptions<T = unknown> {
+  schema?: ZodLike<T>;
+  /** Fix common LLM mistakes before parsing; a repaired complete value reports "repaired-parse". */
+  repair?: boolean;
+}
+
+/**
+ * When a schema is checked:
+ * - "complete" (default): once, when getValue() sees the completed value
+ * - "streaming": also each scalar and container as it closes — feed() returns "schema_error"
+ */
+export type ValidateMode = "complete" | "streaming";
+
 /** Options for createParser when using an options object. */
 export interface CreateParserOptions<T = unknown> {
-  /** Schema for validation on complete values. */
-  schema?: ZodLike<T>;
+  /** Schema for field picking and validation on complete values — Zod-like or JSON Schema. */
+  schema?: ZodLike<T> | JsonSchema;
+  /** Validate against the schema only on complete (default) or as each value closes. */
+  validate?: ValidateMode;
+  /** Only build these paths (same syntax as `on()`); replaces the schema's fields when both are given. */
+  pick?: string[];
+  /** Skip these paths entirely, e.g. `["explanation", "**.debug"]`. */
+  omit?: string[];
   /** Stream source — makes the parser async-iterable via for-await. */
   source?: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>;
   /** Format: "json" (default), "jsonl" (newline-delimited), or "json5" (relaxed). */
   format?: JsonFormat;
+  /** Precision handling for large integers and long decimals (default: "number"). */
+  numbers?: NumberMode;
+  /** Fix common LLM mistakes in each chunk before it reaches the parser; see getRepairs(). */
+  repair?: boolean;
+  /** Skip prose, reasoning blocks and fences around the JSON, like createEventParser(); see onText(). */
+  seeker?: SeekerOptions;
+  /** Stop with an error once the input breaks these limits; see ParseLimits. */
+  limits?: ParseLimits;
+  /** Which value the live document keeps when an object repeats a key (default: "last"). */
+  duplicateKeys?: DuplicateKeyPolicy;
+  /** How the live document stores "__proto__", "constructor" and "prototype" keys (default: "define"). */
+  unsafeKeys?: UnsafeKeyPolicy;
 }
 
 /** Base fields shared by all ParseResult variants. */
 interface ParseResultBase {
+  /** Repairs applied to the input — present only with `repair: true`. */
+  repairs?: JsonRepair[];
   /** Check if a value (object/array) from an incomplete parse is fully present in the original input. */
   isComplete(value: unknown): boolean;
-  /** Full materialization via JSON.parse — fastest way to get a plain JS object tree. */
+  /** Full materialization via JSON.parse — fastest way to get a plain JS object tree.
+   *  Under `numbers: "bigint"` / `"auto"` it may hold BigInt, which JSON.stringify rejects. */
   toJSON(): unknown;
   /** Release WASM resources immediately. Only present on object/array results. */
   free?: () => void;
@@ -104,12 +242,352 @@ export type ParseResult =
   | (ParseResultBase & { status: "complete"; value: unknown })
   | (ParseResultBase & { status: "complete_early"; value: unknown; remaining: Uint8Array })
   | (ParseResultBase & { status: "incomplete"; value: unknown | undefined })
-  | (ParseResultBase & { status: "invalid"; value: undefined; error: string });
+  | (ParseResultBase & { status: "invalid"; value: undefined; error: string; errorInfo: JsonParseError });
+
+// --- Parse Errors ---
+
+/** Machine-readable reason for a parse failure. */
+export type JsonErrorCode =
+  | "unexpected_character"
+  | "unexpected_end"
+  | "unmatched_bracket"
+  | "expected_colon"
+  | "expected_key"
+  | "expected_comma_or_bracket"
+  | "expected_comma_or_brace"
+  | "invalid_escape"
+  | "invalid_unicode"
+  | "invalid_number"
+  | "invalid_literal"
+  | "control_character"
+  | "invalid_utf8"
+  | "trailing_content"
+  | "max_depth"
+  | "max_bytes"
+  | "max_string_length"
+  | "max_array_length"
+  | "max_object_keys"
+  | "duplicate_key"
+  | "unsafe_key"
+  | "too_large"
+  | "out_of_memory"
+  | "invalid_json";
+
+const JSON_ERROR_MESSAGES: Record<JsonErrorCode, string> = {
+  unexpected_character: "Unexpected character",
+  unexpected_end: "Unexpected end of input",
+  unmatched_bracket: "Unmatched closing bracket",
+  expected_colon: "Expected colon after key",
+  expected_key: "Expected string key in object",
+  expected_comma_or_bracket: "Expected comma or closing bracket in array",
+  expected_comma_or_brace: "Expected comma or closing brace in object",
+  invalid_escape: "Invalid escape sequence",
+  invalid_unicode: "Invalid Unicode escape",
+  invalid_number: "Invalid number literal",
+  invalid_literal: "Invalid literal",
+  control_character: "Unescaped control character in string",
+  invalid_utf8: "Invalid UTF-8",
+  trailing_content: "Unexpected trailing content",
+  max_depth: "Exceeded maximum nesting depth",
+  max_bytes: "Input exceeds the maxBytes limit",
+  max_string_length: "String exceeds the maxStringLength limit",
+  max_array_length: "Array exceeds the maxArrayLength limit",
+  max_object_keys: "Object exceeds the maxObjectKeys limit",
+  duplicate_key: "Duplicate object key",
+  unsafe_key: "Object key can reach the prototype",
+  too_large: "Input exceeds maximum size",
+  out_of_memory: "Out of memory",
+  invalid_json: "Invalid JSON",
+};
+
+/**
+ * A parse failure with its location: `parse()` results carry it as `errorInfo`,
+ * streaming parsers return it from `getError()` and throw it from `getValue()`.
+ */
+export class JsonParseError extends SyntaxError {
+  /** Machine-readable reason, e.g. "expected_colon". */
+  readonly code: JsonErrorCode;
+  /** Byte offset of the offending input (UTF-8). */
+  readonly offset: number;
+  /** 1-based line of `offset`. */
+  readonly line: number;
+  /** 1-based column of `offset`, in UTF-16 code units. */
+  readonly column: number;
+  /** The offending line (clipped around long lines) and a caret line under the error. */
+  readonly snippet: string;
+
+  constructor(code: JsonErrorCode, source: Uint8Array, offset: number) {
+    const at = sourceLocation(source, offset);
+    super(`VectorJSON: ${JSON_ERROR_MESSAGES[code]} at line ${at.line}, column ${at.column}`);
+    this.name = "JsonParseError";
+    this.code = code;
+    this.offset = offset;
+    this.line = at.line;
+    this.column = at.column;
+    this.snippet = at.snippet;
+  }
+}
+
+// --- JSON Patch Types ---
+
+/** One RFC 6902 JSON Patch operation. `diff()` produces add, remove and replace. */
+export type JsonPatchOperation =
+  | { op: "add" | "replace" | "test"; path: string; value: unknown }
+  | { op: "remove"; path: string }
+  | { op: "move" | "copy"; from: string; path: string };
+
+/**
+ * A live-document change reported by `createEventParser` — JSON Patch `add`,
+ * `replace` and `remove`, plus `append` for text added to a streaming string.
+ * `applyPatch()` accepts these as well.
+ */
+export type LivePatchOperation =
+  | { op: "add" | "replace"; path: string; value: unknown }
+  | { op: "remove"; path: string }
+  | { op: "append"; path: string; value: string };
+
+// --- Tape Types ---
+
+/** Options for `getTapeBuffer()` and `exportTape()`. */
+export interface TapeExportOptions {
+  /** Store a CRC32 in the header, verified by `importTape()`. Recommended for tapes written to disk. */
+  checksum?: boolean;
+}
+
+/** A multi-document tape pack attached with `attachTapes()`. */
+export interface TapePack {
+  /** Number of documents in the pack. */
+  readonly length: number;
+  /**
+   * Document `i` in a document slot that reads its tape in place from the
+   * pack. Later calls return the same value until it is freed (free it when done).
+   */
+  get(i: number): unknown;
+  /** Packed tape bytes of document `i` — a view into the pack, not a copy. */
+  tape(i: number): Uint8Array;
+  /** Each document in order, as returned by `get(i)`. */
+  [Symbol.iterator](): Iterator<unknown>;
+  /**
+   * Release the pack's copy in WASM memory once every document read from it
+   * is freed. Documents already read keep working; `get()` throws afterwards.
+   */
+  free(): void;
+}
+
+/** Options for `createTapeCache()`. */
+export interface TapeCacheOptions {
+  /** Directory for tape files (Node; created if missing). Without it, IndexedDB is used. */
+  dir?: string;
+  /** IndexedDB database name when no `dir` is given (default "vectorjson-tapes"). */
+  name?: string;
+  /** Total size bound in bytes — least recently used tapes are evicted past it (default 256 MiB). */
+  maxBytes?: number;
+}
+
+/** Parsed documents persisted as tapes, keyed by the SHA-256 of their JSON source. */
+export interface TapeCache {
+  /** Lazy document for `input`: imported from its cached tape, or parsed and cached on a miss. */
+  get(input: string | Uint8Array): Promise<unknown>;
+  /** Drop the cached tape for `input`. Resolves to whether one was stored. */
+  delete(input: string | Uint8Array): Promise<boolean>;
+  /** Drop every cached tape. */
+  clear(): Promise<void>;
+  /** Total size of the cached tapes in bytes. */
+  size(): Promise<number>;
+}
+
+// --- Server-Sent Events Types ---
+
+/** One dispatched Server-Sent Events message. */
+export interface SSEEvent {
+  /** `event:` field — "message" when the frame has none. */
+  event: string;
+  /** `data:` lines joined with "\n". */
+  data: string;
+  /** Last `id:` seen on the stream (persists across events, per the SSE spec). */
+  id?: string;
+  /** `retry:` reconnection time in milliseconds, when present on this event. */
+  retry?: number;
+}
+
+/** Byte sources accepted by readSSE() / sseSource(). */
+export type SSEInput = Response | ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>;
+
+/** Options for sseSource(). */
+export interface SSESourceOptions {
+  /** Only use events with these `event:` names (default: every event). */
+  event?: string | string[];
+  /**
+   * Path into each event's `data` JSON whose value is fed to the parser,
+   * e.g. `"delta.partial_json"` (Anthropic) or `"choices[0].delta.content"` (OpenAI).
+   * Events where the path is missing are skipped. Without a path, raw `data` is fed.
+   */
+  path?: string;
+}
+
+// --- Tool Call Stream Types ---
+
+/** LLM provider whose streaming envelope format createToolCallStream() reads. */
+export type ToolCallProvider = "openai" | "anthropic";
+
+/** Progress of one streamed tool call. */
+export interface ToolCallEvent {
+  /** `tool_calls[i].index` (OpenAI) or content-block `index` (Anthropic). */
+  index: number;
+  /** `choices[].index` of the completion the call belongs to (OpenAI); undefined for Anthropic. */
+  choice: number | undefined;
+  id: string | undefined;
+  name: string | undefined;
+  /** Arguments parsed so far (a live object that grows); the final plain value once `done`. */
+  partialArgs: unknown | undefined;
+  done: boolean;
+}
+
+/** Fired once per tool call, before its first argument bytes are fed. */
+export interface ToolCallStart {
+  index: number;
+  choice: number | undefined;
+  id: string | undefined;
+  name: string | undefined;
+  /** Inner parser for this call's arguments — subscribe with on()/onDelta(). */
+  parser: EventParser;
+}
+
+export interface ToolCallStreamOptions {
+  /** Envelope format. Default: detected per envelope (`choices` → openai, `type` → anthropic). */
+  provider?: ToolCallProvider;
+  /**
+   * Provider stream for `for await` iteration: an SSE response/byte stream, or an
+   * async iterable of already-decoded envelopes (e.g. an SDK's stream object).
+   */
+  source?: SSEInput | AsyncIterable<unknown>;
+}
+
+export interface ToolCallStream {
+  /** Feed one envelope — a decoded chunk/event object, or its SSE `data:` JSON text. Returns the events it produced. */
+  push(envelope: unknown): ToolCallEvent[];
+  onToolCall(callback: (event: ToolCallEvent) => void): ToolCallStream;
+  onStart(callback: (call: ToolCallStart) => void): ToolCallStream;
+  /** Latest state of every tool call seen so far, ordered by index. */
+  getToolCalls(): ToolCallEvent[];
+  /** Mark all open tool calls done (end of stream). Returns the events it produced. */
+  end(): ToolCallEvent[];
+  destroy(): void;
+  /** Async iteration over tool-call events when a source was provided. */
+  [Symbol.asyncIterator](): AsyncIterableIterator<ToolCallEvent>;
+}
+
+// --- Extraction Types ---
+
+/** A JSON object or array found in mixed text by extractAll() / createExtractor(). */
+export interface ExtractedJson {
+  /** The value as a plain JS object or array. */
+  value: unknown;
+  /** Offset of the opening bracket in the whole input (UTF-16 code units). */
+  start: number;
+  /** Offset just past the closing bracket. */
+  end: number;
+  /** Where the value appeared: prose, inside a ``` code fence, or inside a `<think>` block. */
+  context: "text" | "fence" | "think";
+}
+
+export interface ExtractorOptions {
+  /** Text stream for `for await` iteration over extracted values. */
+  source?: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>;
+}
+
+export interface JsonExtractor {
+  /** Scan a chunk of text. Returns the values it completed. */
+  feed(chunk: string | Uint8Array): ExtractedJson[];
+  /** End of input: a value still open is given up and its text rescanned. Returns the values found. */
+  end(): ExtractedJson[];
+  onValue(callback: (found: ExtractedJson) => void): JsonExtractor;
+  /** Everything between values — prose, fence markers and `<think>` blocks — in order, as it is known not to be JSON. */
+  onText(callback: (text: string) => void): JsonExtractor;
+  /** Async iteration over extracted values when a source was provided. */
+  [Symbol.asyncIterator](): AsyncIterableIterator<ExtractedJson>;
+}
+
+// --- Memory Types ---
+
+/** One document slot in getStats(). A free slot keeps its buffers for the next parse until compact(). */
+export interface DocumentSlotStats {
+  id: number;
+  /** Whether a live document (parse() result, imported tape) occupies the slot. */
+  active: boolean;
+  /** Tape size of the live document (8 bytes per tape word); 0 for a free slot. */
+  tapeBytes: number;
+  /** Size of the input copy the document's strings are read from; 0 for a free slot. */
+  inputBytes: number;
+  /** Everything the slot holds in WASM memory, including capacity kept for reuse. */
+  retainedBytes: number;
+}
+
+/** One live streaming parser in getStats(). */
+export interface StreamSlotStats {
+  id: number;
+  /** Bytes currently buffered. */
+  bufferedBytes: number;
+  /** Buffer capacity — grows to fit the largest value seen until compact(). */
+  capacityBytes: number;
+}
+
+/** WASM memory use reported by getStats(). */
+export interface MemoryStats {
+  /** Size of the WASM linear memory. It never shrinks; compact() makes space reusable. */
+  memoryBytes: number;
+  documents: {
+    /** Live documents. */
+    active: number;
+    /** init({ maxDocuments }), 0 = unlimited. */
+    limit: number;
+    /** retainedBytes summed over all slots. */
+    retainedBytes: number;
+    slots: DocumentSlotStats[];
+  };
+  streams: {
+    /** Live createParser / createEventParser instances. */
+    active: number;
+    /** init({ maxStreams }), 0 = unlimited. */
+    limit: number;
+    /** capacityBytes summed over live streams. */
+    capacityBytes: number;
+    slots: StreamSlotStats[];
+  };
+  /** Reusable staging buffers for parse() input, streaming feeds and key lookups. */
+  scratchBytes: number;
+}
+
+// --- Writer Types ---
+
+/**
+ * Incremental JSON serializer. Structural calls validate and return immediately;
+ * output is delivered as UTF-8 chunks on `readable`.
+ */
+export interface JsonWriter {
+  beginObject(): JsonWriter;
+  endObject(): JsonWriter;
+  beginArray(): JsonWriter;
+  endArray(): JsonWriter;
+  /** Write an object key — the next value() / begin*() call provides its value. */
+  key(name: string): JsonWriter;
+  /**
+   * Write a complete value: any JSON-compatible JS value (BigInt included), a lazy
+   * proxy (its source span is copied straight from the tape), or an
+   * `AsyncIterable<string>` streamed out as one JSON string.
+   */
+  value(value: unknown): JsonWriter;
+  /** Finish the document: flushes pending output and closes `readable`. Rejects if a streamed value failed. */
+  end(): Promise<void>;
+  /** UTF-8 output stream. */
+  readonly readable: ReadableStream<Uint8Array>;
+}
 
 // --- EventParser Types ---
 
-/** Compiled path segment: string = key, number = index, '*' = wildcard */
-export type PathSegment = string | number;
+/** Compiled path segment: string = key, number = index, '*' = wildcard,
+ *  '**' = any depth (zero or more levels), array = alternation (`{name,id}`) */
+export type PathSegment = string | number | (string | number)[];
 
 export interface PathEvent {
   type: 'value';
@@ -130,22 +608,61 @@ export interface DeltaEvent {
   length: number;
 }
 
+export interface SchemaErrorEvent {
+  type: 'schema_error';
+  /** Path of the value that just completed, e.g. "users.0" */
+  path: string;
+  value: unknown;
+  /** New failures found in that value, with paths from the document root */
+  issues: JsonSchemaIssue[];
+}
+
+/** Explicit delimiters for a seeker tag, e.g. `{ open: "<|channel|>analysis<|message|>", close: "<|end|>" }`. */
+export interface SeekerTag {
+  open: string;
+  close: string;
+}
+
+/**
+ * How a parser finds JSON inside mixed LLM output. Tags are given as a name
+ * (`"thinking"` matches `<thinking>…</thinking>`) or as explicit delimiters.
+ */
+export interface SeekerOptions {
+  /** Blocks whose contents are never JSON (default: `["think"]`). */
+  skip?: (string | SeekerTag)[];
+  /** Where skipped contents are reported: `onText()` (default) or `onReasoning()`. */
+  skipTo?: "text" | "reasoning";
+  /** Blocks whose contents are the JSON, e.g. `["tool_call"]`. When set, brackets in prose are text. */
+  capture?: (string | SeekerTag)[];
+  /** Code-fence labels that hold JSON, e.g. `["json"]`; other fences are text. `""` matches unlabeled fences. Default: every fence. */
+  fences?: string[];
+}
+
 export interface EventParser {
   on(path: string, callback: (event: PathEvent) => void): EventParser;
   on<T>(path: string, schema: { safeParse: (v: unknown) => { success: boolean; data?: T } }, callback: (event: PathEvent & { value: T }) => void): EventParser;
+  on(path: string, schema: JsonSchema, callback: (event: PathEvent) => void): EventParser;
   onDelta(path: string, callback: (event: DeltaEvent) => void): EventParser;
   onText(callback: (text: string) => void): EventParser;
+  /** Contents of skipped blocks when created with `seeker: { skipTo: "reasoning" }`. */
+  onReasoning(callback: (text: string) => void): EventParser;
+  /** Fires as soon as a completed value violates the parser's schema. */
+  onSchemaError(callback: (event: SchemaErrorEvent) => void): EventParser;
+  /** Fires for each change to the live document (what getValue() returns). Subscribe before the first feed(). */
+  onPatch(callback: (op: LivePatchOperation) => void): EventParser;
   off(path: string, callback?: Function): EventParser;
   feed(chunk: string | Uint8Array): FeedStatus;
   getValue(): unknown | undefined;
   getRemaining(): Uint8Array | null;
   getStatus(): FeedStatus;
+  /** Where and why the stream failed once `feed()` has returned "error"; null otherwise. */
+  getError(): JsonParseError | null;
   /** Copy the accumulated stream buffer into a new ArrayBuffer (for Worker postMessage transfer). */
   getRawBuffer(): ArrayBuffer | null;
   /** Export parsed tape + input as a packed ArrayBuffer for zero-parse transfer. */
-  getTapeBuffer(): ArrayBuffer | null;
+  getTapeBuffer(options?: TapeExportOptions): ArrayBuffer | null;
   destroy(): void;
-  /** Async iteration over partial values when a source was provided. */
+  /** Async iteration over partial values (or patch batches with `emit: "patch"`) when a source was provided. */
   [Symbol.asyncIterator](): AsyncIterableIterator<unknown | undefined>;
 }
 
@@ -156,8 +673,9 @@ export interface VectorJSON {
    * Objects and arrays return Proxy objects — values materialize only when accessed.
    * Call .free() on the result to release resources immediately, or let
    * FinalizationRegistry handle it automatically when the Proxy is GC'd.
+   * Throws if the result would exceed init({ maxDocuments }).
    */
-  parse(input: string | Uint8Array): ParseResult;
+  parse(input: string | Uint8Array, options?: ParseOptions): ParseResult;
   /**
    * Create a streaming parser for incremental JSON parsing.
    * Feed chunks as they arrive; only new bytes are processed per call.
@@ -219,6 +737,57 @@ export interface VectorJSON {
    * If the value is already a plain JS value, returns it as-is.
    */
   materialize(value: unknown): unknown;
+  /**
+   * Select values with a JSONPath expression, walking the document tape directly.
+   * Only the matched values are materialized — no intermediate proxies.
+   *
+   * ```ts
+   * const { value } = vj.parse(json);
+   * vj.query(value, "$.items[*].id");                         // [1, 2, 3]
+   * vj.query(value, '$.content[?(@.type=="tool_use")].name'); // ["search"]
+   * ```
+   *
+   * Also accepts a ParseResult or plain JS values.
+   */
+  query(value: unknown, path: string): unknown[];
+  /**
+   * Resolve an RFC 6901 JSON Pointer (`"/a/b/0"`) on the document tape.
+   * Returns undefined when the pointer doesn't match.
+   */
+  get(value: unknown, pointer: string): unknown;
+  /**
+   * Compute the RFC 6902 JSON Patch that turns `a` into `b`.
+   * When both are VJ proxies (or ParseResults), both tapes are walked in WASM —
+   * object keys are matched regardless of order, and only the new values of
+   * changed subtrees are materialized. Arrays are compared by index.
+   *
+   * ```ts
+   * vj.diff(parse('{"a":1,"b":[1]}').value, parse('{"b":[1,2],"a":2}').value);
+   * // [{ op: "replace", path: "/a", value: 2 }, { op: "add", path: "/b/1", value: 2 }]
+   * ```
+   *
+   * Plain JS values (or a mix) are diffed in JS with the same rules.
+   */
+  diff(a: unknown, b: unknown): JsonPatchOperation[];
+  /**
+   * Apply an RFC 6902 JSON Patch and return the patched value; `target` is not modified.
+   * Accepts a ParseResult, lazy proxy, or plain value. Only containers on patched
+   * paths are copied — unchanged tape subtrees are materialized straight from their
+   * source span, and unchanged plain subtrees are shared with the target.
+   *
+   * ```ts
+   * vj.applyPatch(parse('{"a":1,"big":[...]}'), [{ op: "replace", path: "/a", value: 2 }]);
+   * ```
+   *
+   * Throws when an operation fails (missing path, failed `test`); no partial result.
+   * `append` ops from `createEventParser`'s `onPatch()` are accepted too.
+   */
+  applyPatch(target: unknown, patch: (JsonPatchOperation | LivePatchOperation)[]): unknown;
+  /**
+   * Apply an RFC 7396 JSON Merge Patch: objects merge recursively, `null` deletes a key,
+   * anything else replaces. Copies like `applyPatch()` — `target` is not modified.
+   */
+  mergePatch(target: unknown, patch: unknown): unknown;
   /**
    * Drop-in replacement for AI SDK partial JSON parsers.
    * Parses a potentially incomplete JSON string and returns a plain JS object.
@@ -250,21 +819,125 @@ export interface VectorJSON {
    * ```
    */
   parsePartialJson<T>(input: string, schema: { safeParse: (v: unknown) => { success: boolean; data?: T } }): PartialJsonResult<DeepPartial<T>>;
+  /**
+   * Parse partial JSON with options. `repair: true` also fixes trailing commas, unquoted
+   * keys, single and smart quotes, Python `True`/`False`/`None`, raw newlines in strings
+   * and comments, and lists what it fixed in `repairs`.
+   *
+   * ```ts
+   * const { value, state, repairs } = vj.parsePartialJson("{name: 'Al', ok: True,}", { repair: true });
+   * // value = { name: "Al", ok: true }, state = "repaired-parse"
+   * // repairs = [{ kind: "unquoted_key", offset: 1 }, { kind: "single_quotes", offset: 7 }, …]
+   * ```
+   */
+  parsePartialJson<T = unknown>(input: string, options: PartialJsonOptions<T>): PartialJsonResult<DeepPartial<T>>;
   /**
    * Create an event-driven streaming parser with path subscriptions,
    * string delta emission, and JSON boundary detection.
    */
   createEventParser(options?: {
     source?: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>;
-    schema?: { safeParse: (v: unknown) => { success: boolean; data?: unknown } };
+    schema?: { safeParse: (v: unknown) => { success: boolean; data?: unknown } } | JsonSchema;
+    validate?: ValidateMode;
+    pick?: string[];
+    omit?: string[];
+    /** What `for await` yields: growing snapshots (default) or the patch ops of each chunk. */
+    emit?: "value" | "patch";
     format?: JsonFormat;
+    numbers?: NumberMode;
+    /** Reasoning tags, capture tags and fence labels for finding JSON in mixed text. */
+    seeker?: SeekerOptions;
+    /** Stop with an error once the input breaks these limits. */
+    limits?: ParseLimits;
+    /** Which value the live document keeps when an object repeats a key (default: "last"). */
+    duplicateKeys?: DuplicateKeyPolicy;
+    /** How the live document stores "__proto__", "constructor" and "prototype" keys (default: "define"). */
+    unsafeKeys?: UnsafeKeyPolicy;
   }): EventParser;
+  /**
+   * Demultiplex streamed tool calls from OpenAI (`tool_calls[i].function.arguments`)
+   * or Anthropic (`input_json_delta.partial_json`) envelopes. Each tool call gets
+   * its own inner event parser; progress is reported as `{ id, name, partialArgs, done }`.
+   */
+  createToolCallStream(options?: ToolCallStreamOptions): ToolCallStream;
+  /**
+   * Find every top-level JSON object and array in mixed LLM output — prose, code
+   * fences and `<think>` blocks — with its source span.
+   *
+   * ```ts
+   * vj.extractAll('Two calls: {"a":1} and then ```json\n[2]\n```');
+   * // [{ value: { a: 1 }, start: 11, end: 18, context: "text" },
+   * //  { value: [2], start: 36, end: 39, context: "fence" }]
+   * ```
+   */
+  extractAll(text: string | Uint8Array): ExtractedJson[];
+  /** Streaming extractAll(): values are reported as soon as they close, prose through onText(). */
+  createExtractor(options?: ExtractorOptions): JsonExtractor;
+  /**
+   * Create a streaming JSON writer. Output arrives on `writer.readable` as
+   * Uint8Array chunks while the document is still being written.
+   *
+   * ```ts
+   * const w = vj.createWriter();
+   * w.beginObject().key("id").value(1).key("text").value(llmTextStream).endObject();
+   * w.end();
+   * return new Response(w.readable);
+   * ```
+   */
+  createWriter(): JsonWriter;
   /**
    * Import a packed tape buffer (from `getTapeBuffer()`) into a lazy Proxy.
    * Skips parsing entirely — the tape is copied directly into a document slot.
    * Use this on the main thread after receiving a transferred ArrayBuffer from a Worker.
+   * Throws a specific error for bad magic, an unsupported format version, a
+   * checksum mismatch, or a truncated/corrupt tape.
+   */
+  importTape(buf: ArrayBuffer | SharedArrayBuffer | Uint8Array): unknown;
+  /**
+   * Export a parsed document root as a packed tape — the same versioned format
+   * as `getTapeBuffer()`, suitable for storing on disk or in IndexedDB.
+   */
+  exportTape(value: unknown, options?: TapeExportOptions): ArrayBuffer;
+  /**
+   * Cache parsed documents across runs: a directory of tape files on Node, or
+   * IndexedDB in browsers. `get(json)` reopens a stored tape without parsing.
+   */
+  createTapeCache(options?: TapeCacheOptions): TapeCache;
+  /**
+   * Pack many documents into one buffer with an index, for a single
+   * `postMessage` transfer. Entries are tape buffers (`getTapeBuffer()`) or
+   * parsed document roots. With `shared: true` the pack is a SharedArrayBuffer.
    */
-  importTape(buf: ArrayBuffer): unknown;
+  packTapes(docs: Iterable<unknown>, options?: { shared?: boolean }): ArrayBuffer | SharedArrayBuffer;
+  /**
+   * Attach to a buffer from `packTapes()`. The pack is copied into WASM memory
+   * once; documents read through `get(i)` or iteration use their tapes in place,
+   * without a copy per document.
+   */
+  attachTapes(buf: ArrayBuffer | SharedArrayBuffer): TapePack;
+  /** Report WASM memory held by document slots, streaming parsers and scratch buffers. */
+  getStats(): MemoryStats;
+  /**
+   * Release memory kept for reuse: buffers of free document slots, stream
+   * buffer capacity beyond what each live parser holds, and the scratch
+   * buffers. Live documents and parsers keep working. Returns the bytes
+   * released to the WASM allocator (the memory itself never shrinks).
+   */
+  compact(): number;
+}
+
+// Packed tape format written by doc_export_tape (see main.zig).
+const TAPE_MAGIC = 0x50544A56; // "VJTP"
+const TAPE_VERSION = 1;
+const TAPE_HEADER = 24;
+
+// --- Tape packs: [u32 magic][u32 count][count × (u32 offset, u32 length)] then 8-byte aligned tapes ---
+const TAPE_PACK_MAGIC = 0x4B504A56; // "VJPK"
+const TAPE_PACK_HEADER = 8;
+const TAPE_PACK_ENTRY = 8;
+
+function alignTo8(n: number): number {
+  return Math.ceil(n / 8) * 8;
 }
 
 // --- Error codes from Zig engine ---
@@ -282,6 +955,21 @@ const ERROR_MESSAGES: Record<number, string> = {
   11: "Incomplete object",
   12: "Unexpected trailing content",
   13: "Out of memory",
+  14: "Exceeded maximum concurrent streams",
+  15: "Not a VectorJSON tape (bad magic)",
+  16: "Unsupported tape format version",
+  17: "Tape checksum mismatch",
+  18: "Tape is invalid (truncated or corrupt)",
+  19: "Exceeded maximum live documents",
+  20: "Exceeded maximum string length",
+  21: "Exceeded maximum array length",
+  22: "Exceeded maximum object keys",
+  23: "Input exceeds the maxBytes limit",
+  24: "Invalid literal",
+  25: "Unescaped control character in string",
+  26: "Unexpected character",
+  27: "Unmatched closing bracket",
+  28: "Invalid UTF-8",
   99: "Unknown parse error",
 };
 
@@ -292,20 +980,32 @@ interface EngineExports {
   alloc(size: number): number;
   dealloc(ptr: number, size: number): void;
   get_error_code(): number;
+  get_error_offset(): number;
   doc_parse(ptr: number, len: number): number;
   doc_free(docId: number): void;
+  doc_set_limit(max: number): void;
+  doc_get_limit(): number;
+  doc_get_active_count(): number;
+  doc_get_slot_count(): number;
+  doc_get_slot_stats(docId: number): number;
+  doc_compact(): number;
   doc_get_tag(docId: number, index: number): number;
   doc_get_number(docId: number, index: number): number;
+  doc_get_number_raw(docId: number, index: number): number;
   doc_read_string_raw(docId: number, index: number): number;
   doc_get_count(docId: number, index: number): number;
   doc_get_src_pos(docId: number, index: number): number;
   doc_get_close_index(docId: number, index: number): number;
   doc_find_field(docId: number, objIndex: number, keyPtr: number, keyLen: number): number;
   doc_get_input_ptr(docId: number): number;
+  doc_get_format(docId: number): number;
   doc_batch_ptr(): number;
   doc_array_elements(docId: number, arrIndex: number, resumeAt: number): number;
   doc_object_keys(docId: number, objIndex: number, resumeAt: number): number;
   doc_deep_equal(doc_a: number, idx_a: number, doc_b: number, idx_b: number, ordered: number): number;
+  doc_find_duplicate_key(docId: number, index: number): number;
+  doc_diff(doc_a: number, idx_a: number, doc_b: number, idx_b: number): number;
+  doc_diff_ptr(): number;
   stream_create(format: number): number;
   stream_destroy(id: number): void;
   stream_feed(id: number, ptr: number, len: number): number;
@@ -316,35 +1016,195 @@ interface EngineExports {
   stream_get_remaining_len(id: number): number;
   stream_get_buffer_len(id: number): number;
   stream_reset_for_next(id: number): number;
+  stream_set_limits(id: number, maxBytes: number, maxDepth: number, maxStringLength: number, maxArrayLength: number, maxObjectKeys: number): void;
+  stream_fail(id: number): void;
+  stream_get_error(id: number): number;
+  check_limits(ptr: number, len: number, maxDepth: number, maxStringLength: number, maxArrayLength: number, maxObjectKeys: number): number;
+  stream_set_limit(max: number): void;
+  stream_get_limit(): number;
+  stream_get_active_count(): number;
+  stream_get_slot_count(): number;
+  stream_get_slot_stats(id: number): number;
+  stream_compact(): number;
   classify_input(ptr: number, len: number): number;
   autocomplete_input(ptr: number, len: number, buf_cap: number): number;
   get_value_end(): number;
   doc_parse_fmt(ptr: number, len: number, format: number): number;
   doc_export_tape_size(docId: number): number;
-  doc_export_tape(docId: number, outPtr: number, outCap: number): number;
+  doc_export_tape(docId: number, outPtr: number, outCap: number, checksum: number): number;
   doc_import_tape(bufPtr: number, bufLen: number): number;
+  pack_alloc(len: number): number;
+  pack_bytes(pack: number): number;
+  pack_release(pack: number): void;
+  doc_attach_tape(pack: number, offset: number, len: number): number;
 }
 
 const utf8Decoder = new TextDecoder('utf-8');
 
+/** Streaming UTF-8 decoder for byte chunks read as text. A character split across
+ *  chunks stays buffered in the decoder; `pending` is true while one is open, so the
+ *  caller keeps decoding instead of passing the next chunk's raw bytes on. */
+function createChunkDecoder() {
+  const decoder = new TextDecoder('utf-8');
+  let need = 0; // continuation bytes the last character still needs
+  return {
+    decode(bytes: Uint8Array): string {
+      // Only the last 4 bytes can leave a character open (a longer chunk also
+      // completes whatever the previous one left open)
+      let i = 0;
+      if (bytes.length >= 8) { i = bytes.length - 4; need = 0; }
+      for (; i < bytes.length; i++) {
+        const b = bytes[i];
+        if ((b & 0xC0) === 0x80) { if (need > 0) need--; }
+        else need = b >= 0xF0 ? 3 : b >= 0xE0 ? 2 : b >= 0xC0 ? 1 : 0;
+      }
+      return decoder.decode(bytes, { stream: true });
+    },
+    get pending(): boolean { return need > 0; },
+  };
+}
+
+// --- Path Pattern Compiler ---
+// Segments: string = key, number = index, '*' = wildcard, '**' = any depth,
+// array = alternation ({name,id} → ['name', 'id'])
+
+function compilePath(pattern: string): PathSegment[] {
+  const literal = (s: string): string | number => /^\d+$/.test(s) ? +s : s;
+  return pattern.replace(/\[(\*|\d+)\]/g, '.$1').split('.').filter(Boolean)
+    .map(s => s === '*' || s === '**' ? s
+      : s.length > 2 && s[0] === '{' && s[s.length - 1] === '}'
+        ? s.slice(1, -1).split(',').map(a => literal(a.trim()))
+        : literal(s));
+}
+
+/** Structural equality for compiled path segments (alternations compare element-wise). */
+function pathSegmentsEqual(a: PathSegment[], b: PathSegment[]): boolean {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    const x = a[i], y = b[i];
+    if (Array.isArray(x) && Array.isArray(y)) {
+      if (x.length !== y.length || x.some((v, j) => v !== y[j])) return false;
+    } else if (x !== y) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/** Compile the `pick` / `omit` option: an array of path patterns. */
+function compilePathList(patterns: unknown, option: string): PathSegment[][] {
+  if (!Array.isArray(patterns) || !patterns.every((p) => typeof p === 'string')) {
+    throw new TypeError(`VectorJSON: ${option} must be an array of path strings`);
+  }
+  return patterns.map(compilePath);
+}
+
+/** Does a pick/omit pattern match `path` (keys and array indices)? Array levels are
+ *  transparent to key segments, so "users.name" reaches users[3].name. With
+ *  `ancestor`, a path that could still lead to a match also counts. */
+function pathPatternMatches(pattern: PathSegment[], path: (string | number)[], ancestor: boolean, p = 0, d = 0): boolean {
+  if (p === pattern.length) return true;   // at or below a match
+  if (d === path.length) return ancestor;
+  const seg = pattern[p], cur = path[d];
+  if (seg === '**') {
+    return pathPatternMatches(pattern, path, ancestor, p + 1, d) || pathPatternMatches(pattern, path, ancestor, p, d + 1);
+  }
+  const keyOnly = Array.isArray(seg) ? seg.every((a) => typeof a === 'string') : typeof seg === 'string' && seg !== '*';
+  if (typeof cur === 'number' && keyOnly) return pathPatternMatches(pattern, path, ancestor, p, d + 1);
+  // Numeric segments also match digit keys ("0" in an object)
+  const hits = (a: string | number) => a === cur || (typeof a === 'number' && String(a) === cur);
+  if (seg !== '*' && !(Array.isArray(seg) ? seg.some(hits) : hits(seg))) return false;
+  return pathPatternMatches(pattern, path, ancestor, p + 1, d + 1);
+}
+
+/** Pick/omit filter: a value is kept when no omit pattern covers it and, if there are
+ *  pick patterns, one matches it — exactly or from above, or (for containers,
+ *  `exact` = false) as an ancestor of a possible match. The root is always kept. */
+function isPathPicked(path: (string | number)[], pick: PathSegment[][] | null,
+  omit: PathSegment[][] | null, exact: boolean): boolean {
+  if (path.length === 0) return true;
+  if (omit && omit.some((p) => pathPatternMatches(p, path, false))) return false;
+  return !pick || pick.some((p) => pathPatternMatches(p, path, !exact));
+}
+
 // Pre-computed byte→char table — avoids String.fromCharCode() calls in hot loops
 const B2C: string[] = Array.from({ length: 256 }, (_, i) => String.fromCharCode(i));
 
 // Hoisted regex for stripping trailing incomplete number chars in getValue()
 const TRAILING_NUM_RE = /[.eE+\-]$/;
 
+// --- Exact number handling (numbers: "bigint" | "string" | "auto") ---
+const JSON_INT_RE = /^-?\d+$/;
+const JSON_NUM_RE = /^-?(\d+)(?:\.(\d+))?(?:[eE][+-]?\d+)?$/;
+
+/** Significant digits of a decimal literal ("0.0120e3" → "12"). Non-numeric text is returned as-is. */
+function significantDigits(s: string): string {
+  const m = JSON_NUM_RE.exec(s);
+  if (!m) return s;
+  return (m[1] + (m[2] ?? "")).replace(/^0+/, "").replace(/0+$/, "");
+}
+
+/**
+ * Return `value` unless it lost precision relative to its source text `lex`:
+ * unsafe integers become BigInt ("bigint"/"auto") or `lex` ("string"); decimals
+ * whose digits don't round-trip become `lex` ("string"/"auto").
+ * Non-JSON lexemes (JSON5 hex, Infinity) pass through unchanged.
+ */
+function preciseNumber(value: number, lex: string, mode: NumberMode): number | bigint | string {
+  if (mode === "number") return value;
+  if (JSON_INT_RE.test(lex)) {
+    if (Number.isSafeInteger(value)) return value;
+    return mode === "string" ? lex : BigInt(lex);
+  }
+  if (mode === "bigint" || !JSON_NUM_RE.test(lex)) return value;
+  return significantDigits(lex) === significantDigits(String(value)) ? value : lex;
+}
+
+/** Validate a `numbers` option, defaulting to "number". */
+function resolveNumberMode(mode: NumberMode | undefined): NumberMode {
+  if (mode === undefined) return "number";
+  if (mode !== "number" && mode !== "bigint" && mode !== "string" && mode !== "auto") {
+    throw new TypeError(`VectorJSON: Invalid numbers option "${mode}" (expected "number", "bigint", "string", or "auto")`);
+  }
+  return mode;
+}
+
+/** Options for init(). */
+export interface InitOptions {
+  /** Custom WASM binary: filesystem path, URL, or bytes. Defaults to the embedded engine. */
+  engineWasm?: string | URL | BufferSource;
+  /**
+   * Maximum number of concurrent streaming parsers (createParser + createEventParser).
+   * Stream slots grow on demand; this caps them. Default: 0 (unlimited).
+   * Applied on every init() call, including calls that return the cached instance.
+   */
+  maxStreams?: number;
+  /**
+   * Maximum number of live parsed documents (parse() results, imported tapes).
+   * Document slots grow on demand; this caps them. Default: 0 (unlimited).
+   * Applied on every init() call, including calls that return the cached instance.
+   */
+  maxDocuments?: number;
+}
+
 let _instance: VectorJSON | null = null;
 let _initPromise: Promise<VectorJSON> | null = null;
+let _configure: ((options: InitOptions) => void) | null = null;
 
 /**
  * Initialize VectorJSON by loading and linking the WASM module.
- * Call this once; subsequent calls return the cached instance.
+ * Call this once; subsequent calls return the cached instance
+ * (runtime limits such as `maxStreams` are still applied).
  */
-export async function init(options?: {
-  engineWasm?: string | URL | BufferSource;
-}): Promise<VectorJSON> {
-  if (_instance) return _instance;
-  if (_initPromise) return _initPromise;
+export async function init(options?: InitOptions): Promise<VectorJSON> {
+  if (_instance) {
+    if (options) _configure!(options);
+    return _instance;
+  }
+  if (_initPromise) {
+    if (!options) return _initPromise;
+    return _initPromise.then((vj) => { _configure!(options); return vj; });
+  }
 
   _initPromise = (async () => {
 
@@ -367,6 +1227,23 @@ export async function init(options?: {
   const { instance: engineInstance } = await WebAssembly.instantiate(engineBytes as BufferSource, {}) as unknown as WebAssembly.WebAssemblyInstantiatedSource;
   const engine = engineInstance.exports as unknown as EngineExports;
 
+  // --- Runtime limits (re-applied when init() is called again with options) ---
+  _configure = (opts: InitOptions) => {
+    if (opts.maxStreams !== undefined) {
+      if (!Number.isInteger(opts.maxStreams) || opts.maxStreams < 0) {
+        throw new RangeError("VectorJSON: maxStreams must be a non-negative integer");
+      }
+      engine.stream_set_limit(opts.maxStreams);
+    }
+    if (opts.maxDocuments !== undefined) {
+      if (!Number.isInteger(opts.maxDocuments) || opts.maxDocuments < 0) {
+        throw new RangeError("VectorJSON: maxDocuments must be a non-negative integer");
+      }
+      engine.doc_set_limit(opts.maxDocuments);
+    }
+  };
+  if (options) _configure(options);
+
   const encoder = new TextEncoder();
 
   // --- Reusable WASM buffers — grow-only, shared allocator pattern ---
@@ -425,6 +1302,10 @@ export async function init(options?: {
   const TAG_OBJECT = 5;
   const TAG_ARRAY = 6;
 
+  // Number kinds from doc_get_number_raw
+  const NUM_UNSIGNED = 1;
+  const NUM_SIGNED = 2;
+
   const FEED_STATUS: readonly FeedStatus[] = ["incomplete", "complete", "error", "end_early"];
   const CLASSIFY_INCOMPLETE = 0;  // FeedStatus.incomplete
   const CLASSIFY_ERR = 2;         // FeedStatus.err
@@ -445,10 +1326,17 @@ export async function init(options?: {
       if (docGenerations.get(docId) !== generation) return; // stale callback
       docGenerations.delete(docId);
       docInputs.delete(docId);
+      docNumberModes.delete(docId);
+      docDuplicateKeys.delete(docId);
+      docUnscanned.delete(docId);
       engine.doc_free(docId);
     },
   );
 
+  // --- FinalizationRegistry for tape packs dropped without .free() ---
+  // Releases attachTapes()' reference; the pack's memory goes once no slot reads from it.
+  const packRegistry = new FinalizationRegistry((pack: number) => engine.pack_release(pack));
+
   // --- FinalizationRegistry for auto-cleanup of stream parser slots ---
   // Prevents stream slot leaks when users forget to call .destroy()
   const streamRegistry = new FinalizationRegistry(
@@ -490,6 +1378,77 @@ export async function init(options?: {
   // we can slice the original string directly instead of reading WASM memory.
   const docInputs = new Map<number, string>();
 
+  // --- Per-document number mode (only set for numbers !== "number") ---
+  const docNumberModes = new Map<number, NumberMode>();
+
+  // --- Per-document duplicateKeys policy (only set for documents that repeat a key) ---
+  // Documents without repeated keys resolve the same under every policy, so they
+  // keep the doc_find_field, JSON.parse and tape-compare fast paths.
+  const docDuplicateKeys = new Map<number, DuplicateKeyPolicy>();
+  // Documents under the default "last" policy that haven't been scanned yet.
+  // Parsing never scans them; doc_find_field scans once in Zig on the first field
+  // read (keeping the first-match early exit for documents without repeats), and
+  // deepCompare, diff and query wildcards ask the same cached scan here.
+  const docUnscanned = new Set<number>();
+
+  /**
+   * Apply a duplicateKeys policy to a freshly parsed document. Returns the tape
+   * index of the repeated key under "error" (the caller fails the parse and frees
+   * the document), otherwise 0. "last" defers the scan to docDuplicatePolicy().
+   */
+  function resolveDuplicateKeys(docId: number, policy: DuplicateKeyPolicy): number {
+    if (policy === "last") {
+      docUnscanned.add(docId);
+      return 0;
+    }
+    const key = engine.doc_find_duplicate_key(docId, 1);
+    if (key === 0) return 0;
+    if (policy === "error") return key;
+    docDuplicateKeys.set(docId, policy);
+    return 0;
+  }
+
+  /** The document's policy when it repeats a key, else undefined. Scans a "last" document on first call. */
+  function docDuplicatePolicy(docId: number): DuplicateKeyPolicy | undefined {
+    if (docUnscanned.delete(docId) && engine.doc_find_duplicate_key(docId, 1) !== 0) docDuplicateKeys.set(docId, "last");
+    return docDuplicateKeys.get(docId);
+  }
+
+  /** Source text of the number at a tape index, or null when positions are unavailable (imported tapes). */
+  function docNumberLexeme(docId: number, index: number): string | null {
+    const pos = engine.doc_get_src_pos(docId, index) >>> 0;
+    if (pos === 0xFFFFFFFF) return null;
+    const bytes = new Uint8Array(engine.memory.buffer, (engine.doc_get_input_ptr(docId) >>> 0) + pos);
+    let end = 0;
+    while (end < bytes.length) {
+      const c = bytes[end];
+      // digits, sign, decimal point, exponent
+      if ((c >= 0x30 && c <= 0x39) || c === 0x2D || c === 0x2B || c === 0x2E || c === 0x65 || c === 0x45) end++;
+      else break;
+    }
+    return end > 0 ? utf8Decoder.decode(bytes.subarray(0, end)) : null;
+  }
+
+  /** Read a number from the tape, honoring the document's number mode. */
+  function docNumber(docId: number, index: number): number | bigint | string {
+    const value = engine.doc_get_number(docId, index);
+    const mode = docNumberModes.size === 0 ? undefined : docNumberModes.get(docId);
+    if (mode === undefined) return value;
+    const kind = engine.doc_get_number_raw(docId, index);
+    if (kind === NUM_UNSIGNED || kind === NUM_SIGNED) {
+      // Integers are exact 64-bit words on the tape — no need to re-read the source
+      if (Number.isSafeInteger(value)) return value;
+      const batch = new Uint32Array(engine.memory.buffer, batchAddr, 2);
+      const raw = (BigInt(batch[1]) << 32n) | BigInt(batch[0]);
+      const big = kind === NUM_SIGNED ? BigInt.asIntN(64, raw) : raw;
+      return mode === "string" ? big.toString() : big;
+    }
+    // Doubles: only integers beyond u64 or long decimals can differ from their source text
+    if (mode === "bigint" && (!Number.isInteger(value) || Number.isSafeInteger(value))) return value;
+    const lex = docNumberLexeme(docId, index);
+    return lex === null ? value : preciseNumber(value, lex, mode);
+  }
+
   // --- Read a doc string at a tape index into a JS string ---
   // Strings are stored as source offsets into the original input.
   // The escape flag (batch_buffer[2]) tells us if decoding is needed,
@@ -524,15 +1483,20 @@ export async function init(options?: {
   // For containers (objects/arrays), slices the source span from WASM memory
   // and delegates to native JSON.parse — faster than recursive tape walking.
   // For primitives, reads directly from the tape.
-  // Falls back to recursive tape walking when JSON.parse fails (e.g., JSON5 Infinity).
+  // Falls back to recursive tape walking when JSON.parse fails (e.g., JSON5 Infinity),
+  // and walks the tape when JSON.parse's last-wins rule isn't the document's policy.
   function deepMaterializeDoc(docId: number, index: number): unknown {
     const tag = engine.doc_get_tag(docId, index);
     if (tag === TAG_NULL) return null;
     if (tag === TAG_TRUE) return true;
     if (tag === TAG_FALSE) return false;
-    if (tag === TAG_NUMBER) return engine.doc_get_number(docId, index);
+    if (tag === TAG_NUMBER) return docNumber(docId, index);
     if (tag === TAG_STRING) return docReadString(docId, index);
     if (tag === TAG_OBJECT || tag === TAG_ARRAY) {
+      // Exact number modes: native JSON.parse would round large numbers
+      if (docNumberModes.has(docId)) return tapeMaterialize(docId, index, tag);
+      const duplicates = docDuplicateKeys.get(docId);
+      if (duplicates !== undefined && duplicates !== "last") return tapeMaterialize(docId, index, tag);
       // Get source span: opening bracket → closing bracket (inclusive)
       // doc_get_close_index returns one-past-end (simdjson convention for skipping).
       // The actual closing bracket is at closeIdx - 1.
@@ -558,12 +1522,37 @@ export async function init(options?: {
     // TAG_OBJECT
     const keyIndices = readBatchPaginated(engine.doc_object_keys, docId, index);
     const obj: Record<string, unknown> = {};
-    for (const ki of keyIndices) {
-      obj[docReadString(docId, ki)] = deepMaterializeDoc(docId, ki + 1);
+    if (!docDuplicateKeys.has(docId)) {
+      for (const ki of keyIndices) {
+        setOwnKey(obj, docReadString(docId, ki), deepMaterializeDoc(docId, ki + 1));
+      }
+      return obj;
+    }
+    for (const [key, valueIndices] of docFieldIndices(docId, keyIndices)) {
+      setOwnKey(obj, key, resolveField(valueIndices, docDuplicateKeys.get(docId)!, (i) => deepMaterializeDoc(docId, i)));
     }
     return obj;
   }
 
+  /** Value tape indices of each key of an object, in first-occurrence order. */
+  function docFieldIndices(docId: number, keyIndices: Uint32Array): Map<string, number[]> {
+    const fields = new Map<string, number[]>();
+    for (const ki of keyIndices) {
+      const key = docReadString(docId, ki);
+      const at = fields.get(key);
+      if (at) at.push(ki + 1);
+      else fields.set(key, [ki + 1]);
+    }
+    return fields;
+  }
+
+  /** One field's value under a duplicateKeys policy, from its value tape indices. */
+  function resolveField(valueIndices: number[], policy: DuplicateKeyPolicy, read: (index: number) => unknown): unknown {
+    if (valueIndices.length === 1 || policy === "first") return read(valueIndices[0]);
+    if (policy === "collect") return valueIndices.map(read);
+    return read(valueIndices[valueIndices.length - 1]);
+  }
+
   /** Batch-read all element tape indices for an array (cached). */
   function batchElemIndices(target: any): Uint32Array {
     return target._e || (target._e = readBatchPaginated(engine.doc_array_elements, target._d, target._i));
@@ -582,7 +1571,7 @@ export async function init(options?: {
     if (tag === TAG_NULL) return null;
     if (tag === TAG_TRUE) return true;
     if (tag === TAG_FALSE) return false;
-    if (tag === TAG_NUMBER) return engine.doc_get_number(docId, index);
+    if (tag === TAG_NUMBER) return docNumber(docId, index);
     if (tag === TAG_STRING) return docReadString(docId, index);
 
     // Objects: Proxy for incomplete parses (so isComplete can get tape index),
@@ -677,6 +1666,17 @@ export async function init(options?: {
       if (typeof prop !== 'string') return prop === Symbol.toStringTag ? "Object" : undefined;
       if (!target._c) target._c = Object.create(null);
       if (prop in target._c) return target._c[prop];
+      const duplicates = docDuplicateKeys.get(target._d);
+      if (duplicates !== undefined) {
+        // Repeated keys: resolve through the field map built by ownKeys
+        this.ownKeys!(target);
+        const at: number[] | undefined = target._fi.get(prop);
+        if (at === undefined) return undefined;
+        const val = resolveField(at, duplicates,
+          (i) => resolveValue(target._d, i, target._k, target._g, target._f, true));
+        target._c[prop] = val;
+        return val;
+      }
       const { ptr, len } = writeKeyToMemory(prop);
       const valIdx = engine.doc_find_field(target._d, target._i, ptr, len);
       if (valIdx !== 0) {
@@ -687,6 +1687,8 @@ export async function init(options?: {
       }
       // Fallback: escaped keys won't match raw bytes — iterate all keys
       const keys = this.ownKeys!(target) as string[];
+      // ownKeys found a repeated key: resolve through the field map
+      if (target._fi) return this.get!(target, prop, _receiver);
       const keyIdx = keys.indexOf(prop);
       if (keyIdx === -1) return undefined;
       // Resolve value via cached key tape indices
@@ -706,8 +1708,21 @@ export async function init(options?: {
     ownKeys(target) {
       if (!target._keys) {
         const indices = readBatchPaginated(engine.doc_object_keys, target._d, target._i);
-        target._ki = indices;
-        target._keys = Array.from(indices, (idx) => docReadString(target._d, idx));
+        if (docDuplicateKeys.has(target._d)) {
+          // A repeated key is listed once (a proxy may not report duplicate keys)
+          target._fi = docFieldIndices(target._d, indices);
+          target._keys = Array.from(target._fi.keys());
+        } else {
+          target._ki = indices;
+          target._keys = Array.from(indices, (idx) => docReadString(target._d, idx));
+          // An unscanned "last" document may repeat a key here: list it once
+          if (docUnscanned.has(target._d) && new Set(target._keys).size !== target._keys.length) {
+            docUnscanned.delete(target._d);
+            docDuplicateKeys.set(target._d, "last");
+            target._fi = docFieldIndices(target._d, indices);
+            target._keys = Array.from(target._fi.keys());
+          }
+        }
       }
       return target._keys;
     },
@@ -735,9 +1750,12 @@ export async function init(options?: {
       const value = rootTag === TAG_NULL ? null
         : rootTag === TAG_TRUE ? true
         : rootTag === TAG_FALSE ? false
-        : rootTag === TAG_NUMBER ? engine.doc_get_number(docId, 1)
+        : rootTag === TAG_NUMBER ? docNumber(docId, 1)
         : docReadString(docId, 1);
       docInputs.delete(docId);
+      docNumberModes.delete(docId);
+      docDuplicateKeys.delete(docId);
+      docUnscanned.delete(docId);
       engine.doc_free(docId);
       return value;
     }
@@ -751,6 +1769,9 @@ export async function init(options?: {
       if (docGenerations.get(docId) !== generation) return;
       docGenerations.delete(docId);
       docInputs.delete(docId);
+      docNumberModes.delete(docId);
+      docDuplicateKeys.delete(docId);
+      docUnscanned.delete(docId);
       engine.doc_free(docId);
       docRegistry.unregister(keepAlive);
     };
@@ -758,45 +1779,322 @@ export async function init(options?: {
     return resolveValue(docId, 1, keepAlive, generation, freeFn, rootTag === TAG_OBJECT || proxyObjects);
   }
 
-  // --- Tape export/import helpers ---
-  /** Parse a stream's buffer, export packed tape, free the temp doc slot. */
-  function streamExportTape(streamId: number, formatCode = 0): ArrayBuffer | null {
-    const status = engine.stream_get_status(streamId);
-    if (status !== 1 /* complete */ && status !== 3 /* end_early */) return null;
-    const bufPtr = engine.stream_get_buffer_ptr(streamId) >>> 0;
-    // Use value_len (not buffer_len) — in JSONL mode buffer may contain next value's bytes
-    const valueLen = engine.stream_get_value_len(streamId);
-    if (valueLen === 0) return null;
-    // Copy with SIMD padding for doc_parse
-    const padPtr = engine.alloc(valueLen + 64) >>> 0;
-    if (padPtr === 0) return null;
-    new Uint8Array(engine.memory.buffer, padPtr, valueLen).set(
-      new Uint8Array(engine.memory.buffer, bufPtr, valueLen),
-    );
-    new Uint8Array(engine.memory.buffer, padPtr + valueLen, 64).fill(0x20);
-    const docId = formatCode === 2
-      ? engine.doc_parse_fmt(padPtr, valueLen, 2)
-      : engine.doc_parse(padPtr, valueLen);
+  /** Root of a slot from doc_import_tape or doc_attach_tape; throws the import error for docId < 0. */
+  function tapeDocument(docId: number, bytes: Uint8Array): unknown {
+    if (docId < 0) {
+      const code = engine.get_error_code();
+      if (code === 19) throw documentLimitError();
+      let reason = ERROR_MESSAGES[code] || `error code ${code}`;
+      if (code === 16) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        reason += ` ${view.getUint16(4, true)} with flags 0x${view.getUint16(6, true).toString(16)} (expected version ${TAPE_VERSION})`;
+      }
+      throw new Error(`VectorJSON: tape import failed: ${reason}`);
+    }
+    // The tape doesn't carry the exporter's duplicateKeys policy: repeated keys resolve like JSON.parse
+    resolveDuplicateKeys(docId, "last");
+    return buildDocRoot(docId);
+  }
+
+  // --- Query navigation over document tapes (query / get) ---
+
+  /** Value index of an object field (0 = missing), including keys written with escapes. */
+  function docFindField(docId: number, objIndex: number, key: string): number {
+    const { ptr, len } = writeKeyToMemory(key);
+    const valIdx = engine.doc_find_field(docId, objIndex, ptr, len);
+    if (valIdx !== 0) return valIdx;
+    // doc_find_field compares raw bytes — only keys with escapes need decoding
+    let found = 0;
+    for (const ki of readBatchPaginated(engine.doc_object_keys, docId, objIndex)) {
+      engine.doc_read_string_raw(docId, ki);
+      const hasEscapes = new Uint32Array(engine.memory.buffer, batchAddr, 3)[2];
+      if (hasEscapes && docReadString(docId, ki) === key) found = ki + 1;  // last one wins, like JSON.parse
+    }
+    return found;
+  }
+
+  /** JsonNav over one document: nodes are tape indices, nothing is materialized until value(). */
+  function tapeNav(docId: number): JsonNav<number> {
+    const elementCache = new Map<number, Uint32Array>();
+    const elements = (i: number): Uint32Array => {
+      let e = elementCache.get(i);
+      if (!e) elementCache.set(i, e = readBatchPaginated(engine.doc_array_elements, docId, i));
+      return e;
+    };
+    return {
+      isObject: (i) => engine.doc_get_tag(docId, i) === TAG_OBJECT,
+      isArray: (i) => engine.doc_get_tag(docId, i) === TAG_ARRAY,
+      length: (i) => engine.doc_get_count(docId, i),
+      element: (i, k) => elements(i)[k],
+      children: (i) => {
+        const tag = engine.doc_get_tag(docId, i);
+        if (tag === TAG_ARRAY) return Array.from(elements(i));
+        if (tag === TAG_OBJECT) {
+          const keys = readBatchPaginated(engine.doc_object_keys, docId, i);
+          // Under "last" (the only policy queried on the tape) a repeated key yields its last value
+          if (docDuplicatePolicy(docId) === undefined) return Array.from(keys, (ki) => ki + 1);
+          return Array.from(docFieldIndices(docId, keys).values(), (at) => at[at.length - 1]);
+        }
+        return [];
+      },
+      field: (i, key) => docFindField(docId, i, key) || undefined,
+      value: (i) => deepMaterializeDoc(docId, i),
+    };
+  }
+
+  /** Pick the navigator for a query target: a lazy proxy's tape, or plain JS values. */
+  function queryTarget(target: unknown): { nav: JsonNav<any>; root: unknown } {
+    if (target !== null && typeof target === "object") {
+      const meta = (target as any)[LAZY_PROXY] as { docId: number; index: number } | undefined;
+      if (meta) {
+        if (engine.doc_get_tag(meta.docId, meta.index) < 0) throw new Error("VectorJSON: Document has been freed");
+        // "first" and "collect" resolve repeated keys off the tape; query the resolved value instead
+        const duplicates = docDuplicateKeys.get(meta.docId);
+        if (duplicates !== undefined && duplicates !== "last") return { nav: plainNav, root: deepMaterializeDoc(meta.docId, meta.index) };
+        return { nav: tapeNav(meta.docId), root: meta.index };
+      }
+      // Accept a ParseResult directly: query(parse(json), "$.a")
+      if (typeof (target as any).isComplete === "function" && "status" in target) {
+        return queryTarget((target as ParseResult).value);
+      }
+    }
+    return { nav: plainNav, root: target };
+  }
+
+  /** Tape location of a lazy proxy; null for plain JS values. */
+  function docTarget(value: unknown): { docId: number; index: number } | null {
+    if (value === null || typeof value !== "object") return null;
+    const meta = (value as any)[LAZY_PROXY] as { docId: number; index: number } | undefined;
+    if (!meta) return null;
+    if (engine.doc_get_tag(meta.docId, meta.index) < 0) throw new Error("VectorJSON: Document has been freed");
+    return meta;
+  }
+
+  // doc_diff record segments: array index, or key tape index in doc A / doc B
+  const DIFF_OPS = ["add", "remove", "replace"] as const;
+  const DIFF_SEG_INDEX = 0x80000000;
+  const DIFF_SEG_KEY_A = 0x40000000;
+
+  /** Decode doc_diff's op records: keys on each path and new values are read from the tapes. */
+  function readDiffOps(docA: number, docB: number, words: number): JsonPatchOperation[] {
+    const records = new Uint32Array(engine.memory.buffer, engine.doc_diff_ptr() >>> 0, words).slice();
+    const keys = new Map<number, string>(); // B keys repeat across sibling paths
+    const ops: JsonPatchOperation[] = [];
+    for (let r = 0; r < words;) {
+      const op = DIFF_OPS[records[r]], valueIdx = records[r + 1], end = r + 3 + records[r + 2];
+      let path = "";
+      for (r += 3; r < end; r++) {
+        const seg = records[r];
+        if (seg & DIFF_SEG_INDEX) { path += "/" + (seg & ~DIFF_SEG_INDEX); continue; }
+        if (seg & DIFF_SEG_KEY_A) { path += "/" + jsonPointerToken(docReadString(docA, seg & ~DIFF_SEG_KEY_A)); continue; }
+        let key = keys.get(seg);
+        if (key === undefined) keys.set(seg, key = jsonPointerToken(docReadString(docB, seg)));
+        path += "/" + key;
+      }
+      ops.push(op === "remove" ? { op, path } : { op, path, value: deepMaterializeDoc(docB, valueIdx) });
+    }
+    return ops;
+  }
+
+  // --- JSON Patch / Merge Patch working tree ---
+  // Patches run copy-on-write: a container on a patched path is opened one level at
+  // a time (its children stay tape references), everything else is shared with the
+  // source. Untouched tape subtrees are materialized once at the end, from their span.
+
+  const TAPE_REF = Symbol("vectorjson.tapeRef");
+  type TapeRef = { [TAPE_REF]: { docId: number; index: number } };
+
+  function isTapeRef(value: unknown): value is TapeRef {
+    return value !== null && typeof value === "object" && TAPE_REF in value;
+  }
+
+  /** Working-tree node for a value entering a patch: lazy proxies become tape references. */
+  function patchNode(value: unknown): unknown {
+    const meta = docTarget(value);
+    // Tape references resolve repeated keys like JSON.parse; other policies are materialized
+    const duplicates = meta && docDuplicateKeys.get(meta.docId);
+    if (duplicates && duplicates !== "last") return deepMaterializeDoc(meta!.docId, meta!.index);
+    return meta ? { [TAPE_REF]: meta } : value;
+  }
+
+  /** Child of an opened tape container: scalars are read now, containers stay references. */
+  function tapeChild(docId: number, index: number): unknown {
+    const tag = engine.doc_get_tag(docId, index);
+    return tag === TAG_OBJECT || tag === TAG_ARRAY ? { [TAPE_REF]: { docId, index } } : deepMaterializeDoc(docId, index);
+  }
+
+  function createPatchTree() {
+    const owned = new WeakSet<object>();
+    /** Writable one-level copy of a container (reused once made); null for scalars. */
+    const open = (value: unknown): Record<string, unknown> | unknown[] | null => {
+      if (value === null || typeof value !== "object") return null;
+      if (owned.has(value)) return value as Record<string, unknown> | unknown[];
+      let copy: Record<string, unknown> | unknown[];
+      if (isTapeRef(value)) {
+        const { docId, index } = value[TAPE_REF];
+        if (engine.doc_get_tag(docId, index) === TAG_ARRAY) {
+          copy = Array.from(readBatchPaginated(engine.doc_array_elements, docId, index), (i) => tapeChild(docId, i));
+        } else {
+          copy = {};
+          for (const ki of readBatchPaginated(engine.doc_object_keys, docId, index)) {
+            setOwnKey(copy, docReadString(docId, ki), tapeChild(docId, ki + 1));
+          }
+        }
+      } else {
+        copy = Array.isArray(value) ? value.slice() : { ...value };
+      }
+      owned.add(copy);
+      return copy;
+    };
+    /** Independent copy for `copy` ops — tape references are immutable and shared. */
+    const clone = (value: unknown): unknown => {
+      if (value === null || typeof value !== "object" || !owned.has(value)) return value;
+      const copy = Array.isArray(value)
+        ? value.map(clone)
+        : Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+      owned.add(copy);
+      return copy;
+    };
+    /** Plain value of a node; written containers are finished in place. */
+    const finish = (value: unknown): unknown => {
+      if (isTapeRef(value)) return deepMaterializeDoc(value[TAPE_REF].docId, value[TAPE_REF].index);
+      if (value === null || typeof value !== "object" || !owned.has(value)) return value;
+      const obj = value as any;
+      for (const key of Object.keys(obj)) obj[key] = finish(obj[key]);
+      return value;
+    };
+    return { open, clone, finish };
+  }
+
+  /** Copy a container's source bytes out of WASM memory — valid JSON as-is for JSON docs.
+   *  Returns null when the span can't be reused (JSON5 source, imported tape without
+   *  positions, repeated keys resolved other than JSON.parse would). */
+  function docSourceSpan(docId: number, index: number): Uint8Array | null {
+    const format = engine.doc_get_format(docId);
+    if (format < 0) throw new Error("VectorJSON: Document has been freed");
+    const duplicates = docDuplicateKeys.get(docId);
+    if (format !== 0 || (duplicates !== undefined && duplicates !== "last")) return null;
+    const startPos = engine.doc_get_src_pos(docId, index) >>> 0;
+    const closePos = engine.doc_get_src_pos(docId, engine.doc_get_close_index(docId, index) - 1) >>> 0;
+    if (startPos === 0xFFFFFFFF || closePos === 0xFFFFFFFF) return null;
+    const inputPtr = engine.doc_get_input_ptr(docId) >>> 0;
+    return new Uint8Array(engine.memory.buffer, inputPtr + startPos, closePos + 1 - startPos).slice();
+  }
+
+  // --- Tape export/import helpers ---
+  /** Parse a stream's buffer, export packed tape, free the temp doc slot. */
+  function streamExportTape(streamId: number, formatCode = 0, checksum = false): ArrayBuffer | null {
+    const status = engine.stream_get_status(streamId);
+    if (status !== 1 /* complete */ && status !== 3 /* end_early */) return null;
+    const bufPtr = engine.stream_get_buffer_ptr(streamId) >>> 0;
+    // Use value_len (not buffer_len) — in JSONL mode buffer may contain next value's bytes
+    const valueLen = engine.stream_get_value_len(streamId);
+    if (valueLen === 0) return null;
+    // Copy with SIMD padding for doc_parse
+    const padPtr = engine.alloc(valueLen + 64) >>> 0;
+    if (padPtr === 0) return null;
+    new Uint8Array(engine.memory.buffer, padPtr, valueLen).set(
+      new Uint8Array(engine.memory.buffer, bufPtr, valueLen),
+    );
+    new Uint8Array(engine.memory.buffer, padPtr + valueLen, 64).fill(0x20);
+    const docId = formatCode === 2
+      ? engine.doc_parse_fmt(padPtr, valueLen, 2)
+      : engine.doc_parse(padPtr, valueLen);
     engine.dealloc(padPtr, valueLen + 64);
-    if (docId < 0) return null;
-    // Export tape → JS ArrayBuffer, then free slot
+    if (docId < 0) {
+      if (engine.get_error_code() === 19) throw documentLimitError();
+      return null;
+    }
+    const copy = docExportTape(docId, checksum);
+    engine.doc_free(docId);
+    return copy;
+  }
+
+  /** Export a document slot's packed tape into a fresh JS ArrayBuffer. */
+  function docExportTape(docId: number, checksum = false): ArrayBuffer | null {
     const size = engine.doc_export_tape_size(docId);
     const outPtr = size > 0 ? engine.alloc(size) >>> 0 : 0;
-    if (outPtr === 0) { engine.doc_free(docId); return null; }
-    engine.doc_export_tape(docId, outPtr, size);
-    engine.doc_free(docId);
+    if (outPtr === 0) return null;
+    engine.doc_export_tape(docId, outPtr, size, checksum ? 1 : 0);
     const copy = new ArrayBuffer(size);
     new Uint8Array(copy).set(new Uint8Array(engine.memory.buffer, outPtr, size));
     engine.dealloc(outPtr, size);
     return copy;
   }
 
-  // --- Helper: retry doc_parse with GC on slot exhaustion ---
+  /** The failure of a stream in the error state, as the engine recorded it. */
+  function streamParseError(streamId: number): JsonParseError {
+    const bufPtr = engine.stream_get_buffer_ptr(streamId) >>> 0;
+    const bufLen = engine.stream_get_buffer_len(streamId);
+    const source = new Uint8Array(engine.memory.buffer, bufPtr, bufLen).slice();
+    const code = ENGINE_ERROR_CODES[engine.stream_get_error(streamId)] ?? "invalid_json";
+    return new JsonParseError(code, source, Math.min(engine.get_error_offset(), bufLen));
+  }
+
+  /**
+   * The failure of the last doc_parse as a JsonParseError over `source`, the input
+   * it was given. Offsets past its end (in autocompleted closers) are clamped.
+   */
+  function docParseError(source: Uint8Array): JsonParseError {
+    const code = ENGINE_ERROR_CODES[engine.get_error_code()] ?? "invalid_json";
+    return new JsonParseError(code, source, Math.min(engine.get_error_offset(), source.length));
+  }
+
+  /** Bytes of one packed tape: a tape buffer or view, or a whole parsed document. */
+  function packedTapeBytes(doc: unknown, n: number): Uint8Array {
+    if (doc instanceof Uint8Array) return doc;
+    if (ArrayBuffer.isView(doc)) return new Uint8Array(doc.buffer, doc.byteOffset, doc.byteLength);
+    if (doc instanceof ArrayBuffer || (typeof SharedArrayBuffer === "function" && doc instanceof SharedArrayBuffer)) {
+      return new Uint8Array(doc);
+    }
+    const meta = docTarget(unwrapParseResult(doc));
+    if (!meta || meta.index !== 1) {
+      throw new TypeError(`VectorJSON: packTapes() entry ${n} is not a tape buffer or a parsed document root`);
+    }
+    const tape = docExportTape(meta.docId);
+    if (!tape) throw new Error("VectorJSON: allocation failed for tape export");
+    return new Uint8Array(tape);
+  }
+
+  /** Allocate a WASM stream slot with optional limits, throwing a descriptive error on failure. */
+  function createStream(formatCode: number, what: string, limits: ResolvedLimits | null = null): number {
+    const streamId = engine.stream_create(formatCode);
+    if (streamId >= 0) {
+      if (limits) {
+        engine.stream_set_limits(streamId, limits.maxBytes, limits.maxDepth, limits.maxStringLength,
+          limits.maxArrayLength, limits.maxObjectKeys);
+      }
+      return streamId;
+    }
+    const code = engine.get_error_code();
+    if (code === 14) {
+      const active = engine.stream_get_active_count();
+      const limit = engine.stream_get_limit();
+      throw new Error(
+        `VectorJSON: Failed to create ${what} (stream limit reached: ${active}/${limit} active). ` +
+        `Call destroy() on finished parsers or raise init({ maxStreams }).`,
+      );
+    }
+    throw new Error(`VectorJSON: Failed to create ${what} (${ERROR_MESSAGES[code] || `error code ${code}`})`);
+  }
+
+  /** Error for a document that would exceed init({ maxDocuments }). */
+  function documentLimitError(): Error {
+    const active = engine.doc_get_active_count();
+    const limit = engine.doc_get_limit();
+    return new Error(
+      `VectorJSON: document limit reached: ${active}/${limit} live. ` +
+      `Call free() on results you no longer need or raise init({ maxDocuments }).`,
+    );
+  }
+
+  // --- Helper: doc_parse that throws at the document limit, retries with GC on OOM ---
   function tryDocParse(p: number, l: number): number {
     let docId = engine.doc_parse(p, l);
     if (docId < 0) {
       const errCode = engine.get_error_code();
-      if (errCode === 2 || errCode === 13) {
+      if (errCode === 19) throw documentLimitError();
+      if (errCode === 13) {
         if (typeof globalThis.gc === "function") globalThis.gc();
         docId = engine.doc_parse(p, l);
       }
@@ -810,28 +2108,87 @@ export async function init(options?: {
   }
 
   // --- JSON Seeker Factory ---
-  // Extracts a reusable state machine that skips non-JSON text (think tags, code fences, prose)
-  // to find the start of JSON content. Used by both createEventParser and createParser.
-  function createSeeker(textCallbacks?: ((text: string) => void)[], json5 = false) {
-    const SEEKING = 0, IN_THINK = 1, IN_FENCE = 2, FEEDING = 3;
+  // Extracts a reusable state machine that skips non-JSON text (reasoning blocks, code fences,
+  // prose) to find the start of JSON content. Used by createEventParser and by createParser
+  // with the `seeker` option.
+
+  /** Normalize `seeker.skip` / `seeker.capture` entries to delimiter pairs. */
+  function seekerTags(tags: unknown, option: string): SeekerTag[] {
+    if (tags === undefined) return [];
+    if (!Array.isArray(tags)) throw new TypeError(`VectorJSON: seeker.${option} must be an array of tags`);
+    return tags.map((tag) => {
+      if (typeof tag === "string" && /^[A-Za-z_][\w:.-]*$/.test(tag)) return { open: `<${tag}>`, close: `</${tag}>` };
+      if (tag && typeof tag === "object" && typeof tag.open === "string" && typeof tag.close === "string"
+        && tag.open && tag.close) return { open: tag.open, close: tag.close };
+      throw new TypeError(`VectorJSON: seeker.${option} entries must be tag names or { open, close } strings`);
+    });
+  }
+
+  function createSeeker(
+    textCallbacks: ((text: string) => void)[],
+    reasoningCallbacks: ((text: string) => void)[],
+    json5 = false,
+    options?: SeekerOptions,
+  ) {
+    const SEEKING = 0, IN_SKIP = 1, IN_FENCE = 2, FEEDING = 3, IN_CAPTURE = 4, IN_LABEL = 5, IN_TEXT_FENCE = 6;
+    const skipTags = options?.skip === undefined ? [{ open: "<think>", close: "</think>" }] : seekerTags(options.skip, "skip");
+    const captureTags = seekerTags(options?.capture, "capture");
+    if (options?.fences !== undefined && (!Array.isArray(options.fences) || options.fences.some((l) => typeof l !== "string"))) {
+      throw new TypeError("VectorJSON: seeker.fences must be an array of strings");
+    }
+    const fenceLabels = options?.fences?.map((l) => l.trim().toLowerCase()) ?? null;
+    const skipCallbacks = options?.skipTo === "reasoning" ? reasoningCallbacks : textCallbacks;
+    // With capture tags, JSON is only read from inside them (and from fences)
+    const bareJson = captureTags.length === 0;
+    // Prose kept back while seeking, so an opening tag split across chunks still matches
+    const keep = Math.max(0, ...skipTags.map((t) => t.open.length - 1), ...captureTags.map((t) => t.open.length - 1));
+
     let state = SEEKING;
     let buf = '';
-    let fenceBacktickCount = 0;
-    let thinkPending = ''; // buffered tail that might be a partial </think>
-    const CLOSE_THINK = '</think>';
+    let close = '';        // closing delimiter of the open block or fence
+    let pending = '';      // buffered tail that might be a partial closing delimiter
+    let fenceTicks = 0;    // run of backticks at the end of buf
+    let label = '';        // fence label line read so far
+    let result = '';
+
+    const emit = (cbs: ((text: string) => void)[], text: string) => {
+      if (text) for (const cb of cbs) cb(text);
+    };
+
+    /**
+     * Consume `text` from `i` up to the closing delimiter. Returns the index after it,
+     * or -1 when it isn't in this chunk (a tail that may start it is held in `pending`).
+     */
+    function readUntil(text: string, i: number, out: (s: string) => void): number {
+      const at = text.indexOf(close, i);
+      if (at !== -1) {
+        out(text.slice(i, at));
+        return at + close.length;
+      }
+      let hold = 0;
+      for (let k = Math.min(text.length - i, close.length - 1); k > 0; k--) {
+        if (close.startsWith(text.slice(text.length - k))) { hold = k; break; }
+      }
+      out(text.slice(i, text.length - hold));
+      pending = text.slice(text.length - hold);
+      return -1;
+    }
+
+    const toJson = (s: string) => { result += s; };
+    const toText = (s: string) => emit(textCallbacks, s);
+    const toSkip = (s: string) => emit(skipCallbacks, s);
 
     return {
       feed(text: string): string | null {
         if (state === FEEDING) return text;
 
-        // Prepend any pending buffer from a split </think> tag
-        if (thinkPending) {
-          text = thinkPending + text;
-          thinkPending = '';
+        // Prepend any pending buffer from a split closing delimiter
+        if (pending) {
+          text = pending + text;
+          pending = '';
         }
 
-        const cbs = textCallbacks ?? [];
-        let result = '';
+        result = '';
         let i = 0;
 
         while (i < text.length) {
@@ -840,48 +2197,29 @@ export async function init(options?: {
             break;
           }
 
-          if (state === IN_THINK) {
-            const closeIdx = text.indexOf(CLOSE_THINK, i);
-            if (closeIdx === -1) {
-              // Check if the tail could be a partial </think> tag
-              const remaining = text.slice(i);
-              let holdBack = 0;
-              for (let k = Math.min(remaining.length, CLOSE_THINK.length - 1); k > 0; k--) {
-                if (CLOSE_THINK.startsWith(remaining.slice(remaining.length - k))) {
-                  holdBack = k;
-                  break;
-                }
-              }
-              if (holdBack > 0) {
-                const emitPart = remaining.slice(0, remaining.length - holdBack);
-                if (emitPart) for (const cb of cbs) cb(emitPart);
-                thinkPending = remaining.slice(remaining.length - holdBack);
-              } else {
-                if (remaining) for (const cb of cbs) cb(remaining);
-              }
-              i = text.length;
-            } else {
-              const captured = text.slice(i, closeIdx);
-              if (captured) for (const cb of cbs) cb(captured);
-              i = closeIdx + CLOSE_THINK.length;
-              state = SEEKING;
-              buf = '';
-            }
+          if (state === IN_SKIP || state === IN_CAPTURE || state === IN_FENCE || state === IN_TEXT_FENCE) {
+            const out = state === IN_SKIP ? toSkip : state === IN_TEXT_FENCE ? toText : toJson;
+            const next = readUntil(text, i, out);
+            if (next === -1) break;
+            if (state === IN_TEXT_FENCE) toText(close);
+            i = next;
+            state = SEEKING;
             continue;
           }
 
-          if (state === IN_FENCE) {
-            const closeFence = '`'.repeat(fenceBacktickCount);
-            const closeIdx = text.indexOf(closeFence, i);
-            if (closeIdx === -1) {
-              result += text.slice(i);
-              i = text.length;
+          if (state === IN_LABEL) {
+            const nl = text.indexOf('\n', i);
+            if (nl === -1) {
+              label += text.slice(i);
+              break;
+            }
+            label += text.slice(i, nl);
+            i = nl + 1;
+            if (fenceLabels === null || fenceLabels.includes(label.trim().toLowerCase())) {
+              state = IN_FENCE;
             } else {
-              result += text.slice(i, closeIdx);
-              i = closeIdx + fenceBacktickCount;
-              fenceBacktickCount = 0;
-              state = SEEKING;
-              buf = '';
+              toText(close + label + '\n');
+              state = IN_TEXT_FENCE;
             }
             continue;
           }
@@ -889,69 +2227,57 @@ export async function init(options?: {
           // SEEKING state
           const ch = text[i];
 
-          if (ch === '{' || ch === '[' || ch === '"' || (json5 && ch === "'")) {
-            if (buf) {
-              for (const cb of cbs) cb(buf);
-              buf = '';
-            }
+          // A run of 3+ backticks followed by anything else opens a code fence
+          if (ch !== '`' && fenceTicks >= 3) {
+            toText(buf.slice(0, -fenceTicks));
+            buf = '';
+            close = '`'.repeat(fenceTicks);
+            fenceTicks = 0;
+            label = '';
+            state = IN_LABEL;
+            continue; // ch starts the label line
+          }
+          fenceTicks = ch === '`' ? fenceTicks + 1 : 0;
+
+          if (bareJson && (ch === '{' || ch === '[' || ch === '"' || (json5 && ch === "'"))) {
+            toText(buf);
+            buf = '';
             state = FEEDING;
             result += text.slice(i);
             break;
           }
 
-          // Check for <think> tag
           buf += ch;
-          if (buf.endsWith('<think>')) {
-            const beforeTag = buf.slice(0, -'<think>'.length);
-            if (beforeTag) for (const cb of cbs) cb(beforeTag);
-            state = IN_THINK;
+          i++;
+
+          // Check for skip / capture tags
+          const skip = skipTags.find((t) => buf.endsWith(t.open));
+          const capture = skip ? undefined : captureTags.find((t) => buf.endsWith(t.open));
+          const tag = skip ?? capture;
+          if (tag) {
+            toText(buf.slice(0, -tag.open.length));
             buf = '';
-            i++;
+            fenceTicks = 0;
+            close = tag.close;
+            state = skip ? IN_SKIP : IN_CAPTURE;
             continue;
           }
 
-          // Check for code fence (``` with optional label)
-          if (ch === '`') {
-            let btCount = 0;
-            let j = i;
-            while (j < text.length && text[j] === '`') { btCount++; j++; }
-            if (btCount >= 3) {
-              while (j < text.length && text[j] !== '\n') j++;
-              if (j < text.length) j++;
-              fenceBacktickCount = btCount;
-              state = IN_FENCE;
-              const beforeFence = buf.slice(0, -1);
-              if (beforeFence) for (const cb of cbs) cb(beforeFence);
-              buf = '';
-              i = j;
-              continue;
-            }
-          }
-
-          i++;
-
           if (buf.length > 1024) {
-            for (const cb of cbs) cb(buf);
-            buf = '';
+            const held = Math.max(keep, fenceTicks);
+            toText(buf.slice(0, buf.length - held));
+            buf = buf.slice(buf.length - held);
           }
         }
 
         if (result.length > 0) return result;
         return null;
       },
-      reset() { state = SEEKING; buf = ''; fenceBacktickCount = 0; },
+      reset() { state = SEEKING; buf = ''; pending = ''; fenceTicks = 0; label = ''; },
       isFeeding() { return state === FEEDING; },
     };
   }
 
-  // --- Path Pattern Compiler ---
-  // Segments: string = key, number = index, '*' = wildcard
-
-  function compilePath(pattern: string): PathSegment[] {
-    return pattern.replace(/\[(\*|\d+)\]/g, '.$1').split('.').filter(Boolean)
-      .map(s => s === '*' ? '*' : /^\d+$/.test(s) ? +s : s);
-  }
-
   /** Extract top-level keys from a Zod-like schema and return as compiled pick paths.
    *  Supports Zod (.shape), Valibot (.entries), ArkType (.props).
    *  Recursively extracts nested object keys for nested pick paths.
@@ -1031,6 +2357,12 @@ export async function init(options?: {
     return parseJson5Scalar(s);
   }
 
+  /** Parse a complete scalar lexeme from a streaming parser, honoring its number mode. */
+  function parseScalar(s: string, format: JsonFormat, numbers: NumberMode): unknown {
+    const value = format === "json5" ? parseJson5Scalar(s) : JSON.parse(s);
+    return numbers !== "number" && typeof value === "number" ? preciseNumber(value, s, numbers) : value;
+  }
+
   // Pre-allocated keyword arrays for completeScalarKeyword (avoid per-call allocation)
   const SCALAR_KEYWORDS = ['true', 'false', 'null'];
   const SCALAR_KEYWORDS_JSON5 = ['true', 'false', 'null', 'Infinity', 'NaN'];
@@ -1057,11 +2389,20 @@ export async function init(options?: {
 
   // --- Public API ---
   _instance = {
-    parse(input: string | Uint8Array): ParseResult {
-      // Write input into reusable WASM buffer with extra headroom for autocomplete
-      const { ptr, len } = writeToWasm(input, inputBuf, 64, 4096);
-      // Pad after input for SIMD safety
-      new Uint8Array(engine.memory.buffer, ptr + len, 64).fill(0x20);
+    parse(input: string | Uint8Array, options?: ParseOptions): ParseResult {
+      if (options?.repair) {
+        const { text, repairs } = repairJson(typeof input === "string" ? input : utf8Decoder.decode(input));
+        const result = _instance!.parse(text, {
+          numbers: options.numbers, limits: options.limits, duplicateKeys: options.duplicateKeys,
+        });
+        result.repairs = repairs;
+        return result;
+      }
+      const numbers = resolveNumberMode(options?.numbers);
+      const limits = resolveLimits(options?.limits);
+      const duplicateKeys = resolveDuplicateKeyPolicy(options?.duplicateKeys);
+      // toJSON() walks the tape when JSON.parse of the text would give another value
+      let walkTape = numbers !== "number";
 
       // Helper: build ParseResult with isComplete() and toJSON()
       const makeResult = (
@@ -1070,7 +2411,7 @@ export async function init(options?: {
         autocompleteBoundary: number,
         toJSONStr: string | undefined,
         remaining?: Uint8Array,
-        error?: string,
+        error?: JsonParseError,
       ): ParseResult => {
         let _toJSONCache: unknown = UNCACHED;
         const base: any = {
@@ -1095,11 +2436,17 @@ export async function init(options?: {
           },
           toJSON(): unknown {
             if (_toJSONCache !== UNCACHED) return _toJSONCache;
+            // Exact number modes and non-"last" repeated keys walk the tape — JSON.parse
+            // would round large numbers and keep the last value of a key
+            if (walkTape) return (_toJSONCache = _instance!.materialize(value));
             return (_toJSONCache = toJSONStr !== undefined ? JSON.parse(toJSONStr) : value);
           },
         };
         if (remaining !== undefined) base.remaining = remaining;
-        if (error !== undefined) base.error = error;
+        if (error !== undefined) {
+          base.error = error.message;
+          base.errorInfo = error;
+        }
         // Expose .free() from root proxy value if present
         if (value !== null && typeof value === "object") {
           const freeFn = (value as any).free;
@@ -1108,15 +2455,53 @@ export async function init(options?: {
         return base as ParseResult;
       };
 
-      // Helper: build an invalid ParseResult from the last engine error code
-      const invalidResult = (msg?: string): ParseResult => {
-        if (!msg) {
-          const code = engine.get_error_code();
-          msg = `VectorJSON: ${ERROR_MESSAGES[code] || `Parse error (code ${code})`}`;
+      // Helper: build an invalid ParseResult for the last failed doc_parse, shown
+      // against the original input (the WASM copy may be autocompleted)
+      const invalidResult = (): ParseResult => {
+        const source = typeof input === "string" ? encoder.encode(input) : input;
+        return makeResult("invalid", undefined, Infinity, undefined, undefined, docParseError(source));
+      };
+      const limitResult = (source: Uint8Array, code: JsonErrorCode, offset: number): ParseResult =>
+        makeResult("invalid", undefined, Infinity, undefined, undefined, new JsonParseError(code, source, offset));
+
+      // Helper: apply the duplicateKeys policy to a parsed document. Under "error"
+      // a repeated key frees the document and fails the parse at that key.
+      const duplicateKeyResult = (docId: number): ParseResult | null => {
+        const key = resolveDuplicateKeys(docId, duplicateKeys);
+        if (key === 0) {
+          if (duplicateKeys !== "last" && docDuplicateKeys.has(docId)) walkTape = true;
+          return null;
         }
-        return makeResult("invalid", undefined, Infinity, undefined, undefined, msg);
+        const offset = engine.doc_get_src_pos(docId, key) >>> 0;
+        engine.doc_free(docId);
+        const source = typeof input === "string" ? encoder.encode(input) : input;
+        return makeResult("invalid", undefined, Infinity, undefined, undefined, new JsonParseError("duplicate_key", source, offset));
       };
 
+      // Oversized input is rejected before it is copied into WASM memory (a string
+      // with more UTF-16 units than maxBytes has more UTF-8 bytes too)
+      const maxBytes = limits?.maxBytes ?? 0;
+      if (maxBytes && typeof input === "string" && input.length > maxBytes) {
+        return limitResult(encoder.encode(input.slice(0, maxBytes + 1)), "max_bytes", maxBytes);
+      }
+      if (maxBytes && typeof input !== "string" && input.byteLength > maxBytes) {
+        return limitResult(input.subarray(0, maxBytes + 1), "max_bytes", maxBytes);
+      }
+      // Write input into reusable WASM buffer with extra headroom for autocomplete
+      const { ptr, len } = writeToWasm(input, inputBuf, 64, 4096);
+      // Pad after input for SIMD safety
+      new Uint8Array(engine.memory.buffer, ptr + len, 64).fill(0x20);
+      // The other limits are checked by the engine's stream scanner, in place on the
+      // staged bytes, before a document slot is taken
+      if (limits) {
+        const staged = new Uint8Array(engine.memory.buffer, ptr, len);
+        if (maxBytes && len > maxBytes) return limitResult(staged, "max_bytes", maxBytes);
+        const code = engine.check_limits(ptr, len, limits.maxDepth, limits.maxStringLength, limits.maxArrayLength, limits.maxObjectKeys);
+        if (code !== 0) {
+          return limitResult(staged, ENGINE_ERROR_CODES[code] ?? "invalid_json", engine.get_error_offset());
+        }
+      }
+
       // Track whether input is an ASCII JS string (byteLen === str.length).
       // If so, docReadString can slice the original string directly.
       const isAsciiStr = typeof input === "string" && len === input.length;
@@ -1124,6 +2509,9 @@ export async function init(options?: {
       // ── Happy path: try doc_parse directly (no classify overhead) ──
       let docId = tryDocParse(ptr, len);
       if (docId >= 0) {
+        const duplicate = duplicateKeyResult(docId);
+        if (duplicate) return duplicate;
+        if (numbers !== "number") docNumberModes.set(docId, numbers);
         if (isAsciiStr) docInputs.set(docId, input as string);
         // For string input at full length, reuse the original string (avoids decode)
         const toJSONStr = typeof input === "string" ? input
@@ -1135,7 +2523,7 @@ export async function init(options?: {
       const classification = engine.classify_input(ptr, len);
 
       if (classification === CLASSIFY_ERR) {
-        return invalidResult("Invalid JSON structure");
+        return invalidResult();
       }
 
       if (classification === CLASSIFY_END_EARLY) {
@@ -1148,6 +2536,9 @@ export async function init(options?: {
         const toJSONStr = utf8Decoder.decode(new Uint8Array(engine.memory.buffer, ptr, parseLen));
         docId = tryDocParse(ptr, parseLen);
         if (docId >= 0) {
+          const duplicate = duplicateKeyResult(docId);
+          if (duplicate) return duplicate;
+          if (numbers !== "number") docNumberModes.set(docId, numbers);
           if (isAsciiStr) docInputs.set(docId, input as string);
           return makeResult("complete_early", buildDocRoot(docId), Infinity, toJSONStr, remainingCopy);
         }
@@ -1158,11 +2549,14 @@ export async function init(options?: {
         const parseLen = engine.autocomplete_input(ptr, len, inputBuf.cap);
         if (parseLen === 0) {
           if (len === 0) return makeResult("incomplete", undefined, len, undefined);
-          return invalidResult("Invalid JSON structure");
+          return invalidResult();
         }
         const toJSONStr = utf8Decoder.decode(new Uint8Array(engine.memory.buffer, ptr, parseLen));
         docId = tryDocParse(ptr, parseLen);
         if (docId >= 0) {
+          const duplicate = duplicateKeyResult(docId);
+          if (duplicate) return duplicate;
+          if (numbers !== "number") docNumberModes.set(docId, numbers);
           // Don't use ASCII fast-path for incomplete: autocomplete appended
           // closing tokens that aren't in the original JS string.
           return makeResult("incomplete", buildDocRoot(docId, true), len, toJSONStr);
@@ -1183,7 +2577,8 @@ export async function init(options?: {
         try {
           const metaA = (a as any)[LAZY_PROXY] as { docId: number; index: number } | undefined;
           const metaB = (b as any)[LAZY_PROXY] as { docId: number; index: number } | undefined;
-          if (metaA && metaB) {
+          // Repeated keys compare as their policy resolves them (JS fallback below)
+          if (metaA && metaB && docDuplicatePolicy(metaA.docId) === undefined && docDuplicatePolicy(metaB.docId) === undefined) {
             const result = engine.doc_deep_equal(metaA.docId, metaA.index, metaB.docId, metaB.index, ordered);
             if (result >= 0) return result === 1;
             // fallthrough on error (-1 = invalid doc_id)
@@ -1196,7 +2591,7 @@ export async function init(options?: {
       // ignoreKeyOrder (default): sort object keys recursively before comparing
       const sortReplacer = (_k: string, v: unknown) =>
         v !== null && typeof v === "object" && !Array.isArray(v)
-          ? Object.keys(v as Record<string, unknown>).sort().reduce((o, k) => { (o as any)[k] = (v as any)[k]; return o; }, {})
+          ? Object.keys(v as Record<string, unknown>).sort().reduce((o, k) => { setOwnKey(o, k, (v as any)[k]); return o; }, {} as Record<string, unknown>)
           : v;
       return JSON.stringify(a, sortReplacer) === JSON.stringify(b, sortReplacer);
     },
@@ -1207,68 +2602,245 @@ export async function init(options?: {
       return deepMaterializeDoc(docId, index);
     },
 
-    parsePartialJson(input: string, schema?: { safeParse: (v: unknown) => { success: boolean; data?: unknown } }): PartialJsonResult {
-      if (!input) return { value: undefined, state: "failed-parse" as const };
-      const result = _instance!.parse(input);
+    query(value: unknown, path: string): unknown[] {
+      const segs = compileJsonPath(path);
+      const { nav, root } = queryTarget(value);
+      return evalJsonPath(nav, root, segs, root).map((n) => nav.value(n));
+    },
+
+    get(value: unknown, pointer: string): unknown {
+      const tokens = parseJsonPointer(pointer);
+      const { nav, root } = queryTarget(value);
+      const node = resolveJsonPointer(nav, root, tokens);
+      return node === undefined ? undefined : nav.value(node);
+    },
+
+    diff(a: unknown, b: unknown): JsonPatchOperation[] {
+      // Accept ParseResults directly: diff(parse(before), parse(after))
+      a = unwrapParseResult(a);
+      b = unwrapParseResult(b);
+      const ta = docTarget(a), tb = docTarget(b);
+      // Tape diff matches keys occurrence by occurrence; repeated keys diff their resolved values
+      if (ta && tb && docDuplicatePolicy(ta.docId) === undefined && docDuplicatePolicy(tb.docId) === undefined) {
+        const words = engine.doc_diff(ta.docId, ta.index, tb.docId, tb.index);
+        if (words < 0) throw new Error("VectorJSON: Out of memory while diffing");
+        return readDiffOps(ta.docId, tb.docId, words);
+      }
+      const ops: JsonPatchOperation[] = [];
+      diffJsonValues(
+        ta ? deepMaterializeDoc(ta.docId, ta.index) : a,
+        tb ? deepMaterializeDoc(tb.docId, tb.index) : b,
+        "", ops,
+      );
+      return ops;
+    },
+
+    applyPatch(target: unknown, patch: (JsonPatchOperation | LivePatchOperation)[]): unknown {
+      const ops = _instance!.materialize(unwrapParseResult(patch));
+      if (!Array.isArray(ops)) throw new TypeError("VectorJSON: applyPatch expects an array of operations");
+      const tree = createPatchTree();
+      let root = patchNode(unwrapParseResult(target));
+
+      ops.forEach((op: any, n: number) => {
+        const valid = op !== null && typeof op === "object" && typeof op.path === "string"
+          && (op.op === "remove"
+            || ((op.op === "add" || op.op === "replace" || op.op === "test") && "value" in op)
+            || ((op.op === "move" || op.op === "copy") && typeof op.from === "string")
+            || (op.op === "append" && typeof op.value === "string"));
+        if (!valid) throw new TypeError(`VectorJSON: Invalid patch operation at index ${n}`);
+        const fail = (reason: string): never => {
+          throw new Error(`VectorJSON: Patch operation ${n} (${op.op} ${op.path}) failed: ${reason}`);
+        };
+
+        /** Writable container holding the last token, copying each level on the way down. */
+        const parentOf = (tokens: string[]): any => {
+          let node: any = root = tree.open(root) ?? fail("path not found");
+          for (let k = 0; k < tokens.length - 1; k++) {
+            const key = patchChildKey(node, tokens[k], false) ?? fail("path not found");
+            node = node[key] = tree.open(node[key]) ?? fail("path not found");
+          }
+          return node;
+        };
+        const valueAt = (tokens: string[]): unknown => {
+          if (tokens.length === 0) return root;
+          const parent = parentOf(tokens);
+          return parent[patchChildKey(parent, tokens[tokens.length - 1], false) ?? fail("path not found")];
+        };
+        const removeAt = (tokens: string[]): unknown => {
+          if (tokens.length === 0) fail("cannot remove the document root");
+          const parent = parentOf(tokens);
+          const key = patchChildKey(parent, tokens[tokens.length - 1], false) ?? fail("path not found");
+          const value = parent[key];
+          if (Array.isArray(parent)) parent.splice(key as number, 1);
+          else delete parent[key];
+          return value;
+        };
+        const addAt = (tokens: string[], value: unknown, replace: boolean): void => {
+          if (tokens.length === 0) { root = value; return; }
+          const parent = parentOf(tokens);
+          const key = patchChildKey(parent, tokens[tokens.length - 1], !replace) ?? fail("path not found");
+          if (replace) parent[key] = value;
+          else if (Array.isArray(parent)) parent.splice(key as number, 0, value);
+          else setOwnKey(parent, key as string, value);
+        };
+
+        const path = parseJsonPointer(op.path);
+        switch (op.op) {
+          case "add": addAt(path, patchNode(op.value), false); break;
+          case "replace": addAt(path, patchNode(op.value), true); break;
+          case "remove": removeAt(path); break;
+          case "move": {
+            const from = parseJsonPointer(op.from);
+            if (from.length < path.length && from.every((t, k) => t === path[k])) fail("cannot move a value into its own child");
+            addAt(path, removeAt(from), false);
+            break;
+          }
+          case "copy": addAt(path, tree.clone(valueAt(parseJsonPointer(op.from))), false); break;
+          case "test":
+            if (!jsonEqual(tree.finish(valueAt(path)), _instance!.materialize(op.value))) fail("value does not match");
+            break;
+          case "append": {
+            const current = valueAt(path);
+            if (typeof current !== "string") fail("target is not a string");
+            addAt(path, current + op.value, true);
+            break;
+          }
+        }
+      });
+      return tree.finish(root);
+    },
+
+    mergePatch(target: unknown, patch: unknown): unknown {
+      const tree = createPatchTree();
+      const merge = (node: unknown, p: unknown): unknown => {
+        if (p === null || typeof p !== "object" || Array.isArray(p)) return p;
+        let obj = tree.open(node) as any;
+        if (obj === null || Array.isArray(obj)) obj = tree.open({}); // non-objects are replaced by {}
+        for (const key of Object.keys(p)) {
+          const value = (p as Record<string, unknown>)[key];
+          if (value === null) delete obj[key];
+          else setOwnKey(obj, key, merge(Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined, value));
+        }
+        return obj;
+      };
+      const patchValue = _instance!.materialize(unwrapParseResult(patch));
+      return tree.finish(merge(patchNode(unwrapParseResult(target)), patchValue));
+    },
+
+    parsePartialJson(input: string, arg?: ZodLike<unknown> | PartialJsonOptions): PartialJsonResult {
+      const options: PartialJsonOptions = arg && typeof (arg as ZodLike<unknown>).safeParse === "function"
+        ? { schema: arg as ZodLike<unknown> }
+        : (arg as PartialJsonOptions | undefined) ?? {};
+      const { schema, repair } = options;
+      if (!input) return { value: undefined, state: "failed-parse" as const, ...(repair && { repairs: [] }) };
+      const result = _instance!.parse(input, { repair });
+      const repairs = result.repairs;
+      const withRepairs = <R extends PartialJsonResult>(r: R): R => (repairs ? { ...r, repairs } : r);
       switch (result.status) {
         case "complete":
         case "complete_early": {
           const value = result.toJSON();
+          const state = repairs?.length ? "repaired-parse" as const : "successful-parse" as const;
           if (schema) {
             const validated = schema.safeParse(value);
-            if (validated.success) return { value: validated.data, state: "successful-parse" as const };
-            return { value: undefined, state: "failed-parse" as const };
+            if (validated.success) return withRepairs({ value: validated.data, state });
+            return withRepairs({ value: undefined, state: "failed-parse" as const });
           }
-          return { value, state: "successful-parse" as const };
+          return withRepairs({ value, state });
         }
         case "incomplete": {
           const value = result.toJSON();
           if (schema) {
             const validated = schema.safeParse(value);
-            if (validated.success) return { value: validated.data, state: "repaired-parse" as const };
+            if (validated.success) return withRepairs({ value: validated.data, state: "repaired-parse" as const });
             // Partial JSON: safeParse fails (missing fields expected) → keep raw value
-            return { value, state: "repaired-parse" as const };
+            return withRepairs({ value, state: "repaired-parse" as const });
           }
-          return { value, state: "repaired-parse" as const };
+          return withRepairs({ value, state: "repaired-parse" as const });
         }
         default:
-          return { value: undefined, state: "failed-parse" as const };
+          return withRepairs({ value: undefined, state: "failed-parse" as const });
       }
     },
 
     createEventParser(options?: {
       source?: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>;
-      schema?: { safeParse: (v: unknown) => { success: boolean; data?: unknown } };
+      schema?: { safeParse: (v: unknown) => { success: boolean; data?: unknown } } | JsonSchema;
+      validate?: ValidateMode;
+      pick?: string[];
+      omit?: string[];
+      emit?: "value" | "patch";
       format?: JsonFormat;
+      numbers?: NumberMode;
+      seeker?: SeekerOptions;
+      limits?: ParseLimits;
+      duplicateKeys?: DuplicateKeyPolicy;
+      unsafeKeys?: UnsafeKeyPolicy;
     }): EventParser {
       const source = options?.source;
       const format = options?.format ?? "json";
+      const numbers = resolveNumberMode(options?.numbers);
+      const limits = resolveLimits(options?.limits);
+      const duplicateKeys = resolveDuplicateKeyPolicy(options?.duplicateKeys);
+      const unsafeKeys = resolveUnsafeKeyPolicy(options?.unsafeKeys);
       const FORMAT_CODE = format === "jsonl" ? 1 : format === "json5" ? 2 : 0;
 
       // Schema-driven field selection + validation (same as createParser)
-      const epSchema = options?.schema;
+      let epSchema: { safeParse: (v: unknown) => { success: boolean; data?: unknown } } | undefined;
       let epPickPaths: PathSegment[][] | null = null;
-      if (options?.schema) {
+      if (isJsonSchema(options?.schema)) {
+        epSchema = jsonSchemaValidator(options.schema);
+        epPickPaths = jsonSchemaPickPaths(options.schema);
+      } else if (options?.schema) {
+        epSchema = options.schema;
         epPickPaths = extractSchemaKeys(options.schema);
       }
 
-      const streamId = engine.stream_create(FORMAT_CODE);
-      if (streamId < 0) {
-        throw new Error("VectorJSON: Failed to create event parser (max 4 concurrent)");
+      // Explicit pick/omit patterns (pick replaces the schema's fields)
+      if (options?.pick !== undefined) epPickPaths = compilePathList(options.pick, "pick");
+      // Only explicit pick patterns drop scalars above them; schema paths keep
+      // them (a nullable object's null, an array of strings under object items)
+      const epExactScalars = options?.pick !== undefined;
+      const epOmitPaths = options?.omit !== undefined ? compilePathList(options.omit, "omit") : null;
+      const epFiltering = epPickPaths !== null || epOmitPaths !== null;
+
+      // Streaming validation: completed values are checked as they close when
+      // validate: "streaming" is set or an onSchemaError() listener exists
+      const validate = resolveValidateMode(options?.validate);
+      const svWatcher = options?.schema !== undefined ? createSchemaWatcher(options.schema) : null;
+      const schemaErrorCallbacks: ((event: SchemaErrorEvent) => void)[] = [];
+      let svFirstIssue: JsonSchemaIssue | null = null;
+
+      // Patch emission: live-doc writes are reported to onPatch() listeners and,
+      // with emit: "patch", batched for the async iterator
+      const emit = options?.emit ?? "value";
+      if (emit !== "value" && emit !== "patch") {
+        throw new TypeError(`VectorJSON: Invalid emit option "${emit}" (expected "value" or "patch")`);
       }
+      const patchCallbacks: ((op: LivePatchOperation) => void)[] = [];
+      const patchBatching = emit === "patch" && source !== undefined;
+      let patchBatch: LivePatchOperation[] = [];
+
+      // --- JSON Seeker (reusable factory) — built first so bad seeker options throw before a stream is taken ---
+      const textCallbacks: ((text: string) => void)[] = [];
+      const reasoningCallbacks: ((text: string) => void)[] = [];
+      const seeker = createSeeker(textCallbacks, reasoningCallbacks, format === "json5", options?.seeker);
+      const seekDecoder = createChunkDecoder();
+
+      const streamId = createStream(FORMAT_CODE, "event parser", limits);
 
       let destroyed = false;
       const sentinel = {};
       streamRegistry.register(sentinel, streamId, sentinel);
 
+      // Located lazily once the stream is in the error state
+      let streamError: JsonParseError | null = null;
+      const failure = (): JsonParseError => streamError ??= streamParseError(streamId);
+
       // --- Subscription storage ---
       type Sub = { segments: PathSegment[]; callback: Function; schema?: { safeParse: Function } };
       const pathSubs: Sub[] = [];
       const deltaSubs: Sub[] = [];
-      const textCallbacks: ((text: string) => void)[] = [];
-
-      // --- JSON Seeker (reusable factory) ---
-      const seeker = createSeeker(textCallbacks, format === "json5");
 
       // --- PathTracker state ---
       let ptDepth = 0;
@@ -1283,6 +2855,7 @@ export async function init(options?: {
       let ptExpectingKey = false;
       let ptAfterColon = false;
       let ptKeyAccum = '';
+      let ptKeyStart = 0; // buffer offset of the current key, for duplicate_key errors
       let ptAccumulatingKey = false;
       let ptStringValueStart = -1;
       let ptInStringValue = false;
@@ -1310,17 +2883,61 @@ export async function init(options?: {
       let ldStringAccum = '';                        // accumulating string value
       let ldInStringValue = false;                   // currently inside a string value
       let ldScalarAccum = '';                        // accumulating scalar chars
+      const ldPointers = new WeakMap<object, string>(); // container → JSON Pointer (patch emission only)
+      let ldStringPatched = 0;                       // chars of the current string already reported
+      // Keys of live objects whose values were gathered into arrays (duplicateKeys: "collect")
+      const ldCollected = new WeakMap<object, Set<string>>();
+      // Keys of live objects that unsafe keys were renamed to (unsafeKeys: "rename")
+      const ldRenamedKeys = new WeakMap<object, Set<string>>();
+      let ldRenamed = false;                         // an unsafe key was renamed (unsafeKeys: "rename")
+
+      function ldPatching(): boolean {
+        return patchBatching || patchCallbacks.length > 0;
+      }
+
+      function ldEmitPatch(op: LivePatchOperation) {
+        if (patchBatching) patchBatch.push(op);
+        for (const cb of patchCallbacks) cb(op);
+      }
+
+      /** JSON Pointer of a slot in a live-doc container. */
+      function ldChildPointer(parent: object, token: string | number): string {
+        return (ldPointers.get(parent) ?? '') + '/' + (typeof token === 'number' ? token : jsonPointerToken(token));
+      }
+
+      /** Report a write; containers are sent empty (their contents follow as their own ops). */
+      function ldPatchWrite(op: "add" | "replace", path: string, value: unknown) {
+        if (value !== null && typeof value === 'object') {
+          ldPointers.set(value, path);
+          value = Array.isArray(value) ? [] : {};
+        }
+        if (typeof value === 'string') ldStringPatched = value.length;
+        ldEmitPatch({ op, path, value });
+      }
 
       function ldSetValue(value: unknown) {
+        const patching = ldPatching();
         if (ldStack.length === 0) {
+          if (patching) ldPatchWrite(ldRoot === undefined ? "add" : "replace", '', value);
           ldRoot = value;
           return;
         }
         const parent = ldStack[ldStack.length - 1];
         if (Array.isArray(parent)) {
           parent.push(value);
+          if (patching) ldPatchWrite("add", ldChildPointer(parent, parent.length - 1), value);
         } else if (ldCurrentKey !== null) {
-          parent[ldCurrentKey] = value;
+          if (isCollected(parent, ldCurrentKey)) {
+            const values = parent[ldCurrentKey] as unknown[];
+            values.push(value);
+            if (patching) ldPatchWrite("add", ldChildPointer(values, values.length - 1), value);
+          } else {
+            if (patching) {
+              const op = Object.prototype.hasOwnProperty.call(parent, ldCurrentKey) ? "replace" : "add";
+              ldPatchWrite(op, ldChildPointer(parent, ldCurrentKey), value);
+            }
+            setOwnKey(parent, ldCurrentKey, value);
+          }
           ldActiveKey = ldCurrentKey;  // remember key for in-place updates
           ldCurrentKey = null;
         }
@@ -1328,16 +2945,28 @@ export async function init(options?: {
 
       // Update a string/scalar value in-place (for partial strings being built)
       function ldUpdateString(str: string) {
+        const append = ldPatching() && str.length > ldStringPatched;
+        let path = '';
         if (ldStack.length === 0) {
           ldRoot = str;
-          return;
+        } else {
+          const parent = ldStack[ldStack.length - 1];
+          if (Array.isArray(parent)) {
+            if (parent.length > 0) parent[parent.length - 1] = str;
+            else parent.push(str);
+            if (append) path = ldChildPointer(parent, parent.length - 1);
+          } else if (ldActiveKey !== null && isCollected(parent, ldActiveKey)) {
+            const values = parent[ldActiveKey] as unknown[];
+            values[values.length - 1] = str;
+            if (append) path = ldChildPointer(values, values.length - 1);
+          } else if (ldActiveKey !== null) {
+            parent[ldActiveKey] = str;
+            if (append) path = ldChildPointer(parent, ldActiveKey);
+          } else return;
         }
-        const parent = ldStack[ldStack.length - 1];
-        if (Array.isArray(parent)) {
-          if (parent.length > 0) parent[parent.length - 1] = str;
-          else parent.push(str);
-        } else if (ldActiveKey !== null) {
-          parent[ldActiveKey] = str;
+        if (append) {
+          ldEmitPatch({ op: "append", path, value: str.slice(ldStringPatched) });
+          ldStringPatched = str.length;
         }
       }
 
@@ -1349,6 +2978,7 @@ export async function init(options?: {
         ldStringAccum = '';
         ldInStringValue = false;
         ldScalarAccum = '';
+        ldRenamed = false;
       }
 
       function ptReset() {
@@ -1363,52 +2993,171 @@ export async function init(options?: {
         ptUnicodeRemaining = 0; ptUnicodeAccum = 0; ptHighSurrogate = 0;
         ptUtf8Remaining = 0; ptUtf8Accum = 0; ptUtf8Ctx = '';
         ldReset();
+        svWatcher?.reset();
+        svFirstIssue = null;
+      }
+
+      /** Check a value that just completed at the current path against the schema. */
+      function svCheck(value: unknown) {
+        if (!svWatcher || (validate !== "streaming" && schemaErrorCallbacks.length === 0)) return;
+        const path: (string | number)[] = [];
+        for (let i = 0; i < ptDepth; i++) path.push(ptIndexStack[i] ?? ptKeyStack[i] ?? '');
+        const issues = svWatcher.check(path, value);
+        if (issues.length === 0) return;
+        if (validate === "streaming") svFirstIssue ??= issues[0];
+        const event: SchemaErrorEvent = {
+          type: 'schema_error', path: buildResolvedPath(ptKeyStack, ptIndexStack, ptDepth), value, issues,
+        };
+        for (const cb of schemaErrorCallbacks) cb(event);
+      }
+
+      /** Live doc: finalize a scalar's text into its parent and check it. */
+      function ldSetScalar(text: string) {
+        let value: unknown;
+        try { value = parseScalar(text, format, numbers); } catch { value = null; }
+        ldSetValue(value);
+        svCheck(value);
+      }
+
+      /** feed() result: a schema violation outranks progress, a parse error outranks both. */
+      function svStatus(status: FeedStatus): FeedStatus {
+        return svFirstIssue && status !== "error" ? "schema_error" : status;
+      }
+
+      /** Does one pattern segment match path level `d`? Pushes the resolved key/index for
+       *  '*' and alternations onto `matches`. */
+      function matchSegment(seg: PathSegment, d: number, matches: (string | number)[]): boolean {
+        const key = ptKeyStack[d], idx = ptIndexStack[d];
+        if (seg === '*') {
+          matches.push(idx !== null ? idx : (key ?? ''));
+          return true;
+        }
+        if (Array.isArray(seg)) {
+          for (const alt of seg) {
+            if (typeof alt === 'number' ? idx === alt : key === alt) {
+              matches.push(alt);
+              return true;
+            }
+          }
+          return false;
+        }
+        return typeof seg === 'number' ? idx === seg : key === seg;
+      }
+
+      /** Backtracking matcher for patterns containing '**'. Every level a '**' consumes
+       *  is reported in `matches`; the shortest expansion wins. */
+      function matchGlobstar(segments: PathSegment[], s: number, d: number, exact: boolean,
+        matches: (string | number)[]): boolean {
+        if (s === segments.length) return exact ? d === ptDepth : true;
+        const seg = segments[s];
+        const mark = matches.length;
+        if (seg === '**') {
+          for (let k = d; k <= ptDepth; k++) {
+            if (k > d) matches.push(ptIndexStack[k - 1] ?? ptKeyStack[k - 1] ?? '');
+            if (matchGlobstar(segments, s + 1, k, exact, matches)) return true;
+          }
+          matches.length = mark;
+          return false;
+        }
+        if (d >= ptDepth || !matchSegment(seg, d, matches)) return false;
+        if (matchGlobstar(segments, s + 1, d + 1, exact, matches)) return true;
+        matches.length = mark;
+        return false;
       }
 
       /** Unified path matcher: exact = segments.length must equal depth, prefix = <= depth.
        *  Returns wildcard matches on success, null on failure. */
       function matchPath(segments: PathSegment[], exact: boolean): (string | number)[] | null {
         const len = segments.length;
-        if (exact ? len !== ptDepth : len > ptDepth) return null;
         const matches: (string | number)[] = [];
+        if (segments.indexOf('**') !== -1) {
+          return matchGlobstar(segments, 0, 0, exact, matches) ? matches : null;
+        }
+        if (exact ? len !== ptDepth : len > ptDepth) return null;
         for (let s = 0; s < len; s++) {
-          const seg = segments[s];
-          const key = ptKeyStack[s], idx = ptIndexStack[s];
-          if (seg === '*') matches.push(idx !== null ? idx : (key ?? ''));
-          else if (typeof seg === 'number' ? idx !== seg : key !== seg) return null;
+          if (!matchSegment(segments[s], s, matches)) return null;
         }
         return matches;
       }
 
-      function isPathSkipped(): boolean {
-        if (epPickPaths && !epIsFieldPicked()) return true;
-        return false;
+      /** Is the value at the first `levels` path levels filtered out by pick/omit?
+       *  Under explicit pick patterns scalars need a match at or above them;
+       *  containers (and schema-derived paths) may lead to one. */
+      function isPathSkipped(scalar = false, levels = ptDepth): boolean {
+        if (!epFiltering) return false;
+        const path: (string | number)[] = [];
+        for (let i = 0; i < levels; i++) {
+          const seg = ptIndexStack[i] ?? ptKeyStack[i];
+          if (seg !== null) path.push(seg);
+        }
+        return !isPathPicked(path, epPickPaths, epOmitPaths, scalar && epExactScalars);
+      }
+
+      /** Whether `key` of a live object holds every value of a repeated key (duplicateKeys: "collect"). */
+      function isCollected(parent: object, key: string): boolean {
+        return duplicateKeys === "collect" && ldCollected.get(parent)?.has(key) === true;
       }
 
-      /** Check if current path matches any pick path (array-transparent). */
-      function epIsFieldPicked(): boolean {
-        if (!epPickPaths) return true;
-        // Build effective key path (skip array levels)
-        const effective: string[] = [];
-        for (let i = 0; i < ptDepth; i++) {
-          if (ptKeyStack[i] !== null) effective.push(ptKeyStack[i]!);
+      /** A repeated key reached its colon: apply duplicateKeys. Returns false when
+       *  the stream failed ("error") and scanning must stop. */
+      function ldDuplicateKey(buf: Uint8Array, parent: Record<string, unknown>, key: string): boolean {
+        if (duplicateKeys === "error") {
+          streamError = new JsonParseError("duplicate_key", buf.slice(), ptKeyStart);
+          engine.stream_fail(streamId);
+          return false;
+        }
+        if (duplicateKeys === "first") {
+          // Skip the value like an unpicked field
+          ptSkipDepth = ptDepth - 1;
+          ldCurrentKey = null;
+        } else if (!isCollected(parent, key)) {
+          // "collect": the earlier value starts the array; ldSetValue appends the rest
+          let keys = ldCollected.get(parent);
+          if (!keys) ldCollected.set(parent, keys = new Set());
+          keys.add(key);
+          const values = [parent[key]];
+          if (ldPatching()) {
+            const path = ldChildPointer(parent, key);
+            ldPointers.set(values, path);
+            ldEmitPatch({ op: "replace", path, value: [parent[key]] });
+          }
+          parent[key] = values;
         }
-        for (const pick of epPickPaths) {
-          const pickLen = pick.length;
-          const effLen = effective.length;
-          const compareLen = Math.min(effLen, pickLen);
-          let matched = true;
-          for (let i = 0; i < compareLen; i++) {
-            const seg = pick[i];
-            if (seg === '*') continue;
-            if (typeof seg === 'number') continue;
-            if (effective[i] !== seg) { matched = false; break; }
+        return true;
+      }
+
+      /** An unsafe key, or a literal key an unsafe one was renamed to, reached its
+       *  colon: apply unsafeKeys. Returns false when the stream failed ("error", or
+       *  a renamed key that would share a slot with a literal one) and scanning must stop. */
+      function ldUnsafeKey(buf: Uint8Array, parent: object): boolean {
+        const key = ldCurrentKey!;
+        if (unsafeKeys === "rename" && UNSAFE_KEYS.has(key)) {
+          const renamed = "_" + key;
+          let keys = ldRenamedKeys.get(parent);
+          if (keys?.has(renamed) || !Object.prototype.hasOwnProperty.call(parent, renamed)) {
+            if (!keys) ldRenamedKeys.set(parent, keys = new Set());
+            keys.add(renamed);
+            ldCurrentKey = renamed;
+        ldRenamed = true;
+            return true;
           }
-          if (matched) return true;
         }
+        streamError = new JsonParseError("unsafe_key", buf.slice(), ptKeyStart);
+        engine.stream_fail(streamId);
         return false;
       }
 
+      /** Live doc: remove the null placeholder set at the colon for a filtered-out value. */
+      function ldDropPendingKey() {
+        const parent = ldStack[ldStack.length - 1];
+        if (ldCurrentKey !== null && parent && !Array.isArray(parent)
+          && Object.prototype.hasOwnProperty.call(parent, ldCurrentKey)) {
+          if (ldPatching()) ldEmitPatch({ op: "remove", path: ldChildPointer(parent, ldCurrentKey) });
+          delete parent[ldCurrentKey];
+        }
+        ldCurrentKey = null;
+      }
+
       function fireValueComplete(valueBytes: Uint8Array, offset: number, length: number, ldValue?: unknown) {
         if (pathSubs.length === 0) return;
         const resolvedPath = buildResolvedPath(ptKeyStack, ptIndexStack, ptDepth);
@@ -1420,7 +3169,14 @@ export async function init(options?: {
           if (!matches) continue;
           if (parsed === UNCACHED) {
             const str = utf8Decoder.decode(valueBytes);
-            try { parsed = format === "json5" ? parseJson5Value(str) : JSON.parse(str); } catch {
+            try {
+              // Exact number modes: reuse the live-doc container (built from precise scalars)
+              if (numbers !== "number" && ldValue !== undefined) parsed = ldValue;
+              else {
+                parsed = format === "json5" ? parseJson5Value(str) : JSON.parse(str);
+                if (numbers !== "number" && typeof parsed === "number") parsed = preciseNumber(parsed, str, numbers);
+              }
+            } catch {
               if (ldValue !== undefined) parsed = ldValue;
               else { parseFailed = true; }
             }
@@ -1484,7 +3240,7 @@ export async function init(options?: {
               const scalarLen = i - ptScalarStart;
               fireValueComplete(buf.subarray(ptScalarStart, i), ptScalarStart, scalarLen);
               // Live doc: finalize scalar
-              try { ldSetValue(format === "json5" ? parseJson5Scalar(ldScalarAccum) : JSON.parse(ldScalarAccum)); } catch { ldSetValue(null); }
+              ldSetScalar(ldScalarAccum);
               ldScalarAccum = '';
               ptInScalar = false;
               ptScalarStart = -1;
@@ -1610,6 +3366,7 @@ export async function init(options?: {
                 fireValueComplete(buf.subarray(start, i + 1), start, len);
                 // Live doc: final update (value already in parent from ldSetValue('') at open)
                 ldUpdateString(ldStringAccum);
+                svCheck(ldStringAccum);
                 ldStringAccum = '';
                 ldInStringValue = false;
               }
@@ -1668,9 +3425,9 @@ export async function init(options?: {
               ptDepth++;
               ptExpectingKey = true;
               ptAfterColon = false;
-              // Check if we should skip this depth
-              if (ptSkipDepth < 0 && isPathSkipped()) {
-                ptSkipDepth = ptDepth - 1;
+              // Skip a filtered-out container from its parent level, like members at the colon
+              if (ptSkipDepth < 0 && isPathSkipped(false, ptDepth - 1)) {
+                ptSkipDepth = ptDepth - 2;
               }
               // Live doc: create object and push to stack (only if not skipped)
               if (ptSkipDepth < 0) {
@@ -1688,8 +3445,8 @@ export async function init(options?: {
               ptDepth++;
               ptExpectingKey = false;
               ptAfterColon = false;
-              if (ptSkipDepth < 0 && isPathSkipped()) {
-                ptSkipDepth = ptDepth - 1;
+              if (ptSkipDepth < 0 && isPathSkipped(false, ptDepth - 1)) {
+                ptSkipDepth = ptDepth - 2;
               }
               // Live doc: create array and push to stack (only if not skipped)
               if (ptSkipDepth < 0) {
@@ -1720,8 +3477,9 @@ export async function init(options?: {
                 ptExpectingKey = parentCtx === 'o';
                 ptAfterColon = false;
               }
-              // Live doc: pop container from stack
+              // Live doc: check the finished container, then pop it from the stack
               if (ptSkipDepth < 0) {
+                svCheck(ldStack[ldStack.length - 1]);
                 ldStack.pop();
               }
               break;
@@ -1734,8 +3492,9 @@ export async function init(options?: {
               if (ptExpectingKey && ptSkipDepth < 0) {
                 ptAccumulatingKey = true;
                 ptKeyAccum = '';
+                ptKeyStart = i;
               } else if (ptAfterColon || ptDepth === 0 || (ptDepth > 0 && ptContextStack[ptDepth - 1] === 'a')) {
-                if (ptSkipDepth < 0 && !isPathSkipped()) {
+                if (ptSkipDepth < 0 && !isPathSkipped(true)) {
                   ptInStringValue = true;
                   ptStringValueStart = i;
                   ptDeltaAccum = '';
@@ -1743,6 +3502,8 @@ export async function init(options?: {
                   ldStringAccum = '';
                   ldInStringValue = true;
                   ldSetValue('');
+                } else if (ptSkipDepth < 0) {
+                  ldDropPendingKey();
                 }
                 ptAfterColon = false;
               }
@@ -1752,7 +3513,7 @@ export async function init(options?: {
               ptExpectingKey = false;
               ptAfterColon = true;
               // Check pick filter after key is stored
-              if (epPickPaths && ptSkipDepth < 0 && !epIsFieldPicked()) {
+              if (epFiltering && ptSkipDepth < 0 && isPathSkipped()) {
                 ptSkipDepth = ptDepth - 1;
                 ldCurrentKey = null;
                 break;
@@ -1760,8 +3521,17 @@ export async function init(options?: {
               // Live doc: pre-set null for pending key (overwritten when real value arrives)
               if (ptSkipDepth < 0 && ldCurrentKey !== null && ldStack.length > 0) {
                 const parent = ldStack[ldStack.length - 1];
-                if (!Array.isArray(parent)) {
-                  (parent as Record<string, unknown>)[ldCurrentKey] = null;
+                if (unsafeKeys !== "define" && (UNSAFE_KEYS.has(ldCurrentKey) || ldRenamedKeys.get(parent)?.has(ldCurrentKey))
+                  && !ldUnsafeKey(buf, parent)) return;
+                if (!Array.isArray(parent) && duplicateKeys !== "last"
+                  && Object.prototype.hasOwnProperty.call(parent, ldCurrentKey)) {
+                  if (!ldDuplicateKey(buf, parent, ldCurrentKey)) return;
+                } else if (!Array.isArray(parent)) {
+                  if (ldPatching()) {
+                    const op = Object.prototype.hasOwnProperty.call(parent, ldCurrentKey) ? "replace" : "add";
+                    ldEmitPatch({ op, path: ldChildPointer(parent, ldCurrentKey), value: null });
+                  }
+                  setOwnKey(parent, ldCurrentKey, null);
                   ldActiveKey = ldCurrentKey;
                 }
               }
@@ -1769,7 +3539,7 @@ export async function init(options?: {
             }
             case 0x2C: { // comma
               // Reset pick-based skip at comma boundary
-              if (epPickPaths && ptSkipDepth >= 0 && ptDepth - 1 <= ptSkipDepth) {
+              if (ptSkipDepth >= 0 && ptDepth - 1 <= ptSkipDepth) {
                 ptSkipDepth = -1;
               }
               // In array: increment index
@@ -1792,6 +3562,7 @@ export async function init(options?: {
             default: {
               // JSON5 unquoted keys: identifier chars when expecting a key
               if (format === "json5" && ptExpectingKey && isJson5IdentStart(c)) {
+                ptKeyStart = i;
                 let j = i + 1;
                 while (j < to && isJson5IdentPart(buf[j])) j++;
                 if (j < to) {
@@ -1814,7 +3585,9 @@ export async function init(options?: {
                 const isScalarStart = (c >= 0x30 && c <= 0x39) || c === 0x2D || c === 0x74 || c === 0x66 || c === 0x6E
                   || (format === "json5" && (c === 0x49 || c === 0x4E || c === 0x2B || c === 0x2E));
                 if (isScalarStart) {
-                  if (ptSkipDepth < 0 && !isPathSkipped()) {
+                  if (ptSkipDepth < 0 && isPathSkipped(true)) {
+                    ldDropPendingKey();
+                  } else if (ptSkipDepth < 0) {
                     let j = i + 1;
                     while (j < to) {
                       const sc = buf[j];
@@ -1833,7 +3606,7 @@ export async function init(options?: {
                       } else {
                         fireValueComplete(buf.subarray(i, j), i, j - i);
                         const scalarStr = utf8Decoder.decode(buf.subarray(i, j));
-                        try { ldSetValue(format === "json5" ? parseJson5Scalar(scalarStr) : JSON.parse(scalarStr)); } catch { ldSetValue(null); }
+                        ldSetScalar(scalarStr);
                         i = j - 1;
                       }
                     } else {
@@ -1873,6 +3646,9 @@ export async function init(options?: {
           if (args.length === 2 && typeof args[0] === 'object' && args[0] !== null && 'safeParse' in args[0]) {
             schema = args[0];
             callback = args[1];
+          } else if (args.length === 2 && isJsonSchema(args[0])) {
+            schema = jsonSchemaValidator(args[0]);
+            callback = args[1];
           } else {
             callback = args[0];
           }
@@ -1890,14 +3666,27 @@ export async function init(options?: {
           return self;
         },
 
+        onReasoning(callback: (text: string) => void): EventParser {
+          reasoningCallbacks.push(callback);
+          return self;
+        },
 
-        off(path: string, callback?: Function): EventParser {
-          const compiled = compilePath(path);
-          const eq = (a: PathSegment[], b: PathSegment[]) =>
-            a.length === b.length && a.every((s, i) => s === b[i]);
-          const remove = (subs: Sub[]) => {
-            for (let i = subs.length - 1; i >= 0; i--) {
-              if (eq(subs[i].segments, compiled) && (!callback || subs[i].callback === callback))
+        onSchemaError(callback: (event: SchemaErrorEvent) => void): EventParser {
+          schemaErrorCallbacks.push(callback);
+          return self;
+        },
+
+        onPatch(callback: (op: LivePatchOperation) => void): EventParser {
+          patchCallbacks.push(callback);
+          return self;
+        },
+
+
+        off(path: string, callback?: Function): EventParser {
+          const compiled = compilePath(path);
+          const remove = (subs: Sub[]) => {
+            for (let i = subs.length - 1; i >= 0; i--) {
+              if (pathSegmentsEqual(subs[i].segments, compiled) && (!callback || subs[i].callback === callback))
                 subs.splice(i, 1);
             }
           };
@@ -1913,14 +3702,14 @@ export async function init(options?: {
           let jsonContent: string | Uint8Array | null;
           if (typeof chunk === 'string') {
             jsonContent = seeker.feed(chunk);
-            if (jsonContent === null) return FEED_STATUS[engine.stream_get_status(streamId)]!;
-          } else if (seeker.isFeeding()) {
+            if (jsonContent === null) return svStatus(FEED_STATUS[engine.stream_get_status(streamId)]!);
+          } else if (seeker.isFeeding() && !seekDecoder.pending) {
             // Fast path: skip string conversion when seeker is already feeding JSON
             jsonContent = chunk;
           } else {
-            const str = utf8Decoder.decode(chunk);
-            const result = seeker.feed(str);
-            if (result === null) return FEED_STATUS[engine.stream_get_status(streamId)]!;
+            // Decode in streaming mode: a character may be split across chunks
+            const result = seeker.feed(seekDecoder.decode(chunk));
+            if (result === null) return svStatus(FEED_STATUS[engine.stream_get_status(streamId)]!);
             jsonContent = encoder.encode(result);
           }
 
@@ -1930,8 +3719,9 @@ export async function init(options?: {
           const status = engine.stream_feed(streamId, ptr, len);
           const newLen = engine.stream_get_buffer_len(streamId);
 
-          // Scan new bytes with PathTracker (always runs — needed for live document builder)
-          if (newLen > prevLen) {
+          // Scan new bytes with PathTracker (needed for live document builder);
+          // bytes that broke a limit are never scanned
+          if (newLen > prevLen && status !== 2) {
             const bufPtr = (engine.stream_get_buffer_ptr(streamId) >>> 0);
             // For end_early/complete: only scan up to the value boundary
             const scanEnd = (status === 1 || status === 3)
@@ -1943,22 +3733,22 @@ export async function init(options?: {
             }
             // Finalize pending scalar on complete/end_early
             if ((status === 1 || status === 3) && ptInScalar && ldScalarAccum) {
-              try { ldSetValue(format === "json5" ? parseJson5Scalar(ldScalarAccum) : JSON.parse(ldScalarAccum)); } catch { ldSetValue(null); }
+              ldSetScalar(ldScalarAccum);
               ldScalarAccum = '';
               ptInScalar = false;
               ptScalarStart = -1;
             }
           }
 
-          const feedStatus = FEED_STATUS[status] || "error";
+          const feedStatus = streamError ? "error" : FEED_STATUS[status] || "error";
 
-          return feedStatus;
+          return svStatus(feedStatus);
         },
 
         getValue(): unknown | undefined {
           if (destroyed) throw new Error("EventParser already destroyed");
           const status = engine.stream_get_status(streamId);
-          if (status === 2) throw new SyntaxError("VectorJSON: Parse error in stream");
+          if (status === 2) throw failure();
 
           if (status === 0) {
             // incomplete — return the incrementally-built live document
@@ -1969,7 +3759,7 @@ export async function init(options?: {
               let partial = ldScalarAccum;
               const completed = completeScalarKeyword(partial, format);
               try {
-                const parsed = format === "json5" ? parseJson5Scalar(completed) : JSON.parse(completed);
+                const parsed = parseScalar(completed, format, numbers);
                 if (ldStack.length === 0) value = parsed;
               } catch {
                 // Strip trailing incomplete number chars: "1." → "1", "1e-" → "1"
@@ -1992,8 +3782,8 @@ export async function init(options?: {
 
           // complete or end_early
           let value: unknown;
-          if (epPickPaths) {
-            // Pick active — return the filtered live doc
+          if (epFiltering || ldRenamed) {
+            // Pick/omit active or keys renamed — return the live doc
             value = ldRoot;
           } else {
             // Full WASM parse for correctness — copy to padded buffer for SIMD safety
@@ -2010,15 +3800,19 @@ export async function init(options?: {
               : engine.doc_parse(padPtr, valueLen);
             engine.dealloc(padPtr, valueLen + 64);
             if (docId < 0) {
+              if (engine.get_error_code() === 19) throw documentLimitError();
               // JSON5 values like Infinity can't be represented in WASM tape —
               // fall back to the live document which was built correctly by ptScan.
               if (FORMAT_CODE === 2) { value = ldRoot; }
-              else {
-                const errorCode = engine.get_error_code();
-                const msg = ERROR_MESSAGES[errorCode] || `Parse error (code ${errorCode})`;
-                throw new SyntaxError(`VectorJSON: ${msg}`);
-              }
+              else throw docParseError(new Uint8Array(engine.memory.buffer, bufPtr, valueLen).slice());
             } else {
+              const duplicate = resolveDuplicateKeys(docId, duplicateKeys);
+              if (duplicate !== 0) {
+                const offset = engine.doc_get_src_pos(docId, duplicate) >>> 0;
+                engine.doc_free(docId);
+                throw new JsonParseError("duplicate_key", new Uint8Array(engine.memory.buffer, bufPtr, valueLen).slice(), offset);
+              }
+              if (numbers !== "number") docNumberModes.set(docId, numbers);
               value = buildDocRoot(docId);
             }
             }
@@ -2049,6 +3843,11 @@ export async function init(options?: {
           return FEED_STATUS[engine.stream_get_status(streamId)] || "error";
         },
 
+        getError(): JsonParseError | null {
+          if (destroyed) return streamError;
+          return engine.stream_get_status(streamId) === 2 ? failure() : null;
+        },
+
         getRawBuffer(): ArrayBuffer | null {
           if (destroyed) return null;
           const bufPtr = engine.stream_get_buffer_ptr(streamId) >>> 0;
@@ -2059,8 +3858,8 @@ export async function init(options?: {
           return copy;
         },
 
-        getTapeBuffer(): ArrayBuffer | null {
-          return destroyed ? null : streamExportTape(streamId, FORMAT_CODE);
+        getTapeBuffer(options?: TapeExportOptions): ArrayBuffer | null {
+          return destroyed ? null : streamExportTape(streamId, FORMAT_CODE, options?.checksum);
         },
 
         destroy(): void {
@@ -2079,6 +3878,13 @@ export async function init(options?: {
           let finished = false;
           // JSONL: queue of completed values from a single feed
           const jsonlQueue: unknown[] = [];
+          /** One step's result: the growing value, or the patch ops since the last step. */
+          const step = (): unknown => {
+            if (!patchBatching) return ep.getValue();
+            const ops = patchBatch;
+            patchBatch = [];
+            return ops;
+          };
 
           return {
             async next(): Promise<IteratorResult<unknown | undefined>> {
@@ -2105,13 +3911,20 @@ export async function init(options?: {
               const status = ep.feed(result.value);
 
               if (status === "error") {
+                const error = failure();
+                finished = true;
+                ep.destroy();
+                throw error;
+              }
+
+              if (status === "schema_error") {
                 finished = true;
                 ep.destroy();
-                throw new SyntaxError("VectorJSON: Parse error in stream");
+                throw new Error(schemaErrorMessage(svFirstIssue!));
               }
 
               if (format === "jsonl" && (status === "complete" || status === "end_early")) {
-                const value = ep.getValue();
+                const value = step();
 
                 // Helper: reset stream for next JSONL value and scan remaining bytes.
                 // Do NOT reset the seeker — it must stay in FEEDING mode so that
@@ -2125,14 +3938,14 @@ export async function init(options?: {
                     const st = engine.stream_get_status(streamId);
                     const se = (st === 1 || st === 3)
                       ? Math.min(rl, engine.stream_get_value_len(streamId)) : rl;
-                    if (se > 0) ptScan(new Uint8Array(engine.memory.buffer, bp, se), 0, se);
+                    if (se > 0 && st !== 2) ptScan(new Uint8Array(engine.memory.buffer, bp, se), 0, se);
                   }
                 };
 
                 resetAndScan();
                 let nextStatus = engine.stream_get_status(streamId);
                 while (nextStatus === 1 || nextStatus === 3) {
-                  const nextVal = ep.getValue();
+                  const nextVal = step();
                   jsonlQueue.push(nextVal);
                   resetAndScan();
                   nextStatus = engine.stream_get_status(streamId);
@@ -2142,10 +3955,10 @@ export async function init(options?: {
 
               if (status === "complete" || status === "end_early") {
                 finished = true;
-                return { done: false, value: ep.getValue() };
+                return { done: false, value: step() };
               }
 
-              return { done: false, value: ep.getValue() };
+              return { done: false, value: step() };
             },
             async return() {
               finished = true;
@@ -2162,33 +3975,381 @@ export async function init(options?: {
       return self;
     },
 
+    createToolCallStream(options?: ToolCallStreamOptions): ToolCallStream {
+      const provider = options?.provider;
+      const source = options?.source;
+
+      interface ToolCallSlot {
+        index: number;
+        choice: number | undefined;
+        id: string | undefined;
+        name: string | undefined;
+        parser: EventParser | null;
+        fed: boolean;
+        done: boolean;
+        args: unknown;
+      }
+      // Keyed by choice and call index: parallel OpenAI completions reuse tool_calls indices
+      const slots = new Map<string, ToolCallSlot>();
+      const inOrder = (): ToolCallSlot[] =>
+        [...slots.values()].sort((a, b) => (a.choice ?? 0) - (b.choice ?? 0) || a.index - b.index);
+      const toolCallCallbacks: ((event: ToolCallEvent) => void)[] = [];
+      const startCallbacks: ((call: ToolCallStart) => void)[] = [];
+      let destroyed = false;
+
+      const snapshot = (s: ToolCallSlot): ToolCallEvent =>
+        ({ index: s.index, choice: s.choice, id: s.id, name: s.name, partialArgs: s.args, done: s.done });
+
+      const emit = (s: ToolCallSlot, out: ToolCallEvent[]): void => {
+        const event = snapshot(s);
+        out.push(event);
+        for (const cb of toolCallCallbacks) cb(event);
+      };
+
+      const getSlot = (choice: number | undefined, index: number, id: string | undefined, name: string | undefined): ToolCallSlot => {
+        const key = `${choice ?? ""}:${index}`;
+        let s = slots.get(key);
+        if (s) {
+          if (id && !s.id) s.id = id;
+          if (name && !s.name) s.name = name;
+          return s;
+        }
+        const parser = _instance!.createEventParser();
+        s = { index, choice, id, name, parser, fed: false, done: false, args: undefined };
+        slots.set(key, s);
+        for (const cb of startCallbacks) cb({ index, choice, id, name, parser });
+        return s;
+      };
+
+      const finish = (s: ToolCallSlot): void => {
+        const parser = s.parser!;
+        const status = parser.getStatus();
+        if (!s.fed) s.args = {};   // no-argument tool call
+        else if (status === "complete" || status === "end_early") s.args = _instance!.materialize(parser.getValue());
+        // Truncated stream: keep the last partial value
+        parser.destroy();
+        s.parser = null;
+        s.done = true;
+      };
+
+      const feedArgs = (s: ToolCallSlot, fragment: string): void => {
+        if (s.done || !fragment) return;
+        s.fed = true;
+        const status = s.parser!.feed(fragment);
+        if (status === "error") {
+          const cause = s.parser!.getError();
+          s.parser!.destroy();
+          s.parser = null;
+          s.done = true;
+          throw new SyntaxError(`VectorJSON: Invalid arguments JSON in tool call ${s.index}`, { cause });
+        }
+        if (status === "complete" || status === "end_early") finish(s);
+        else s.args = s.parser!.getValue();
+      };
+
+      /** Close every open call, or only those of one OpenAI choice. */
+      const endAll = (out: ToolCallEvent[], choice?: number): void => {
+        for (const s of inOrder()) {
+          if (s.done || (choice !== undefined && s.choice !== choice)) continue;
+          finish(s);
+          emit(s, out);
+        }
+      };
+
+      const pushOpenAI = (env: any, out: ToolCallEvent[]): void => {
+        for (let c = 0; c < env.choices.length; c++) {
+          const choice = env.choices[c];
+          const at = typeof choice?.index === "number" ? choice.index : c;
+          const calls = choice?.delta?.tool_calls;
+          if (Array.isArray(calls)) {
+            for (let i = 0; i < calls.length; i++) {
+              const tc = calls[i];
+              const s = getSlot(at, typeof tc.index === "number" ? tc.index : i, tc.id ?? undefined, tc.function?.name ?? undefined);
+              if (s.done) continue;
+              feedArgs(s, tc.function?.arguments ?? "");
+              emit(s, out);
+            }
+          }
+          if (choice?.finish_reason) endAll(out, at);
+        }
+      };
+
+      const pushAnthropic = (env: any, out: ToolCallEvent[]): void => {
+        switch (env.type) {
+          case "content_block_start": {
+            const block = env.content_block;
+            if (!block || typeof block.id !== "string" || !("input" in block)) return; // text/thinking block
+            emit(getSlot(undefined, env.index, block.id, block.name), out);
+            return;
+          }
+          case "content_block_delta": {
+            if (env.delta?.type !== "input_json_delta") return;
+            const s = getSlot(undefined, env.index, undefined, undefined);
+            if (s.done) return;
+            feedArgs(s, env.delta.partial_json ?? "");
+            emit(s, out);
+            return;
+          }
+          case "content_block_stop": {
+            const s = slots.get(`:${env.index}`);
+            if (!s || s.done) return;
+            finish(s);
+            emit(s, out);
+            return;
+          }
+          case "message_stop":
+            endAll(out);
+            return;
+          case "error":
+            throw new Error(`VectorJSON: Provider stream error: ${env.error?.message ?? "unknown"}`);
+        }
+      };
+
+      const self: ToolCallStream = {
+        push(envelope: unknown): ToolCallEvent[] {
+          if (destroyed) throw new Error("ToolCallStream already destroyed");
+          const out: ToolCallEvent[] = [];
+          let env: any = envelope;
+          if (typeof env === "string") {
+            const text = env.trim();
+            if (text === "") return out;
+            if (text === "[DONE]") { endAll(out); return out; }
+            try { env = JSON.parse(text); } catch {
+              throw new SyntaxError("VectorJSON: Tool-call envelope is not valid JSON");
+            }
+          }
+          if (env === null || typeof env !== "object") return out;
+          const kind = provider
+            ?? (Array.isArray(env.choices) ? "openai" : typeof env.type === "string" ? "anthropic" : null);
+          if (kind === "openai") { if (Array.isArray(env.choices)) pushOpenAI(env, out); }
+          else if (kind === "anthropic") pushAnthropic(env, out);
+          return out;
+        },
+
+        onToolCall(callback: (event: ToolCallEvent) => void): ToolCallStream {
+          toolCallCallbacks.push(callback);
+          return self;
+        },
+
+        onStart(callback: (call: ToolCallStart) => void): ToolCallStream {
+          startCallbacks.push(callback);
+          return self;
+        },
+
+        getToolCalls(): ToolCallEvent[] {
+          return inOrder().map(snapshot);
+        },
+
+        end(): ToolCallEvent[] {
+          const out: ToolCallEvent[] = [];
+          if (!destroyed) endAll(out);
+          return out;
+        },
+
+        destroy(): void {
+          if (destroyed) return;
+          destroyed = true;
+          for (const s of slots.values()) {
+            if (s.parser) { s.parser.destroy(); s.parser = null; }
+          }
+        },
+
+        [Symbol.asyncIterator](): AsyncIterableIterator<ToolCallEvent> {
+          if (!source) throw new Error("No source provided — use push() for push-based parsing");
+          const envelopes = toolCallEnvelopes(source);
+          const queue: ToolCallEvent[] = [];
+          let finished = false;
+
+          return {
+            async next(): Promise<IteratorResult<ToolCallEvent>> {
+              while (queue.length === 0) {
+                if (finished) {
+                  self.destroy();
+                  return { done: true as const, value: undefined };
+                }
+                let result: IteratorResult<unknown>;
+                try {
+                  result = await envelopes.next();
+                  if (result.done) {
+                    finished = true;
+                    queue.push(...self.end());
+                  } else {
+                    queue.push(...self.push(result.value));
+                  }
+                } catch (err) {
+                  finished = true;
+                  self.destroy();
+                  throw err;
+                }
+              }
+              return { done: false, value: queue.shift()! };
+            },
+            async return() {
+              finished = true;
+              self.destroy();
+              await envelopes.return(undefined);
+              return { done: true as const, value: undefined };
+            },
+            [Symbol.asyncIterator]() { return this; },
+          };
+        },
+      };
+
+      return self;
+    },
+
+    extractAll(text: string | Uint8Array): ExtractedJson[] {
+      const extractor = _instance!.createExtractor();
+      const found = extractor.feed(text);
+      found.push(...extractor.end());
+      return found;
+    },
+
+    createExtractor(options?: ExtractorOptions): JsonExtractor {
+      const source = options?.source;
+      const valueCallbacks: ((found: ExtractedJson) => void)[] = [];
+      const textCallbacks: ((text: string) => void)[] = [];
+      const decoder = new TextDecoder("utf-8");
+      let out: ExtractedJson[] = [];
+
+      const scanner = createJsonScanner({
+        text(text) {
+          for (const cb of textCallbacks) cb(text);
+        },
+        value(text, start, end, context) {
+          // The scan only matched brackets; whether it is JSON is the engine's call
+          const result = _instance!.parse(text);
+          if (result.status !== "complete") return false;
+          const found: ExtractedJson = { value: result.toJSON(), start, end, context };
+          result.free?.();
+          out.push(found);
+          for (const cb of valueCallbacks) cb(found);
+          return true;
+        },
+      });
+
+      const collect = (): ExtractedJson[] => {
+        const found = out;
+        out = [];
+        return found;
+      };
+
+      const self: JsonExtractor = {
+        feed(chunk: string | Uint8Array): ExtractedJson[] {
+          scanner.push(typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true }));
+          return collect();
+        },
+
+        end(): ExtractedJson[] {
+          const tail = decoder.decode();
+          if (tail) scanner.push(tail);
+          scanner.end();
+          return collect();
+        },
+
+        onValue(callback: (found: ExtractedJson) => void): JsonExtractor {
+          valueCallbacks.push(callback);
+          return self;
+        },
+
+        onText(callback: (text: string) => void): JsonExtractor {
+          textCallbacks.push(callback);
+          return self;
+        },
+
+        [Symbol.asyncIterator](): AsyncIterableIterator<ExtractedJson> {
+          if (!source) throw new Error("No source provided — use feed() for push-based extraction");
+          const chunks = iterateChunks(source);
+          const queue: ExtractedJson[] = [];
+          let finished = false;
+
+          return {
+            async next(): Promise<IteratorResult<ExtractedJson>> {
+              while (queue.length === 0) {
+                if (finished) return { done: true as const, value: undefined };
+                const result = await chunks.next();
+                if (result.done) {
+                  finished = true;
+                  queue.push(...self.end());
+                } else {
+                  queue.push(...self.feed(result.value));
+                }
+              }
+              return { done: false, value: queue.shift()! };
+            },
+            async return() {
+              finished = true;
+              await chunks.return(undefined);
+              return { done: true as const, value: undefined };
+            },
+            [Symbol.asyncIterator]() { return this; },
+          };
+        },
+      };
+
+      return self;
+    },
+
     createParser(arg?: any): StreamingParser {
       // --- Argument parsing: detect legacy schema vs options object ---
       let schema: { safeParse: (v: unknown) => { success: boolean; data?: unknown } } | undefined;
       let pickPaths: PathSegment[][] | null = null;
+      let omitPaths: PathSegment[][] | null = null;
+      let exactScalars = false; // explicit pick patterns drop scalars above them
       let source: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string> | undefined;
       let format: JsonFormat = "json";
+      let numbers: NumberMode = "number";
+      let svWatcher: SchemaWatcher | null = null;
+      let repairer: JsonRepairer | null = null;
+      // Mixed-text seeking is opt-in here: a bare parser also accepts root scalars
+      let seeker: ReturnType<typeof createSeeker> | null = null;
+      let limits: ResolvedLimits | null = null;
+      let duplicateKeys: DuplicateKeyPolicy = "last";
+      let unsafeKeys: UnsafeKeyPolicy = "define";
+      const textCallbacks: ((text: string) => void)[] = [];
+      const reasoningCallbacks: ((text: string) => void)[] = [];
 
       if (arg && typeof arg === 'object' && 'safeParse' in arg && !('source' in arg) && !('schema' in arg)) {
         // Legacy: createParser(zodSchema)
         schema = arg;
         pickPaths = extractSchemaKeys(arg);
-      } else if (arg && typeof arg === 'object' && ('source' in arg || 'schema' in arg || 'format' in arg)) {
-        // createParser({ schema, source, format })
+      } else if (arg && typeof arg === 'object' && ('source' in arg || 'schema' in arg || 'format' in arg || 'numbers' in arg
+        || 'validate' in arg || 'pick' in arg || 'omit' in arg || 'repair' in arg || 'seeker' in arg || 'limits' in arg
+        || 'duplicateKeys' in arg || 'unsafeKeys' in arg)) {
+        // createParser({ schema, validate, pick, omit, source, format, numbers, repair, seeker, limits, duplicateKeys, unsafeKeys })
         schema = arg.schema;
         source = arg.source;
         format = arg.format ?? "json";
-        if (arg.schema) {
+        numbers = resolveNumberMode(arg.numbers);
+        limits = resolveLimits(arg.limits);
+        duplicateKeys = resolveDuplicateKeyPolicy(arg.duplicateKeys);
+        unsafeKeys = resolveUnsafeKeyPolicy(arg.unsafeKeys);
+        if (arg.repair) repairer = createRepairer();
+        if (arg.seeker !== undefined) {
+          seeker = createSeeker(textCallbacks, reasoningCallbacks, arg.format === "json5", arg.seeker);
+        }
+        if (resolveValidateMode(arg.validate) === "streaming" && arg.schema !== undefined) {
+          svWatcher = createSchemaWatcher(arg.schema);
+        }
+        if (isJsonSchema(arg.schema)) {
+          schema = jsonSchemaValidator(arg.schema);
+          pickPaths = jsonSchemaPickPaths(arg.schema);
+        } else if (arg.schema) {
           pickPaths = extractSchemaKeys(arg.schema);
         }
+        // Explicit pick/omit patterns (pick replaces the schema's fields)
+        if (arg.pick !== undefined) {
+          pickPaths = compilePathList(arg.pick, "pick");
+          exactScalars = true;
+        }
+        if (arg.omit !== undefined) omitPaths = compilePathList(arg.omit, "omit");
       }
       const FORMAT_CODE = format === "jsonl" ? 1 : format === "json5" ? 2 : 0;
-      const streamId = engine.stream_create(FORMAT_CODE);
-      if (streamId < 0) {
-        throw new Error("VectorJSON: Failed to create streaming parser (max 4 concurrent)");
-      }
+      const streamId = createStream(FORMAT_CODE, "streaming parser", limits);
 
       let destroyed = false;
+      let streamError: JsonParseError | null = null; // located lazily on error
+      const failure = (): JsonParseError => streamError ??= streamParseError(streamId);
       let cachedValue: unknown = UNCACHED;
       let cachedRemaining: Uint8Array | null | undefined; // undefined = not yet cached
       const sentinel = {};
@@ -2202,6 +4363,10 @@ export async function init(options?: {
       let ldStringAccum = '';
       let ldInStringValue = false;
       let ldScalarAccum = '';
+      // Keys of live objects whose values were gathered into arrays (duplicateKeys: "collect")
+      const ldCollected = new WeakMap<object, Set<string>>();
+      // Keys of live objects that unsafe keys were renamed to (unsafeKeys: "rename")
+      const ldRenamedKeys = new WeakMap<object, Set<string>>();
 
       // Byte scanner state
       let scanInString = false;
@@ -2223,13 +4388,19 @@ export async function init(options?: {
       let scanAccumulatingKey = false;
       let scanInUnquotedKey = false;
       let scanInScalar = false;
+      let scanKeyStart = 0; // buffer offset of the current key, for duplicate_key errors
 
       // --- Pick state ---
-      // spKeyStack tracks the current key at each depth for pick matching.
-      // spSkipDepth >= 0 means we're inside a non-picked field and should skip building.
+      // spKeyStack / spIndexStack track the current key or array index at each depth for
+      // pick/omit matching. spSkipDepth >= 0 means we're inside a non-picked field and
+      // should skip building.
       let spKeyStack: (string | null)[] = [];
+      let spIndexStack: (number | null)[] = [];
       let spSkipDepth = -1;
 
+      // --- Streaming validation state (validate: "streaming") ---
+      let svFirstIssue: JsonSchemaIssue | null = null;
+
       /** Reset all live document builder and scanner state (used by JSONL resetForNext). */
       function spReset() {
         ldRoot = undefined;
@@ -2257,35 +4428,42 @@ export async function init(options?: {
         spUtf8Accum = 0;
         spUtf8Ctx = '';
         spKeyStack.length = 0;
+        spIndexStack.length = 0;
         spSkipDepth = -1;
+        svWatcher?.reset();
+        svFirstIssue = null;
         prevLen = 0;
         cachedValue = UNCACHED;
         cachedRemaining = undefined;
       }
 
-      /** Check if the current path (from spKeyStack + scanDepth) matches any pick path.
-       *  Returns true if current path is an ancestor, descendant, or exact match.
-       *  Array levels (null entries in spKeyStack) are transparent — skipped during comparison. */
-      function isFieldPicked(): boolean {
-        if (!pickPaths) return true;
-        // Build effective key path (skip null = array levels)
-        const effective: string[] = [];
-        for (let i = 0; i < scanDepth; i++) {
-          if (spKeyStack[i] !== null) effective.push(spKeyStack[i]!);
-        }
-        for (const pick of pickPaths) {
-          const pickLen = pick.length;
-          const effLen = effective.length;
-          const compareLen = Math.min(effLen, pickLen);
-          let matched = true;
-          for (let i = 0; i < compareLen; i++) {
-            const seg = pick[i];
-            if (seg === '*') continue; // wildcard matches anything
-            if (typeof seg === 'number') continue; // index matching — arrays are transparent
-            if (effective[i] !== seg) { matched = false; break; }
-          }
-          if (matched) return true; // ancestor, descendant, or exact match
+      /** Current path as keys and array indices, `levels` deep. */
+      function spPath(levels: number): (string | number)[] {
+        const path: (string | number)[] = [];
+        for (let i = 0; i < levels; i++) {
+          const seg = spIndexStack[i] ?? spKeyStack[i];
+          if (seg !== null) path.push(seg);
         }
+        return path;
+      }
+
+      /** Check the current path (spKeyStack/spIndexStack + scanDepth) against pick/omit.
+       *  Containers pass as ancestors of a picked path; under explicit pick patterns
+       *  scalars (`exact`) need a match at or above them. Array levels are transparent
+       *  to key segments. */
+      function isFieldPicked(exact = false): boolean {
+        return isPathPicked(spPath(scanDepth), pickPaths, omitPaths, exact && exactScalars);
+      }
+
+      /** Filter a scalar value starting here: when rejected, skip it like an unpicked
+       *  field and drop the null placeholder set at the colon. */
+      function spKeepScalar(): boolean {
+        if (pickPaths === null && omitPaths === null) return true;
+        if (scanDepth === 0 || isFieldPicked(true)) return true;
+        spSkipDepth = scanDepth - 1;
+        const parent = ldStack[ldStack.length - 1];
+        if (ldCurrentKey !== null && parent && !Array.isArray(parent)) delete parent[ldCurrentKey];
+        ldCurrentKey = null;
         return false;
       }
 
@@ -2293,7 +4471,79 @@ export async function init(options?: {
         if (ldStack.length === 0) { ldRoot = value; return; }
         const parent = ldStack[ldStack.length - 1];
         if (Array.isArray(parent)) { parent.push(value); }
-        else if (ldCurrentKey !== null) { parent[ldCurrentKey] = value; ldActiveKey = ldCurrentKey; ldCurrentKey = null; }
+        else if (ldCurrentKey !== null) {
+          if (isCollected(parent, ldCurrentKey)) (parent[ldCurrentKey] as unknown[]).push(value);
+          else setOwnKey(parent, ldCurrentKey, value);
+          ldActiveKey = ldCurrentKey;
+          ldCurrentKey = null;
+        }
+      }
+
+      /** Whether `key` of a live object holds every value of a repeated key (duplicateKeys: "collect"). */
+      function isCollected(parent: object, key: string): boolean {
+        return duplicateKeys === "collect" && ldCollected.get(parent)?.has(key) === true;
+      }
+
+      /** A repeated key reached its colon: apply duplicateKeys. Returns false when
+       *  the stream failed ("error") and scanning must stop. */
+      function spDuplicateKey(buf: Uint8Array, parent: Record<string, unknown>, key: string): boolean {
+        if (duplicateKeys === "error") {
+          streamError = new JsonParseError("duplicate_key", buf.slice(), scanKeyStart);
+          engine.stream_fail(streamId);
+          return false;
+        }
+        if (duplicateKeys === "first") {
+          // Skip the value like an unpicked field
+          spSkipDepth = scanDepth - 1;
+          ldCurrentKey = null;
+        } else if (!isCollected(parent, key)) {
+          // "collect": the earlier value starts the array; spSetValue appends the rest
+          let keys = ldCollected.get(parent);
+          if (!keys) ldCollected.set(parent, keys = new Set());
+          keys.add(key);
+          parent[key] = [parent[key]];
+        }
+        return true;
+      }
+
+      /** An unsafe key, or a literal key an unsafe one was renamed to, reached its
+       *  colon: apply unsafeKeys. Returns false when the stream failed ("error", or
+       *  a renamed key that would share a slot with a literal one) and scanning must stop. */
+      function spUnsafeKey(buf: Uint8Array, parent: object): boolean {
+        const key = ldCurrentKey!;
+        if (unsafeKeys === "rename" && UNSAFE_KEYS.has(key)) {
+          const renamed = "_" + key;
+          let keys = ldRenamedKeys.get(parent);
+          if (keys?.has(renamed) || !Object.prototype.hasOwnProperty.call(parent, renamed)) {
+            if (!keys) ldRenamedKeys.set(parent, keys = new Set());
+            keys.add(renamed);
+            ldCurrentKey = renamed;
+            return true;
+          }
+        }
+        streamError = new JsonParseError("unsafe_key", buf.slice(), scanKeyStart);
+        engine.stream_fail(streamId);
+        return false;
+      }
+
+      /** Check a value that just completed `levels` containers deep against the schema. */
+      function svCheck(value: unknown, levels: number) {
+        if (!svWatcher || svFirstIssue) return;
+        const issues = svWatcher.check(spPath(levels), value);
+        if (issues.length > 0) svFirstIssue = issues[0];
+      }
+
+      /** Finalize a scalar's text into its parent and check it. */
+      function spSetScalar(text: string) {
+        let value: unknown;
+        try { value = parseScalar(text, format, numbers); } catch { value = null; }
+        spSetValue(value);
+        svCheck(value, ldStack.length);
+      }
+
+      /** feed() result: a schema violation outranks progress, a parse error outranks both. */
+      function svStatus(status: FeedStatus): FeedStatus {
+        return svFirstIssue && status !== "error" ? "schema_error" : status;
       }
 
       function spUpdateString(str: string) {
@@ -2302,13 +4552,22 @@ export async function init(options?: {
         if (Array.isArray(parent)) {
           if (parent.length > 0) parent[parent.length - 1] = str;
           else parent.push(str);
-        } else if (ldActiveKey !== null) { parent[ldActiveKey] = str; }
+        } else if (ldActiveKey !== null) {
+          if (isCollected(parent, ldActiveKey)) {
+            const values = parent[ldActiveKey] as unknown[];
+            values[values.length - 1] = str;
+          } else {
+            parent[ldActiveKey] = str;
+          }
+        }
       }
 
       /** Scan new bytes to incrementally build the live JS document.
        *  When pickPaths is set, fields not matching any pick path are skipped. */
       function spScan(buf: Uint8Array, from: number, to: number) {
-        const picking = pickPaths !== null;
+        const picking = pickPaths !== null || omitPaths !== null;
+        // Keys are also tracked for streaming validation paths
+        const tracking = picking || svWatcher !== null;
         for (let i = from; i < to; i++) {
           const c = buf[i];
 
@@ -2321,7 +4580,7 @@ export async function init(options?: {
             // Key ended — finalize
             scanInUnquotedKey = false;
             ldCurrentKey = scanKeyAccum;
-            if (picking && scanDepth > 0) spKeyStack[scanDepth - 1] = scanKeyAccum;
+            if (tracking && scanDepth > 0) spKeyStack[scanDepth - 1] = scanKeyAccum;
             scanKeyAccum = '';
             scanExpectingKey = false;
             // Re-process this char (colon, whitespace, etc.)
@@ -2339,9 +4598,7 @@ export async function init(options?: {
                 // Don't finalize — leave in ldScalarAccum for getValue() autocomplete
                 continue;
               }
-              if (spSkipDepth < 0) {
-                try { spSetValue(format === "json5" ? parseJson5Scalar(ldScalarAccum) : JSON.parse(ldScalarAccum)); } catch { spSetValue(null); }
-              }
+              if (spSkipDepth < 0) spSetScalar(ldScalarAccum);
               ldScalarAccum = '';
               scanInScalar = false;
               i--; continue;
@@ -2432,7 +4689,7 @@ export async function init(options?: {
                 scanAccumulatingKey = false;
                 ldCurrentKey = scanKeyAccum;
                 // Store key in spKeyStack for pick path matching
-                if (picking && scanDepth > 0) {
+                if (tracking && scanDepth > 0) {
                   spKeyStack[scanDepth - 1] = scanKeyAccum;
                 }
                 scanKeyAccum = '';
@@ -2440,6 +4697,7 @@ export async function init(options?: {
               }
               if (ldInStringValue && spSkipDepth < 0) {
                 spUpdateString(ldStringAccum);
+                svCheck(ldStringAccum, ldStack.length);
                 ldStringAccum = '';
                 ldInStringValue = false;
               }
@@ -2473,8 +4731,12 @@ export async function init(options?: {
 
           switch (c) {
             case 0x7B: {
+              // Array elements are filtered as they start (object members at the colon)
+              if (picking && spSkipDepth < 0 && scanDepth > 0 && scanContext[scanDepth - 1] === 'a' && !isFieldPicked()) {
+                spSkipDepth = scanDepth - 1;
+              }
               scanContext[scanDepth] = 'o';
-              if (picking) spKeyStack[scanDepth] = null;
+              if (tracking) { spKeyStack[scanDepth] = null; spIndexStack[scanDepth] = null; }
               scanDepth++;
               scanExpectingKey = true;
               scanAfterColon = false;
@@ -2486,8 +4748,11 @@ export async function init(options?: {
               break;
             }
             case 0x5B: {
+              if (picking && spSkipDepth < 0 && scanDepth > 0 && scanContext[scanDepth - 1] === 'a' && !isFieldPicked()) {
+                spSkipDepth = scanDepth - 1;
+              }
               scanContext[scanDepth] = 'a';
-              if (picking) spKeyStack[scanDepth] = null;
+              if (tracking) { spKeyStack[scanDepth] = null; spIndexStack[scanDepth] = 0; }
               scanDepth++;
               scanExpectingKey = false;
               scanAfterColon = false;
@@ -2504,10 +4769,12 @@ export async function init(options?: {
                 if (scanDepth <= spSkipDepth) {
                   spSkipDepth = -1;
                   // Container was opened before skip started — pop it
+                  svCheck(ldStack[ldStack.length - 1], ldStack.length - 1);
                   ldStack.pop();
                 }
                 // else: still inside skipped region, container wasn't pushed
               } else {
+                svCheck(ldStack[ldStack.length - 1], ldStack.length - 1);
                 ldStack.pop();
               }
               if (scanDepth > 0) {
@@ -2525,6 +4792,9 @@ export async function init(options?: {
               if (scanExpectingKey) {
                 scanAccumulatingKey = true;
                 scanKeyAccum = '';
+                scanKeyStart = i;
+              } else if (isValue && spSkipDepth < 0 && !spKeepScalar()) {
+                scanAfterColon = false;
               } else if (isValue && spSkipDepth < 0) {
                 ldStringAccum = '';
                 ldInStringValue = true;
@@ -2547,20 +4817,30 @@ export async function init(options?: {
               // the value is still being streamed.
               if (spSkipDepth < 0 && ldCurrentKey !== null && ldStack.length > 0) {
                 const parent = ldStack[ldStack.length - 1];
+                if (unsafeKeys !== "define" && (UNSAFE_KEYS.has(ldCurrentKey) || ldRenamedKeys.get(parent)?.has(ldCurrentKey))
+                  && !spUnsafeKey(buf, parent)) return;
                 if (!Array.isArray(parent)) {
-                  (parent as Record<string, unknown>)[ldCurrentKey] = null;
+                  // A repeated key keeps its earlier value unless the policy is "last"
+                  if (duplicateKeys !== "last" && Object.prototype.hasOwnProperty.call(parent, ldCurrentKey)) {
+                    if (!spDuplicateKey(buf, parent, ldCurrentKey)) return;
+                    break;
+                  }
+                  setOwnKey(parent, ldCurrentKey, null);
                   ldActiveKey = ldCurrentKey;
                 }
               }
               break;
             }
             case 0x2C: {
-              if (picking && spSkipDepth >= 0 && scanDepth - 1 <= spSkipDepth) {
+              // A skipped member (unpicked, or a repeated key under "first") ends at the comma
+              if (spSkipDepth >= 0 && scanDepth - 1 <= spSkipDepth) {
                 spSkipDepth = -1;
               }
               if (scanDepth > 0 && scanContext[scanDepth - 1] === 'o') {
                 scanExpectingKey = true;
-                if (picking) spKeyStack[scanDepth - 1] = null;
+                if (tracking) spKeyStack[scanDepth - 1] = null;
+              } else if (tracking && scanDepth > 0) {
+                spIndexStack[scanDepth - 1] = (spIndexStack[scanDepth - 1] ?? -1) + 1;
               }
               scanAfterColon = false;
               break;
@@ -2568,13 +4848,14 @@ export async function init(options?: {
             default: {
               // JSON5 unquoted keys: identifier chars when expecting a key
               if (format === "json5" && scanExpectingKey && isJson5IdentStart(c)) {
+                scanKeyStart = i;
                 let j = i + 1;
                 while (j < to && isJson5IdentPart(buf[j])) j++;
                 if (j < to) {
                   // Key completed within this chunk
                   const key = utf8Decoder.decode(buf.subarray(i, j));
                   ldCurrentKey = key;
-                  if (picking && scanDepth > 0) spKeyStack[scanDepth - 1] = key;
+                  if (tracking && scanDepth > 0) spKeyStack[scanDepth - 1] = key;
                   scanExpectingKey = false;
                   i = j - 1;
                 } else {
@@ -2587,6 +4868,10 @@ export async function init(options?: {
               }
               if (spSkipDepth >= 0) break;
               const isValuePos = scanAfterColon || scanDepth === 0 || (scanDepth > 0 && scanContext[scanDepth - 1] === 'a');
+              if (isValuePos && !spKeepScalar()) {
+                scanAfterColon = false;
+                break;
+              }
               if (isValuePos) {
                 // JSON5 hex number: 0x...
                 if (format === "json5" && c === 0x30 && i + 1 < to && (buf[i + 1] === 0x78 || buf[i + 1] === 0x58)) {
@@ -2598,7 +4883,9 @@ export async function init(options?: {
                   }
                   if (j < to) {
                     const hexStr = utf8Decoder.decode(buf.subarray(i, j));
-                    spSetValue(parseInt(hexStr, 16));
+                    const hex = parseInt(hexStr, 16);
+                    spSetValue(hex);
+                    svCheck(hex, ldStack.length);
                     i = j - 1;
                   } else {
                     scanInScalar = true;
@@ -2628,7 +4915,7 @@ export async function init(options?: {
                       i = j; // skip past scalar content, continue scanning whitespace
                     } else {
                       const scalarStr = utf8Decoder.decode(buf.subarray(i, j));
-                      try { spSetValue(format === "json5" ? parseJson5Scalar(scalarStr) : JSON.parse(scalarStr)); } catch { spSetValue(null); }
+                      spSetScalar(scalarStr);
                       i = j - 1;
                     }
                   } else {
@@ -2657,7 +4944,7 @@ export async function init(options?: {
             // Autocomplete partial keywords (e.g., "tr" → "true")
             const s = ldScalarAccum;
             const completed = completeScalarKeyword(s, format);
-            try { spSetValue(format === "json5" ? parseJson5Scalar(completed) : JSON.parse(completed)); } catch { spSetValue(null); }
+            spSetScalar(completed);
             ldScalarAccum = '';
             scanInScalar = false;
           }
@@ -2677,29 +4964,53 @@ export async function init(options?: {
       };
 
       let prevLen = 0;
+      // Byte chunks may split a UTF-8 sequence; decode in streaming mode before seeking or repairing
+      const seekDecoder = createChunkDecoder();
+      const repairDecoder = new TextDecoder("utf-8");
+
+      /** Append JSON text (after seeking and repair) to the stream and scan it. */
+      const feedJson = (chunk: Uint8Array | string): FeedStatus => {
+        const chunkLen = typeof chunk === "string" ? chunk.length : chunk.byteLength;
+        if (chunkLen === 0) return svStatus(FEED_STATUS[engine.stream_get_status(streamId)]!);
+        const { ptr, len } = writeToWasm(chunk, feedBuf, 0, 4096);
+        const rawStatus = engine.stream_feed(streamId, ptr, len);
+        // Scan new bytes for live document building, unless they broke a limit
+        const newLen = engine.stream_get_buffer_len(streamId);
+        if (newLen > prevLen && rawStatus !== 2) {
+          const bufPtr = (engine.stream_get_buffer_ptr(streamId) >>> 0);
+          // For end_early/complete: only scan up to the value boundary, not trailing data
+          const scanEnd = (rawStatus === 1 || rawStatus === 3)
+            ? Math.min(newLen, engine.stream_get_value_len(streamId))
+            : newLen;
+          if (scanEnd > prevLen) {
+            const wasmBuf = new Uint8Array(engine.memory.buffer, bufPtr, scanEnd);
+            spScan(wasmBuf, prevLen, scanEnd);
+          }
+          prevLen = newLen;
+        }
+        // A repeated key under duplicateKeys: "error" fails the stream during the scan
+        return svStatus(streamError ? "error" : FEED_STATUS[rawStatus] || "error");
+      };
 
       return {
         feed(chunk: Uint8Array | string): FeedStatus {
           if (destroyed) throw new Error("Parser already destroyed");
-          const chunkLen = typeof chunk === "string" ? chunk.length : chunk.byteLength;
-          if (chunkLen === 0) return FEED_STATUS[engine.stream_get_status(streamId)]!;
-          const { ptr, len } = writeToWasm(chunk, feedBuf, 0, 4096);
-          const rawStatus = engine.stream_feed(streamId, ptr, len);
-          // Scan new bytes for live document building
-          const newLen = engine.stream_get_buffer_len(streamId);
-          if (newLen > prevLen) {
-            const bufPtr = (engine.stream_get_buffer_ptr(streamId) >>> 0);
-            // For end_early/complete: only scan up to the value boundary, not trailing data
-            const scanEnd = (rawStatus === 1 || rawStatus === 3)
-              ? Math.min(newLen, engine.stream_get_value_len(streamId))
-              : newLen;
-            if (scanEnd > prevLen) {
-              const wasmBuf = new Uint8Array(engine.memory.buffer, bufPtr, scanEnd);
-              spScan(wasmBuf, prevLen, scanEnd);
-            }
-            prevLen = newLen;
+          // Bytes go through the decoder until a character split across chunks is complete
+          if (seeker && (typeof chunk === "string" || !seeker.isFeeding() || seekDecoder.pending)) {
+            const json = seeker.feed(typeof chunk === "string" ? chunk : seekDecoder.decode(chunk));
+            if (json === null) return svStatus(FEED_STATUS[engine.stream_get_status(streamId)]!);
+            chunk = json;
+          }
+          if (repairer) {
+            chunk = repairer.push(typeof chunk === "string" ? chunk : repairDecoder.decode(chunk, { stream: true }));
           }
-          return FEED_STATUS[rawStatus] || "error";
+          return feedJson(chunk);
+        },
+
+        end(): FeedStatus {
+          if (destroyed) throw new Error("Parser already destroyed");
+          if (!repairer) return svStatus(FEED_STATUS[engine.stream_get_status(streamId)]!);
+          return feedJson(repairer.push(repairDecoder.decode()) + repairer.end());
         },
 
         getValue(): unknown | undefined {
@@ -2707,9 +5018,7 @@ export async function init(options?: {
           if (cachedValue !== UNCACHED) return cachedValue;
 
           const status = engine.stream_get_status(streamId);
-          if (status === 2) {
-            throw new SyntaxError("VectorJSON: Parse error in stream");
-          }
+          if (status === 2) throw failure();
 
           if (status === 0) {
             // incomplete — return the incrementally-built live document
@@ -2723,7 +5032,7 @@ export async function init(options?: {
               let partial = ldScalarAccum;
               const completed = completeScalarKeyword(partial, format);
               try {
-                const parsed = format === "json5" ? parseJson5Scalar(completed) : JSON.parse(completed);
+                const parsed = parseScalar(completed, format, numbers);
                 if (ldStack.length === 0) value = parsed;
               } catch {
                 // Strip trailing incomplete number chars: "1." → "1", "1e-" → "1"
@@ -2749,7 +5058,7 @@ export async function init(options?: {
 
           // complete or end_early — finalize any pending scalar
           if (scanInScalar && ldScalarAccum) {
-            try { spSetValue(format === "json5" ? parseJson5Scalar(ldScalarAccum) : JSON.parse(ldScalarAccum)); } catch { spSetValue(null); }
+            spSetScalar(ldScalarAccum);
             ldScalarAccum = '';
             scanInScalar = false;
           }
@@ -2776,6 +5085,25 @@ export async function init(options?: {
           return FEED_STATUS[status] || "error";
         },
 
+        getError(): JsonParseError | null {
+          if (destroyed) return streamError;
+          return engine.stream_get_status(streamId) === 2 ? failure() : null;
+        },
+
+        getRepairs(): JsonRepair[] {
+          return repairer ? repairer.repairs.slice() : [];
+        },
+
+        onText(callback: (text: string) => void): StreamingParser {
+          textCallbacks.push(callback);
+          return this;
+        },
+
+        onReasoning(callback: (text: string) => void): StreamingParser {
+          reasoningCallbacks.push(callback);
+          return this;
+        },
+
         getRawBuffer(): ArrayBuffer | null {
           if (destroyed) return null;
           const bufPtr = engine.stream_get_buffer_ptr(streamId) >>> 0;
@@ -2786,8 +5114,8 @@ export async function init(options?: {
           return copy;
         },
 
-        getTapeBuffer(): ArrayBuffer | null {
-          return destroyed ? null : streamExportTape(streamId, FORMAT_CODE);
+        getTapeBuffer(options?: TapeExportOptions): ArrayBuffer | null {
+          return destroyed ? null : streamExportTape(streamId, FORMAT_CODE, options?.checksum);
         },
 
         destroy(): void {
@@ -2811,7 +5139,7 @@ export async function init(options?: {
             const scanEnd = (status === 1 || status === 3)
               ? Math.min(newLen, engine.stream_get_value_len(streamId))
               : newLen;
-            if (scanEnd > 0) {
+            if (scanEnd > 0 && status !== 2) {
               const wasmBuf = new Uint8Array(engine.memory.buffer, bufPtr, scanEnd);
               spScan(wasmBuf, 0, scanEnd);
             }
@@ -2844,18 +5172,30 @@ export async function init(options?: {
                 ? await reader.read()
                 : await iter!.next();
 
+              let status: FeedStatus;
               if (result.done || !result.value) {
                 finished = true;
-                self.destroy();
-                return { done: true as const, value: undefined };
+                // The repairer holds back a trailing word such as `None` or `Tr` until the input ends
+                if (!repairer?.pending) {
+                  self.destroy();
+                  return { done: true as const, value: undefined };
+                }
+                status = self.end();
+              } else {
+                status = self.feed(result.value);
               }
 
-              const status = self.feed(result.value);
-
               if (status === "error") {
+                const error = failure();
                 finished = true;
                 self.destroy();
-                throw new SyntaxError("VectorJSON: Parse error in stream");
+                throw error;
+              }
+
+              if (status === "schema_error") {
+                finished = true;
+                self.destroy();
+                throw new Error(schemaErrorMessage(svFirstIssue!));
               }
 
               if (format === "jsonl" && (status === "complete" || status === "end_early")) {
@@ -2892,39 +5232,2169 @@ export async function init(options?: {
       };
     },
 
-    importTape(buf: ArrayBuffer): unknown {
-      if (buf.byteLength < 8) throw new Error("VectorJSON: tape buffer too small");
-      const bytes = new Uint8Array(buf);
-      const wasmPtr = engine.alloc(bytes.length) >>> 0;
-      if (wasmPtr === 0) throw new Error("VectorJSON: allocation failed for tape import");
-      new Uint8Array(engine.memory.buffer, wasmPtr, bytes.length).set(bytes);
-      const docId = engine.doc_import_tape(wasmPtr, bytes.length);
-      engine.dealloc(wasmPtr, bytes.length);
-      if (docId < 0) throw new Error("VectorJSON: tape import failed (invalid buffer or no free slots)");
-      return buildDocRoot(docId);
-    },
-  };
+    createWriter(): JsonWriter {
+      type Piece = string | Uint8Array | AsyncIterable<string>;
+      type Frame = { type: "o" | "a"; count: number; afterKey: boolean };
+      const FLUSH_AT = 16384;
+
+      const stack: Frame[] = [];
+      let rootDone = false;
+      let ended = false;
+      let failure: unknown = undefined;
+
+      let buf = "";                        // text not yet encoded
+      let flushScheduled = false;
+      const queue: Piece[] = [];           // pieces waiting behind a streamed value
+      let pumping: Promise<void> | null = null;
+      let demand: (() => void) | null = null;
+      let controller!: ReadableStreamDefaultController<Uint8Array>;
+
+      // Streamed values pause once 64 KB is buffered unread; everything else is written eagerly.
+      const readable = new ReadableStream<Uint8Array>({
+        start(c) { controller = c; },
+        pull() { if (demand) { const d = demand; demand = null; d(); } },
+        cancel(reason) { failure = reason ?? new Error("VectorJSON: Writer output was cancelled"); },
+      }, { highWaterMark: 65536, size: (chunk) => chunk.byteLength });
+
+      const flush = () => {
+        flushScheduled = false;
+        if (buf.length === 0 || failure !== undefined) return;
+        const text = buf;
+        buf = "";
+        controller.enqueue(encoder.encode(text));
+      };
 
-  return _instance;
+      const emit = (piece: Piece) => {
+        if (pumping) { queue.push(piece); return; }
+        if (typeof piece === "string") {
+          buf += piece;
+          if (buf.length >= FLUSH_AT) flush();
+          else if (!flushScheduled) { flushScheduled = true; queueMicrotask(flush); }
+        } else if (piece instanceof Uint8Array) {
+          flush();
+          if (failure === undefined) controller.enqueue(piece);
+        } else {
+          flush();
+          pumping = pump(piece);
+        }
+      };
 
-  })();
-  return _initPromise;
-}
+      /** Stream an async string value, then drain everything queued behind it. */
+      const pump = async (first: AsyncIterable<string>): Promise<void> => {
+        try {
+          let piece: Piece | undefined = first;
+          while (piece !== undefined) {
+            if (typeof piece === "string") buf += piece;
+            else if (piece instanceof Uint8Array) { flush(); controller.enqueue(piece); }
+            else {
+              buf += '"';
+              for await (const chunk of piece) {
+                if (failure !== undefined) throw failure;
+                buf += JSON.stringify(String(chunk)).slice(1, -1);
+                flush();
+                if ((controller.desiredSize ?? 1) <= 0) await new Promise<void>(r => { demand = r; });
+              }
+              buf += '"';
+            }
+            piece = queue.shift();
+          }
+          pumping = null;
+          flush();
+        } catch (err) {
+          if (failure === undefined) failure = err;
+          pumping = null;
+          queue.length = 0;
+          try { controller.error(failure); } catch { /* already closed */ }
+        }
+      };
 
-// --- Top-level await: auto-initialize with embedded WASM ---
-const _vj = await init();
+      /** Serialize a JS value into pieces (JSON.stringify semantics, plus BigInt and tape spans). */
+      const serialize = (v: unknown, out: Piece[], inArray: boolean): boolean => {
+        if (v === null) { out.push("null"); return true; }
+        switch (typeof v) {
+          case "string": out.push(JSON.stringify(v)); return true;
+          case "number": out.push(Number.isFinite(v) ? String(v) : "null"); return true;
+          case "boolean": out.push(v ? "true" : "false"); return true;
+          case "bigint": out.push(v.toString()); return true;
+          case "object": break;
+          default:
+            // undefined / function / symbol: dropped from objects, null in arrays
+            if (inArray) { out.push("null"); return true; }
+            return false;
+        }
+        const meta = (v as any)[LAZY_PROXY] as { docId: number; index: number } | undefined;
+        if (meta) {
+          const span = docSourceSpan(meta.docId, meta.index);
+          if (span) { out.push(span); return true; }
+          return serialize(deepMaterializeDoc(meta.docId, meta.index), out, inArray);
+        }
+        if (typeof (v as any)[Symbol.asyncIterator] === "function") {
+          out.push(v as AsyncIterable<string>);
+          return true;
+        }
+        if (typeof (v as any).toJSON === "function") return serialize((v as any).toJSON(), out, inArray);
+        if (Array.isArray(v)) {
+          out.push("[");
+          for (let i = 0; i < v.length; i++) {
+            if (i > 0) out.push(",");
+            serialize(v[i], out, true);
+          }
+          out.push("]");
+          return true;
+        }
+        out.push("{");
+        let first = true;
+        for (const k of Object.keys(v as object)) {
+          const mark = out.length;
+          out.push((first ? "" : ",") + JSON.stringify(k) + ":");
+          if (serialize((v as Record<string, unknown>)[k], out, false)) first = false;
+          else out.length = mark;
+        }
+        out.push("}");
+        return true;
+      };
 
-/** Parse a JSON string or Uint8Array. Synchronous — no init needed. */
-export const parse = _vj.parse;
+      const check = () => {
+        if (ended) throw new Error("VectorJSON: Writer already ended");
+        if (failure !== undefined) throw failure;
+      };
 
-/** Parse partial/incomplete JSON. Compatible with Vercel AI SDK's parsePartialJson. */
-export const parsePartialJson = _vj.parsePartialJson;
+      /** Validate position for a new value and emit its separator. */
+      const beginValue = (what: string) => {
+        check();
+        const top = stack[stack.length - 1];
+        if (!top) {
+          if (rootDone) throw new Error(`VectorJSON: ${what} after the top-level value is complete`);
+          return;
+        }
+        if (top.type === "o") {
+          if (!top.afterKey) throw new Error(`VectorJSON: ${what} inside an object requires key() first`);
+          top.afterKey = false;
+        } else if (top.count > 0) {
+          emit(",");
+        }
+        top.count++;
+      };
 
-/** Deep-compare two values for structural equality. WASM-accelerated for VJ proxies. */
-export const deepCompare = _vj.deepCompare;
+      const valueDone = () => { if (stack.length === 0) rootDone = true; };
 
-/** Create a streaming parser for incremental JSON parsing. */
-export const createParser = _vj.createParser;
+      const close = (type: "o" | "a", name: string) => {
+        check();
+        const top = stack[stack.length - 1];
+        if (!top || top.type !== type) throw new Error(`VectorJSON: ${name}() without a matching begin${type === "o" ? "Object" : "Array"}()`);
+        if (top.afterKey) throw new Error(`VectorJSON: ${name}() after key() without a value`);
+        stack.pop();
+        emit(type === "o" ? "}" : "]");
+        valueDone();
+      };
+
+      const self: JsonWriter = {
+        readable,
+
+        beginObject(): JsonWriter {
+          beginValue("beginObject()");
+          stack.push({ type: "o", count: 0, afterKey: false });
+          emit("{");
+          return self;
+        },
+
+        endObject(): JsonWriter {
+          close("o", "endObject");
+          return self;
+        },
+
+        beginArray(): JsonWriter {
+          beginValue("beginArray()");
+          stack.push({ type: "a", count: 0, afterKey: false });
+          emit("[");
+          return self;
+        },
+
+        endArray(): JsonWriter {
+          close("a", "endArray");
+          return self;
+        },
+
+        key(name: string): JsonWriter {
+          check();
+          const top = stack[stack.length - 1];
+          if (!top || top.type !== "o") throw new Error("VectorJSON: key() is only valid inside an object");
+          if (top.afterKey) throw new Error("VectorJSON: key() called twice without a value");
+          emit((top.count > 0 ? "," : "") + JSON.stringify(String(name)) + ":");
+          top.afterKey = true;
+          return self;
+        },
+
+        value(value: unknown): JsonWriter {
+          const pieces: Piece[] = [];
+          if (!serialize(value, pieces, false)) {
+            throw new TypeError(`VectorJSON: Cannot write ${typeof value} as a JSON value`);
+          }
+          beginValue("value()");
+          for (const piece of pieces) emit(piece);
+          valueDone();
+          return self;
+        },
+
+        async end(): Promise<void> {
+          check();
+          if (stack.length > 0) throw new Error(`VectorJSON: end() with ${stack.length} unclosed container(s)`);
+          if (!rootDone) throw new Error("VectorJSON: end() before any value was written");
+          ended = true;
+          while (pumping) await pumping;
+          if (failure !== undefined) throw failure;
+          flush();
+          controller.close();
+        },
+      };
+
+      return self;
+    },
+
+    importTape(buf: ArrayBuffer | SharedArrayBuffer | Uint8Array): unknown {
+      if (buf.byteLength < 8) throw new Error("VectorJSON: tape buffer too small");
+      const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+      const wasmPtr = engine.alloc(bytes.length) >>> 0;
+      if (wasmPtr === 0) throw new Error("VectorJSON: allocation failed for tape import");
+      new Uint8Array(engine.memory.buffer, wasmPtr, bytes.length).set(bytes);
+      const docId = engine.doc_import_tape(wasmPtr, bytes.length);
+      engine.dealloc(wasmPtr, bytes.length);
+      return tapeDocument(docId, bytes);
+    },
+
+    exportTape(value: unknown, options?: TapeExportOptions): ArrayBuffer {
+      const meta = docTarget(unwrapParseResult(value));
+      if (!meta || meta.index !== 1) {
+        throw new TypeError("VectorJSON: exportTape() expects a parsed document root");
+      }
+      const tape = docExportTape(meta.docId, options?.checksum);
+      if (!tape) throw new Error("VectorJSON: allocation failed for tape export");
+      return tape;
+    },
+
+    createTapeCache(options?: TapeCacheOptions): TapeCache {
+      const maxBytes = options?.maxBytes ?? 256 * 1024 * 1024;
+      if (typeof maxBytes !== "number" || !(maxBytes >= 0)) {
+        throw new RangeError("VectorJSON: maxBytes must be a non-negative number");
+      }
+      let store: Promise<TapeCacheStore>;
+      if (options?.dir !== undefined) store = fileTapeStore(options.dir);
+      else if (typeof indexedDB !== "undefined") store = idbTapeStore(options?.name ?? "vectorjson-tapes");
+      else throw new TypeError("VectorJSON: createTapeCache() needs a `dir` where IndexedDB is unavailable");
+      store.catch(() => {}); // reported by the first call instead
+
+      const keyOf = async (input: string | Uint8Array): Promise<string> => {
+        const bytes = typeof input === "string" ? encoder.encode(input) : input;
+        const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes as Uint8Array<ArrayBuffer>));
+        return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+      };
+
+      // Least recently used first, never the tape just written
+      const evict = async (s: TapeCacheStore, keep: string): Promise<void> => {
+        const entries = await s.entries();
+        let total = entries.reduce((n, e) => n + e.size, 0);
+        entries.sort((a, b) => a.used - b.used);
+        for (const entry of entries) {
+          if (total <= maxBytes) break;
+          if (entry.key !== keep && await s.remove(entry.key)) total -= entry.size;
+        }
+      };
+
+      return {
+        async get(input: string | Uint8Array): Promise<unknown> {
+          const s = await store;
+          const key = await keyOf(input);
+          const cached = await s.read(key);
+          if (cached) {
+            try {
+              const value = _instance!.importTape(cached);
+              await s.touch(key);
+              return value;
+            } catch (err) {
+              // Tapes from another format version or damaged on disk are dropped and
+              // rebuilt; anything else (e.g. no free slots) is the caller's problem.
+              const code = engine.get_error_code();
+              if (cached.byteLength >= 8 && (code < 15 || code > 18)) throw err;
+              await s.remove(key);
+            }
+          }
+          const result = _instance!.parse(input);
+          if (result.status === "invalid") throw new SyntaxError(result.error);
+          // Only whole documents are cached — primitives are cheaper to re-parse
+          if (result.status === "complete" && docTarget(result.value)) {
+            const tape = _instance!.exportTape(result.value, { checksum: true });
+            if (tape.byteLength <= maxBytes) {
+              await s.write(key, tape);
+              await evict(s, key);
+            }
+          }
+          return result.value;
+        },
+
+        async delete(input: string | Uint8Array): Promise<boolean> {
+          const s = await store;
+          return s.remove(await keyOf(input));
+        },
+
+        async clear(): Promise<void> {
+          const s = await store;
+          for (const entry of await s.entries()) await s.remove(entry.key);
+        },
+
+        async size(): Promise<number> {
+          const s = await store;
+          return (await s.entries()).reduce((n, e) => n + e.size, 0);
+        },
+      };
+    },
+
+    packTapes(docs: Iterable<unknown>, options?: { shared?: boolean }): ArrayBuffer | SharedArrayBuffer {
+      const tapes: Uint8Array[] = [];
+      for (const doc of docs) tapes.push(packedTapeBytes(doc, tapes.length));
+      const headerSize = alignTo8(TAPE_PACK_HEADER + tapes.length * TAPE_PACK_ENTRY);
+      let total = headerSize;
+      for (const tape of tapes) total = alignTo8(total + tape.byteLength);
+      if (total > 0xFFFFFFFF) throw new Error("VectorJSON: tape pack exceeds 4 GiB");
+      let out: ArrayBuffer | SharedArrayBuffer;
+      if (options?.shared) {
+        if (typeof SharedArrayBuffer !== "function") {
+          throw new Error("VectorJSON: SharedArrayBuffer is not available (browsers require cross-origin isolation)");
+        }
+        out = new SharedArrayBuffer(total);
+      } else {
+        out = new ArrayBuffer(total);
+      }
+      const view = new DataView(out);
+      const bytes = new Uint8Array(out);
+      view.setUint32(0, TAPE_PACK_MAGIC, true);
+      view.setUint32(4, tapes.length, true);
+      let offset = headerSize;
+      tapes.forEach((tape, i) => {
+        view.setUint32(TAPE_PACK_HEADER + i * TAPE_PACK_ENTRY, offset, true);
+        view.setUint32(TAPE_PACK_HEADER + i * TAPE_PACK_ENTRY + 4, tape.byteLength, true);
+        bytes.set(tape, offset);
+        offset = alignTo8(offset + tape.byteLength);
+      });
+      return out;
+    },
+
+    attachTapes(buf: ArrayBuffer | SharedArrayBuffer): TapePack {
+      const view = new DataView(buf);
+      if (buf.byteLength < TAPE_PACK_HEADER || view.getUint32(0, true) !== TAPE_PACK_MAGIC) {
+        throw new Error("VectorJSON: not a tape pack (bad magic)");
+      }
+      const count = view.getUint32(4, true);
+      if (TAPE_PACK_HEADER + count * TAPE_PACK_ENTRY > buf.byteLength) {
+        throw new Error("VectorJSON: tape pack index is truncated");
+      }
+      for (let i = 0; i < count; i++) {
+        const offset = view.getUint32(TAPE_PACK_HEADER + i * TAPE_PACK_ENTRY, true);
+        const length = view.getUint32(TAPE_PACK_HEADER + i * TAPE_PACK_ENTRY + 4, true);
+        if (offset + length > buf.byteLength) {
+          throw new Error(`VectorJSON: tape pack entry ${i} is out of bounds`);
+        }
+        // Tapes are read in place, so their words must stay 8-byte aligned
+        if (offset % 8 !== 0) throw new Error(`VectorJSON: tape pack entry ${i} is misaligned`);
+        if (length < TAPE_HEADER || view.getUint32(offset, true) !== TAPE_MAGIC) {
+          throw new Error(`VectorJSON: tape pack entry ${i} is not a tape (bad magic)`);
+        }
+      }
+      const tape = (i: number): Uint8Array => {
+        if (!Number.isInteger(i) || i < 0 || i >= count) {
+          throw new RangeError(`VectorJSON: tape pack index ${i} out of range (0..${count - 1})`);
+        }
+        const offset = view.getUint32(TAPE_PACK_HEADER + i * TAPE_PACK_ENTRY, true);
+        const length = view.getUint32(TAPE_PACK_HEADER + i * TAPE_PACK_ENTRY + 4, true);
+        return new Uint8Array(buf, offset, length);
+      };
+      // The only copy: the whole pack into WASM memory. Each document's slot then
+      // reads its tape words and source bytes in place (doc_attach_tape).
+      const pack = engine.pack_alloc(buf.byteLength) >>> 0;
+      if (pack === 0) throw new Error("VectorJSON: allocation failed for tape pack");
+      new Uint8Array(engine.memory.buffer, engine.pack_bytes(pack) >>> 0, buf.byteLength).set(new Uint8Array(buf));
+      let freed = false;
+
+      // A document read once is returned again until it is freed or collected.
+      // Primitives hold no slot and are kept as is.
+      const opened = new Map<number, { value: unknown } | { ref: WeakRef<object>; docId: number; generation: number }>();
+      const get = (i: number): unknown => {
+        const bytes = tape(i);
+        const hit = opened.get(i);
+        if (hit && "value" in hit) return hit.value;
+        if (hit && docGenerations.get(hit.docId) === hit.generation) {
+          const value = hit.ref.deref();
+          if (value !== undefined) return value;
+        }
+        if (freed) throw new Error("VectorJSON: tape pack has been freed");
+        const offset = view.getUint32(TAPE_PACK_HEADER + i * TAPE_PACK_ENTRY, true);
+        const value = tapeDocument(engine.doc_attach_tape(pack, offset, bytes.byteLength), bytes);
+        const meta = docTarget(value);
+        opened.set(i, meta
+          ? { ref: new WeakRef(value as object), docId: meta.docId, generation: docGenerations.get(meta.docId)! }
+          : { value });
+        return value;
+      };
+      const self: TapePack = {
+        length: count,
+        tape,
+        get,
+        *[Symbol.iterator]() {
+          for (let i = 0; i < count; i++) yield get(i);
+        },
+        free() {
+          if (freed) return;
+          freed = true;
+          packRegistry.unregister(self);
+          engine.pack_release(pack);
+        },
+      };
+      packRegistry.register(self, pack, self);
+      return self;
+    },
+
+    getStats(): MemoryStats {
+      const docSlots: DocumentSlotStats[] = [];
+      let docBytes = 0;
+      const docSlotCount = engine.doc_get_slot_count();
+      for (let id = 0; id < docSlotCount; id++) {
+        if (engine.doc_get_slot_stats(id) < 0) continue;
+        const [active, tapeBytes, inputBytes, retainedBytes] = new Uint32Array(engine.memory.buffer, batchAddr, 4);
+        docSlots.push({ id, active: active === 1, tapeBytes, inputBytes, retainedBytes });
+        docBytes += retainedBytes;
+      }
+      const streamSlots: StreamSlotStats[] = [];
+      let streamBytes = 0;
+      const streamSlotCount = engine.stream_get_slot_count();
+      for (let id = 0; id < streamSlotCount; id++) {
+        if (engine.stream_get_slot_stats(id) < 0) continue;
+        const [bufferedBytes, capacityBytes] = new Uint32Array(engine.memory.buffer, batchAddr, 2);
+        streamSlots.push({ id, bufferedBytes, capacityBytes });
+        streamBytes += capacityBytes;
+      }
+      return {
+        memoryBytes: engine.memory.buffer.byteLength,
+        documents: {
+          active: engine.doc_get_active_count(),
+          limit: engine.doc_get_limit(),
+          retainedBytes: docBytes,
+          slots: docSlots,
+        },
+        streams: {
+          active: engine.stream_get_active_count(),
+          limit: engine.stream_get_limit(),
+          capacityBytes: streamBytes,
+          slots: streamSlots,
+        },
+        scratchBytes: inputBuf.cap + keyBuf.cap + feedBuf.cap,
+      };
+    },
+
+    compact(): number {
+      let released = (engine.doc_compact() >>> 0) + (engine.stream_compact() >>> 0);
+      // Scratch buffers are only used within a single call, so they can go
+      // now; ensureBuf reallocates on the next use.
+      for (const buf of [inputBuf, keyBuf, feedBuf]) {
+        if (buf.ptr === 0) continue;
+        engine.dealloc(buf.ptr, buf.cap);
+        released += buf.cap;
+        buf.ptr = 0;
+        buf.cap = 0;
+      }
+      return released;
+    },
+  };
+
+  return _instance;
+
+  })();
+  return _initPromise;
+}
+
+// --- JSONPath / JSON Pointer ---
+// Compiled once per call and evaluated against a JsonNav — either a document
+// tape (nodes are tape indices) or plain JS values (nodes are the values).
+
+type JsonPathSelector =
+  | { t: "name"; name: string }
+  | { t: "index"; index: number }
+  | { t: "wild" }
+  | { t: "slice"; start?: number; end?: number; step: number }
+  | { t: "filter"; expr: JsonPathFilter };
+
+interface JsonPathSegment { descendant: boolean; selectors: JsonPathSelector[] }
+
+type JsonPathOperand =
+  | { t: "lit"; v: unknown }
+  | { t: "path"; root: boolean; segments: JsonPathSegment[] };
+
+type JsonPathFilter =
+  | { t: "or" | "and"; a: JsonPathFilter; b: JsonPathFilter }
+  | { t: "not"; a: JsonPathFilter }
+  | { t: "exists"; a: JsonPathOperand }
+  | { t: "cmp"; op: string; a: JsonPathOperand; b: JsonPathOperand };
+
+/** Navigation primitives the JSONPath evaluator needs. */
+interface JsonNav<N> {
+  isObject(n: N): boolean;
+  isArray(n: N): boolean;
+  length(n: N): number;
+  element(n: N, i: number): N;
+  /** Object values or array elements, in document order. */
+  children(n: N): N[];
+  /** Object field value, or undefined when missing. */
+  field(n: N, key: string): N | undefined;
+  /** Materialize a node into a JS value. */
+  value(n: N): unknown;
+}
+
+const plainNav: JsonNav<unknown> = {
+  isObject: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  isArray: (v) => Array.isArray(v),
+  length: (v) => (v as unknown[]).length,
+  element: (v, i) => (v as unknown[])[i],
+  children: (v) => Array.isArray(v) ? v : v !== null && typeof v === "object" ? Object.values(v) : [],
+  field: (v, key) => Object.prototype.hasOwnProperty.call(v, key) ? (v as Record<string, unknown>)[key] : undefined,
+  value: (v) => v,
+};
+
+const JSONPATH_NAME_RE = /[A-Za-z0-9_$\u0080-\uFFFF-]+/y;
+const JSONPATH_INT_RE = /-?\d+/y;
+const JSONPATH_NUM_RE = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSONPATH_OP_RE = /==|!=|<=|>=|<|>/y;
+const JSONPATH_ESCAPES: Record<string, string> = { b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+/**
+ * Compile a JSONPath expression: `$`, `.name`, `['name']`, `[0]`, `[-1]`, `[*]`,
+ * `..name`, `[0,2]`, `[1:3]`, and filters like `[?(@.type=="tool_use" && @.n > 1)]`.
+ */
+function compileJsonPath(path: string): JsonPathSegment[] {
+  let pos = 0;
+  const fail = (msg: string): never => {
+    throw new SyntaxError(`VectorJSON: Invalid JSONPath "${path}" at offset ${pos}: ${msg}`);
+  };
+  const ws = () => { while (path[pos] === " " || path[pos] === "\t") pos++; };
+  const sticky = (re: RegExp): string | undefined => {
+    re.lastIndex = pos;
+    const m = re.exec(path);
+    if (m) pos += m[0].length;
+    return m?.[0];
+  };
+
+  const stringLit = (): string => {
+    const quote = path[pos++];
+    let out = "";
+    while (pos < path.length && path[pos] !== quote) {
+      let c = path[pos++];
+      if (c === "\\") {
+        c = path[pos++];
+        if (c === "u") {
+          const hex = path.slice(pos, pos + 4);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail("invalid \\u escape");
+          c = String.fromCharCode(parseInt(hex, 16));
+          pos += 4;
+        } else if (c in JSONPATH_ESCAPES) {
+          c = JSONPATH_ESCAPES[c];
+        }
+      }
+      out += c;
+    }
+    if (pos >= path.length) fail("unterminated string");
+    pos++;
+    return out;
+  };
+
+  const operand = (): JsonPathOperand => {
+    ws();
+    const c = path[pos];
+    if (c === "@" || c === "$") {
+      pos++;
+      return { t: "path", root: c === "$", segments: segments() };
+    }
+    if (c === "'" || c === '"') return { t: "lit", v: stringLit() };
+    for (const [word, v] of [["true", true], ["false", false], ["null", null]] as const) {
+      if (path.startsWith(word, pos)) { pos += word.length; return { t: "lit", v }; }
+    }
+    const num = sticky(JSONPATH_NUM_RE);
+    if (num === undefined) fail("expected a value");
+    return { t: "lit", v: +num! };
+  };
+
+  const unary = (): JsonPathFilter => {
+    ws();
+    if (path[pos] === "!" && path[pos + 1] !== "=") { pos++; return { t: "not", a: unary() }; }
+    if (path[pos] === "(") {
+      pos++;
+      const e = orExpr();
+      ws();
+      if (path[pos] !== ")") fail("expected ')'");
+      pos++;
+      return e;
+    }
+    const a = operand();
+    ws();
+    const op = sticky(JSONPATH_OP_RE);
+    if (op === undefined) {
+      if (a.t !== "path") fail("expected a comparison");
+      return { t: "exists", a };
+    }
+    return { t: "cmp", op, a, b: operand() };
+  };
+
+  const andExpr = (): JsonPathFilter => {
+    let a = unary();
+    ws();
+    while (path.startsWith("&&", pos)) { pos += 2; a = { t: "and", a, b: unary() }; ws(); }
+    return a;
+  };
+
+  const orExpr = (): JsonPathFilter => {
+    let a = andExpr();
+    ws();
+    while (path.startsWith("||", pos)) { pos += 2; a = { t: "or", a, b: andExpr() }; ws(); }
+    return a;
+  };
+
+  const selector = (): JsonPathSelector => {
+    ws();
+    const c = path[pos];
+    if (c === "'" || c === '"') return { t: "name", name: stringLit() };
+    if (c === "*") { pos++; return { t: "wild" }; }
+    if (c === "?") { pos++; return { t: "filter", expr: orExpr() }; }
+    const start = sticky(JSONPATH_INT_RE);
+    ws();
+    if (path[pos] === ":") {
+      pos++;
+      ws();
+      const end = sticky(JSONPATH_INT_RE);
+      ws();
+      let step: string | undefined;
+      if (path[pos] === ":") { pos++; ws(); step = sticky(JSONPATH_INT_RE); }
+      return {
+        t: "slice",
+        start: start === undefined ? undefined : +start,
+        end: end === undefined ? undefined : +end,
+        step: step === undefined ? 1 : +step,
+      };
+    }
+    if (start === undefined) fail("expected a selector");
+    return { t: "index", index: +start! };
+  };
+
+  const bracket = (): JsonPathSelector[] => {
+    pos++; // [
+    const selectors = [selector()];
+    ws();
+    while (path[pos] === ",") { pos++; selectors.push(selector()); ws(); }
+    if (path[pos] !== "]") fail("expected ']'");
+    pos++;
+    return selectors;
+  };
+
+  function segments(): JsonPathSegment[] {
+    const segs: JsonPathSegment[] = [];
+    for (;;) {
+      if (path[pos] === "[") {
+        segs.push({ descendant: false, selectors: bracket() });
+      } else if (path[pos] === ".") {
+        const descendant = path[pos + 1] === ".";
+        pos += descendant ? 2 : 1;
+        if (path[pos] === "[") segs.push({ descendant, selectors: bracket() });
+        else if (path[pos] === "*") { pos++; segs.push({ descendant, selectors: [{ t: "wild" }] }); }
+        else {
+          const name = sticky(JSONPATH_NAME_RE);
+          if (name === undefined) fail("expected a member name");
+          segs.push({ descendant, selectors: [{ t: "name", name: name! }] });
+        }
+      } else {
+        return segs;
+      }
+    }
+  }
+
+  ws();
+  if (path[pos] !== "$") fail("must start with '$'");
+  pos++;
+  const segs = segments();
+  ws();
+  if (pos < path.length) fail(`unexpected '${path[pos]}'`);
+  return segs;
+}
+
+/** Array indices selected by a slice (RFC 9535 semantics, negative steps included). */
+function sliceIndices(len: number, sel: { start?: number; end?: number; step: number }): number[] {
+  const out: number[] = [];
+  const { step } = sel;
+  if (step === 0) return out;
+  const norm = (i: number) => i < 0 ? len + i : i;
+  if (step > 0) {
+    const lo = Math.min(Math.max(norm(sel.start ?? 0), 0), len);
+    const hi = Math.min(Math.max(norm(sel.end ?? len), 0), len);
+    for (let i = lo; i < hi; i += step) out.push(i);
+  } else {
+    const hi = Math.min(Math.max(norm(sel.start ?? len - 1), -1), len - 1);
+    const lo = Math.min(Math.max(sel.end === undefined ? -1 : norm(sel.end), -1), len - 1);
+    for (let i = hi; i > lo; i += step) out.push(i);
+  }
+  return out;
+}
+
+const NOTHING = Symbol();
+
+function isNumeric(v: unknown): v is number | bigint {
+  return typeof v === "number" || typeof v === "bigint";
+}
+
+function jsonPathEquals(a: unknown, b: unknown): boolean {
+  if (a === NOTHING || b === NOTHING) return a === b;
+  // == so that 10n matches 10 in exact-number documents
+  if (isNumeric(a) && isNumeric(b)) return a == b;
+  if (a !== null && typeof a === "object" && b !== null && typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function jsonPathLess(a: unknown, b: unknown): boolean {
+  if (isNumeric(a) && isNumeric(b)) return a < b;
+  if (typeof a === "string" && typeof b === "string") return a < b;
+  return false;
+}
+
+function evalJsonPath<N>(nav: JsonNav<N>, root: N, segs: JsonPathSegment[], start: N): N[] {
+  let nodes: N[] = [start];
+  for (const seg of segs) {
+    const next: N[] = [];
+    for (const node of nodes) {
+      if (!seg.descendant) { jsonPathSelect(nav, root, node, seg.selectors, next); continue; }
+      const stack = [node];
+      while (stack.length > 0) {
+        const n = stack.pop()!;
+        jsonPathSelect(nav, root, n, seg.selectors, next);
+        const children = nav.children(n);
+        for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+      }
+    }
+    nodes = next;
+  }
+  return nodes;
+}
+
+function jsonPathSelect<N>(nav: JsonNav<N>, root: N, node: N, selectors: JsonPathSelector[], out: N[]): void {
+  for (const sel of selectors) {
+    switch (sel.t) {
+      case "name":
+        if (nav.isObject(node)) {
+          const v = nav.field(node, sel.name);
+          if (v !== undefined) out.push(v);
+        } else if (nav.isArray(node) && /^\d+$/.test(sel.name)) {
+          // `$.items.0` — same leniency as event-parser paths
+          const i = +sel.name;
+          if (i < nav.length(node)) out.push(nav.element(node, i));
+        }
+        break;
+      case "index":
+        if (nav.isArray(node)) {
+          const len = nav.length(node);
+          const i = sel.index < 0 ? len + sel.index : sel.index;
+          if (i >= 0 && i < len) out.push(nav.element(node, i));
+        }
+        break;
+      case "wild":
+        out.push(...nav.children(node));
+        break;
+      case "slice":
+        if (nav.isArray(node)) {
+          for (const i of sliceIndices(nav.length(node), sel)) out.push(nav.element(node, i));
+        }
+        break;
+      case "filter":
+        for (const child of nav.children(node)) {
+          if (jsonPathTest(nav, root, child, sel.expr)) out.push(child);
+        }
+        break;
+    }
+  }
+}
+
+function jsonPathTest<N>(nav: JsonNav<N>, root: N, node: N, e: JsonPathFilter): boolean {
+  switch (e.t) {
+    case "or": return jsonPathTest(nav, root, node, e.a) || jsonPathTest(nav, root, node, e.b);
+    case "and": return jsonPathTest(nav, root, node, e.a) && jsonPathTest(nav, root, node, e.b);
+    case "not": return !jsonPathTest(nav, root, node, e.a);
+    case "exists":
+      return e.a.t === "path" && evalJsonPath(nav, root, e.a.segments, e.a.root ? root : node).length > 0;
+    case "cmp": {
+      const a = jsonPathOperand(nav, root, node, e.a);
+      const b = jsonPathOperand(nav, root, node, e.b);
+      switch (e.op) {
+        case "==": return jsonPathEquals(a, b);
+        case "!=": return !jsonPathEquals(a, b);
+        case "<": return jsonPathLess(a, b);
+        case ">": return jsonPathLess(b, a);
+        case "<=": return jsonPathLess(a, b) || jsonPathEquals(a, b);
+        default: return jsonPathLess(b, a) || jsonPathEquals(a, b);
+      }
+    }
+  }
+}
+
+/** Value of a filter operand; paths must select exactly one node, otherwise NOTHING. */
+function jsonPathOperand<N>(nav: JsonNav<N>, root: N, node: N, op: JsonPathOperand): unknown {
+  if (op.t === "lit") return op.v;
+  const nodes = evalJsonPath(nav, root, op.segments, op.root ? root : node);
+  return nodes.length === 1 ? nav.value(nodes[0]) : NOTHING;
+}
+
+/** Split an RFC 6901 JSON Pointer into unescaped reference tokens. */
+function parseJsonPointer(pointer: string): string[] {
+  if (pointer === "") return [];
+  if (pointer[0] !== "/") {
+    throw new SyntaxError(`VectorJSON: Invalid JSON Pointer "${pointer}": must be empty or start with '/'`);
+  }
+  return pointer.slice(1).split("/").map((t) => t.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/** Escape a key as an RFC 6901 reference token. */
+function jsonPointerToken(key: string): string {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/** RFC 6902 diff of plain JS values, same rules as doc_diff: keys matched
+ *  regardless of order, arrays compared by index with the tail added or removed. */
+function diffJsonValues(a: unknown, b: unknown, path: string, ops: JsonPatchOperation[]): void {
+  const isObj = (v: unknown): v is Record<string, unknown> => v !== null && typeof v === "object" && !Array.isArray(v);
+  if (isObj(a) && isObj(b)) {
+    for (const key of Object.keys(a)) {
+      const p = path + "/" + jsonPointerToken(key);
+      if (Object.prototype.hasOwnProperty.call(b, key)) diffJsonValues(a[key], b[key], p, ops);
+      else ops.push({ op: "remove", path: p });
+    }
+    for (const key of Object.keys(b)) {
+      if (!Object.prototype.hasOwnProperty.call(a, key)) ops.push({ op: "add", path: path + "/" + jsonPointerToken(key), value: b[key] });
+    }
+    return;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) diffJsonValues(a[i], b[i], `${path}/${i}`, ops);
+    for (let i = common; i < b.length; i++) ops.push({ op: "add", path: `${path}/${i}`, value: b[i] });
+    for (let i = a.length - 1; i >= b.length; i--) ops.push({ op: "remove", path: `${path}/${i}` });
+    return;
+  }
+  if (!jsonEqual(a, b)) ops.push({ op: "replace", path, value: b });
+}
+
+/** A ParseResult stands for its value: diff(parse(before), parse(after)). */
+function unwrapParseResult(value: unknown): unknown {
+  const isResult = value !== null && typeof value === "object"
+    && typeof (value as any).isComplete === "function" && "status" in value;
+  return isResult ? (value as ParseResult).value : value;
+}
+
+/** Set an own data property — `__proto__` included, without touching the prototype. */
+function setOwnKey(obj: Record<string, unknown>, key: string, value: unknown): void {
+  if (key === "__proto__") Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  else obj[key] = value;
+}
+
+/** Key or index a JSON Patch token names in a container, or null when it doesn't exist.
+ *  With `forAdd`, new object keys and the end of an array ("-" or the length) are allowed. */
+function patchChildKey(node: Record<string, unknown> | unknown[], token: string, forAdd: boolean): string | number | null {
+  if (!Array.isArray(node)) return forAdd || Object.prototype.hasOwnProperty.call(node, token) ? token : null;
+  if (token === "-") return forAdd ? node.length : null;
+  if (!/^(0|[1-9]\d*)$/.test(token)) return null;
+  const i = Number(token);
+  return i < node.length || (forAdd && i === node.length) ? i : null;
+}
+
+/** Resolve JSON Pointer tokens; array tokens must be canonical indices ("-" never matches). */
+function resolveJsonPointer<N>(nav: JsonNav<N>, root: N, tokens: string[]): N | undefined {
+  let node: N | undefined = root;
+  for (const token of tokens) {
+    if (node === undefined) return undefined;
+    if (nav.isObject(node)) {
+      node = nav.field(node, token);
+    } else if (nav.isArray(node)) {
+      if (!/^(0|[1-9]\d*)$/.test(token)) return undefined;
+      const i = +token;
+      node = i < nav.length(node) ? nav.element(node, i) : undefined;
+    } else {
+      return undefined;
+    }
+  }
+  return node;
+}
+
+// --- JSON Schema (draft 2020-12) ---
+// A JSON Schema passed as `schema` is compiled into a safeParse-compatible
+// validator, and its properties/items drive field picking like a Zod shape.
+
+type JsonSchemaCheck = (value: unknown, path: (string | number)[], issues: JsonSchemaIssue[]) => void;
+
+/** True for a plain JSON Schema object (or boolean schema) rather than a Zod/Valibot/ArkType schema. */
+function isJsonSchema(schema: unknown): schema is JsonSchema {
+  if (typeof schema === "boolean") return true;
+  if (schema === null || typeof schema !== "object" || Array.isArray(schema)) return false;
+  const proto = Object.getPrototypeOf(schema);
+  if (proto !== Object.prototype && proto !== null) return false;
+  return !("safeParse" in schema || "~standard" in schema || "_def" in schema || "shape" in schema || "entries" in schema);
+}
+
+/** Resolve a local "#..." $ref against the root schema. */
+function resolveSchemaRef(root: JsonSchema, ref: string): JsonSchema {
+  if (ref[0] !== "#") {
+    throw new Error(`VectorJSON: Unsupported JSON Schema $ref "${ref}": only local "#/..." references are supported`);
+  }
+  const target = resolveJsonPointer(plainNav, root, parseJsonPointer(decodeURIComponent(ref.slice(1))));
+  if (target === undefined || !isJsonSchema(target)) {
+    throw new Error(`VectorJSON: Unresolvable JSON Schema $ref "${ref}"`);
+  }
+  return target;
+}
+
+/** JSON data model type of a value; BigInt (exact numbers) counts as an integer. */
+function jsonSchemaType(v: unknown): string {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "bigint") return "integer";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function jsonSchemaTypeMatches(type: string, v: unknown): boolean {
+  const actual = jsonSchemaType(v);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/** Structural equality for enum/const/uniqueItems — key order does not matter, 1 equals 1n. */
+function jsonEqual(a: unknown, b: unknown): boolean {
+  if (isNumeric(a) && isNumeric(b)) return a == b;
+  if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return a === b;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    const bArr = b as unknown[];
+    return a.length === bArr.length && a.every((v, i) => jsonEqual(v, bArr[i]));
+  }
+  const aKeys = Object.keys(a), bObj = b as Record<string, unknown>;
+  if (aKeys.length !== Object.keys(bObj).length) return false;
+  return aKeys.every((k) => Object.prototype.hasOwnProperty.call(bObj, k) && jsonEqual((a as Record<string, unknown>)[k], bObj[k]));
+}
+
+/**
+ * Compiler for a JSON Schema and its subschemas; checks report issues with absolute paths.
+ * Covers the draft 2020-12 validation vocabulary: type, enum, const, numeric and
+ * string bounds, pattern, prefixItems/items/contains, properties/patternProperties/
+ * additionalProperties/required/propertyNames/dependentRequired, allOf/anyOf/oneOf/
+ * not/if-then-else and local $ref. Annotations such as format are ignored.
+ * With `completed`, every value checked is final: each subschema keeps its issues
+ * for the objects and arrays it has seen, so checking a parent doesn't walk them again.
+ */
+function jsonSchemaCompiler(root: JsonSchema, completed = false): (schema: JsonSchema) => JsonSchemaCheck {
+  const compiled = new Map<object, JsonSchemaCheck>();
+  const issue = (issues: JsonSchemaIssue[], path: (string | number)[], message: string) => {
+    issues.push({ path: path.slice(), message });
+  };
+  const passes = (check: JsonSchemaCheck, v: unknown, path: (string | number)[]) => {
+    const probe: JsonSchemaIssue[] = [];
+    check(v, path, probe);
+    return probe.length === 0;
+  };
+
+  function compile(schema: JsonSchema): JsonSchemaCheck {
+    if (schema === true) return () => {};
+    if (schema === false) return (_v, path, issues) => issue(issues, path, "is not allowed");
+    const done = compiled.get(schema);
+    if (done) return done;
+    const checks: JsonSchemaCheck[] = [];
+    const run: JsonSchemaCheck = (v, path, issues) => { for (const c of checks) c(v, path, issues); };
+    const results = new WeakMap<object, JsonSchemaIssue[]>();
+    const check: JsonSchemaCheck = !completed ? run : (v, path, issues) => {
+      if (v === null || typeof v !== "object") return run(v, path, issues);
+      let found = results.get(v);
+      if (!found) {
+        results.set(v, found = []);
+        run(v, path, found);
+      }
+      issues.push(...found);
+    };
+    // Registered before compiling subschemas so recursive $refs terminate
+    compiled.set(schema, check);
+    const s = schema as Record<string, any>;
+
+    if (typeof s.$ref === "string") {
+      const target = resolveSchemaRef(root, s.$ref);
+      let refCheck: JsonSchemaCheck | undefined;
+      checks.push((v, path, issues) => (refCheck ??= compile(target))(v, path, issues));
+    }
+
+    // --- Any type ---
+    if (s.type !== undefined) {
+      const types: string[] = Array.isArray(s.type) ? s.type : [s.type];
+      checks.push((v, path, issues) => {
+        if (!types.some((t) => jsonSchemaTypeMatches(t, v))) issue(issues, path, `must be ${types.join(" or ")}`);
+      });
+    }
+    if (Array.isArray(s.enum)) {
+      const values: unknown[] = s.enum;
+      checks.push((v, path, issues) => {
+        if (!values.some((e) => jsonEqual(v, e))) issue(issues, path, `must be one of ${values.map((e) => JSON.stringify(e)).join(", ")}`);
+      });
+    }
+    if ("const" in s) {
+      checks.push((v, path, issues) => {
+        if (!jsonEqual(v, s.const)) issue(issues, path, `must be ${JSON.stringify(s.const)}`);
+      });
+    }
+
+    // --- Numbers ---
+    const bound = (key: string, fails: (n: number, limit: number) => boolean, text: string) => {
+      if (typeof s[key] !== "number") return;
+      const limit: number = s[key];
+      checks.push((v, path, issues) => {
+        if (isNumeric(v) && fails(Number(v), limit)) issue(issues, path, `must be ${text} ${limit}`);
+      });
+    };
+    bound("minimum", (n, l) => n < l, ">=");
+    bound("maximum", (n, l) => n > l, "<=");
+    bound("exclusiveMinimum", (n, l) => n <= l, ">");
+    bound("exclusiveMaximum", (n, l) => n >= l, "<");
+    if (typeof s.multipleOf === "number") {
+      const m: number = s.multipleOf;
+      checks.push((v, path, issues) => {
+        if (!isNumeric(v)) return;
+        const q = Number(v) / m;
+        if (!Number.isInteger(q) && Math.abs(q - Math.round(q)) > 1e-9) issue(issues, path, `must be a multiple of ${m}`);
+      });
+    }
+
+    // --- Strings ---
+    if (typeof s.minLength === "number" || typeof s.maxLength === "number") {
+      const min: number = s.minLength ?? 0, max: number = s.maxLength ?? Infinity;
+      checks.push((v, path, issues) => {
+        if (typeof v !== "string") return;
+        // Lengths count code points, not UTF-16 units
+        let len = 0;
+        for (const _ of v) len++;
+        if (len < min) issue(issues, path, `must have at least ${min} characters`);
+        if (len > max) issue(issues, path, `must have at most ${max} characters`);
+      });
+    }
+    if (typeof s.pattern === "string") {
+      const re = new RegExp(s.pattern, "u");
+      checks.push((v, path, issues) => {
+        if (typeof v === "string" && !re.test(v)) issue(issues, path, `must match pattern ${s.pattern}`);
+      });
+    }
+
+    // --- Arrays ---
+    // Draft 2019-09 array-form `items` is accepted as prefixItems/additionalItems
+    const prefix: JsonSchema[] = Array.isArray(s.prefixItems) ? s.prefixItems : Array.isArray(s.items) ? s.items : [];
+    const rest: JsonSchema | undefined = Array.isArray(s.items) ? s.additionalItems : s.items;
+    if (prefix.length > 0 || rest !== undefined) {
+      const prefixChecks = prefix.map(compile);
+      const restCheck = rest !== undefined ? compile(rest) : undefined;
+      checks.push((v, path, issues) => {
+        if (!Array.isArray(v)) return;
+        for (let i = 0; i < v.length; i++) {
+          const c = i < prefixChecks.length ? prefixChecks[i] : restCheck;
+          if (!c) break;
+          path.push(i);
+          c(v[i], path, issues);
+          path.pop();
+        }
+      });
+    }
+    if (typeof s.minItems === "number" || typeof s.maxItems === "number") {
+      const min: number = s.minItems ?? 0, max: number = s.maxItems ?? Infinity;
+      checks.push((v, path, issues) => {
+        if (!Array.isArray(v)) return;
+        if (v.length < min) issue(issues, path, `must have at least ${min} items`);
+        if (v.length > max) issue(issues, path, `must have at most ${max} items`);
+      });
+    }
+    if (s.uniqueItems === true) {
+      checks.push((v, path, issues) => {
+        if (!Array.isArray(v)) return;
+        for (let i = 1; i < v.length; i++) {
+          for (let j = 0; j < i; j++) {
+            if (jsonEqual(v[i], v[j])) { issue(issues, path, `must not contain duplicate items (${j} and ${i})`); return; }
+          }
+        }
+      });
+    }
+    if (s.contains !== undefined) {
+      const containsCheck = compile(s.contains);
+      const min: number = s.minContains ?? 1, max: number = s.maxContains ?? Infinity;
+      checks.push((v, path, issues) => {
+        if (!Array.isArray(v)) return;
+        let count = 0;
+        for (let i = 0; i < v.length; i++) {
+          path.push(i);
+          if (passes(containsCheck, v[i], path)) count++;
+          path.pop();
+        }
+        if (count < min) issue(issues, path, `must contain at least ${min} matching item(s)`);
+        if (count > max) issue(issues, path, `must contain at most ${max} matching item(s)`);
+      });
+    }
+
+    // --- Objects ---
+    const isObject = (v: unknown): v is Record<string, unknown> => jsonSchemaType(v) === "object";
+    const props: Record<string, JsonSchema> = s.properties && typeof s.properties === "object" ? s.properties : {};
+    const patterns: [RegExp, JsonSchema][] = s.patternProperties && typeof s.patternProperties === "object"
+      ? Object.entries(s.patternProperties as Record<string, JsonSchema>).map(([p, sub]) => [new RegExp(p, "u"), sub])
+      : [];
+    if (s.properties !== undefined || patterns.length > 0 || s.additionalProperties !== undefined) {
+      const propChecks = new Map(Object.entries(props).map(([k, sub]) => [k, compile(sub)] as const));
+      const patternChecks = patterns.map(([re, sub]) => [re, compile(sub)] as const);
+      const additional = s.additionalProperties !== undefined ? compile(s.additionalProperties) : undefined;
+      checks.push((v, path, issues) => {
+        if (!isObject(v)) return;
+        for (const key of Object.keys(v)) {
+          path.push(key);
+          let matched = false;
+          const propCheck = propChecks.get(key);
+          if (propCheck) { matched = true; propCheck(v[key], path, issues); }
+          for (const [re, c] of patternChecks) {
+            if (re.test(key)) { matched = true; c(v[key], path, issues); }
+          }
+          if (!matched && additional) additional(v[key], path, issues);
+          path.pop();
+        }
+      });
+    }
+    if (Array.isArray(s.required)) {
+      const required: string[] = s.required;
+      checks.push((v, path, issues) => {
+        if (!isObject(v)) return;
+        for (const key of required) {
+          if (!Object.prototype.hasOwnProperty.call(v, key)) issue(issues, [...path, key], "is required");
+        }
+      });
+    }
+    if (typeof s.minProperties === "number" || typeof s.maxProperties === "number") {
+      const min: number = s.minProperties ?? 0, max: number = s.maxProperties ?? Infinity;
+      checks.push((v, path, issues) => {
+        if (!isObject(v)) return;
+        const n = Object.keys(v).length;
+        if (n < min) issue(issues, path, `must have at least ${min} properties`);
+        if (n > max) issue(issues, path, `must have at most ${max} properties`);
+      });
+    }
+    if (s.propertyNames !== undefined) {
+      const nameCheck = compile(s.propertyNames);
+      checks.push((v, path, issues) => {
+        if (!isObject(v)) return;
+        for (const key of Object.keys(v)) {
+          if (!passes(nameCheck, key, path)) issue(issues, [...path, key], "is not a valid property name");
+        }
+      });
+    }
+    if (s.dependentRequired && typeof s.dependentRequired === "object") {
+      const deps = Object.entries(s.dependentRequired as Record<string, string[]>);
+      checks.push((v, path, issues) => {
+        if (!isObject(v)) return;
+        for (const [key, needed] of deps) {
+          if (!Object.prototype.hasOwnProperty.call(v, key)) continue;
+          for (const n of needed) {
+            if (!Object.prototype.hasOwnProperty.call(v, n)) issue(issues, [...path, n], `is required when "${key}" is present`);
+          }
+        }
+      });
+    }
+
+    // --- Applicators ---
+    if (Array.isArray(s.allOf)) {
+      const subs = (s.allOf as JsonSchema[]).map(compile);
+      checks.push((v, path, issues) => { for (const c of subs) c(v, path, issues); });
+    }
+    if (Array.isArray(s.anyOf)) {
+      const subs = (s.anyOf as JsonSchema[]).map(compile);
+      checks.push((v, path, issues) => {
+        if (!subs.some((c) => passes(c, v, path))) issue(issues, path, "must match at least one schema in anyOf");
+      });
+    }
+    if (Array.isArray(s.oneOf)) {
+      const subs = (s.oneOf as JsonSchema[]).map(compile);
+      checks.push((v, path, issues) => {
+        const n = subs.filter((c) => passes(c, v, path)).length;
+        if (n !== 1) issue(issues, path, `must match exactly one schema in oneOf (matched ${n})`);
+      });
+    }
+    if (s.not !== undefined) {
+      const notCheck = compile(s.not);
+      checks.push((v, path, issues) => {
+        if (passes(notCheck, v, path)) issue(issues, path, "must not match the schema in not");
+      });
+    }
+    if (s.if !== undefined) {
+      const ifCheck = compile(s.if);
+      const thenCheck = s.then !== undefined ? compile(s.then) : undefined;
+      const elseCheck = s.else !== undefined ? compile(s.else) : undefined;
+      checks.push((v, path, issues) => {
+        const branch = passes(ifCheck, v, path) ? thenCheck : elseCheck;
+        branch?.(v, path, issues);
+      });
+    }
+    return check;
+  }
+  return compile;
+}
+
+/** Wrap a JSON Schema in the safeParse interface the parsers already validate with. */
+function jsonSchemaValidator(schema: JsonSchema): ZodLike<unknown> {
+  const check = jsonSchemaCompiler(schema)(schema);
+  return {
+    safeParse(v: unknown) {
+      const issues: JsonSchemaIssue[] = [];
+      check(v, [], issues);
+      return issues.length === 0 ? { success: true, data: v } : { success: false, error: { issues } };
+    },
+  } as ZodLike<unknown>;
+}
+
+/**
+ * Pick paths from a JSON Schema's declared properties. Arrays are transparent
+ * (items are followed without adding a path segment), allOf/anyOf/oneOf branches
+ * contribute their properties, and `required` keys missing from `properties` are
+ * picked whole. A subschema is picked whole when its `type` admits anything but
+ * objects and arrays (e.g. ["object", "null"]) or when it sets additionalProperties
+ * (other than false) or patternProperties. Without those, undeclared keys are
+ * dropped even though JSON Schema allows them by default — picking narrows to what
+ * the schema names. Returns null when nothing can be narrowed.
+ */
+function jsonSchemaPickPaths(root: JsonSchema): PathSegment[][] | null {
+  const containerOnly = (s: Record<string, any>): boolean =>
+    s.type === undefined || ([] as unknown[]).concat(s.type).every((t) => t === "object" || t === "array");
+
+  // null = "keep this whole subtree"; a $ref already being expanded on this
+  // branch (a recursive schema) is kept whole rather than unrolled
+  function walk(schema: unknown, prefix: string[], refs: string[]): PathSegment[][] | null {
+    while (schema && typeof schema === "object" && typeof (schema as any).$ref === "string") {
+      const ref: string = (schema as any).$ref;
+      if (refs.includes(ref)) return null;
+      refs = [...refs, ref];
+      try { schema = resolveSchemaRef(root, ref); } catch { return null; }
+    }
+    if (!schema || typeof schema !== "object") return null;
+    const s = schema as Record<string, any>;
+    if (!containerOnly(s)) return null;
+    if (s.items !== undefined && !Array.isArray(s.items) && !Array.isArray(s.prefixItems)) {
+      return walk(s.items, prefix, refs);
+    }
+    if (s.additionalProperties !== undefined && s.additionalProperties !== false) return null;
+    if (s.patternProperties !== undefined) return null;
+
+    const props = new Map<string, unknown[]>();
+    const required = new Set<string>();
+    for (const branch of [s, ...(s.allOf ?? []), ...(s.anyOf ?? []), ...(s.oneOf ?? [])]) {
+      let b = branch;
+      for (let hops = 0; b && typeof b === "object" && typeof b.$ref === "string" && hops < 32; hops++) {
+        try { b = resolveSchemaRef(root, b.$ref); } catch { return null; }
+      }
+      if (b && typeof b === "object") {
+        if (!containerOnly(b)) return null;
+        if (Array.isArray(b.required)) for (const key of b.required) if (typeof key === "string") required.add(key);
+      }
+      // A branch without declared properties may admit anything (or a scalar)
+      if (!b || typeof b !== "object" || !b.properties || typeof b.properties !== "object") {
+        if (branch === s) continue;
+        return null;
+      }
+      for (const [key, sub] of Object.entries(b.properties)) {
+        if (!props.has(key)) props.set(key, []);
+        props.get(key)!.push(sub);
+      }
+    }
+    // A required key with no declared schema can hold anything
+    for (const key of required) if (!props.has(key)) props.set(key, [true]);
+    if (props.size === 0) return null;
+
+    const paths: PathSegment[][] = [];
+    for (const [key, subs] of props) {
+      const fullPath = [...prefix, key];
+      let nested: PathSegment[][] | null = [];
+      for (const sub of subs) {
+        const p = walk(sub, fullPath, refs);
+        if (!p) { nested = null; break; }
+        nested.push(...p);
+      }
+      if (nested && nested.length > 0) paths.push(...nested);
+      else paths.push(fullPath.map((seg) => /^\d+$/.test(seg) ? +seg : seg));
+    }
+    return paths;
+  }
+  return walk(root, [], []);
+}
+
+// --- Streaming schema validation ---
+// Checks each value against the part of the schema that applies at its path as
+// soon as the value completes. JSON Schemas are navigated through properties,
+// patternProperties, additionalProperties, prefixItems and items (following $ref
+// and allOf); Zod-like schemas through .shape/.entries/.props and array .element.
+// Branches that can't be chosen yet (anyOf/oneOf/if) are left to the final check.
+// A container's children were checked as they closed, so closing it only adds
+// its own rules: JSON Schema checks reuse the results kept for its children, and
+// a Zod-like object only checks the fields it is missing (rules on the whole
+// object or array, such as refinements and lengths, are left to the final check).
+
+interface SchemaWatcher {
+  /** Issues for a completed value that haven't been reported yet for this document. */
+  check(path: (string | number)[], value: unknown): JsonSchemaIssue[];
+  reset(): void;
+}
+
+function createSchemaWatcher(schema: unknown): SchemaWatcher | null {
+  let checkAt: (path: (string | number)[], value: unknown) => JsonSchemaIssue[];
+  if (isJsonSchema(schema)) checkAt = jsonSchemaCheckAt(schema);
+  else if (schema && typeof (schema as any).safeParse === "function") checkAt = zodLikeCheckAt(schema);
+  else return null;
+  // A container's check revisits its children — report each issue once
+  const reported = new Set<string>();
+  return {
+    check(path, value) {
+      const fresh: JsonSchemaIssue[] = [];
+      for (const issue of checkAt(path, value)) {
+        const key = JSON.stringify([issue.path, issue.message]);
+        if (reported.has(key)) continue;
+        reported.add(key);
+        fresh.push(issue);
+      }
+      return fresh;
+    },
+    reset() { reported.clear(); },
+  };
+}
+
+function jsonSchemaCheckAt(root: JsonSchema): (path: (string | number)[], value: unknown) => JsonSchemaIssue[] {
+  const compile = jsonSchemaCompiler(root, true);
+  const patterns = new Map<string, RegExp>();
+
+  /** Collect the subschemas that apply to child `seg` of a value matching `schema`. */
+  function children(schema: JsonSchema, seg: string | number, out: JsonSchema[], seen: Set<object>) {
+    if (typeof schema !== "object" || seen.has(schema)) return;
+    seen.add(schema);
+    const s = schema as Record<string, any>;
+    if (typeof s.$ref === "string") children(resolveSchemaRef(root, s.$ref), seg, out, seen);
+    if (Array.isArray(s.allOf)) for (const sub of s.allOf) children(sub, seg, out, seen);
+    if (typeof seg === "string") {
+      let matched = false;
+      if (s.properties && Object.prototype.hasOwnProperty.call(s.properties, seg)) {
+        out.push(s.properties[seg]);
+        matched = true;
+      }
+      if (s.patternProperties && typeof s.patternProperties === "object") {
+        for (const [p, sub] of Object.entries(s.patternProperties as Record<string, JsonSchema>)) {
+          let re = patterns.get(p);
+          if (!re) patterns.set(p, re = new RegExp(p, "u"));
+          if (re.test(seg)) { out.push(sub); matched = true; }
+        }
+      }
+      if (!matched && s.additionalProperties !== undefined) out.push(s.additionalProperties);
+    } else {
+      const prefix: JsonSchema[] = Array.isArray(s.prefixItems) ? s.prefixItems : Array.isArray(s.items) ? s.items : [];
+      const rest: JsonSchema | undefined = Array.isArray(s.items) ? s.additionalItems : s.items;
+      if (seg < prefix.length) out.push(prefix[seg]);
+      else if (rest !== undefined) out.push(rest);
+    }
+  }
+
+  return (path, value) => {
+    let current: JsonSchema[] = [root];
+    for (const seg of path) {
+      const next: JsonSchema[] = [];
+      for (const s of current) children(s, seg, next, new Set());
+      if (next.length === 0) return [];
+      current = next;
+    }
+    const issues: JsonSchemaIssue[] = [];
+    for (const s of current) compile(s)(value, path.slice(), issues);
+    return issues;
+  };
+}
+
+function zodLikeCheckAt(root: any): (path: (string | number)[], value: unknown) => JsonSchemaIssue[] {
+  const shapeOf = (schema: any) => schema?.shape ?? schema?._def?.shape?.() ?? schema?.entries ?? schema?.props;
+
+  function issuesOf(schema: any, value: unknown, path: (string | number)[]): JsonSchemaIssue[] {
+    if (typeof schema?.safeParse !== "function") return [];
+    const result = schema.safeParse(value);
+    if (result.success) return [];
+    const issues = result.error?.issues;
+    if (!Array.isArray(issues) || issues.length === 0) return [{ path: path.slice(), message: "does not match the schema" }];
+    return issues.map((i: any) => ({
+      path: [...path, ...(Array.isArray(i.path) ? i.path.filter((p: unknown) => typeof p === "string" || typeof p === "number") : [])],
+      message: String(i.message ?? "does not match the schema"),
+    }));
+  }
+
+  return (path, value) => {
+    let schema = root;
+    for (const seg of path) {
+      schema = typeof seg === "number" ? schema?.element ?? schema?.item : shapeOf(schema)?.[seg];
+      if (!schema) return [];
+    }
+    const shape = shapeOf(schema);
+    if (shape && typeof shape === "object" && value && typeof value === "object" && !Array.isArray(value)) {
+      const issues: JsonSchemaIssue[] = [];
+      for (const key of Object.keys(shape)) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) issues.push(...issuesOf(shape[key], undefined, [...path, key]));
+      }
+      return issues;
+    }
+    if (Array.isArray(value) && (schema.element ?? schema.item)) return [];
+    return issuesOf(schema, value, path);
+  };
+}
+
+/** "VectorJSON: Schema validation failed at users.0.age: must be integer" */
+function schemaErrorMessage(issue: JsonSchemaIssue): string {
+  return `VectorJSON: Schema validation failed at ${issue.path.length > 0 ? issue.path.join(".") : "(root)"}: ${issue.message}`;
+}
+
+function resolveDuplicateKeyPolicy(policy: DuplicateKeyPolicy | undefined): DuplicateKeyPolicy {
+  if (policy === undefined) return "last";
+  if (policy !== "first" && policy !== "last" && policy !== "error" && policy !== "collect") {
+    throw new TypeError(`VectorJSON: Invalid duplicateKeys option "${policy}" (expected "first", "last", "error" or "collect")`);
+  }
+  return policy;
+}
+
+/** Keys that reach an object's prototype when app code assigns or merges them. */
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+function resolveUnsafeKeyPolicy(policy: UnsafeKeyPolicy | undefined): UnsafeKeyPolicy {
+  if (policy === undefined) return "define";
+  if (policy !== "define" && policy !== "error" && policy !== "rename") {
+    throw new TypeError(`VectorJSON: Invalid unsafeKeys option "${policy}" (expected "define", "error" or "rename")`);
+  }
+  return policy;
+}
+
+function resolveValidateMode(mode: ValidateMode | undefined): ValidateMode {
+  if (mode === undefined) return "complete";
+  if (mode !== "complete" && mode !== "streaming") {
+    throw new TypeError(`VectorJSON: Invalid validate option "${mode}" (expected "complete" or "streaming")`);
+  }
+  return mode;
+}
+
+// --- Parse error location ---
+// The engine records the code and byte offset of every failure: doc_parse and
+// check_limits through get_error_code()/get_error_offset(), streams through
+// stream_get_error(). JsonParseError turns them into a line, column and snippet.
+
+/** Engine error codes (ERROR_MESSAGES) as JsonErrorCodes. */
+const ENGINE_ERROR_CODES: Record<number, JsonErrorCode> = {
+  1: "max_depth", 2: "too_large", 3: "invalid_escape", 4: "invalid_unicode", 5: "invalid_number",
+  6: "expected_colon", 7: "expected_key", 8: "expected_comma_or_bracket", 9: "expected_comma_or_brace",
+  10: "unexpected_end", 11: "unexpected_end", 12: "trailing_content", 13: "out_of_memory",
+  20: "max_string_length", 21: "max_array_length", 22: "max_object_keys", 23: "max_bytes",
+  24: "invalid_literal", 25: "control_character", 26: "unexpected_character", 27: "unmatched_bracket",
+  28: "invalid_utf8",
+};
+
+/** Nesting limit of the engine's DOM parser. */
+const MAX_NESTING = 1024;
+
+function isDigit(c: number): boolean {
+  return c >= 0x30 && c <= 0x39;
+}
+
+function isIdentByte(c: number, first: boolean): boolean {
+  return ((c | 0x20) >= 0x61 && (c | 0x20) <= 0x7A) || c === 0x5F || c === 0x24 || (!first && isDigit(c));
+}
+
+/** Line, column and a caret snippet for a byte offset. */
+function sourceLocation(b: Uint8Array, offset: number): { line: number; column: number; snippet: string } {
+  const at = Math.min(offset, b.length);
+  let line = 1, lineStart = 0;
+  for (let k = 0; k < at; k++) {
+    if (b[k] === 0x0A) { line++; lineStart = k + 1; }
+  }
+  let lineEnd = at;
+  while (lineEnd < b.length && b[lineEnd] !== 0x0A && b[lineEnd] !== 0x0D) lineEnd++;
+  const before = utf8Decoder.decode(b.subarray(lineStart, at)).replace(/\r$/, "");
+  const after = utf8Decoder.decode(b.subarray(at, lineEnd));
+  // Keep long minified lines readable: 40 characters either side of the error
+  const head = before.length > 40 ? "…" + before.slice(-40) : before;
+  const tail = after.length > 40 ? after.slice(0, 40) + "…" : after;
+  return { line, column: before.length + 1, snippet: `${head}${tail}\n${head.replace(/[^\t]/g, " ")}^` };
+}
+
+// --- Resource limits ---
+// ParseLimits are enforced by the stream scanner in stream.zig: streams check
+// them as bytes arrive, parse() runs the same scan over its staged input
+// (check_limits) before it takes a document slot. Either way the engine
+// records the limit and the offset of the value that broke it.
+
+/** ParseLimits with every field set; 0 = no limit. */
+interface ResolvedLimits {
+  maxBytes: number;
+  maxDepth: number;
+  maxStringLength: number;
+  maxArrayLength: number;
+  maxObjectKeys: number;
+}
+
+const LIMIT_KEYS = ["maxBytes", "maxDepth", "maxStringLength", "maxArrayLength", "maxObjectKeys"] as const;
+
+/** Validate a `limits` option; null when no limit is set. */
+function resolveLimits(limits: ParseLimits | undefined): ResolvedLimits | null {
+  if (limits === undefined) return null;
+  if (limits === null || typeof limits !== "object") {
+    throw new TypeError("VectorJSON: limits must be an object");
+  }
+  const resolved = {} as ResolvedLimits;
+  for (const key of LIMIT_KEYS) {
+    const value = limits[key] ?? 0;
+    if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+      throw new RangeError(`VectorJSON: limits.${key} must be a non-negative integer`);
+    }
+    resolved[key] = value;
+  }
+  return LIMIT_KEYS.some((key) => resolved[key] > 0) ? resolved : null;
+}
+
+// --- JSON repair ---
+// `repair: true` rewrites common LLM mistakes into strict JSON in one pass, ahead
+// of the engine. Comments, trailing commas, single quotes and unquoted keys follow
+// the JSON5 preprocessor's rules; Python literals, smart quotes and raw control
+// characters in strings are fixed on top. Chunks may split anywhere, so a comma,
+// a `/` or a word that may still become `True`/`False`/`None` is held back until
+// the next character decides what it is, or until end().
+//
+// It doesn't reuse the JSON5 path (preprocess_json5 + DomParserJson5): that
+// rewrites a whole buffer without saying what it changed, also turns hex and NaN
+// into other values, and only feeds DomParserJson5. Repairs must be reported with
+// offsets, survive any chunk split, and yield strict JSON that the stream scanner,
+// autocomplete and limits handle like any other input.
+
+interface JsonRepairer {
+  /** Repair the next chunk; returns the strict JSON that is ready so far. */
+  push(text: string): string;
+  /** Flush held-back text at the end of the input. */
+  end(): string;
+  /** Whether text is held back for the next chunk or end(). */
+  readonly pending: boolean;
+  /** Repairs applied so far, in the order they were made. */
+  readonly repairs: JsonRepair[];
+}
+
+const PYTHON_LITERALS: Record<string, string> = { True: "true", False: "false", None: "null" };
+const CONTROL_ESCAPES: Record<string, string> = { "\b": "\\b", "\t": "\\t", "\n": "\\n", "\f": "\\f", "\r": "\\r" };
+
+function isIdentChar(ch: string, first: boolean): boolean {
+  return isIdentByte(ch.charCodeAt(0), first);
+}
+
+function createRepairer(): JsonRepairer {
+  const repairs: JsonRepair[] = [];
+  const objects: boolean[] = []; // open containers, innermost last: true = object
+  let pos = 0;                   // input offset of the character being read
+  let expectKey = false;
+  // Strings
+  let close = "";                // closing quote of the open string, "" outside strings
+  let requote = false;           // the open string's quotes are rewritten to "
+  let escaped = false;           // a backslash is held inside a string
+  let controlNoted = false;      // control_character already reported for this string
+  // Comments and held-back tokens
+  let comment = 0;               // 1 = line comment, 2 = block comment
+  let star = false;              // previous block comment character was *
+  let slash = -1;                // offset of a held `/`
+  let comma = -1;                // offset of a held comma
+  let gap = "";                  // whitespace read after the held comma
+  let word = "", wordAt = 0;     // bare value word that may still be a Python literal
+  let bareKey = false;           // inside an unquoted key (already opened with ")
+  let bareWord = false;          // inside a bare value word passed through as-is
+
+  const note = (kind: JsonRepairKind, offset: number) => { repairs.push({ kind, offset }); };
+
+  /** Extend the held value word with `ch`; returns what can be emitted. */
+  function growWord(ch: string): string {
+    const w = word + ch;
+    word = "";
+    // A whole literal stays held too: `Nonesuch` is a bare word, not null + "such"
+    for (const py in PYTHON_LITERALS) {
+      if (py.startsWith(w)) { word = w; return ""; }
+    }
+    bareWord = true;
+    return w;
+  }
+
+  /** Release the held word once a non-identifier character has ended it. */
+  function endWord(): string {
+    const literal = PYTHON_LITERALS[word];
+    if (literal) note("python_literal", wordAt);
+    const out = literal ?? word;
+    word = "";
+    return out;
+  }
+
+  function stringChar(ch: string): string {
+    if (escaped) {
+      escaped = false;
+      // \' is an escape only in single-quoted source; JSON needs none
+      return requote && ch === "'" ? ch : "\\" + ch;
+    }
+    if (ch === "\\") { escaped = true; return ""; }
+    if (ch === close) { close = ""; return '"'; }
+    if (requote && ch === '"') return '\\"';
+    if (ch < " ") {
+      if (!controlNoted) { controlNoted = true; note("control_character", pos); }
+      return CONTROL_ESCAPES[ch] ?? "\\u" + ch.charCodeAt(0).toString(16).padStart(4, "0");
+    }
+    return ch;
+  }
+
+  function token(ch: string): string {
+    switch (ch) {
+      case " ": case "\t": case "\n": case "\r":
+        if (comma < 0) return ch;
+        gap += ch;
+        return "";
+      case "/":
+        slash = pos;
+        return "";
+    }
+    let out = "";
+    if (comma >= 0) {
+      if (ch === "}" || ch === "]") note("trailing_comma", comma);
+      else out = ","; // `,,` is left for the engine to report
+      out += gap;
+      comma = -1;
+      gap = "";
+    }
+    switch (ch) {
+      case ",":
+        comma = pos;
+        expectKey = objects.length > 0 && objects[objects.length - 1];
+        return out;
+      case "}": case "]":
+        objects.pop();
+        expectKey = false;
+        return out + ch;
+    }
+    const key = expectKey;
+    expectKey = false;
+    switch (ch) {
+      case "{": objects.push(true); expectKey = true; return out + ch;
+      case "[": objects.push(false); return out + ch;
+      case '"': close = '"'; requote = false; break;
+      case "'": close = "'"; requote = true; note("single_quotes", pos); break;
+      case "\u201C": close = "\u201D"; requote = true; note("smart_quotes", pos); break;
+      case "\u2018": close = "\u2019"; requote = true; note("smart_quotes", pos); break;
+      default:
+        if (!isIdentChar(ch, true)) return out + ch;
+        if (key) {
+          note("unquoted_key", pos);
+          bareKey = true;
+          return out + '"' + ch;
+        }
+        wordAt = pos;
+        return out + growWord(ch);
+    }
+    controlNoted = false;
+    return out + '"';
+  }
+
+  return {
+    repairs,
+    get pending(): boolean {
+      return escaped || bareKey || word !== "" || comma >= 0 || slash >= 0;
+    },
+    push(text: string): string {
+      let out = "";
+      for (let i = 0; i < text.length; i++, pos++) {
+        const ch = text[i]!;
+        if (comment === 1) {
+          if (ch === "\n" || ch === "\r") { comment = 0; out += token(ch); }
+          continue;
+        }
+        if (comment === 2) {
+          if (star && ch === "/") comment = 0;
+          star = ch === "*";
+          continue;
+        }
+        if (close) { out += stringChar(ch); continue; }
+        if (bareKey || bareWord || word) {
+          if (isIdentChar(ch, false)) {
+            out += word ? growWord(ch) : ch;
+            continue;
+          }
+          if (bareKey) out += '"';
+          out += endWord();
+          bareKey = bareWord = false;
+        }
+        if (slash >= 0) {
+          const at = slash;
+          slash = -1;
+          if (ch === "/" || ch === "*") {
+            comment = ch === "/" ? 1 : 2;
+            star = false;
+            note("comment", at);
+            continue;
+          }
+          out += "/";
+        }
+        out += token(ch);
+      }
+      return out;
+    },
+    end(): string {
+      let out = escaped ? "\\" : "";
+      if (bareKey) out += '"';
+      if (word) {
+        // A whole literal, or a truncated one: `Tr` → `tr`, which partial parsing completes to true
+        for (const py in PYTHON_LITERALS) {
+          if (py.startsWith(word)) { note("python_literal", wordAt); out += PYTHON_LITERALS[py]!.slice(0, word.length); break; }
+        }
+      }
+      if (comma >= 0) out += "," + gap;
+      if (slash >= 0) out += "/";
+      escaped = bareKey = bareWord = false;
+      word = gap = "";
+      comma = slash = -1;
+      return out;
+    },
+  };
+}
+
+/** Repair a whole input at once. */
+function repairJson(input: string): { text: string; repairs: JsonRepair[] } {
+  const repairer = createRepairer();
+  const text = repairer.push(input) + repairer.end();
+  return { text, repairs: repairer.repairs };
+}
+
+// --- JSON extraction ---
+// Finds every top-level object and array in mixed text. An opening bracket in
+// prose starts a candidate that is only matched bracket for bracket (skipping
+// strings); once it balances, the engine parses it. A candidate that fails
+// either way was prose after all, and scanning resumes just after its bracket.
+
+interface JsonScanSink {
+  text(text: string): void;
+  /** A candidate's brackets balanced; false rejects it (it is rescanned as prose). */
+  value(source: string, start: number, end: number, context: ExtractedJson["context"]): boolean;
+}
+
+function createJsonScanner(sink: JsonScanSink): { push(text: string): void; end(): void } {
+  // Input not yet reported, from the start of pending prose; `held` is the input offset of chunks[0]
+  const chunks: string[] = [];
+  let held = 0;
+  let c = 0, k = 0;        // scan position: chunk index and offset in it
+  let pos = 0;             // scan position as an input offset
+  let proseFrom = 0;       // input offset of prose not yet reported
+  let context: ExtractedJson["context"] = "text";
+  let outer: ExtractedJson["context"] = "text"; // context to return to when a fence closes
+  let recent = "";         // last prose characters, for tags split across chunks
+  let ticks = 0;           // run of backticks in prose
+  // Candidate
+  let candStart = -1;      // input offset of its bracket, -1 when there is none
+  let candChunk = 0, candOffset = 0;
+  const open: string[] = [];
+  let inString = false;
+  let escaped = false;
+
+  /** Input between two offsets, across chunks. */
+  function slice(from: number, to: number): string {
+    let out = "";
+    let at = held;
+    for (const chunk of chunks) {
+      const end = at + chunk.length;
+      if (end > from) out += chunk.slice(Math.max(from - at, 0), Math.min(to, end) - at);
+      if (end >= to) break;
+      at = end;
+    }
+    return out;
+  }
+
+  function flushProse(to: number) {
+    if (to > proseFrom) sink.text(slice(proseFrom, to));
+    proseFrom = to;
+  }
+
+  /** A run of three or more backticks opens or closes a fence once it ends. */
+  function trackFence(ch: string) {
+    if (ch === "`") { ticks++; return; }
+    if (ticks >= 3) {
+      if (context === "fence") context = outer;
+      else { outer = context; context = "fence"; }
+    }
+    ticks = 0;
+  }
+
+  /** Track fences and think tags through prose. */
+  function proseChar(ch: string) {
+    trackFence(ch);
+    recent = (recent + ch).slice(-8);
+    if (context !== "fence") {
+      if (recent.endsWith("<think>")) context = "think";
+      else if (recent.endsWith("</think>")) context = "text";
+    }
+  }
+
+  /** The candidate is not JSON: its bracket is prose, and the scan resumes just after it. */
+  function reject() {
+    c = candChunk;
+    k = candOffset + 1;
+    pos = candStart + 1;
+    candStart = -1;
+    proseChar(chunks[c]![candOffset]!);
+  }
+
+  function close() {
+    flushProse(candStart);
+    if (sink.value(slice(candStart, pos), candStart, pos, context)) {
+      candStart = -1;
+      proseFrom = pos;
+    } else {
+      reject();
+    }
+  }
+
+  function scan() {
+    while (c < chunks.length) {
+      const chunk = chunks[c]!;
+      if (k >= chunk.length) { c++; k = 0; continue; }
+      const ch = chunk[k]!;
+      k++;
+      pos++;
+      if (candStart < 0) {
+        if (ch === "{" || ch === "[") {
+          trackFence(ch);
+          candStart = pos - 1;
+          candChunk = c;
+          candOffset = k - 1;
+          open.length = 0;
+          open.push(ch);
+          inString = escaped = false;
+        } else {
+          proseChar(ch);
+        }
+        continue;
+      }
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === "{" || ch === "[") {
+        if (open.length >= MAX_NESTING) reject();
+        else open.push(ch);
+      } else if (ch === "}" || ch === "]") {
+        if (open.pop() !== (ch === "}" ? "{" : "[")) reject();
+        else if (open.length === 0) close();
+      }
+    }
+  }
+
+  /** Report the prose before the open candidate and drop chunks nothing points into. */
+  function settle() {
+    flushProse(candStart < 0 ? pos : candStart);
+    let drop = 0;
+    while (drop < chunks.length && held + chunks[drop]!.length <= proseFrom) held += chunks[drop++]!.length;
+    chunks.splice(0, drop);
+    c -= drop;
+    candChunk -= drop;
+  }
+
+  return {
+    push(text: string) {
+      if (text) chunks.push(text);
+      scan();
+      settle();
+    },
+    end() {
+      // Each pass gives up the open candidate's bracket, so this ends
+      while (candStart >= 0) {
+        reject();
+        scan();
+      }
+      settle();
+    },
+  };
+}
+
+// --- Tape cache storage ---
+// Backends for createTapeCache(): tape files in a directory (Node) or an
+// IndexedDB database (browsers). Entries carry size and last use for eviction.
+
+interface TapeCacheEntry { key: string; size: number; used: number }
+
+interface TapeCacheStore {
+  read(key: string): Promise<Uint8Array | null>;
+  write(key: string, tape: ArrayBuffer): Promise<void>;
+  /** Mark an entry as just used. */
+  touch(key: string): Promise<void>;
+  remove(key: string): Promise<boolean>;
+  entries(): Promise<TapeCacheEntry[]>;
+}
+
+async function fileTapeStore(dir: string): Promise<TapeCacheStore> {
+  const fs = await import("node:fs/promises");
+  const { join } = await import("node:path");
+  await fs.mkdir(dir, { recursive: true });
+  const file = (key: string) => join(dir, `${key}.tape`);
+  const missing = (err: unknown) => (err as { code?: string } | null)?.code === "ENOENT";
+  return {
+    async read(key) {
+      try { return await fs.readFile(file(key)); }
+      catch (err) { if (missing(err)) return null; throw err; }
+    },
+    async write(key, tape) {
+      // Write then rename so a concurrent reader never sees a partial tape
+      const tmp = `${file(key)}.${Math.random().toString(36).slice(2)}.tmp`;
+      await fs.writeFile(tmp, new Uint8Array(tape));
+      await fs.rename(tmp, file(key));
+    },
+    async touch(key) {
+      const now = new Date();
+      try { await fs.utimes(file(key), now, now); }
+      catch (err) { if (!missing(err)) throw err; }
+    },
+    async remove(key) {
+      try { await fs.unlink(file(key)); return true; }
+      catch (err) { if (missing(err)) return false; throw err; }
+    },
+    async entries() {
+      const out: TapeCacheEntry[] = [];
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith(".tape")) continue;
+        try {
+          const stat = await fs.stat(join(dir, name));
+          out.push({ key: name.slice(0, -".tape".length), size: stat.size, used: stat.mtimeMs });
+        } catch (err) { if (!missing(err)) throw err; }
+      }
+      return out;
+    },
+  };
+}
+
+function idbRequest<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function idbTapeStore(name: string): Promise<TapeCacheStore> {
+  const open = indexedDB.open(name, 1);
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore("tapes");
+    open.result.createObjectStore("entries", { keyPath: "key" });
+  };
+  const db = await idbRequest(open);
+  return {
+    async read(key) {
+      const tape = await idbRequest(db.transaction("tapes").objectStore("tapes").get(key)) as ArrayBuffer | undefined;
+      return tape ? new Uint8Array(tape) : null;
+    },
+    async write(key, tape) {
+      const tx = db.transaction(["tapes", "entries"], "readwrite");
+      tx.objectStore("tapes").put(tape, key);
+      tx.objectStore("entries").put({ key, size: tape.byteLength, used: Date.now() });
+      await idbDone(tx);
+    },
+    async touch(key) {
+      const tx = db.transaction("entries", "readwrite");
+      const entries = tx.objectStore("entries");
+      const entry = await idbRequest(entries.get(key)) as TapeCacheEntry | undefined;
+      if (entry) entries.put({ ...entry, used: Date.now() });
+      await idbDone(tx);
+    },
+    async remove(key) {
+      const tx = db.transaction(["tapes", "entries"], "readwrite");
+      const found = await idbRequest(tx.objectStore("entries").count(key)) > 0;
+      tx.objectStore("tapes").delete(key);
+      tx.objectStore("entries").delete(key);
+      await idbDone(tx);
+      return found;
+    },
+    async entries() {
+      return await idbRequest(db.transaction("entries").objectStore("entries").getAll()) as TapeCacheEntry[];
+    },
+  };
+}
+
+// --- Server-Sent Events decoder ---
+// Runs in plain JS (no WASM): SSE framing is line-oriented and the payloads are small.
+
+/** Iterate raw chunks from a Response, ReadableStream, or async iterable. */
+async function* iterateChunks(input: SSEInput): AsyncGenerator<Uint8Array | string> {
+  const body = typeof (input as Response).arrayBuffer === "function" && "body" in (input as Response)
+    ? (input as Response).body
+    : input as ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>;
+  if (!body) return;
+  if (typeof (body as ReadableStream).getReader === "function") {
+    const reader = (body as ReadableStream<Uint8Array>).getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        if (value) yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  yield* body as AsyncIterable<Uint8Array | string>;
+}
+
+/**
+ * Decode a Server-Sent Events stream into `{ event, data, id, retry }` messages.
+ * Handles CRLF/LF/CR line endings, multi-line `data:`, comments, and frames
+ * split at any byte boundary.
+ */
+export async function* readSSE(input: SSEInput): AsyncGenerator<SSEEvent> {
+  const decoder = new TextDecoder("utf-8");
+  let pending = "";      // undecoded tail of the current line
+  let skipLF = false;    // previous chunk ended with \r — swallow a leading \n
+  let eventName = "";
+  let dataLines: string[] = [];
+  let lastId: string | undefined;
+  let retry: number | undefined;
+
+  const takeLine = (line: string): SSEEvent | null => {
+    if (line === "") {
+      // Blank line dispatches the buffered event
+      const name = eventName || "message";
+      const lines = dataLines;
+      const ev: SSEEvent | null = lines.length > 0 ? { event: name, data: lines.join("\n") } : null;
+      if (ev && lastId !== undefined) ev.id = lastId;
+      if (ev && retry !== undefined) ev.retry = retry;
+      eventName = "";
+      dataLines = [];
+      retry = undefined;
+      return ev;
+    }
+    if (line.charCodeAt(0) === 0x3A) return null; // ":" comment
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.charCodeAt(0) === 0x20) value = value.slice(1);
+    switch (field) {
+      case "event": eventName = value; break;
+      case "data": dataLines.push(value); break;
+      case "id": if (!value.includes("\0")) lastId = value; break;
+      case "retry": if (/^\d+$/.test(value)) retry = +value; break;
+    }
+    return null;
+  };
+
+  for await (const chunk of iterateChunks(input)) {
+    let text = typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    if (skipLF) {
+      if (text.charCodeAt(0) === 0x0A) text = text.slice(1);
+      skipLF = false;
+    }
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charCodeAt(i);
+      if (c !== 0x0A && c !== 0x0D) continue;
+      const ev = takeLine(pending + text.slice(start, i));
+      pending = "";
+      if (ev) yield ev;
+      if (c === 0x0D) {
+        if (i + 1 < text.length) { if (text.charCodeAt(i + 1) === 0x0A) i++; }
+        else skipLF = true;
+      }
+      start = i + 1;
+    }
+    pending += text.slice(start);
+  }
+  // Per spec, an unterminated final event is discarded — but most servers
+  // close right after the last data line, so flush it anyway.
+  pending += decoder.decode();
+  if (pending) takeLine(pending);
+  const last = takeLine("");
+  if (last) yield last;
+}
+
+/**
+ * Turn a Server-Sent Events stream into JSON text chunks for `createParser`
+ * / `createEventParser`'s `source` option.
+ *
+ * ```ts
+ * const parser = createEventParser({
+ *   source: sseSource(response, { event: "content_block_delta", path: "delta.partial_json" }),
+ * });
+ * ```
+ *
+ * OpenAI's `data: [DONE]` terminator is skipped.
+ */
+export async function* sseSource(input: SSEInput, options?: SSESourceOptions): AsyncGenerator<string> {
+  const events = options?.event === undefined ? null
+    : typeof options.event === "string" ? [options.event] : options.event;
+  const path = options?.path !== undefined ? compilePath(options.path) : null;
+
+  for await (const ev of readSSE(input)) {
+    if (events && !events.includes(ev.event)) continue;
+    if (ev.data === "[DONE]") continue;
+    if (!path) {
+      if (ev.data) yield ev.data;
+      continue;
+    }
+    let node: unknown;
+    try { node = JSON.parse(ev.data); } catch { continue; }
+    for (const seg of path) {
+      if (node === null || typeof node !== "object") { node = undefined; break; }
+      // Literal keys only — take the first alternative that exists for {a,b}
+      const key = Array.isArray(seg) ? seg.find(k => (node as Record<string | number, unknown>)[k] !== undefined) : seg;
+      node = key === undefined ? undefined : (node as Record<string | number, unknown>)[key];
+    }
+    if (node === undefined || node === null) continue;
+    const text = typeof node === "string" ? node : JSON.stringify(node);
+    if (text) yield text;
+  }
+}
+
+/**
+ * Normalize a createToolCallStream() source into envelopes: SSE bytes/text are
+ * decoded to their `data:` strings, anything else (SDK event objects) passes through.
+ */
+async function* toolCallEnvelopes(source: SSEInput | AsyncIterable<unknown>): AsyncGenerator<unknown> {
+  if (typeof (source as ReadableStream).getReader === "function" || "body" in (source as object)) {
+    for await (const ev of readSSE(source as SSEInput)) yield ev.data;
+    return;
+  }
+  const iter = (source as AsyncIterable<unknown>)[Symbol.asyncIterator]();
+  const first = await iter.next();
+  if (first.done) return;
+  const rest = async function* (): AsyncGenerator<any> {
+    yield first.value;
+    for (let r = await iter.next(); !r.done; r = await iter.next()) yield r.value;
+  };
+  if (typeof first.value === "string" || first.value instanceof Uint8Array) {
+    for await (const ev of readSSE(rest())) yield ev.data;
+  } else {
+    yield* rest();
+  }
+}
+
+// --- Top-level await: auto-initialize with embedded WASM ---
+const _vj = await init();
+
+/** Parse a JSON string or Uint8Array. Synchronous — no init needed. */
+export const parse = _vj.parse;
+
+/** Parse partial/incomplete JSON. Compatible with Vercel AI SDK's parsePartialJson. */
+export const parsePartialJson = _vj.parsePartialJson;
+
+/** Deep-compare two values for structural equality. WASM-accelerated for VJ proxies. */
+export const deepCompare = _vj.deepCompare;
+
+/** Create a streaming parser for incremental JSON parsing. */
+export const createParser = _vj.createParser;
 
 /** Create an event-driven streaming parser with path subscriptions. */
 export const createEventParser = _vj.createEventParser;
@@ -2934,3 +7404,43 @@ export const materialize = _vj.materialize;
 
 /** Import a packed tape buffer into a lazy Proxy (zero-parse transfer from Worker). */
 export const importTape = _vj.importTape;
+/** Export a parsed document as a versioned, optionally checksummed tape buffer. */
+export const exportTape = _vj.exportTape;
+/** Persist parsed documents as tapes in a directory (Node) or IndexedDB, keyed by content hash. */
+export const createTapeCache = _vj.createTapeCache;
+/** Pack many documents into one indexed, transferable buffer. */
+export const packTapes = _vj.packTapes;
+/** Attach lazily to a packed buffer (ArrayBuffer or SharedArrayBuffer). */
+export const attachTapes = _vj.attachTapes;
+
+/** Demultiplex streamed OpenAI/Anthropic tool calls into per-call argument parsers. */
+export const createToolCallStream = _vj.createToolCallStream;
+
+/** Every top-level JSON object and array in mixed text, with source spans. */
+export const extractAll = _vj.extractAll;
+/** Streaming extractAll() with onValue()/onText() callbacks. */
+export const createExtractor = _vj.createExtractor;
+
+/** Select values with a JSONPath expression (walks the tape; only matches are materialized). */
+export const query = _vj.query;
+
+/** Resolve an RFC 6901 JSON Pointer against a parsed value. */
+export const get = _vj.get;
+
+/** Create a streaming JSON writer whose output is a ReadableStream of UTF-8 chunks. */
+export const createWriter = _vj.createWriter;
+
+/** Compute the RFC 6902 JSON Patch that turns `a` into `b`. */
+export const diff = _vj.diff;
+
+/** Apply an RFC 6902 JSON Patch, returning a new value. */
+export const applyPatch = _vj.applyPatch;
+
+/** Apply an RFC 7396 JSON Merge Patch, returning a new value. */
+export const mergePatch = _vj.mergePatch;
+
+/** Report WASM memory held by document slots, streaming parsers and scratch buffers. */
+export const getStats = _vj.getStats;
+
+/** Release memory kept for reuse by free document slots, stream buffers and scratch buffers. */
+export const compact = _vj.compact;
@@ -14,6 +14,7 @@ const DomParser = zimdjson.dom.FullParser(.default);
 const DomParserJson5 = zimdjson.dom.FullParser(.{ .json5 = true });
 
 var last_error_code: i32 = 0;
+var last_error_offset: u32 = 0;
 
 // --- WASM Exports ---
 
@@ -33,6 +34,13 @@ export fn get_error_code() i32 {
     return last_error_code;
 }
 
+/// Byte offset of the input that caused the last failure of doc_parse,
+/// check_limits or a stream (see stream_get_error). For JSON5 documents
+/// (doc_parse_fmt) it points into the preprocessed copy of the input.
+export fn get_error_offset() u32 {
+    return last_error_offset;
+}
+
 // ============================================================
 // Streaming Parser — incremental feed, O(n) total
 // ============================================================
@@ -44,32 +52,140 @@ export fn get_error_code() i32 {
 const stream = @import("stream.zig");
 const FeedStatus = stream.FeedStatus;
 
-/// Global stream state slots (support multiple concurrent streams)
-var streams: [4]?*stream.StreamState = .{ null, null, null, null };
+/// Global stream state slots. Grown on demand; freed slots are reused by the
+/// next stream_create, so the table only ever holds the peak concurrency.
+var streams: std.ArrayListUnmanaged(?*stream.StreamState) = .empty;
+
+/// Maximum concurrent streams (0 = unlimited). Set from JS via init({ maxStreams }).
+var stream_limit: u32 = 0;
+
+/// Number of live streams (occupied slots in `streams`).
+var stream_active: u32 = 0;
 
 fn getStream(id: i32) ?*stream.StreamState {
-    if (id < 0 or id >= streams.len) return null;
-    return streams[@intCast(id)];
+    if (id < 0 or @as(usize, @intCast(id)) >= streams.items.len) return null;
+    return streams.items[@intCast(id)];
 }
 
+/// Create a stream in the first free slot, growing the slot table if all are taken.
+/// Returns the stream ID, or -1 on error:
+///   error code 14 = stream limit reached, 13 = out of memory.
 export fn stream_create(format: i32) i32 {
+    last_error_code = 0;
     const fmt: stream.Format = if (format >= 0 and format <= 2)
         @enumFromInt(format)
     else
         .json;
-    for (&streams, 0..) |*slot, i| {
-        if (slot.* == null) {
-            slot.* = stream.StreamState.init(gpa, fmt) catch return -1;
-            return @intCast(i);
+
+    if (stream_limit != 0 and stream_active >= stream_limit) {
+        last_error_code = 14; // ExceededStreamLimit
+        return -1;
+    }
+
+    var uid: usize = streams.items.len;
+    for (streams.items, 0..) |slot, i| {
+        if (slot == null) {
+            uid = i;
+            break;
         }
     }
-    return -1;
+    if (uid == streams.items.len) {
+        streams.append(gpa, null) catch {
+            last_error_code = 13;
+            return -1;
+        };
+    }
+
+    streams.items[uid] = stream.StreamState.init(gpa, fmt) catch {
+        last_error_code = 13;
+        return -1;
+    };
+    stream_active += 1;
+    return @intCast(uid);
 }
 
 export fn stream_destroy(id: i32) void {
     const s = getStream(id) orelse return;
     s.deinit();
-    streams[@intCast(id)] = null;
+    streams.items[@intCast(id)] = null;
+    stream_active -= 1;
+}
+
+/// Set one stream's resource limits (0 = no limit). Exceeding one puts the
+/// stream in the error state (FeedStatus.err) before the value is parsed.
+export fn stream_set_limits(id: i32, max_bytes: u32, max_depth: u32, max_string_len: u32, max_array_len: u32, max_object_keys: u32) void {
+    const s = getStream(id) orelse return;
+    s.setLimits(max_bytes, max_depth, max_string_len, max_array_len, max_object_keys);
+}
+
+/// Check `len` bytes of JSON against resource limits (0 = no limit) in place,
+/// with the same scan streams run as bytes arrive. Returns 0 if the value is
+/// within the limits, else the limit's error code (20–22, or 1 for depth and
+/// 13 for out of memory) with the offending value at get_error_offset().
+export fn check_limits(ptr: [*]u8, len: u32, max_depth: u32, max_string_len: u32, max_array_len: u32, max_object_keys: u32) i32 {
+    const failure = stream.checkLimits(gpa, ptr[0..len], max_depth, max_string_len, max_array_len, max_object_keys) orelse return 0;
+    last_error_code = failure.code;
+    last_error_offset = failure.offset;
+    return failure.code;
+}
+
+/// Get the failure of a stream in the error state: returns its error code
+/// (0 for stream_fail) and stores its buffer offset for get_error_offset().
+export fn stream_get_error(id: i32) i32 {
+    const s = getStream(id) orelse return 0;
+    last_error_offset = s.failure.offset;
+    return s.failure.code;
+}
+
+/// Put a stream in the error state for a failure the JS scanners found
+/// (a repeated key under duplicateKeys: "error"). Later feeds return err.
+export fn stream_fail(id: i32) void {
+    const s = getStream(id) orelse return;
+    s.status = .err;
+}
+
+/// Set the maximum number of concurrent streams (0 = unlimited).
+/// Lowering the limit below the active count only blocks new streams.
+export fn stream_set_limit(max: u32) void {
+    stream_limit = max;
+}
+
+/// Get the configured stream limit (0 = unlimited).
+export fn stream_get_limit() u32 {
+    return stream_limit;
+}
+
+/// Get the number of live streams.
+export fn stream_get_active_count() u32 {
+    return stream_active;
+}
+
+/// Get the number of allocated stream slots (peak concurrency so far).
+export fn stream_get_slot_count() u32 {
+    return @intCast(streams.items.len);
+}
+
+/// Write a stream's buffer use to batch_buffer: [0] = bytes buffered,
+/// [1] = buffer capacity. Returns -1 if the slot holds no stream.
+export fn stream_get_slot_stats(id: i32) i32 {
+    const s = getStream(id) orelse return -1;
+    batch_buffer[0] = s.buffer_len;
+    batch_buffer[1] = s.buffer_cap;
+    return 0;
+}
+
+/// Shrink live stream buffers to the bytes they hold and drop trailing free
+/// slots from the table. Returns the number of bytes released.
+export fn stream_compact() u32 {
+    var released: usize = 0;
+    for (streams.items) |slot| {
+        if (slot) |s| released += s.shrinkBuffer();
+    }
+    while (streams.items.len > 0 and streams.items[streams.items.len - 1] == null) {
+        streams.items.len -= 1;
+    }
+    streams.shrinkAndFree(gpa, streams.items.len);
+    return @intCast(released);
 }
 
 export fn stream_feed(id: i32, ptr: [*]const u8, len: u32) i32 {
@@ -124,28 +240,103 @@ export fn stream_reset_for_next(id: i32) u32 {
 // can coexist. When a slot is freed, the parser's internal buffers are
 // retained for reuse by the next parse in that slot.
 
-const MAX_DOC_SLOTS = 128;
-var doc_parsers: [MAX_DOC_SLOTS]DomParser = .{DomParser.init} ** MAX_DOC_SLOTS;
-var doc_active: [MAX_DOC_SLOTS]bool = .{false} ** MAX_DOC_SLOTS;
-var doc_is_json5: [MAX_DOC_SLOTS]bool = .{false} ** MAX_DOC_SLOTS;
-
 // --- Source position tracking ---
 // Per-slot arrays mapping tape index → byte offset in the parsed input.
 // Built lazily on first doc_get_src_pos call by correlating tape words with token indices.
 // Used by JS isComplete() to check if a value was autocompleted.
 const DocSrcPos = struct { positions: ?[*]u32 = null, cap: u32 = 0, len: u32 = 0, built: bool = false };
-var doc_src: [MAX_DOC_SLOTS]DocSrcPos = .{DocSrcPos{}} ** MAX_DOC_SLOTS;
+
+/// One document slot. Heap-allocated so parser state never moves when the
+/// slot table grows.
+const DocSlot = struct {
+    parser: DomParser = DomParser.init,
+    /// JSON5 documents parse with a separate comptime parser (see doc_parse_fmt).
+    parser_json5: DomParserJson5 = DomParserJson5.init,
+    active: bool = false,
+    is_json5: bool = false,
+    src: DocSrcPos = .{},
+    /// Whether any object in the document repeats a key: null until
+    /// doc_find_field or doc_find_duplicate_key first needs to know.
+    repeats_key: ?bool = null,
+    /// Set while the tape lives in a tape pack (doc_attach_tape): the slot's
+    /// own tape buffer, put back when the slot is freed.
+    borrowed: ?Borrowed = null,
+};
+
+/// A slot reading its tape in place from a tape pack.
+const Borrowed = struct {
+    pack: *TapePack,
+    input_len: u32,
+    owned_words: std.ArrayListUnmanaged(u64),
+};
+
+/// Document slots. Grown on demand like `streams`; freed slots are reused by
+/// the next parse, so the table only ever holds the peak number of live docs.
+var doc_slots: std.ArrayListUnmanaged(*DocSlot) = .empty;
+
+/// Maximum live documents (0 = unlimited). Set from JS via init({ maxDocuments }).
+var doc_limit: u32 = 0;
+
+/// Number of live documents (active slots in `doc_slots`).
+var doc_active_count: u32 = 0;
+
+/// Find a free document slot, growing the slot table if all are taken.
+/// The slot is not marked active — callers do that once parsing succeeds.
+/// Returns null on error: error code 19 = document limit reached, 13 = out of memory.
+fn findFreeDocSlot() ?usize {
+    if (doc_limit != 0 and doc_active_count >= doc_limit) {
+        last_error_code = 19; // ExceededDocumentLimit
+        return null;
+    }
+    for (doc_slots.items, 0..) |slot, i| {
+        if (!slot.active) return i;
+    }
+    const slot = gpa.create(DocSlot) catch {
+        last_error_code = 13;
+        return null;
+    };
+    slot.* = .{};
+    doc_slots.append(gpa, slot) catch {
+        gpa.destroy(slot);
+        last_error_code = 13;
+        return null;
+    };
+    return doc_slots.items.len - 1;
+}
+
+/// Mark a slot live after a successful parse or import.
+fn activateDocSlot(slot: *DocSlot, json5: bool) void {
+    slot.active = true;
+    slot.is_json5 = json5;
+    slot.repeats_key = null;
+    doc_active_count += 1;
+}
+
+fn getDocSlot(doc_id: i32) ?*DocSlot {
+    if (doc_id < 0 or @as(usize, @intCast(doc_id)) >= doc_slots.items.len) return null;
+    const slot = doc_slots.items[@intCast(doc_id)];
+    return if (slot.active) slot else null;
+}
+
+/// The parser holding a slot's tape.
+fn slotParser(slot: *DocSlot) *DomParser {
+    if (slot.is_json5) {
+        // DomParser and DomParserJson5 have identical memory layout —
+        // same fields (document_buffer, tape, max_capacity) at same offsets.
+        // The only difference is comptime dispatch in buildFromSlice (already done).
+        // Safe to reinterpret the pointer for tape navigation.
+        return @ptrCast(&slot.parser_json5);
+    }
+    return &slot.parser;
+}
 
 /// Build source position array for a document slot by walking tape + tokens in parallel.
 /// Token indices contain byte offsets of ALL structural characters ({, }, [, ], :, ", etc.).
 /// Tape words correspond to value-producing tokens. We skip `:` and `,` tokens that don't
 /// produce tape entries.
-fn buildDocSrcPositions(uid: usize) void {
-    const p = if (doc_is_json5[uid])
-        @as(*DomParser, @ptrCast(&doc_parsers_json5[uid]))
-    else
-        &doc_parsers[uid];
-    const sp = &doc_src[uid];
+fn buildDocSrcPositions(slot: *DocSlot) void {
+    const p = slotParser(slot);
+    const sp = &slot.src;
 
     // Compute tape length from root word (non-streaming mode uses pointer arithmetic,
     // so words.items().len is 0; the root word stores the total tape word count).
@@ -216,17 +407,8 @@ fn buildDocSrcPositions(uid: usize) void {
 }
 
 fn getDocParser(doc_id: i32) ?*DomParser {
-    if (doc_id < 0 or doc_id >= MAX_DOC_SLOTS) return null;
-    const uid: usize = @intCast(doc_id);
-    if (!doc_active[uid]) return null;
-    if (doc_is_json5[uid]) {
-        // DomParser and DomParserJson5 have identical memory layout —
-        // same fields (document_buffer, tape, max_capacity) at same offsets.
-        // The only difference is comptime dispatch in buildFromSlice (already done).
-        // Safe to reinterpret the pointer for tape navigation.
-        return @ptrCast(&doc_parsers_json5[uid]);
-    }
-    return &doc_parsers[uid];
+    const slot = getDocSlot(doc_id) orelse return null;
+    return slotParser(slot);
 }
 
 /// Get the tape count for a parsed document (root word's data.ptr = total word count).
@@ -236,34 +418,25 @@ inline fn docTapeCount(p: *DomParser) u32 {
 }
 
 /// Parse JSON bytes and store the result in a document slot.
-/// Returns slot ID (0..127) on success, or -1 on error.
+/// Returns the slot ID on success, or -1 on error.
 /// The error code is available via get_error_code().
 export fn doc_parse(ptr: [*]const u8, len: u32) i32 {
     last_error_code = 0;
 
-    // Find a free slot (for/else returns first free index or early-returns -1)
-    const uid: usize = for (doc_active, 0..) |active, i| {
-        if (!active) break i;
-    } else {
-        last_error_code = 2; // ExceededCapacity
-        return -1;
-    };
+    const uid = findFreeDocSlot() orelse return -1;
+    const slot = doc_slots.items[uid];
 
-    _ = doc_parsers[uid].parseFromSlice(gpa, ptr[0..len]) catch |err| {
-        last_error_code = mapError(err);
+    _ = slot.parser.parseFromSlice(gpa, ptr[0..len]) catch |err| {
+        recordParseError(&slot.parser, err, ptr[0..len]);
         return -1;
     };
 
-    doc_active[uid] = true;
-    doc_is_json5[uid] = false;
-    doc_src[uid].built = false; // mark for lazy build on first src_pos query
+    activateDocSlot(slot, false);
+    slot.src.built = false; // mark for lazy build on first src_pos query
 
     return @intCast(uid);
 }
 
-// --- JSON5 document slots (separate array for json5 comptime parser) ---
-var doc_parsers_json5: [MAX_DOC_SLOTS]DomParserJson5 = .{DomParserJson5.init} ** MAX_DOC_SLOTS;
-
 /// Preprocess JSON5 input to valid JSON.
 /// 1. Strip // and /* */ comments
 /// 2. Remove trailing commas (,} → ' }', ,] → ' ]')
@@ -585,23 +758,18 @@ export fn doc_parse_fmt(ptr: [*]u8, len: u32, format: i32) i32 {
 
     last_error_code = 0;
 
-    const uid: usize = for (doc_active, 0..) |active, i| {
-        if (!active) break i;
-    } else {
-        last_error_code = 2;
-        return -1;
-    };
+    const uid = findFreeDocSlot() orelse return -1;
+    const slot = doc_slots.items[uid];
 
     // parseFromSlice copies input into its own padded document_buffer,
     // so no external SIMD padding is needed.
-    _ = doc_parsers_json5[uid].parseFromSlice(gpa, prep.buf[0..prep.len]) catch |err| {
-        last_error_code = mapError(err);
+    _ = slot.parser_json5.parseFromSlice(gpa, prep.buf[0..prep.len]) catch |err| {
+        recordParseError(&slot.parser_json5, err, prep.buf[0..prep.len]);
         return -1;
     };
 
-    doc_active[uid] = true;
-    doc_is_json5[uid] = true;
-    doc_src[uid].built = false;
+    activateDocSlot(slot, true);
+    slot.src.built = false;
 
     return @intCast(uid);
 }
@@ -612,12 +780,92 @@ export fn doc_parse_fmt(ptr: [*]u8, len: u32, format: i32) i32 {
 ///   ensureTotalCapacityForSlice only grows, never shrinks
 /// Source position buffer is retained for reuse (freed when capacity needs to grow).
 export fn doc_free(doc_id: i32) void {
-    if (doc_id < 0 or doc_id >= MAX_DOC_SLOTS) return;
-    const uid: usize = @intCast(doc_id);
-    doc_active[uid] = false;
+    const slot = getDocSlot(doc_id) orelse return;
+    if (slot.borrowed) |b| {
+        slotParser(slot).tape.words.list = b.owned_words;
+        slot.borrowed = null;
+        releasePack(b.pack);
+    }
+    slot.active = false;
+    doc_active_count -= 1;
     // Note: src_positions buffer is retained (reused on next parse in this slot)
 }
 
+/// Set the maximum number of live documents (0 = unlimited).
+/// Lowering the limit below the active count only blocks new documents.
+export fn doc_set_limit(max: u32) void {
+    doc_limit = max;
+}
+
+/// Get the configured document limit (0 = unlimited).
+export fn doc_get_limit() u32 {
+    return doc_limit;
+}
+
+/// Get the number of live documents.
+export fn doc_get_active_count() u32 {
+    return doc_active_count;
+}
+
+/// Get the number of allocated document slots (peak live documents so far).
+export fn doc_get_slot_count() u32 {
+    return @intCast(doc_slots.items.len);
+}
+
+/// Bytes a slot holds: input copy, tape, token index and source positions,
+/// counted by capacity so buffers kept for reuse by a free slot show up too.
+fn docSlotRetainedBytes(slot: *DocSlot) usize {
+    var total: usize = @as(usize, slot.src.cap) * @sizeOf(u32);
+    inline for (.{ &slot.parser, &slot.parser_json5 }) |p| {
+        const borrowing = slot.borrowed != null and @intFromPtr(p) == @intFromPtr(slotParser(slot));
+        const words = if (borrowing) slot.borrowed.?.owned_words else p.tape.words.list;
+        total += p.document_buffer.capacity +
+            words.capacity * @sizeOf(u64) +
+            p.tape.tokens.indexes.capacity * @sizeOf(u32);
+    }
+    return total;
+}
+
+/// Write a slot's memory use to batch_buffer: [0] = 1 if live, [1] = tape bytes,
+/// [2] = input bytes (both 0 for a free slot), [3] = retained bytes
+/// (see docSlotRetainedBytes). Returns -1 if the slot doesn't exist.
+export fn doc_get_slot_stats(doc_id: i32) i32 {
+    if (doc_id < 0 or @as(usize, @intCast(doc_id)) >= doc_slots.items.len) return -1;
+    const slot = doc_slots.items[@intCast(doc_id)];
+    batch_buffer[0] = @intFromBool(slot.active);
+    batch_buffer[1] = 0;
+    batch_buffer[2] = 0;
+    if (slot.active) {
+        const d = slotTapeDims(slot);
+        batch_buffer[1] = d.tape_count * 8;
+        batch_buffer[2] = d.input_len;
+    }
+    batch_buffer[3] = @intCast(docSlotRetainedBytes(slot));
+    return 0;
+}
+
+/// Release the buffers kept by free document slots and drop trailing free
+/// slots from the table. Live documents are untouched; their slot IDs stay valid.
+/// Returns the number of bytes released.
+export fn doc_compact() u32 {
+    var released: usize = 0;
+    for (doc_slots.items) |slot| {
+        if (slot.active) continue;
+        released += docSlotRetainedBytes(slot);
+        slot.parser.deinit(gpa);
+        slot.parser_json5.deinit(gpa);
+        if (slot.src.positions) |positions| gpa.free(positions[0..slot.src.cap]);
+        slot.* = .{};
+    }
+    while (doc_slots.items.len > 0 and !doc_slots.items[doc_slots.items.len - 1].active) {
+        gpa.destroy(doc_slots.items[doc_slots.items.len - 1]);
+        doc_slots.items.len -= 1;
+        released += @sizeOf(DocSlot);
+    }
+    doc_slots.shrinkAndFree(gpa, doc_slots.items.len);
+    return @intCast(released);
+}
+
 /// Get the tag type of the value at the given tape index.
 /// Returns: 0=null, 1=true, 2=false, 3=number, 4=string, 5=object, 6=array, -1=error
 export fn doc_get_tag(doc_id: i32, index: u32) i32 {
@@ -651,6 +899,25 @@ export fn doc_get_number(doc_id: i32, index: u32) f64 {
     };
 }
 
+/// Read the raw 64-bit payload of a number — ONE WASM call, no f64 rounding.
+/// Writes the low 32 bits to batch_buffer[0] and the high 32 bits to batch_buffer[1].
+/// Returns the number kind: 1=unsigned, 2=signed, 3=double, 0=not a number.
+export fn doc_get_number_raw(doc_id: i32, index: u32) u32 {
+    const p = getDocParser(doc_id) orelse return 0;
+    const tc = docTapeCount(p);
+    if (index >= tc or index + 1 >= tc) return 0;
+    const word = p.tape.get(index);
+    const next_raw: u64 = @bitCast(p.tape.get(index + 1));
+    batch_buffer[0] = @truncate(next_raw);
+    batch_buffer[1] = @truncate(next_raw >> 32);
+    return switch (word.tag) {
+        .unsigned => 1,
+        .signed => 2,
+        .double => 3,
+        else => 0,
+    };
+}
+
 /// Read a doc string's source offset, raw length, and escape flag — ONE WASM call.
 /// Writes source_offset to batch_buffer[0], raw_len to batch_buffer[1],
 /// has_escapes (0 or 1) to batch_buffer[2].
@@ -668,6 +935,13 @@ export fn doc_read_string_raw(doc_id: i32, index: u32) u32 {
     return raw_len;
 }
 
+/// Get the input format of a doc slot: 0=JSON, 2=JSON5, -1=invalid slot.
+/// JS uses this to decide whether a source span can be copied out verbatim as JSON.
+export fn doc_get_format(doc_id: i32) i32 {
+    const slot = getDocSlot(doc_id) orelse return -1;
+    return if (slot.is_json5) 2 else 0;
+}
+
 /// Get the base address of the input document for a doc slot.
 /// JS uses this + source offset to read string bytes from WASM memory.
 export fn doc_get_input_ptr(doc_id: i32) u32 {
@@ -690,11 +964,10 @@ export fn doc_get_count(doc_id: i32, index: u32) u32 {
 /// Lazily builds the src_positions array on first call (only needed for incomplete parses).
 /// Returns 0xFFFFFFFF if the doc or index is invalid.
 export fn doc_get_src_pos(doc_id: i32, idx: u32) u32 {
-    _ = getDocParser(doc_id) orelse return 0xFFFFFFFF;
-    const uid: usize = @intCast(doc_id);
-    const sp = &doc_src[uid];
+    const slot = getDocSlot(doc_id) orelse return 0xFFFFFFFF;
+    const sp = &slot.src;
     if (!sp.built) {
-        buildDocSrcPositions(uid);
+        buildDocSrcPositions(slot);
         sp.built = true;
     }
     if (idx >= sp.len) return 0xFFFFFFFF;
@@ -728,31 +1001,38 @@ inline fn nextTapeEntry(tape: anytype, val_idx: u32) u32 {
 
 /// Find a field in an object by key. Returns the tape index of the VALUE,
 /// or 0 if not found (0 is the root word, never a valid value position).
+/// A repeated key resolves to its last value, like JSON.parse. The first read
+/// scans the document once for repeated keys; without any, a hit stops at the
+/// first match, and only documents that repeat a key walk to the closing brace.
 /// Compares raw source bytes against the key. For keys with escape sequences
 /// (e.g. \n, \uXXXX), raw comparison may fail — JS falls back to ownKeys iteration.
 export fn doc_find_field(doc_id: i32, obj_index: u32, key_ptr: [*]const u8, key_len: u32) u32 {
-    const p = getDocParser(doc_id) orelse return 0;
+    const slot = getDocSlot(doc_id) orelse return 0;
+    const p = slotParser(slot);
     const tc = docTapeCount(p);
     if (obj_index >= tc) return 0;
     const word = p.tape.get(obj_index);
     if (word.tag != .object_opening) return 0;
+    const last_wins = slotRepeatsKey(slot, doc_id);
 
+    var found: u32 = 0;
     var curr: u32 = obj_index + 1; // first key position
     while (curr < tc) {
         const w = p.tape.get(curr);
-        if (w.tag == .object_closing) return 0; // not found
+        if (w.tag == .object_closing) break;
 
         // Compare raw source bytes against the search key
         const src_ptr: [*]const u8 = @ptrFromInt(p.tape.input_base_addr + w.data.ptr);
         const raw_len: u32 = @as(u32, w.data.len) & 0x7FFFFF; // mask escape flag (bit 23)
         if (raw_len == key_len and simd.eql(src_ptr, key_ptr, key_len)) {
-            return curr + 1; // value is immediately after the key
+            found = curr + 1; // value is immediately after the key
+            if (!last_wins) return found;
         }
 
         // Skip to next key: advance past key + value
         curr = nextTapeEntry(p.tape, curr + 1);
     }
-    return 0;
+    return found;
 }
 
 // --- Batch iteration exports ---
@@ -1581,17 +1861,317 @@ export fn doc_deep_equal(doc_a: i32, idx_a: u32, doc_b: i32, idx_b: u32, ordered
     )) 1 else 0;
 }
 
+// ============================================================
+// Duplicate keys
+// ============================================================
+//
+// JSON allows an object to repeat a key; JS decides per document which value
+// wins (duplicateKeys option). This scan tells it whether a document has any,
+// so documents without repeats keep every fast path.
+
+/// Tape index of the first key in the object at `obj_idx` that repeats an
+/// earlier key, or 0. Keys compare by raw source bytes, like doc_find_field.
+fn findRepeatedKey(words: [*]const u64, obj_idx: u32, base: usize) u32 {
+    const count: u32 = childCount(words[obj_idx]);
+    if (count < 2) return 0;
+
+    // Sort keys by fingerprint; equal keys land in the same run
+    var stack_buf: [SORT_STACK_MAX]FpEntry = undefined;
+    const heap_buf = if (count > SORT_STACK_MAX)
+        gpa.alloc(FpEntry, count) catch return findRepeatedKeyPairwise(words, obj_idx, base)
+    else
+        null;
+    defer if (heap_buf) |h| gpa.free(h);
+    const entries: []FpEntry = if (heap_buf) |h| h else stack_buf[0..count];
+
+    var k: u32 = obj_idx + 1;
+    for (entries) |*e| {
+        e.* = .{ .fp = strFingerprint(words[k], base), .key_idx = k };
+        k = nextEntryRaw(words, k + 1);
+    }
+    std.sort.pdq(FpEntry, entries, {}, fpLessThan);
+
+    // The answer is the earliest second occurrence among equal pairs
+    var first: u32 = 0;
+    var run: usize = 0;
+    while (run < entries.len) {
+        var end = run + 1;
+        while (end < entries.len and entries[end].fp == entries[run].fp) end += 1;
+        for (entries[run..end], 0..) |a, ai| {
+            for (entries[run + ai + 1 .. end]) |b| {
+                if (!strEql(words[a.key_idx], base, words[b.key_idx], base)) continue;
+                const later = @max(a.key_idx, b.key_idx);
+                if (first == 0 or later < first) first = later;
+            }
+        }
+        run = end;
+    }
+    return first;
+}
+
+/// findRepeatedKey without the sort buffer (allocation failed): compare each
+/// key with the ones before it.
+fn findRepeatedKeyPairwise(words: [*]const u64, obj_idx: u32, base: usize) u32 {
+    const count: u32 = childCount(words[obj_idx]);
+    var ki: u32 = obj_idx + 1;
+    var i: u32 = 0;
+    while (i < count) : (i += 1) {
+        var kj: u32 = obj_idx + 1;
+        while (kj < ki) : (kj = nextEntryRaw(words, kj + 1)) {
+            if (strEql(words[kj], base, words[ki], base)) return ki;
+        }
+        ki = nextEntryRaw(words, ki + 1);
+    }
+    return 0;
+}
+
+/// Whether any object in the slot's document repeats a key, scanned once.
+fn slotRepeatsKey(slot: *DocSlot, doc_id: i32) bool {
+    if (slot.repeats_key) |r| return r;
+    return doc_find_duplicate_key(doc_id, 1) != 0;
+}
+
+/// Find a repeated object key in the value at `index` or anything nested in it.
+/// Objects are checked in the order they open. Returns the tape index of the
+/// repeating key, or 0 if every object's keys are distinct (or doc_id is invalid).
+/// A scan from the root is remembered in the slot for doc_find_field.
+export fn doc_find_duplicate_key(doc_id: i32, index: u32) u32 {
+    const slot = getDocSlot(doc_id) orelse return 0;
+    if (index == 1) if (slot.repeats_key) |r| if (!r) return 0;
+    const key = findDuplicateKeyIn(slotParser(slot), index);
+    if (index == 1) slot.repeats_key = key != 0;
+    return key;
+}
+
+/// doc_find_duplicate_key over one parser's tape.
+fn findDuplicateKeyIn(p: *DomParser, index: u32) u32 {
+    const tc = docTapeCount(p);
+    if (index >= tc) return 0;
+    const words = p.tape.words.items().ptr;
+    const base = p.tape.input_base_addr;
+    const raw: u64 = words[index];
+    const tag: u8 = @truncate(raw);
+    if (tag != T_OBJ and tag != T_ARR) return 0;
+    const end = dataPtr(raw);
+    var i: u32 = index;
+    while (i < end) {
+        const t: u8 = @truncate(words[i]);
+        if (t == T_OBJ) {
+            const key = findRepeatedKey(words, i, base);
+            if (key != 0) return key;
+        }
+        i += wordWidth(t);
+    }
+    return 0;
+}
+
+// ============================================================
+// Structural diff — RFC 6902 JSON Patch between two tape values
+// ============================================================
+//
+// Walks both tapes recursively and records add/remove/replace operations.
+// Object keys are matched with the same fingerprint sort + binary search as
+// tapeDeepEqualUnordered (key order never produces ops); arrays are compared
+// index by index, then the tail is appended or trimmed. Nothing is decoded
+// here — each op names tape indices, so JS reads only the keys on its path
+// and materializes only the new value.
+//
+// Op buffer layout (u32 words), one record per op:
+//   [op, value_idx, seg_count, seg_0 .. seg_n)
+//   op:        0 = add, 1 = remove, 2 = replace
+//   value_idx: tape index of the new value in doc B (0 for remove)
+//   seg:       DIFF_SEG_INDEX | array index,
+//              DIFF_SEG_KEY_A | key tape index in doc A (removed keys),
+//              or a key tape index in doc B
+
+const DIFF_ADD: u32 = 0;
+const DIFF_REMOVE: u32 = 1;
+const DIFF_REPLACE: u32 = 2;
+const DIFF_SEG_INDEX: u32 = 1 << 31;
+const DIFF_SEG_KEY_A: u32 = 1 << 30;
+
+/// Op records from the last doc_diff call (capacity is kept between calls).
+var diff_ops: std.ArrayListUnmanaged(u32) = .empty;
+/// Path segments of the value currently being compared.
+var diff_path: std.ArrayListUnmanaged(u32) = .empty;
+
+fn fpKeyIdxLessThan(_: void, a: FpEntry, b: FpEntry) bool {
+    return a.key_idx < b.key_idx;
+}
+
+const TapeDiff = struct {
+    words_a: [*]const u64,
+    base_a: usize,
+    words_b: [*]const u64,
+    base_b: usize,
+
+    /// Append one op record for the current path, plus `last_seg` if given.
+    fn emit(_: *const TapeDiff, op: u32, value_idx: u32, last_seg: ?u32) error{OutOfMemory}!void {
+        const segs: u32 = @intCast(diff_path.items.len + @intFromBool(last_seg != null));
+        try diff_ops.ensureUnusedCapacity(gpa, 3 + segs);
+        diff_ops.appendAssumeCapacity(op);
+        diff_ops.appendAssumeCapacity(value_idx);
+        diff_ops.appendAssumeCapacity(segs);
+        diff_ops.appendSliceAssumeCapacity(diff_path.items);
+        if (last_seg) |seg| diff_ops.appendAssumeCapacity(seg);
+    }
+
+    fn value(self: *const TapeDiff, ia: u32, ib: u32) error{OutOfMemory}!void {
+        const tag_a: u8 = @truncate(self.words_a[ia]);
+        const tag_b: u8 = @truncate(self.words_b[ib]);
+        if (tag_a == T_OBJ and tag_b == T_OBJ) return self.object(ia, ib);
+        if (tag_a == T_ARR and tag_b == T_ARR) return self.array(ia, ib);
+        // Scalars, or containers of different kinds (never equal)
+        if (tapeDeepEqualUnordered(self.words_a, ia, self.base_a, self.words_b, ib, self.base_b)) return;
+        try self.emit(DIFF_REPLACE, ib, null);
+    }
+
+    fn object(self: *const TapeDiff, ia: u32, ib: u32) error{OutOfMemory}!void {
+        const count_a: u32 = childCount(self.words_a[ia]);
+        const count_b: u32 = childCount(self.words_b[ib]);
+
+        // Sort B keys by fingerprint; `matched` marks the ones A also has.
+        var stack_buf: [SORT_STACK_MAX]FpEntry = undefined;
+        var stack_matched: [SORT_STACK_MAX]bool = undefined;
+        const heap_buf = if (count_b > SORT_STACK_MAX) try gpa.alloc(FpEntry, count_b) else null;
+        defer if (heap_buf) |h| gpa.free(h);
+        const heap_matched = if (count_b > SORT_STACK_MAX) try gpa.alloc(bool, count_b) else null;
+        defer if (heap_matched) |h| gpa.free(h);
+        const b_entries: []FpEntry = if (heap_buf) |h| h else stack_buf[0..count_b];
+        const matched: []bool = if (heap_matched) |h| h else stack_matched[0..count_b];
+        @memset(matched, false);
+
+        {
+            var kb: u32 = ib + 1;
+            var j: u32 = 0;
+            while (j < count_b) : (j += 1) {
+                b_entries[j] = .{ .fp = strFingerprint(self.words_b[kb], self.base_b), .key_idx = kb };
+                kb = nextEntryRaw(self.words_b, kb + 1);
+            }
+        }
+        std.sort.pdq(FpEntry, b_entries, {}, fpLessThan);
+
+        // Each A key: recurse into the matching B value, or remove it.
+        var ka: u32 = ia + 1;
+        var i: u32 = 0;
+        while (i < count_a) : (i += 1) {
+            const key_a = self.words_a[ka];
+            const fp_a = strFingerprint(key_a, self.base_a);
+            var lo: u32 = 0;
+            var hi: u32 = count_b;
+            while (lo < hi) {
+                const mid = lo + (hi - lo) / 2;
+                if (b_entries[mid].fp < fp_a) lo = mid + 1 else hi = mid;
+            }
+            var found: ?u32 = null;
+            var idx = lo;
+            while (idx < count_b and b_entries[idx].fp == fp_a) : (idx += 1) {
+                // Skip keys already claimed (duplicate keys pair up in order)
+                if (!matched[idx] and strEql(key_a, self.base_a, self.words_b[b_entries[idx].key_idx], self.base_b)) {
+                    found = idx;
+                    break;
+                }
+            }
+            if (found) |j| {
+                matched[j] = true;
+                const kb = b_entries[j].key_idx;
+                try diff_path.append(gpa, kb);
+                defer _ = diff_path.pop();
+                try self.value(ka + 1, kb + 1);
+            } else {
+                try self.emit(DIFF_REMOVE, 0, DIFF_SEG_KEY_A | ka);
+            }
+            ka = nextEntryRaw(self.words_a, ka + 1);
+        }
+
+        // Keys only B has, added in B's document order.
+        var n_add: usize = 0;
+        for (b_entries, matched) |e, m| {
+            if (!m) {
+                b_entries[n_add] = e;
+                n_add += 1;
+            }
+        }
+        std.sort.pdq(FpEntry, b_entries[0..n_add], {}, fpKeyIdxLessThan);
+        for (b_entries[0..n_add]) |e| try self.emit(DIFF_ADD, e.key_idx + 1, e.key_idx);
+    }
+
+    fn array(self: *const TapeDiff, ia: u32, ib: u32) error{OutOfMemory}!void {
+        const len_a: u32 = childCount(self.words_a[ia]);
+        const len_b: u32 = childCount(self.words_b[ib]);
+        var ea: u32 = ia + 1;
+        var eb: u32 = ib + 1;
+        var i: u32 = 0;
+        while (i < @min(len_a, len_b)) : (i += 1) {
+            try diff_path.append(gpa, DIFF_SEG_INDEX | i);
+            defer _ = diff_path.pop();
+            try self.value(ea, eb);
+            ea = nextEntryRaw(self.words_a, ea);
+            eb = nextEntryRaw(self.words_b, eb);
+        }
+        // Extra B elements are appended in order
+        while (i < len_b) : (i += 1) {
+            try self.emit(DIFF_ADD, eb, DIFF_SEG_INDEX | i);
+            eb = nextEntryRaw(self.words_b, eb);
+        }
+        // Extra A elements are removed from the end so earlier indices stay valid
+        var r: u32 = len_a;
+        while (r > len_b) {
+            r -= 1;
+            try self.emit(DIFF_REMOVE, 0, DIFF_SEG_INDEX | r);
+        }
+    }
+};
+
+/// Diff two document values into the op buffer (layout above).
+/// Returns the number of u32 words written, or -1 on error
+/// (invalid doc_id, or out of memory → error code 13).
+export fn doc_diff(doc_a: i32, idx_a: u32, doc_b: i32, idx_b: u32) i32 {
+    const pa = getDocParser(doc_a) orelse return -1;
+    const pb = getDocParser(doc_b) orelse return -1;
+    diff_ops.clearRetainingCapacity();
+    diff_path.clearRetainingCapacity();
+
+    const d: TapeDiff = .{
+        .words_a = pa.tape.words.items().ptr,
+        .base_a = pa.tape.input_base_addr,
+        .words_b = pb.tape.words.items().ptr,
+        .base_b = pb.tape.input_base_addr,
+    };
+    d.value(idx_a, idx_b) catch {
+        last_error_code = 13;
+        return -1;
+    };
+    return @intCast(diff_ops.items.len);
+}
+
+/// Pointer to the op records written by the last doc_diff call.
+export fn doc_diff_ptr() [*]u32 {
+    return diff_ops.items.ptr;
+}
+
 // ============================================================
 // Tape Export/Import — transfer parsed tape between contexts
 // ============================================================
 //
-// Packed buffer format:
-//   [0..4)   u32 LE  tape_count (number of u64 tape words)
-//   [4..8)   u32 LE  input_length (byte length of JSON source)
-//   [8..8+T) u64[]   tape words (T = tape_count * 8)
-//   [8+T..)  u8[]    JSON source bytes
+// Packed buffer format (version 1, all fields little-endian):
+//   [0..4)    u32  magic "VJTP"
+//   [4..6)    u16  format version (TAPE_VERSION)
+//   [6..8)    u16  flags: bit 0 = JSON5 source, bit 1 = CRC32 present
+//   [8..12)   u32  tape_count (number of u64 tape words)
+//   [12..16)  u32  input_length (byte length of JSON source)
+//   [16..20)  u32  reserved (0)
+//   [20..24)  u32  CRC32 of bytes [0..20) and [24..end), 0 when absent
+//   [24..24+T) u64[] tape words (T = tape_count * 8)
+//   [24+T..)  u8[]  JSON source bytes
 //
-// Total: 8 + tape_count * 8 + input_length
+// Total: 24 + tape_count * 8 + input_length
+
+const TAPE_MAGIC: u32 = 0x50544A56; // "VJTP"
+const TAPE_VERSION: u16 = 1;
+const TAPE_HEADER: u32 = 24;
+const TAPE_FLAG_JSON5: u16 = 1 << 0;
+const TAPE_FLAG_CRC32: u16 = 1 << 1;
 
 /// Tape dimensions for a parsed document.
 const TapeDims = struct { tape_count: u32, input_len: u32 };
@@ -1609,86 +2189,107 @@ fn docTapeDims(p: anytype) TapeDims {
     };
 }
 
+/// Tape dimensions of a live slot, owned or borrowed from a tape pack.
+fn slotTapeDims(slot: *DocSlot) TapeDims {
+    const d = docTapeDims(slotParser(slot));
+    return if (slot.borrowed) |b| .{ .tape_count = d.tape_count, .input_len = b.input_len } else d;
+}
+
 /// Packed buffer total size (overflow-safe).
 fn tapePackedSize(d: TapeDims) u32 {
     const tape_bytes: u64 = @as(u64, d.tape_count) * 8;
-    const total: u64 = 8 + tape_bytes + @as(u64, d.input_len);
+    const total: u64 = TAPE_HEADER + tape_bytes + @as(u64, d.input_len);
     if (total > std.math.maxInt(u32)) return 0;
     return @intCast(total);
 }
 
+/// CRC32 of a packed buffer, skipping the checksum field itself.
+fn tapeChecksum(buf: []const u8) u32 {
+    var crc = std.hash.Crc32.init();
+    crc.update(buf[0..20]);
+    crc.update(buf[TAPE_HEADER..]);
+    return crc.final();
+}
+
 /// Returns the size needed for the packed tape buffer.
 export fn doc_export_tape_size(doc_id: i32) u32 {
-    const p = getDocParser(doc_id) orelse return 0;
-    return tapePackedSize(docTapeDims(p));
+    const slot = getDocSlot(doc_id) orelse return 0;
+    return tapePackedSize(slotTapeDims(slot));
 }
 
 /// Write packed tape buffer to out_ptr. Returns bytes written, or 0 on error.
-export fn doc_export_tape(doc_id: i32, out_ptr: [*]u8, out_cap: u32) u32 {
-    const p = getDocParser(doc_id) orelse return 0;
-    const d = docTapeDims(p);
+/// checksum != 0 fills in the CRC32 field (costs one pass over the buffer).
+export fn doc_export_tape(doc_id: i32, out_ptr: [*]u8, out_cap: u32, checksum: u32) u32 {
+    const slot = getDocSlot(doc_id) orelse return 0;
+    const p = slotParser(slot);
+    const d = slotTapeDims(slot);
     const total = tapePackedSize(d);
     if (total == 0 or out_cap < total) return 0;
     const tape_bytes = d.tape_count * 8;
 
-    // Header: tape_count, input_len (WASM is always little-endian)
+    // Header (WASM is always little-endian)
+    var flags: u16 = 0;
+    if (slot.is_json5) flags |= TAPE_FLAG_JSON5;
+    if (checksum != 0) flags |= TAPE_FLAG_CRC32;
     const header: [*]align(1) u32 = @ptrCast(out_ptr);
-    header[0] = d.tape_count;
-    header[1] = d.input_len;
+    header[0] = TAPE_MAGIC;
+    header[1] = @as(u32, TAPE_VERSION) | (@as(u32, flags) << 16);
+    header[2] = d.tape_count;
+    header[3] = d.input_len;
+    header[4] = 0;
+    header[5] = 0;
 
     // Tape words + input bytes (without SIMD padding)
     const tape_src: [*]const u8 = @ptrCast(p.tape.words.items().ptr);
-    @memcpy(out_ptr[8..][0..tape_bytes], tape_src[0..tape_bytes]);
-    @memcpy(out_ptr[8 + tape_bytes ..][0..d.input_len], p.document_buffer.items.ptr[0..d.input_len]);
+    @memcpy(out_ptr[TAPE_HEADER..][0..tape_bytes], tape_src[0..tape_bytes]);
+    const input: [*]const u8 = @ptrFromInt(p.tape.input_base_addr);
+    @memcpy(out_ptr[TAPE_HEADER + tape_bytes ..][0..d.input_len], input[0..d.input_len]);
 
+    if (checksum != 0) header[5] = tapeChecksum(out_ptr[0..total]);
     return total;
 }
 
-/// Import a packed tape buffer into a free document slot.
-/// Returns slot ID (0..127) on success, or -1 on error.
-export fn doc_import_tape(buf_ptr: [*]const u8, buf_len: u32) i32 {
-    if (buf_len < 8) return -1;
+/// Header of a packed tape that passed checkTapeHeader.
+const TapeHeader = struct { tape_count: u32, input_len: u32, json5: bool };
+
+/// Check a packed tape's magic, version, size and checksum.
+/// Returns null with last_error_code set (15–18, see doc_import_tape) on failure.
+fn checkTapeHeader(buf_ptr: [*]const u8, buf_len: u32) ?TapeHeader {
+    last_error_code = 18;
+    if (buf_len < TAPE_HEADER) return null;
 
     // Read header (WASM is always little-endian)
     const header: [*]align(1) const u32 = @ptrCast(buf_ptr);
-    const tape_count = header[0];
-    const input_len = header[1];
+    if (header[0] != TAPE_MAGIC) {
+        last_error_code = 15;
+        return null;
+    }
+    const version: u16 = @truncate(header[1]);
+    const flags: u16 = @truncate(header[1] >> 16);
+    if (version != TAPE_VERSION or (flags & ~(TAPE_FLAG_JSON5 | TAPE_FLAG_CRC32)) != 0) {
+        last_error_code = 16;
+        return null;
+    }
+    const tape_count = header[2];
+    const input_len = header[3];
 
     // A valid tape has at least 2 words (root opening + closing)
-    if (tape_count < 2) return -1;
+    if (tape_count < 2) return null;
 
     // Overflow-safe size validation
     const tape_bytes: u64 = @as(u64, tape_count) * 8;
-    const expected: u64 = 8 + tape_bytes + @as(u64, input_len);
-    if (expected > buf_len) return -1;
-
-    // Find free slot
-    const uid: usize = for (doc_active, 0..) |active, i| {
-        if (!active) break i;
-    } else {
-        return -1;
-    };
-
-    const p = &doc_parsers[uid];
-    const tape_bytes_u32: u32 = @intCast(tape_bytes);
-
-    // Copy input into document_buffer (with 16-byte SIMD padding)
-    p.document_buffer.clearRetainingCapacity();
-    p.document_buffer.ensureTotalCapacity(gpa, input_len + 16) catch return -1;
-    p.document_buffer.appendSliceAssumeCapacity(buf_ptr[8 + tape_bytes_u32 ..][0..input_len]);
-    p.document_buffer.appendNTimesAssumeCapacity(' ', 16);
+    const expected: u64 = TAPE_HEADER + tape_bytes + @as(u64, input_len);
+    if (expected > buf_len) return null;
 
-    // Copy tape words
-    p.tape.words.ensureTotalCapacity(gpa, tape_count) catch return -1;
-    p.tape.words.list.clearRetainingCapacity();
-    const tape_dst: [*]u8 = @ptrCast(p.tape.words.list.items.ptr);
-    @memcpy(tape_dst[0..tape_bytes_u32], buf_ptr[8..][0..tape_bytes_u32]);
-    p.tape.words.list.items.len = tape_count;
-
-    // Fix input_base_addr to point to new document_buffer
-    p.tape.input_base_addr = @intFromPtr(p.document_buffer.items.ptr);
+    if ((flags & TAPE_FLAG_CRC32) != 0 and tapeChecksum(buf_ptr[0..@intCast(expected)]) != header[5]) {
+        last_error_code = 17;
+        return null;
+    }
+    return .{ .tape_count = tape_count, .input_len = input_len, .json5 = (flags & TAPE_FLAG_JSON5) != 0 };
+}
 
-    // Validate tape word contents — reject crafted tapes with out-of-bounds pointers
+/// Validate tape word contents — reject crafted tapes with out-of-bounds pointers.
+fn checkTapeWords(p: *DomParser, tape_count: u32, input_len: u32) bool {
     var ti: u32 = 0;
     while (ti < tape_count) : (ti += 1) {
         const w = p.tape.get(ti);
@@ -1697,22 +2298,19 @@ export fn doc_import_tape(buf_ptr: [*]const u8, buf_len: u32) i32 {
                 // data.ptr is source offset, data.len (low 23 bits) is byte length
                 const str_len: u32 = w.data.len & 0x7FFFFF;
                 if (w.data.ptr > input_len or str_len > input_len or w.data.ptr + str_len > input_len) {
-                    doc_active[uid] = false;
-                    return -1;
+                    return false;
                 }
             },
             .object_opening, .array_opening => {
                 // data.ptr is closing bracket tape index
                 if (w.data.ptr >= tape_count) {
-                    doc_active[uid] = false;
-                    return -1;
+                    return false;
                 }
             },
             .object_closing, .array_closing => {
                 // data.ptr is opening bracket tape index
                 if (w.data.ptr >= tape_count) {
-                    doc_active[uid] = false;
-                    return -1;
+                    return false;
                 }
             },
             .root => {
@@ -1720,33 +2318,222 @@ export fn doc_import_tape(buf_ptr: [*]const u8, buf_len: u32) i32 {
                 // Closing root's data.ptr = opening root index (always 0).
                 // Allow data.ptr <= tape_count to cover both cases.
                 if (w.data.ptr > tape_count) {
-                    doc_active[uid] = false;
-                    return -1;
+                    return false;
                 }
             },
             .null, .true, .false => {},
             .unsigned, .signed, .double => {
                 // Number types have a data word at ti+1 (raw value, not a tagged word)
                 if (ti + 1 >= tape_count) {
-                    doc_active[uid] = false;
-                    return -1;
+                    return false;
                 }
                 ti += 1; // skip the data word
             },
         }
     }
+    return true;
+}
+
+/// Mark an imported or attached tape's slot live. Imported tapes lack token
+/// data for buildDocSrcPositions: mark them as built with len=0 so
+/// doc_get_src_pos returns 0xFFFFFFFF.
+fn activateTapeSlot(slot: *DocSlot, json5: bool) void {
+    last_error_code = 0;
+    activateDocSlot(slot, json5);
+    slot.src.len = 0;
+    slot.src.built = true;
+}
+
+/// Import a packed tape buffer into a free document slot.
+/// Returns the slot ID on success, or -1 on error with last_error_code set:
+/// 15 = bad magic, 16 = unsupported version/flags, 17 = checksum mismatch,
+/// 18 = truncated or corrupt tape, 19 = document limit reached, 13 = out of memory.
+export fn doc_import_tape(buf_ptr: [*]const u8, buf_len: u32) i32 {
+    const h = checkTapeHeader(buf_ptr, buf_len) orelse return -1;
+
+    // Find free slot
+    const uid = findFreeDocSlot() orelse return -1;
+    const slot = doc_slots.items[uid];
 
-    // Activate slot
-    doc_active[uid] = true;
-    doc_is_json5[uid] = false;
-    // Imported tapes lack token data for buildDocSrcPositions.
-    // Mark as built with len=0 so doc_get_src_pos returns 0xFFFFFFFF.
-    doc_src[uid].len = 0;
-    doc_src[uid].built = true;
+    // JSON5 tapes go back into the JSON5 parser so getDocParser finds them
+    const p: *DomParser = if (h.json5) @ptrCast(&slot.parser_json5) else &slot.parser;
+    const tape_bytes: u32 = h.tape_count * 8;
 
+    // Copy input into document_buffer (with 16-byte SIMD padding)
+    last_error_code = 13;
+    p.document_buffer.clearRetainingCapacity();
+    p.document_buffer.ensureTotalCapacity(gpa, h.input_len + 16) catch return -1;
+    p.document_buffer.appendSliceAssumeCapacity(buf_ptr[TAPE_HEADER + tape_bytes ..][0..h.input_len]);
+    p.document_buffer.appendNTimesAssumeCapacity(' ', 16);
+
+    // Copy tape words
+    p.tape.words.ensureTotalCapacity(gpa, h.tape_count) catch return -1;
+    p.tape.words.list.clearRetainingCapacity();
+    const tape_dst: [*]u8 = @ptrCast(p.tape.words.list.items.ptr);
+    @memcpy(tape_dst[0..tape_bytes], buf_ptr[TAPE_HEADER..][0..tape_bytes]);
+    last_error_code = 18;
+    p.tape.words.list.items.len = h.tape_count;
+
+    // Fix input_base_addr to point to new document_buffer
+    p.tape.input_base_addr = @intFromPtr(p.document_buffer.items.ptr);
+
+    if (!checkTapeWords(p, h.tape_count, h.input_len)) return -1;
+    activateTapeSlot(slot, h.json5);
     return @intCast(uid);
 }
 
+// --- Tape packs ---
+// attachTapes() copies a pack into WASM memory once. Each document read from it
+// takes a slot that points at its tape words and source bytes inside the pack,
+// so nothing is copied per document. A pack is freed once JS has released it
+// (pack_release) and no live slot still reads from it.
+
+const TapePack = struct {
+    words: []u64, // u64 storage keeps the 8-byte aligned tapes aligned in memory
+    refs: u32,
+};
+
+/// Allocate a pack of `len` bytes (plus SIMD padding past the end) and return
+/// a pointer for JS to copy it into, or null when out of memory.
+/// The pack starts with one reference, held by JS until pack_release.
+export fn pack_alloc(len: u32) ?*TapePack {
+    const pack = gpa.create(TapePack) catch return null;
+    const words = gpa.alloc(u64, (@as(usize, len) + 16 + 7) / 8) catch {
+        gpa.destroy(pack);
+        return null;
+    };
+    pack.* = .{ .words = words, .refs = 1 };
+    return pack;
+}
+
+/// Start of a pack's bytes.
+export fn pack_bytes(pack: *TapePack) [*]u8 {
+    return @ptrCast(pack.words.ptr);
+}
+
+/// Drop JS's reference to a pack; it is freed once no slot reads from it.
+export fn pack_release(pack: *TapePack) void {
+    releasePack(pack);
+}
+
+fn releasePack(pack: *TapePack) void {
+    pack.refs -= 1;
+    if (pack.refs != 0) return;
+    gpa.free(pack.words);
+    gpa.destroy(pack);
+}
+
+/// Open the packed tape at `offset` (8-byte aligned) in a pack as a document,
+/// reading its words and source in place. Returns the slot ID, or -1 with the
+/// same error codes as doc_import_tape.
+export fn doc_attach_tape(pack: *TapePack, offset: u32, len: u32) i32 {
+    const bytes = pack_bytes(pack);
+    last_error_code = 18;
+    if (offset % 8 != 0 or @as(u64, offset) + len > pack.words.len * 8 - 16) return -1;
+    const h = checkTapeHeader(bytes + offset, len) orelse return -1;
+
+    const uid = findFreeDocSlot() orelse return -1;
+    const slot = doc_slots.items[uid];
+    const p: *DomParser = if (h.json5) @ptrCast(&slot.parser_json5) else &slot.parser;
+
+    // Borrow the tape words: the slot's own buffer is kept for its next parse
+    const owned_words = p.tape.words.list;
+    const words: [*]u64 = @ptrCast(@alignCast(bytes + offset + TAPE_HEADER));
+    p.tape.words.list = .{ .items = words[0..h.tape_count], .capacity = h.tape_count };
+    p.tape.input_base_addr = @intFromPtr(bytes + offset + TAPE_HEADER + h.tape_count * 8);
+    if (!checkTapeWords(p, h.tape_count, h.input_len)) {
+        p.tape.words.list = owned_words;
+        return -1;
+    }
+
+    pack.refs += 1;
+    slot.borrowed = .{ .pack = pack, .input_len = h.input_len, .owned_words = owned_words };
+    activateTapeSlot(slot, h.json5);
+    return @intCast(uid);
+}
+
+/// Set last_error_code and last_error_offset for a failed parseFromSlice of
+/// `doc`. Tape builder errors point at the token it stopped on. The indexer
+/// validates whole blocks before any token is read, so its errors are placed
+/// by a scan for the first offending byte.
+fn recordParseError(p: anytype, err: anyerror, doc: []const u8) void {
+    const len: u32 = @intCast(doc.len);
+    last_error_code = mapError(err);
+    last_error_offset = 0;
+    switch (err) {
+        error.OutOfMemory, error.ExceededCapacity => return,
+        error.Empty, error.ExpectedStringEnd => {
+            last_error_code = 10;
+            last_error_offset = len;
+            return;
+        },
+        error.FoundUnescapedChars => {
+            last_error_offset = firstControlInString(doc);
+            return;
+        },
+        error.InvalidUtf8 => {
+            last_error_offset = firstInvalidUtf8(doc);
+            return;
+        },
+        else => {},
+    }
+
+    // Tokens are consumed before they are checked, so the failing one is the last read
+    const tokens = &p.tape.tokens;
+    if (@intFromPtr(tokens.token) <= @intFromPtr(tokens.indexes.items.ptr)) return;
+    const offset = (tokens.token - 1)[0];
+    if (offset >= len) {
+        // The end-of-input token: the document stopped before the value did
+        last_error_code = 10;
+        last_error_offset = len;
+        return;
+    }
+    last_error_offset = offset;
+    // Anything that isn't a container, string or literal is parsed as a number
+    switch (err) {
+        error.IncorrectType, error.InvalidNumberLiteral, error.NumberOutOfRange => {
+            last_error_code = switch (doc[offset]) {
+                't', 'f', 'n', 'I', 'N' => 24,
+                '-', '+', '.', '0'...'9' => 5,
+                '}', ']' => if (p.tape.stack.len() <= 1) 27 else 26,
+                else => 26,
+            };
+        },
+        else => {},
+    }
+}
+
+/// Offset of the first unescaped control character inside a string in `doc`.
+fn firstControlInString(doc: []const u8) u32 {
+    var in_string = false;
+    var i: usize = 0;
+    while (i < doc.len) : (i += 1) {
+        const c = doc[i];
+        if (!in_string) {
+            in_string = c == '"';
+        } else if (c == '\\') {
+            i += 1;
+        } else if (c == '"') {
+            in_string = false;
+        } else if (c < 0x20) {
+            return @intCast(i);
+        }
+    }
+    return @intCast(doc.len);
+}
+
+/// Offset of the first byte of `doc` that doesn't start a valid UTF-8 sequence.
+fn firstInvalidUtf8(doc: []const u8) u32 {
+    var i: usize = 0;
+    while (i < doc.len) {
+        const n = std.unicode.utf8ByteSequenceLength(doc[i]) catch return @intCast(i);
+        if (i + n > doc.len) return @intCast(i);
+        _ = std.unicode.utf8Decode(doc[i..][0..n]) catch return @intCast(i);
+        i += n;
+    }
+    return @intCast(doc.len);
+}
+
 fn mapError(err: anytype) i32 {
     return switch (err) {
         error.ExceededDepth => 1,
@@ -1762,6 +2549,10 @@ fn mapError(err: anytype) i32 {
         error.IncompleteObject => 11,
         error.TrailingContent => 12,
         error.OutOfMemory => 13,
+        error.IncorrectType => 26,
+        error.NumberOutOfRange => 5,
+        error.FoundUnescapedChars => 25,
+        error.InvalidUtf8 => 28,
         else => 99,
     };
 }
@@ -27,6 +27,27 @@ pub const Format = enum(i32) {
 /// Maximum total buffer size (1 GB)
 const MAX_BUFFER_SIZE = 1024 * 1024 * 1024;
 
+/// Buffer capacity allocated by init() and kept by shrinkBuffer().
+const INITIAL_BUFFER_CAP: u32 = 4096;
+
+/// Flags on StreamState.counts entries; the low bits count elements.
+const COUNT_OBJECT: u32 = 1 << 31;
+const COUNT_PENDING: u32 = 1 << 30; // the container's next element hasn't started yet
+const COUNT_MASK: u32 = COUNT_PENDING - 1;
+
+/// Error codes of the failures a stream records (main.zig's get_error_code() numbering).
+pub const ERR_MAX_DEPTH: i32 = 1;
+pub const ERR_TOO_LARGE: i32 = 2;
+pub const ERR_OUT_OF_MEMORY: i32 = 13;
+pub const ERR_MAX_STRING_LENGTH: i32 = 20;
+pub const ERR_MAX_ARRAY_LENGTH: i32 = 21;
+pub const ERR_MAX_OBJECT_KEYS: i32 = 22;
+pub const ERR_MAX_BYTES: i32 = 23;
+pub const ERR_UNMATCHED_BRACKET: i32 = 27;
+
+/// Where and why a stream stopped.
+pub const Failure = struct { offset: u32, code: i32 };
+
 pub const StreamState = struct {
     // --- Accumulation buffer ---
     buffer: ?[*]u8 = null,
@@ -56,6 +77,19 @@ pub const StreamState = struct {
     // --- JSON5 single-quoted string tracking ---
     quote_char: u8 = '"',
 
+    // --- Resource limits (0 = no limit), set via setLimits ---
+    max_bytes: u32 = MAX_BUFFER_SIZE,
+    max_depth: u32 = 0,
+    max_string_len: u32 = 0,
+    max_array_len: u32 = 0,
+    max_object_keys: u32 = 0,
+    /// Buffer offset of the open string's first content byte.
+    string_start: u32 = 0,
+    /// One entry per open container while an array or key limit is set.
+    counts: std.ArrayListUnmanaged(u32) = .empty,
+    /// The failure that put the stream in the error state (code 0 = none).
+    failure: Failure = .{ .offset = 0, .code = 0 },
+
     // --- Allocator ---
     allocator: std.mem.Allocator = undefined,
 
@@ -65,10 +99,9 @@ pub const StreamState = struct {
         self.allocator = allocator;
         self.format = format;
 
-        const initial_cap: u32 = 4096;
-        const buf = try allocator.alloc(u8, initial_cap);
+        const buf = try allocator.alloc(u8, INITIAL_BUFFER_CAP);
         self.buffer = buf.ptr;
-        self.buffer_cap = initial_cap;
+        self.buffer_cap = INITIAL_BUFFER_CAP;
 
         return self;
     }
@@ -77,9 +110,21 @@ pub const StreamState = struct {
         if (self.buffer) |buf| {
             self.allocator.free(buf[0..self.buffer_cap]);
         }
+        self.counts.deinit(self.allocator);
         self.allocator.destroy(self);
     }
 
+    /// Set resource limits (0 = no limit). max_bytes lowers the buffer cap below
+    /// MAX_BUFFER_SIZE; the others are checked as bytes are scanned, so a
+    /// violation stops the stream before the value is parsed.
+    pub fn setLimits(self: *StreamState, max_bytes: u32, max_depth: u32, max_string_len: u32, max_array_len: u32, max_object_keys: u32) void {
+        self.max_bytes = if (max_bytes == 0) MAX_BUFFER_SIZE else @min(max_bytes, MAX_BUFFER_SIZE);
+        self.max_depth = max_depth;
+        self.max_string_len = max_string_len;
+        self.max_array_len = max_array_len;
+        self.max_object_keys = max_object_keys;
+    }
+
     /// Append a chunk of bytes to the accumulation buffer
     pub fn feed(self: *StreamState, data: [*]const u8, len: u32) FeedStatus {
         if (self.status == .complete or self.status == .err) {
@@ -87,19 +132,19 @@ pub const StreamState = struct {
         }
 
         const new_len = self.buffer_len +| len; // saturating to prevent u32 overflow
-        if (new_len > MAX_BUFFER_SIZE) {
-            self.status = .err;
+        if (new_len > self.max_bytes) {
+            self.failAt(self.buffer_len, if (self.max_bytes < MAX_BUFFER_SIZE) ERR_MAX_BYTES else ERR_TOO_LARGE);
             return .err;
         }
         if (new_len > self.buffer_cap) {
             self.growBuffer(new_len) catch {
-                self.status = .err;
+                self.failAt(self.buffer_len, ERR_OUT_OF_MEMORY);
                 return .err;
             };
         }
 
         const buf = self.buffer orelse {
-            self.status = .err;
+            self.failAt(self.buffer_len, ERR_OUT_OF_MEMORY);
             return .err;
         };
         @memcpy(buf[self.buffer_len..][0..len], data[0..len]);
@@ -210,6 +255,9 @@ pub const StreamState = struct {
                 if (c == '\\') {
                     self.escape_next = true;
                 } else if (c == self.quote_char) {
+                    if (self.max_string_len != 0 and i - self.string_start > self.max_string_len) {
+                        return self.failAt(self.string_start - 1, ERR_MAX_STRING_LENGTH);
+                    }
                     self.in_string = false;
                     if (self.depth == 0 and self.root_state == .string) {
                         self.markRootComplete(i + 1);
@@ -219,10 +267,21 @@ pub const StreamState = struct {
                 continue;
             }
 
+            if (self.counts.items.len > 0) {
+                switch (c) {
+                    ' ', '\t', '\n', '\r', ',', ':', '}', ']', '/' => {},
+                    else => {
+                        const code = self.countElement();
+                        if (code != 0) return self.failAt(i, code);
+                    },
+                }
+            }
+
             switch (c) {
                 '"' => {
                     self.in_string = true;
                     self.quote_char = '"';
+                    self.string_start = i + 1;
                     if (self.depth == 0 and self.root_state == .none) {
                         self.root_state = .string;
                     }
@@ -231,12 +290,20 @@ pub const StreamState = struct {
                     if (is_json5) {
                         self.in_string = true;
                         self.quote_char = '\'';
+                        self.string_start = i + 1;
                         if (self.depth == 0 and self.root_state == .none) {
                             self.root_state = .string;
                         }
                     }
                 },
                 '{', '[' => {
+                    if (self.max_depth != 0 and @as(i64, self.depth) >= @as(i64, self.max_depth)) {
+                        return self.failAt(i, ERR_MAX_DEPTH);
+                    }
+                    if (self.max_array_len != 0 or self.max_object_keys != 0) {
+                        const kind: u32 = if (c == '{') COUNT_OBJECT else 0;
+                        self.counts.append(self.allocator, kind | COUNT_PENDING) catch return self.failAt(i, ERR_OUT_OF_MEMORY);
+                    }
                     if (self.depth == 0 and self.root_state == .none) {
                         self.root_state = .container;
                     }
@@ -244,15 +311,17 @@ pub const StreamState = struct {
                 },
                 '}', ']' => {
                     self.depth -= 1;
-                    if (self.depth < 0) {
-                        self.status = .err;
-                        self.scan_offset = i + 1;
-                        return;
-                    }
+                    if (self.depth < 0) return self.failAt(i, ERR_UNMATCHED_BRACKET);
+                    if (self.counts.items.len > 0) self.counts.items.len -= 1;
                     if (self.depth == 0) {
                         self.markRootComplete(i + 1);
                     }
                 },
+                ',' => {
+                    if (self.counts.items.len > 0) {
+                        self.counts.items[self.counts.items.len - 1] |= COUNT_PENDING;
+                    }
+                },
                 '/' => {
                     if (is_json5) {
                         self.comment_state = .maybe_start;
@@ -286,6 +355,11 @@ pub const StreamState = struct {
 
         self.scan_offset = i;
 
+        // An unterminated string fails as soon as it outgrows the limit
+        if (self.in_string and self.max_string_len != 0 and self.buffer_len - self.string_start > self.max_string_len) {
+            return self.failAt(self.string_start - 1, ERR_MAX_STRING_LENGTH);
+        }
+
         // End of buffer: if we have a pending scalar at root, mark complete
         // (only if the scalar is actually a valid complete value, not a partial keyword).
         // Strip trailing whitespace to find true scalar end — whitespace may have
@@ -304,6 +378,24 @@ pub const StreamState = struct {
         }
     }
 
+    /// Count the element starting at the current byte in the innermost container.
+    /// Returns the limit's error code if that takes the container past it, else 0.
+    fn countElement(self: *StreamState) i32 {
+        const top = &self.counts.items[self.counts.items.len - 1];
+        if (top.* & COUNT_PENDING == 0) return 0;
+        top.* = (top.* & ~COUNT_PENDING) + 1;
+        const is_object = top.* & COUNT_OBJECT != 0;
+        const max = if (is_object) self.max_object_keys else self.max_array_len;
+        if (max == 0 or (top.* & COUNT_MASK) <= max) return 0;
+        return if (is_object) ERR_MAX_OBJECT_KEYS else ERR_MAX_ARRAY_LENGTH;
+    }
+
+    /// Stop the stream on a failure at buffer offset `offset`.
+    fn failAt(self: *StreamState, offset: u32, code: i32) void {
+        self.status = .err;
+        self.failure = .{ .offset = offset, .code = code };
+    }
+
     /// Check if a root scalar (from scalar_start to end) is a complete value.
     /// Returns false for partial keyword prefixes (e.g. "tru", "fal", "nu")
     /// and trailing incomplete number chars (e.g. "1.", "1e", "1e-").
@@ -390,6 +482,8 @@ pub const StreamState = struct {
         self.scalar_start = 0;
         self.comment_state = .none;
         self.quote_char = '"';
+        self.counts.clearRetainingCapacity();
+        self.failure = .{ .offset = 0, .code = 0 };
 
         // Immediately scan remaining bytes (they may contain a complete value)
         if (remain_len > 0) self.scanStructure();
@@ -420,7 +514,7 @@ pub const StreamState = struct {
     }
 
     fn growBuffer(self: *StreamState, needed: u32) !void {
-        var new_cap = @max(self.buffer_cap, 4096);
+        var new_cap = @max(self.buffer_cap, INITIAL_BUFFER_CAP);
         while (new_cap < needed) {
             new_cap = new_cap *| 2;
             if (new_cap > MAX_BUFFER_SIZE) new_cap = MAX_BUFFER_SIZE;
@@ -442,4 +536,42 @@ pub const StreamState = struct {
             self.buffer_cap = new_cap;
         }
     }
+
+    /// Shrink the buffer to the bytes it holds (never below the initial capacity).
+    /// Returns the number of bytes released; 0 if the buffer was already tight.
+    pub fn shrinkBuffer(self: *StreamState) u32 {
+        const old_buf = self.buffer orelse return 0;
+        const new_cap = @max(self.buffer_len, INITIAL_BUFFER_CAP);
+        if (new_cap >= self.buffer_cap) return 0;
+        const old_slice = old_buf[0..self.buffer_cap];
+        const released = self.buffer_cap - new_cap;
+        if (!self.allocator.resize(old_slice, new_cap)) {
+            const new_buf = self.allocator.alloc(u8, new_cap) catch return 0;
+            @memcpy(new_buf[0..self.buffer_len], old_buf[0..self.buffer_len]);
+            self.allocator.free(old_slice);
+            self.buffer = new_buf.ptr;
+        }
+        self.buffer_cap = new_cap;
+        return released;
+    }
 };
+
+/// Check the first JSON value in `data` against resource limits (0 = no limit)
+/// with the stream scanner, reading the bytes in place instead of buffering a
+/// copy. Returns the limit failure, or null if the value is within the limits;
+/// grammar errors are left to the parser.
+pub fn checkLimits(allocator: std.mem.Allocator, data: []u8, max_depth: u32, max_string_len: u32, max_array_len: u32, max_object_keys: u32) ?Failure {
+    var s: StreamState = .{
+        .allocator = allocator,
+        .buffer = data.ptr,
+        .buffer_len = @intCast(data.len),
+        .buffer_cap = @intCast(data.len),
+    };
+    defer s.counts.deinit(allocator);
+    s.setLimits(0, max_depth, max_string_len, max_array_len, max_object_keys);
+    s.scanStructure();
+    return switch (s.failure.code) {
+        0, ERR_UNMATCHED_BRACKET => null,
+        else => s.failure,
+    };
+}
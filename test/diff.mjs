@@ -0,0 +1,113 @@
+/**
+ * Tests: diff() — RFC 6902 JSON Patch between two documents, walked on the
+ * tapes in WASM for parsed values and in JS for plain values.
+ */
+import { parse, diff } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+/** Diff two JSON texts both ways: on the tapes and as plain values. */
+function diffBoth(a, b) {
+  const tape = diff(parse(a).value, parse(b).value);
+  const plain = diff(JSON.parse(a), JSON.parse(b));
+  assertEqual(tape, plain, `tape and plain diffs disagree: ${JSON.stringify(tape)} vs ${JSON.stringify(plain)}`);
+  return tape;
+}
+
+console.log("\n🧪 VectorJSON — Diff Tests\n");
+
+await test("equal documents produce no ops", () => {
+  assertEqual(diffBoth('{"a":1,"b":[1,2,{"c":null}]}', '{"a":1,"b":[1,2,{"c":null}]}'), []);
+});
+
+await test("key order never produces ops", () => {
+  assertEqual(diffBoth('{"a":1,"b":{"x":true,"y":"s"}}', '{"b":{"y":"s","x":true},"a":1}'), []);
+});
+
+await test("replace, remove and add on object keys", () => {
+  assertEqual(diffBoth('{"a":1,"b":2,"c":3}', '{"a":1,"b":"two","d":4}'), [
+    { op: "replace", path: "/b", value: "two" },
+    { op: "remove", path: "/c" },
+    { op: "add", path: "/d", value: 4 },
+  ]);
+});
+
+await test("nested changes have full paths", () => {
+  assertEqual(diffBoth('{"user":{"profile":{"name":"Ada","tags":["a"]}}}', '{"user":{"profile":{"name":"Grace","tags":["a"]}}}'), [
+    { op: "replace", path: "/user/profile/name", value: "Grace" },
+  ]);
+});
+
+await test("arrays: changed elements, appended and trimmed tails", () => {
+  assertEqual(diffBoth('[1,2,3]', '[1,5,3,4,6]'), [
+    { op: "replace", path: "/1", value: 5 },
+    { op: "add", path: "/3", value: 4 },
+    { op: "add", path: "/4", value: 6 },
+  ]);
+  assertEqual(diffBoth('{"xs":[1,2,3,4]}', '{"xs":[1]}'), [
+    { op: "remove", path: "/xs/3" },
+    { op: "remove", path: "/xs/2" },
+    { op: "remove", path: "/xs/1" },
+  ]);
+});
+
+await test("type changes replace the whole subtree", () => {
+  assertEqual(diffBoth('{"v":{"a":1}}', '{"v":[1]}'), [{ op: "replace", path: "/v", value: [1] }]);
+  assertEqual(diffBoth('{"v":"1"}', '{"v":1}'), [{ op: "replace", path: "/v", value: 1 }]);
+  assertEqual(diffBoth('{"a":1}', '[1]'), [{ op: "replace", path: "", value: [1] }]);
+});
+
+await test("numbers compare by value across representations", () => {
+  assertEqual(diffBoth('{"n":1,"m":2.5}', '{"n":1.0,"m":2.50}'), []);
+});
+
+await test("keys are escaped as JSON Pointer tokens", () => {
+  assertEqual(diffBoth('{"a/b":{"m~n":1}}', '{"a/b":{"m~n":2}}'), [{ op: "replace", path: "/a~1b/m~0n", value: 2 }]);
+});
+
+await test("added values are plain objects", () => {
+  const ops = diff(parse('{"a":{}}').value, parse('{"a":{"deep":{"list":[1,{"x":2}]}}}').value);
+  assertEqual(ops, [{ op: "add", path: "/a/deep", value: { list: [1, { x: 2 }] } }]);
+  assertEqual(Array.isArray(ops[0].value.list), true);
+});
+
+await test("accepts ParseResults and mixed plain/lazy values", () => {
+  assertEqual(diff(parse('{"a":1}'), parse('{"a":2}')), [{ op: "replace", path: "/a", value: 2 }]);
+  assertEqual(diff(parse('{"a":1}').value, { a: 1, b: true }), [{ op: "add", path: "/b", value: true }]);
+  assertEqual(diff(parse("1"), parse("2")), [{ op: "replace", path: "", value: 2 }]);
+});
+
+await test("large objects beyond the stack sort buffer", () => {
+  const a = {}, b = {};
+  for (let i = 0; i < 200; i++) { a[`k${i}`] = i; b[`k${199 - i}`] = 199 - i; }
+  b.k42 = -1;
+  delete b.k7;
+  b.extra = 1;
+  assertEqual(diffBoth(JSON.stringify(a), JSON.stringify(b)), [
+    { op: "remove", path: "/k7" },
+    { op: "replace", path: "/k42", value: -1 },
+    { op: "add", path: "/extra", value: 1 },
+  ]);
+});
+
+await test("freed documents throw", () => {
+  const r = parse('{"a":1}');
+  const v = r.value;
+  r.free();
+  let threw = false;
+  try { diff(v, { a: 1 }); } catch (err) { threw = /freed/.test(err.message); }
+  assertEqual(threw, true);
+});
+
+console.log(`\n✨ Diff Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,76 @@
+/**
+ * Document slot tests — the slot table grows past any fixed size, and
+ * init({ maxDocuments }) caps live documents with a deterministic error.
+ */
+import { parse, importTape, exportTape, init } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+/** Run `fn` and return what it threw (null if it returned). */
+function thrown(fn) {
+  try { fn(); } catch (err) { return err; }
+  return null;
+}
+
+console.log("\n🧪 VectorJSON Document Slot Tests\n");
+
+await test("more than 128 live documents (slots grow on demand)", () => {
+  const docs = Array.from({ length: 300 }, (_, i) => parse(`{"id":${i},"tags":["t${i}"]}`).value);
+  docs.forEach((d, i) => assertEqual([d.id, d.tags[0]], [i, `t${i}`]));
+  docs.forEach((d) => d.free());
+});
+
+await test("init({ maxDocuments }) caps live documents with a clear error", async () => {
+  const kept = [parse('{"a":1}').value];
+  await init({ maxDocuments: 2 });
+  try {
+    kept.push(parse("[2]").value);
+    const err = thrown(() => parse('{"b":3}'));
+    assertEqual(/document limit reached: 2\/2 live/.test(err?.message), true, `Unexpected error: ${err?.message}`);
+    // Incomplete input takes the same path
+    assertEqual(/document limit reached/.test(thrown(() => parse('{"b":'))?.message), true);
+    // Freeing a document makes room again
+    kept.shift().free();
+    kept.push(parse('{"c":4}').value);
+    assertEqual(kept[1].c, 4);
+  } finally {
+    await init({ maxDocuments: 0 });
+    kept.forEach((d) => d.free());
+  }
+});
+
+await test("importTape respects maxDocuments", async () => {
+  const source = parse('{"tape":true}').value;
+  const tape = exportTape(source);
+  await init({ maxDocuments: 1 });
+  try {
+    const err = thrown(() => importTape(tape));
+    assertEqual(/document limit reached: 1\/1 live/.test(err?.message), true, `Unexpected error: ${err?.message}`);
+    source.free();
+    const imported = importTape(tape);
+    assertEqual(imported.tape, true);
+    imported.free();
+  } finally {
+    await init({ maxDocuments: 0 });
+  }
+});
+
+await test("invalid maxDocuments throws RangeError", async () => {
+  for (const maxDocuments of [-1, 1.5, "10"]) {
+    let err = null;
+    try { await init({ maxDocuments }); } catch (e) { err = e; }
+    assertEqual(err instanceof RangeError, true, `${JSON.stringify(maxDocuments)} should throw`);
+  }
+});
+
+console.log(`\n✨ Document Slot Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,136 @@
+/**
+ * Duplicate key tests — the duplicateKeys policy ("first", "last", "error",
+ * "collect") across parse(), lazy proxies, live documents and deepCompare().
+ */
+import { parse, createParser, createEventParser, materialize, deepCompare, query, get, JsonParseError } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+const site = (err) => [err?.code, err?.offset];
+
+/** Feed `json` one character at a time and return the final status and value. */
+function stream(create, json, duplicateKeys) {
+  const p = create({ duplicateKeys });
+  let status;
+  for (const ch of json) status = p.feed(ch);
+  const out = { status, value: status === "error" ? undefined : p.getValue(), error: p.getError?.() ?? null };
+  p.destroy();
+  return out;
+}
+
+const JSON_DUP = '{"a":1,"b":{"c":[1]},"a":2,"b":{"d":true},"a":"three"}';
+
+console.log("\n🧪 VectorJSON Duplicate Key Tests\n");
+
+await test("parse: each policy picks its value", () => {
+  const expected = {
+    last: { a: "three", b: { d: true } },
+    first: { a: 1, b: { c: [1] } },
+    collect: { a: [1, 2, "three"], b: [{ c: [1] }, { d: true }] },
+  };
+  for (const [duplicateKeys, value] of Object.entries(expected)) {
+    const r = parse(JSON_DUP, { duplicateKeys });
+    assertEqual(r.status, "complete");
+    assertEqual(r.toJSON(), value, `toJSON under ${duplicateKeys}`);
+    assertEqual(materialize(r.value), value, `materialize under ${duplicateKeys}`);
+    assertEqual([r.value.a, Object.keys(r.value)], [value.a, ["a", "b"]], `proxy under ${duplicateKeys}`);
+  }
+});
+
+await test("parse: the default matches JSON.parse", () => {
+  assertEqual(parse(JSON_DUP).value.a, JSON.parse(JSON_DUP).a);
+  assertEqual(parse(JSON_DUP).toJSON(), JSON.parse(JSON_DUP));
+});
+
+await test("parse: the default resolves the last value without a scan up front", () => {
+  // Field reads come first, before anything has scanned the document
+  const doc = parse('{"a":1,"b":{"c":1,"c":2},"a":3}').value;
+  assertEqual([doc.a, doc.b.c], [3, 2]);
+  assertEqual(Object.keys(doc.b), ["c"]);
+  assertEqual(query(doc, "$.b.*"), [2]);
+  assertEqual(deepCompare(doc, { a: 3, b: { c: 2 } }), true);
+  assertEqual(deepCompare(doc, parse('{"a":3,"b":{"c":2}}').value), true);
+});
+
+await test("parse: error reports the repeated key", () => {
+  const r = parse('{"a":1,"a":2}', { duplicateKeys: "error" });
+  assertEqual(r.status, "invalid");
+  assertEqual(r.errorInfo instanceof JsonParseError, true);
+  assertEqual(site(r.errorInfo), ["duplicate_key", 7]);
+  assertEqual(site(parse('[{"x":1},{"y":1,"z":2,"y":3}]', { duplicateKeys: "error" }).errorInfo), ["duplicate_key", 22]);
+  // The same key in different objects is not a duplicate
+  assertEqual(parse('[{"a":1},{"a":2}]', { duplicateKeys: "error" }).status, "complete");
+});
+
+await test("parse: the policy holds in query(), get() and deepCompare()", () => {
+  const doc = parse('{"items":[{"id":1,"id":2}],"items":[{"id":3}]}', { duplicateKeys: "first" }).value;
+  assertEqual(query(doc, "$.items[*].id"), [1]);
+  assertEqual(get(doc, "/items/0/id"), 1);
+  assertEqual(deepCompare(parse('{"a":1,"a":2}', { duplicateKeys: "first" }).value, { a: 1 }), true);
+  assertEqual(deepCompare(parse('{"a":1,"a":2}', { duplicateKeys: "first" }).value, parse('{"a":1}').value), true);
+  assertEqual(deepCompare(parse('{"a":1,"a":2}').value, { a: 2 }), true);
+  assertEqual(deepCompare(parse('{"a":1,"a":2}', { duplicateKeys: "collect" }).value, { a: [1, 2] }), true);
+});
+
+for (const [name, create] of [["createParser", createParser], ["createEventParser", createEventParser]]) {
+  await test(`${name}: first, last and collect in the live document`, () => {
+    assertEqual(stream(create, JSON_DUP, "last").value, JSON.parse(JSON_DUP));
+    assertEqual(stream(create, JSON_DUP, "first").value, { a: 1, b: { c: [1] } });
+    assertEqual(stream(create, JSON_DUP, "collect").value, { a: [1, 2, "three"], b: [{ c: [1] }, { d: true }] });
+  });
+
+  await test(`${name}: partial values follow the policy`, () => {
+    const p = create({ duplicateKeys: "collect" });
+    p.feed('{"text":"one","text":"tw');
+    assertEqual(p.getValue(), { text: ["one", "tw"] });
+    p.destroy();
+    const q = create({ duplicateKeys: "first" });
+    q.feed('{"text":"one","text":"tw');
+    assertEqual(q.getValue(), { text: "one" });
+    q.destroy();
+  });
+
+  await test(`${name}: error stops the stream at the repeated key`, () => {
+    const p = create({ duplicateKeys: "error" });
+    assertEqual(p.feed('{"a":1,'), "incomplete");
+    assertEqual(p.feed('"a":2}'), "error");
+    assertEqual(site(p.getError()), ["duplicate_key", 7]);
+    let thrown = null;
+    try { p.getValue(); } catch (e) { thrown = e; }
+    assertEqual(thrown?.code, "duplicate_key");
+    p.destroy();
+  });
+}
+
+await test("createEventParser: collect reports the array in patches", () => {
+  const parser = createEventParser({ duplicateKeys: "collect" });
+  const ops = [];
+  parser.onPatch((op) => ops.push(op));
+  parser.feed('{"a":1,"a":"x"}');
+  assertEqual(ops.slice(-3), [
+    { op: "replace", path: "/a", value: [1] },
+    { op: "add", path: "/a/1", value: "" },
+    { op: "append", path: "/a/1", value: "x" },
+  ]);
+  parser.destroy();
+});
+
+await test("invalid duplicateKeys throws TypeError", () => {
+  for (const make of [() => parse("{}", { duplicateKeys: "merge" }), () => createParser({ duplicateKeys: true }), () => createEventParser({ duplicateKeys: "LAST" })]) {
+    let err = null;
+    try { make(); } catch (e) { err = e; }
+    assertEqual(err instanceof TypeError, true);
+  }
+});
+
+console.log(`\n✨ Duplicate Key Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
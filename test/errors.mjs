@@ -0,0 +1,120 @@
+/**
+ * Tests: structured parse errors — code, byte offset, line, column and caret
+ * snippet from parse(), streaming parsers and event parsers.
+ */
+import { parse, createParser, createEventParser, JsonParseError } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+/** The parts of a JsonParseError a caller would log. */
+const info = (e) => ({ code: e.code, offset: e.offset, line: e.line, column: e.column });
+
+console.log("\n🧪 VectorJSON — Structured Error Tests\n");
+
+await test("parse: invalid result carries errorInfo", () => {
+  const r = parse('{\n  "name": "Ada",\n  "age" 36\n}');
+  assertEqual(r.status, "invalid");
+  assertEqual(r.errorInfo instanceof JsonParseError, true);
+  assertEqual(r.errorInfo instanceof SyntaxError, true);
+  assertEqual(info(r.errorInfo), { code: "expected_colon", offset: 27, line: 3, column: 9 });
+  assertEqual(r.errorInfo.snippet, '  "age" 36\n        ^');
+  assertEqual(r.error, "VectorJSON: Expected colon after key at line 3, column 9");
+});
+
+await test("parse: error codes for common mistakes", () => {
+  const cases = [
+    ['{"a":1]', "expected_comma_or_brace", 6],
+    ['[1 2]', "expected_comma_or_bracket", 3],
+    ['[1,,2]', "unexpected_character", 3],
+    ['{"a":tru}', "invalid_literal", 5],
+    ['[01]', "invalid_number", 1],
+    ['[1,]', "unexpected_character", 3],
+    ['"tab\there"', "control_character", 4],
+    ['{a:1}', "expected_key", 1],
+    [']', "unmatched_bracket", 0],
+  ];
+  for (const [input, code, offset] of cases) {
+    const r = parse(input);
+    assertEqual(r.status, "invalid", `${input} should be invalid`);
+    assertEqual([r.errorInfo.code, r.errorInfo.offset], [code, offset], `for ${input}`);
+  }
+});
+
+await test("parse: the error is where the engine stopped", () => {
+  const deep = "[".repeat(2000) + "]".repeat(2000);
+  const r = parse(deep);
+  assertEqual(r.errorInfo.code, "max_depth");
+  assertEqual(deep[r.errorInfo.offset], "[");
+  const bad = parse(new Uint8Array([0x5B, 0x22, 0x61, 0xFF, 0x22, 0x5D])); // ["a\xFF"]
+  assertEqual([bad.errorInfo.code, bad.errorInfo.offset], ["invalid_utf8", 3]);
+});
+
+await test("parse: offsets are UTF-8 bytes, columns are characters", () => {
+  const r = parse('{"é": 1 "b": 2}');
+  assertEqual(info(r.errorInfo), { code: "expected_comma_or_brace", offset: 9, line: 1, column: 9 });
+});
+
+await test("parse: long lines are clipped around the error", () => {
+  const r = parse('{"k":"' + "x".repeat(100) + '" "y":1}');
+  const [line, caret] = r.errorInfo.snippet.split("\n");
+  assertEqual(line.startsWith("…"), true);
+  assertEqual(line.length < 90, true);
+  assertEqual(line[caret.length - 1], '"');
+});
+
+await test("parse: valid and incomplete results have no errorInfo", () => {
+  assertEqual(parse('{"a":1}').errorInfo, undefined);
+  assertEqual(parse('{"a":').errorInfo, undefined);
+});
+
+await test("createParser: getError() and getValue() after a stream error", () => {
+  const p = createParser();
+  assertEqual(p.getError(), null);
+  assertEqual(p.feed("]"), "error");
+  const err = p.getError();
+  assertEqual(info(err), { code: "unmatched_bracket", offset: 0, line: 1, column: 1 });
+  let thrown = null;
+  try { p.getValue(); } catch (e) { thrown = e; }
+  assertEqual(thrown === err, true);
+  p.destroy();
+  assertEqual(p.getError() === err, true);
+});
+
+await test("createParser: for-await throws the located error", async () => {
+  async function* chunks() { yield '{"a":1}\n'; yield ']'; }
+  let error = null;
+  try {
+    for await (const _ of createParser({ format: "jsonl", source: chunks() })) { /* drain */ }
+  } catch (e) { error = e; }
+  assertEqual(error instanceof JsonParseError, true);
+  assertEqual(error.code, "unmatched_bracket");
+});
+
+await test("createEventParser: grammar errors surface from getValue()", () => {
+  const parser = createEventParser();
+  parser.feed('{"user": {"name" "Ada"}}');
+  let error = null;
+  try { parser.getValue(); } catch (e) { error = e; }
+  assertEqual(error instanceof JsonParseError, true);
+  assertEqual(info(error), { code: "expected_colon", offset: 17, line: 1, column: 18 });
+  parser.destroy();
+});
+
+await test("createEventParser: getError() is null while the stream is healthy", () => {
+  const parser = createEventParser();
+  parser.feed('{"a":[1,2');
+  assertEqual(parser.getError(), null);
+  parser.destroy();
+});
+
+console.log(`\n✨ Structured Error Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -2,7 +2,7 @@
  * EventParser tests — path subscriptions, multi-root, deltas, skip paths,
  * JSON boundary detection, schema filtering, wildcard context, byte offsets.
  */
-import { createEventParser } from "../dist/index.js";
+import { createEventParser, applyPatch } from "../dist/index.js";
 
 let passed = 0, failed = 0;
 async function test(name, fn) {
@@ -107,6 +107,48 @@ await test("on: multiple wildcards accumulate in matches", () => {
   });
 });
 
+await test("on: ** matches at any depth", () => {
+  withParser((parser) => {
+    const events = [];
+    parser.on("**.error", (e) => events.push(e));
+    parser.feed('{"error":null,"steps":[{"result":{"error":"timeout"}},{"ok":1}],"meta":{"error":"x"}}');
+    assertEqual(events.map((e) => e.path), ["error", "steps.0.result.error", "meta.error"]);
+    assertEqual(events[0].matches, []);
+    assertEqual(events[1].matches, ["steps", 0, "result"]);
+    assertEqual(events[1].value, "timeout");
+  });
+});
+
+await test("on: trailing ** matches the subtree", () => {
+  withParser((parser) => {
+    const paths = [];
+    parser.on("a.**", (e) => paths.push(e.path));
+    parser.feed('{"a":{"b":[1]},"c":2}');
+    assertEqual(paths, ["a.b.0", "a.b", "a"]);
+  });
+});
+
+await test("on: {a,b} alternation reports the matched key", () => {
+  withParser((parser) => {
+    const events = [];
+    parser.on("tool.{name,id}", (e) => events.push([e.key, e.value, e.matches]));
+    parser.feed('{"tool":{"id":"t1","name":"search","input":{}}}');
+    assertEqual(events, [["id", "t1", ["id"]], ["name", "search", ["name"]]]);
+  });
+});
+
+await test("onDelta/off: ** and alternation patterns", () => {
+  withParser((parser) => {
+    const deltas = [];
+    const cb = (e) => deltas.push(e.value);
+    parser.onDelta("**.{text,code}", cb);
+    parser.feed('{"blocks":[{"text":"hi"},{"code":"x=1"}],');
+    parser.off("**.{text,code}", cb);
+    parser.feed('"text":"gone"}');
+    assertEqual(deltas.join(""), "hix=1");
+  });
+});
+
 await test("on: number value at path", () => {
   withParser((parser) => {
     const events = [];
@@ -792,6 +834,95 @@ await test("unicode escape in key split across chunks", () => {
   ep.destroy();
 });
 
+// =============================================================
+// 24. Live-document patches (onPatch / emit: "patch")
+// =============================================================
+
+await test("onPatch: reports each live-doc write as an op", () => {
+  const ep = createEventParser();
+  const ops = [];
+  ep.onPatch((op) => ops.push(op));
+  ep.feed('{"title":"He');
+  ep.feed('llo","tags":["a"],"n":1}');
+  assertEqual(ops, [
+    { op: "add", path: "", value: {} },
+    { op: "add", path: "/title", value: null },
+    { op: "replace", path: "/title", value: "" },
+    { op: "append", path: "/title", value: "He" },
+    { op: "append", path: "/title", value: "llo" },
+    { op: "add", path: "/tags", value: null },
+    { op: "replace", path: "/tags", value: [] },
+    { op: "add", path: "/tags/0", value: "" },
+    { op: "append", path: "/tags/0", value: "a" },
+    { op: "add", path: "/n", value: null },
+    { op: "replace", path: "/n", value: 1 },
+  ]);
+  ep.destroy();
+});
+
+await test("onPatch: applying the ops rebuilds getValue() after every chunk", () => {
+  const ep = createEventParser();
+  let state;
+  const pending = [];
+  ep.onPatch((op) => pending.push(op));
+  const json = '{"msg":"stream \\u00e9","list":[1,{"deep":[true,null]},"x"],"a/b":{"~k":-2.5e3}}';
+  for (let i = 0; i < json.length; i += 7) {
+    ep.feed(json.slice(i, i + 7));
+    state = applyPatch(state, pending.splice(0));
+    assertEqual(state, ep.getValue(), `mismatch after ${i + 7} chars`);
+  }
+  assertEqual(state, JSON.parse(json));
+  ep.destroy();
+});
+
+await test("onPatch: container values are fresh empty objects", () => {
+  const ep = createEventParser();
+  const values = [];
+  ep.onPatch((op) => { if (op.op !== "append" && op.op !== "remove") values.push(op.value); });
+  ep.feed('{"o":{"k":1}}');
+  assert(values[0] !== ep.getValue(), "root op must not alias the live doc");
+  assertEqual(values[0], {});
+  ep.destroy();
+});
+
+await test("onPatch: pick filtering removes dropped placeholders", () => {
+  const ep = createEventParser({ pick: ["a.b"] });
+  const ops = [];
+  ep.onPatch((op) => ops.push(op));
+  ep.feed('{"a":1,"z":2}');
+  assertEqual(ops, [
+    { op: "add", path: "", value: {} },
+    { op: "add", path: "/a", value: null },
+    { op: "remove", path: "/a" },
+  ]);
+  assertEqual(applyPatch(undefined, ops), ep.getValue());
+  ep.destroy();
+});
+
+await test("emit: patch — for await yields the ops of each chunk", async () => {
+  async function* chunks() {
+    yield '{"text":"Hel';
+    yield 'lo","done":';
+    yield 'true}';
+  }
+  const ep = createEventParser({ source: chunks(), emit: "patch" });
+  const batches = [];
+  for await (const ops of ep) batches.push(ops);
+  assertEqual(batches[0], [
+    { op: "add", path: "", value: {} },
+    { op: "add", path: "/text", value: null },
+    { op: "replace", path: "/text", value: "" },
+    { op: "append", path: "/text", value: "Hel" },
+  ]);
+  assertEqual(applyPatch(undefined, batches.flat()), { text: "Hello", done: true });
+});
+
+await test("emit: invalid value throws TypeError", () => {
+  let threw = false;
+  try { createEventParser({ emit: "diff" }); } catch (err) { threw = err instanceof TypeError; }
+  assert(threw, "expected TypeError");
+});
+
 // =============================================================
 // Summary
 // =============================================================
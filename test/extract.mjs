@@ -0,0 +1,116 @@
+/**
+ * Tests: extractAll() / createExtractor() — every top-level JSON value in mixed
+ * LLM text, with spans, contexts and the interleaved prose.
+ */
+import { extractAll, createExtractor } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+/** Feed `text` in chunks of `size` characters; returns the values and the prose. */
+function extractChunked(text, size) {
+  const prose = [];
+  const extractor = createExtractor().onText((t) => prose.push(t));
+  const found = [];
+  for (let i = 0; i < text.length; i += size) found.push(...extractor.feed(text.slice(i, i + size)));
+  found.push(...extractor.end());
+  return { found, prose: prose.join("") };
+}
+
+console.log("\n🧪 VectorJSON — Extraction Tests\n");
+
+await test("extractAll: every value with its span", () => {
+  const text = 'Here are two calls: {"name":"search","args":{"q":"x"}} and then {"name":"done"}.';
+  const found = extractAll(text);
+  assertEqual(found.map((f) => f.value), [{ name: "search", args: { q: "x" } }, { name: "done" }]);
+  for (const f of found) assertEqual(JSON.parse(text.slice(f.start, f.end)), f.value);
+  assertEqual(found.map((f) => f.context), ["text", "text"]);
+});
+
+await test("extractAll: code fences and think blocks", () => {
+  const text = '<think>try {"draft": 1}</think>Answer:\n```json\n[1, 2]\n```\nand {"final": true}';
+  const found = extractAll(text);
+  assertEqual(found.map((f) => [f.value, f.context]), [[{ draft: 1 }, "think"], [[1, 2], "fence"], [{ final: true }, "text"]]);
+  assertEqual(found[1].start, text.indexOf("[1, 2]"));
+});
+
+await test("extractAll: brackets that aren't JSON stay prose", () => {
+  const text = 'Use { to open, see [citation], not {"a": 1 "b": 2} but {"ok": "a } inside"}';
+  const found = extractAll(text);
+  assertEqual(found.map((f) => f.value), [{ ok: "a } inside" }]);
+});
+
+await test("extractAll: an unclosed value doesn't hide later ones", () => {
+  assertEqual(extractAll('start {"a": [1, {"b": 2}] and').map((f) => f.value), [[1, { b: 2 }]]);
+});
+
+await test("extractAll: a rejected candidate is rescanned from just after its bracket", () => {
+  const text = 'note [see {"a": 1} here] and { ] then ["b"]';
+  const found = extractAll(text);
+  assertEqual(found.map((f) => [f.value, f.start]), [[{ a: 1 }, 10], [["b"], 38]]);
+  assertEqual(extractChunked(text, 2).found, found);
+});
+
+await test("extractAll: invalid number forms are rejected by the engine", () => {
+  assertEqual(extractAll("codes [01] and [1]").map((f) => f.value), [[1]]);
+});
+
+await test("extractAll: Uint8Array input, spans in characters", () => {
+  const text = 'é → {"k": "ü"}';
+  const [found] = extractAll(new TextEncoder().encode(text));
+  assertEqual([found.value, found.start, found.end], [{ k: "ü" }, 4, 14]);
+});
+
+await test("createExtractor: same result for any chunk size", () => {
+  const text = 'Plan:\n<think>{"x": 1}</think>\n```\n{"f": [true, null]}\n``` then [3, "]"] done { nope';
+  const whole = extractChunked(text, text.length);
+  for (const size of [1, 2, 3, 7]) {
+    assertEqual(extractChunked(text, size), whole, `chunk size ${size}`);
+  }
+  assertEqual(whole.found.length, 3);
+});
+
+await test("createExtractor: prose and values cover the input", () => {
+  const text = 'a {"b": 1} c [2] d { e';
+  const { found, prose } = extractChunked(text, 3);
+  assertEqual(prose, "a  c  d { e");
+  assertEqual(found.map((f) => [f.start, f.end]), [[2, 10], [13, 16]]);
+});
+
+await test("createExtractor: onValue fires as each value closes", () => {
+  const seen = [];
+  const extractor = createExtractor().onValue((f) => seen.push(f.value));
+  extractor.feed('first {"a":');
+  assertEqual(seen, []);
+  assertEqual(extractor.feed('1} second [2').map((f) => f.value), [{ a: 1 }]);
+  extractor.feed("]");
+  assertEqual(seen, [{ a: 1 }, [2]]);
+});
+
+await test("createExtractor: for-await over a source", async () => {
+  async function* chunks() {
+    yield new TextEncoder().encode('call {"id": 1}');
+    yield ' call {"id"';
+    yield ': 2}';
+  }
+  const ids = [];
+  for await (const found of createExtractor({ source: chunks() })) ids.push(found.value.id);
+  assertEqual(ids, [1, 2]);
+});
+
+await test("createExtractor: iterating without a source throws", () => {
+  let threw = false;
+  try { createExtractor()[Symbol.asyncIterator](); } catch { threw = true; }
+  assertEqual(threw, true);
+});
+
+console.log(`\n✨ Extraction Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,333 @@
+/**
+ * Tests: JSON Schema (draft 2020-12) as a schema source for createParser
+ * and createEventParser — field picking from properties/items and built-in
+ * validation of the completed value.
+ */
+import { createParser, createEventParser } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+const Weather = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  type: "object",
+  properties: {
+    city: { type: "string", minLength: 1 },
+    days: { type: "integer", minimum: 1, maximum: 14 },
+    units: { enum: ["metric", "imperial"] },
+  },
+  required: ["city"],
+};
+
+console.log("\n🧪 VectorJSON — JSON Schema Tests\n");
+
+await test("createParser: picks only declared properties", () => {
+  const p = createParser({ schema: Weather });
+  p.feed('{"city":"Paris","debug":{"trace":[1,2,3]},"days":3}');
+  assertEqual(p.getStatus(), "complete");
+  assertEqual(p.getValue(), { city: "Paris", days: 3 });
+  p.destroy();
+});
+
+await test("createParser: partial values are available before validation", () => {
+  const p = createParser({ schema: Weather });
+  p.feed('{"city":"Par');
+  assertEqual(p.getValue(), { city: "Par" });
+  p.destroy();
+});
+
+await test("createParser: missing required property fails validation", () => {
+  const p = createParser({ schema: Weather });
+  p.feed('{"days":3}');
+  assertEqual(p.getStatus(), "complete");
+  assertEqual(p.getValue(), undefined);
+  p.destroy();
+});
+
+await test("createParser: type, bounds and enum are checked on complete", () => {
+  for (const doc of ['{"city":"Paris","days":1.5}', '{"city":"Paris","days":30}', '{"city":"","days":3}', '{"city":"Paris","units":"kelvin"}']) {
+    const p = createParser({ schema: Weather });
+    p.feed(doc);
+    assertEqual(p.getValue(), undefined, `expected ${doc} to fail validation`);
+    p.destroy();
+  }
+});
+
+await test("createParser: arrays are transparent for picking", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      users: { type: "array", items: { type: "object", properties: { name: { type: "string" } }, required: ["name"] } },
+    },
+  };
+  const p = createParser({ schema });
+  p.feed('{"users":[{"name":"Ada","age":36},{"name":"Linus","age":54}],"total":2}');
+  assertEqual(p.getValue(), { users: [{ name: "Ada" }, { name: "Linus" }] });
+  p.destroy();
+});
+
+await test("createParser: $ref to $defs is followed for picking and validation", () => {
+  const schema = {
+    type: "object",
+    properties: { owner: { $ref: "#/$defs/person" } },
+    $defs: { person: { type: "object", properties: { id: { type: "integer" } }, required: ["id"] } },
+  };
+  const ok = createParser({ schema });
+  ok.feed('{"owner":{"id":7,"email":"x@y.z"},"extra":true}');
+  assertEqual(ok.getValue(), { owner: { id: 7 } });
+  ok.destroy();
+
+  const bad = createParser({ schema });
+  bad.feed('{"owner":{"id":"7"}}');
+  assertEqual(bad.getValue(), undefined);
+  bad.destroy();
+});
+
+await test("createParser: additionalProperties schema keeps the object whole", () => {
+  const schema = {
+    type: "object",
+    properties: { meta: { type: "object", additionalProperties: { type: "number" } } },
+  };
+  const p = createParser({ schema });
+  p.feed('{"meta":{"a":1,"b":2},"skip":0}');
+  assertEqual(p.getValue(), { meta: { a: 1, b: 2 } });
+  p.destroy();
+});
+
+await test("createParser: nullable and scalar types keep the value whole", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      owner: { type: ["object", "null"], properties: { id: { type: "integer" } } },
+      tags: { type: ["array", "null"], items: { type: "object", properties: { name: { type: "string" } } } },
+      note: { type: ["object", "string"], properties: { text: { type: "string" } } },
+    },
+  };
+  const p = createParser({ schema });
+  p.feed('{"owner":{"id":1,"email":"a@b.c"},"tags":[{"name":"x","color":"red"}],"note":{"text":"hi","by":"me"},"skip":0}');
+  assertEqual(p.getValue(), { owner: { id: 1, email: "a@b.c" }, tags: [{ name: "x", color: "red" }], note: { text: "hi", by: "me" } });
+  p.destroy();
+});
+
+await test("createParser: required keys without a declared schema are picked", () => {
+  const schema = { type: "object", properties: { city: { type: "string" } }, required: ["city", "id"] };
+  const p = createParser({ schema });
+  p.feed('{"city":"Paris","id":{"v":7},"skip":0}');
+  assertEqual(p.getValue(), { city: "Paris", id: { v: 7 } });
+  p.destroy();
+});
+
+await test("createParser: anyOf/oneOf/allOf", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      id: { anyOf: [{ type: "string" }, { type: "integer" }] },
+      kind: { oneOf: [{ const: "a" }, { const: "b" }] },
+      n: { allOf: [{ minimum: 0 }, { maximum: 10 }] },
+    },
+  };
+  const check = (doc) => {
+    const p = createParser({ schema });
+    p.feed(doc);
+    const v = p.getValue();
+    p.destroy();
+    return v;
+  };
+  assertEqual(check('{"id":"x","kind":"a","n":5}'), { id: "x", kind: "a", n: 5 });
+  assertEqual(check('{"id":1.5}'), undefined);
+  assertEqual(check('{"kind":"c"}'), undefined);
+  assertEqual(check('{"n":11}'), undefined);
+});
+
+await test("createParser: boolean schemas", () => {
+  const yes = createParser({ schema: true });
+  yes.feed('{"a":1}');
+  assertEqual(yes.getValue(), { a: 1 });
+  yes.destroy();
+
+  const no = createParser({ schema: false });
+  no.feed('{"a":1}');
+  assertEqual(no.getValue(), undefined);
+  no.destroy();
+});
+
+await test("createParser: non-local $ref is rejected", () => {
+  let threw = false;
+  try { createParser({ schema: { $ref: "https://example.com/schema.json" } }); }
+  catch (err) { threw = /only local/.test(err.message); }
+  assertEqual(threw, true);
+});
+
+await test("createEventParser: picks fields and validates the final value", () => {
+  const parser = createEventParser({ schema: Weather });
+  const cities = [];
+  parser.on("city", (e) => cities.push(e.value));
+  parser.feed('{"city":"Oslo","noise":[1,2,3],"days":2}');
+  assertEqual(cities, ["Oslo"]);
+  assertEqual(parser.getValue(), { city: "Oslo", days: 2 });
+  parser.destroy();
+
+  const bad = createEventParser({ schema: Weather });
+  bad.feed('{"days":2}');
+  assertEqual(bad.getValue(), undefined);
+  bad.destroy();
+});
+
+await test("createEventParser: on() accepts a JSON Schema filter", () => {
+  const parser = createEventParser();
+  const names = [];
+  parser.on("items[*]", { type: "object", required: ["name"] }, (e) => names.push(e.value.name));
+  parser.feed('{"items":[{"name":"ok"},{"invalid":true},{"name":"also ok"}]}');
+  assertEqual(names, ["ok", "also ok"]);
+  parser.destroy();
+});
+
+// --- Streaming validation (validate: "streaming") ---
+
+await test("streaming: feed() returns schema_error as soon as a field closes", () => {
+  const p = createParser({ schema: Weather, validate: "streaming" });
+  assertEqual(p.feed('{"city":"Paris","days":"th'), "incomplete");
+  assertEqual(p.feed('ree",'), "schema_error");
+  assertEqual(p.feed('"units":"metric"}'), "schema_error");
+  assertEqual(p.getStatus(), "complete");
+  assertEqual(p.getValue(), undefined);
+  p.destroy();
+});
+
+await test("streaming: required is checked when the object closes", () => {
+  const p = createParser({ schema: Weather, validate: "streaming" });
+  assertEqual(p.feed('{"days":3'), "incomplete");
+  assertEqual(p.feed('}'), "schema_error");
+  p.destroy();
+});
+
+await test("streaming: valid documents keep the usual statuses", () => {
+  const p = createParser({ schema: Weather, validate: "streaming" });
+  assertEqual(p.feed('{"city":"Paris",'), "incomplete");
+  assertEqual(p.feed('"days":3}'), "complete");
+  assertEqual(p.getValue(), { city: "Paris", days: 3 });
+  p.destroy();
+});
+
+await test("streaming: default validate mode leaves feed() statuses alone", () => {
+  const p = createParser({ schema: Weather });
+  assertEqual(p.feed('{"days":"three"}'), "complete");
+  assertEqual(p.getValue(), undefined);
+  p.destroy();
+});
+
+await test("streaming: array elements are checked at their index", () => {
+  const schema = { type: "object", properties: { ids: { type: "array", items: { type: "integer" } } } };
+  const parser = createEventParser({ schema });
+  const errors = [];
+  parser.onSchemaError((e) => errors.push(e));
+  parser.feed('{"ids":[1,2,"x",4]}');
+  assertEqual(errors.length, 1);
+  assertEqual(errors[0].path, "ids.2");
+  assertEqual(errors[0].value, "x");
+  assertEqual(errors[0].issues, [{ path: ["ids", 2], message: "must be integer" }]);
+  parser.destroy();
+});
+
+await test("streaming: onSchemaError reports each violation once", () => {
+  const schema = {
+    type: "object",
+    properties: { user: { type: "object", properties: { age: { type: "integer" } }, required: ["name"] } },
+  };
+  const parser = createEventParser({ schema, validate: "streaming" });
+  const issues = [];
+  parser.onSchemaError((e) => issues.push(...e.issues));
+  assertEqual(parser.feed('{"user":{"age":1.5'), "incomplete");
+  assertEqual(parser.feed(',"x":1}'), "schema_error");
+  parser.feed('}');
+  assertEqual(issues, [
+    { path: ["user", "age"], message: "must be integer" },
+    { path: ["user", "name"], message: "is required" },
+  ]);
+  parser.destroy();
+});
+
+await test("streaming: Zod-like schemas are checked through .shape", () => {
+  const str = {
+    safeParse: (v) => typeof v === "string"
+      ? { success: true, data: v }
+      : { success: false, error: { issues: [{ path: [], message: "Expected string" }] } },
+  };
+  const schema = { shape: { name: str }, safeParse: (v) => ({ success: true, data: v }) };
+  const parser = createEventParser({ schema, validate: "streaming" });
+  const seen = [];
+  parser.onSchemaError((e) => seen.push(...e.issues));
+  assertEqual(parser.feed('{"name":42,'), "schema_error");
+  assertEqual(seen, [{ path: ["name"], message: "Expected string" }]);
+  parser.destroy();
+});
+
+await test("streaming: closing a container doesn't check its children again", () => {
+  let leafChecks = 0;
+  const str = {
+    safeParse: (v) => {
+      leafChecks++;
+      return typeof v === "string"
+        ? { success: true, data: v }
+        : { success: false, error: { issues: [{ path: [], message: "Required" }] } };
+    },
+  };
+  // Like z.object: validates every field again
+  const object = (shape) => ({
+    shape,
+    safeParse: (v) => {
+      const issues = [];
+      for (const [k, sub] of Object.entries(shape)) {
+        const r = sub.safeParse(v?.[k]);
+        if (!r.success) issues.push(...r.error.issues.map((i) => ({ ...i, path: [k, ...i.path] })));
+      }
+      return issues.length ? { success: false, error: { issues } } : { success: true, data: v };
+    },
+  });
+  const schema = object({ a: object({ b: object({ c: str, d: str }) }) });
+  const parser = createEventParser({ schema, validate: "streaming" });
+  const seen = [];
+  parser.onSchemaError((e) => seen.push(...e.issues));
+  assertEqual(parser.feed('{"a":{"b":{"c":"x"'), "incomplete");
+  assertEqual(leafChecks, 1);
+  assertEqual(parser.feed('}'), "schema_error");
+  assertEqual(seen, [{ path: ["a", "b", "d"], message: "Required" }]);
+  parser.feed('}}');
+  assertEqual(leafChecks, 2);
+  parser.destroy();
+});
+
+await test("streaming: for-await throws on the first violation", async () => {
+  async function* chunks() {
+    yield '{"city":"Paris",';
+    yield '"days":0,';
+    yield '"units":"metric"}';
+  }
+  const partials = [];
+  let error = null;
+  try {
+    for await (const partial of createParser({ schema: Weather, validate: "streaming", source: chunks() })) {
+      partials.push(JSON.stringify(partial));
+    }
+  } catch (err) { error = err; }
+  assertEqual(partials, ['{"city":"Paris"}']);
+  assertEqual(error?.message, "VectorJSON: Schema validation failed at days: must be >= 1");
+});
+
+await test("streaming: invalid validate option throws TypeError", () => {
+  let threw = false;
+  try { createParser({ schema: Weather, validate: "eager" }); }
+  catch (err) { threw = err instanceof TypeError; }
+  assertEqual(threw, true);
+});
+
+console.log(`\n✨ JSON Schema Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
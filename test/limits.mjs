@@ -0,0 +1,116 @@
+/**
+ * Resource limit tests — maxBytes, maxDepth, maxStringLength, maxArrayLength and
+ * maxObjectKeys on parse(), createParser() and createEventParser().
+ */
+import { parse, createParser, createEventParser, JsonParseError } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+const site = (err) => [err?.code, err?.offset];
+
+console.log("\n🧪 VectorJSON Limit Tests\n");
+
+await test("parse: each limit fails with its own code and offset", () => {
+  const cases = [
+    ["[[1]]", { maxDepth: 1 }, "max_depth", 1],
+    ['{"name":"abcdef"}', { maxStringLength: 5 }, "max_string_length", 8],
+    ['{"abcdef":1}', { maxStringLength: 5 }, "max_string_length", 1],
+    ["[1,2,3,4]", { maxArrayLength: 3 }, "max_array_length", 7],
+    ['{"a":1,"b":2,"c":3}', { maxObjectKeys: 2 }, "max_object_keys", 13],
+    ['{"a":"bcdef"}', { maxBytes: 8 }, "max_bytes", 8],
+  ];
+  for (const [input, limits, code, offset] of cases) {
+    const r = parse(input, { limits });
+    assertEqual(r.status, "invalid", `${input} should break ${code}`);
+    assertEqual(r.errorInfo instanceof JsonParseError, true);
+    assertEqual(site(r.errorInfo), [code, offset], `for ${input}`);
+  }
+});
+
+await test("parse: input within the limits parses", () => {
+  const limits = { maxBytes: 64, maxDepth: 2, maxStringLength: 5, maxArrayLength: 2, maxObjectKeys: 2 };
+  const r = parse('{"tags":["a","bcdef"],"n":1}', { limits });
+  assertEqual(r.status, "complete");
+  assertEqual(r.toJSON(), { tags: ["a", "bcdef"], n: 1 });
+  // 0 turns a limit off
+  assertEqual(parse("[[[1]]]", { limits: { maxDepth: 0 } }).status, "complete");
+});
+
+await test("parse: maxBytes counts UTF-8 bytes", () => {
+  // 9 characters, 11 bytes
+  const r = parse('["é","é"]', { limits: { maxBytes: 10 } });
+  assertEqual(site(r.errorInfo), ["max_bytes", 10]);
+  const bytes = new TextEncoder().encode('["é","é"]');
+  assertEqual(site(parse(bytes, { limits: { maxBytes: 10 } }).errorInfo), ["max_bytes", 10]);
+  assertEqual(parse(bytes, { limits: { maxBytes: 11 } }).status, "complete");
+});
+
+await test("parse: limits apply to incomplete input and to repaired output", () => {
+  assertEqual(site(parse("[1,2,3", { limits: { maxArrayLength: 2 } }).errorInfo), ["max_array_length", 5]);
+  const r = parse("{a: [1, 2, 3,]}", { repair: true, limits: { maxArrayLength: 2 } });
+  assertEqual(r.errorInfo?.code, "max_array_length");
+});
+
+await test("createParser: an oversized string stops the stream before it closes", () => {
+  const p = createParser({ limits: { maxStringLength: 10 } });
+  assertEqual(p.feed('{"text":"'), "incomplete");
+  assertEqual(p.feed("x".repeat(20)), "error");
+  assertEqual(site(p.getError()), ["max_string_length", 8]);
+  let thrown = null;
+  try { p.getValue(); } catch (e) { thrown = e; }
+  assertEqual(thrown === p.getError(), true);
+  p.destroy();
+});
+
+await test("createParser: maxBytes and maxDepth", () => {
+  const p = createParser({ limits: { maxBytes: 16 } });
+  assertEqual(p.feed('{"a":"0123456789'), "incomplete");
+  assertEqual(p.feed('abc"}'), "error");
+  assertEqual(site(p.getError()), ["max_bytes", 16]);
+  p.destroy();
+
+  const q = createParser({ limits: { maxDepth: 3 } });
+  assertEqual(q.feed('{"a":[[[1]]]}'), "error");
+  assertEqual(site(q.getError()), ["max_depth", 7]);
+  q.destroy();
+});
+
+await test("createParser: JSONL limits apply per value", () => {
+  const p = createParser({ format: "jsonl", limits: { maxObjectKeys: 2 } });
+  assertEqual(p.feed('{"a":1,"b":2}\n{"a":1,"b":2,"c":3}\n'), "end_early");
+  assertEqual(p.getValue(), { a: 1, b: 2 });
+  p.resetForNext();
+  assertEqual(p.getStatus(), "error");
+  assertEqual(site(p.getError()), ["max_object_keys", 13]);
+  p.destroy();
+});
+
+await test("createEventParser: limits stop the stream", () => {
+  const parser = createEventParser({ limits: { maxArrayLength: 2 } });
+  assertEqual(parser.feed('{"items":[1,2,3]}'), "error");
+  assertEqual(site(parser.getError()), ["max_array_length", 14]);
+  parser.destroy();
+});
+
+await test("invalid limits throw", () => {
+  for (const limits of [{ maxDepth: -1 }, { maxBytes: 1.5 }, { maxArrayLength: "10" }]) {
+    let err = null;
+    try { parse("[]", { limits }); } catch (e) { err = e; }
+    assertEqual(err instanceof RangeError, true, `${JSON.stringify(limits)} should throw RangeError`);
+  }
+  let err = null;
+  try { createEventParser({ limits: 5 }); } catch (e) { err = e; }
+  assertEqual(err instanceof TypeError, true);
+});
+
+console.log(`\n✨ Limit Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,100 @@
+/**
+ * Memory accounting tests — getStats() reports document slots, stream buffers
+ * and scratch buffers; compact() releases what free slots and buffers retain.
+ */
+import { parse, createParser, getStats, compact } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || "Assertion failed");
+}
+
+const bigJson = (n, tag) => JSON.stringify({ tag, rows: Array.from({ length: n }, (_, i) => ({ id: i, name: `row_${i}` })) });
+
+console.log("\n🧪 VectorJSON Memory Tests\n");
+
+await test("getStats: a live document's tape and input bytes", () => {
+  const json = bigJson(500, "stats");
+  const doc = parse(json).value;
+  const stats = getStats();
+  assert(stats.memoryBytes >= stats.documents.retainedBytes, "memory covers the slots");
+  assert(stats.documents.active >= 1, "at least one live document");
+  const slot = stats.documents.slots.find((s) => s.active && s.inputBytes === json.length);
+  assert(slot, "slot for the parsed document");
+  assert(slot.tapeBytes > 0 && slot.tapeBytes % 8 === 0, "tape is whole words");
+  assert(slot.retainedBytes >= slot.tapeBytes + slot.inputBytes, "retained covers live data");
+  assert(stats.scratchBytes >= json.length, "input was staged in a scratch buffer");
+  doc.free();
+  const freed = getStats().documents.slots.find((s) => s.id === slot.id);
+  assertEqual([freed.active, freed.tapeBytes, freed.inputBytes], [false, 0, 0]);
+  assert(freed.retainedBytes > 0, "a free slot keeps its buffers for reuse");
+});
+
+await test("getStats: streaming parser buffers", () => {
+  const before = getStats().streams.active;
+  const p = createParser();
+  p.feed(bigJson(2000, "stream").slice(0, 50_000));
+  const stats = getStats();
+  assertEqual(stats.streams.active, before + 1);
+  const slot = stats.streams.slots.find((s) => s.bufferedBytes === 50_000);
+  assert(slot, "slot for the live parser");
+  assert(slot.capacityBytes >= 50_000, "capacity covers the buffered bytes");
+  p.destroy();
+  assertEqual(getStats().streams.slots.some((s) => s.id === slot.id), false);
+});
+
+await test("compact: releases free slots and scratch buffers, live documents survive", () => {
+  const kept = parse(bigJson(50, "kept")).value;
+  const temp = Array.from({ length: 8 }, (_, i) => parse(bigJson(300, `temp${i}`)).value);
+  temp.forEach((d) => d.free());
+  const before = getStats();
+  const released = compact();
+  const after = getStats();
+  assert(released > 0, "something was released");
+  assert(after.documents.retainedBytes < before.documents.retainedBytes, "slots retain less");
+  assertEqual(after.scratchBytes, 0);
+  assertEqual(after.documents.slots.filter((s) => !s.active).every((s) => s.retainedBytes === 0), true);
+  assertEqual([kept.tag, kept.rows[49].name], ["kept", "row_49"]);
+  // Scratch buffers and slots come back on the next parse
+  assertEqual(parse('{"again":[1,2]}').value.again[1], 2);
+  kept.free();
+});
+
+await test("compact: live parser keeps its buffered bytes", () => {
+  const json = bigJson(2000, "partial");
+  const p = createParser();
+  p.feed(json.slice(0, 30_000));
+  compact();
+  assertEqual(p.feed(json.slice(30_000)), "complete");
+  const value = p.getValue();
+  assertEqual([value.tag, value.rows.length, value.rows[1999].id], ["partial", 2000, 1999]);
+  p.destroy();
+});
+
+await test("compact: shrinks a stream buffer grown by an earlier value", () => {
+  const p = createParser({ format: "jsonl" });
+  p.feed(bigJson(3000, "first") + '\n{"tag":');
+  assertEqual(p.getValue().tag, "first");
+  p.resetForNext();
+  const grown = getStats().streams.slots.find((s) => s.capacityBytes > 65_536);
+  assert(grown && grown.bufferedBytes < 16, "buffer grew for the large value and kept only the tail");
+  compact();
+  const shrunk = getStats().streams.slots.find((s) => s.id === grown.id);
+  assertEqual([shrunk.bufferedBytes, shrunk.capacityBytes], [grown.bufferedBytes, 4096]);
+  p.feed('"second"}');
+  assertEqual(p.getValue(), { tag: "second" });
+  p.destroy();
+});
+
+console.log(`\n✨ Memory Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
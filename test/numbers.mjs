@@ -0,0 +1,91 @@
+/**
+ * Tests: exact number modes — numbers: "bigint" | "string" | "auto"
+ * across parse(), proxies, materialize(), createParser and createEventParser.
+ */
+import { parse, materialize, createParser, createEventParser } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertStrictEqual(actual, expected, msg) {
+  if (actual !== expected) throw new Error(msg || `Expected ${String(expected)} (${typeof expected}), got ${String(actual)} (${typeof actual})`);
+}
+
+const SNOWFLAKE = "1234567890123456789";
+const DOC = `{"id":${SNOWFLAKE},"neg":-9007199254740993,"small":42,"price":0.10000000000000000001,"pi":3.14,"list":[${SNOWFLAKE},1]}`;
+
+console.log("\n🧪 VectorJSON — Exact Number Tests\n");
+
+await test("default mode keeps JS numbers", () => {
+  const v = parse(DOC).value;
+  assertStrictEqual(typeof v.id, "number");
+});
+
+await test("bigint: unsafe integers become BigInt through proxies", () => {
+  const v = parse(DOC, { numbers: "bigint" }).value;
+  assertStrictEqual(v.id, BigInt(SNOWFLAKE));
+  assertStrictEqual(v.neg, -9007199254740993n);
+  assertStrictEqual(v.small, 42);
+  assertStrictEqual(typeof v.price, "number");
+  assertStrictEqual(v.list[0], BigInt(SNOWFLAKE));
+  assertStrictEqual(v.list[1], 1);
+});
+
+await test("string: unsafe integers and long decimals keep their source text", () => {
+  const v = parse(DOC, { numbers: "string" }).value;
+  assertStrictEqual(v.id, SNOWFLAKE);
+  assertStrictEqual(v.neg, "-9007199254740993");
+  assertStrictEqual(v.price, "0.10000000000000000001");
+  assertStrictEqual(v.pi, 3.14);
+});
+
+await test("auto: BigInt for integers, text for decimals", () => {
+  const v = parse(DOC, { numbers: "auto" }).value;
+  assertStrictEqual(v.id, BigInt(SNOWFLAKE));
+  assertStrictEqual(v.price, "0.10000000000000000001");
+  assertStrictEqual(v.small, 42);
+});
+
+await test("materialize and toJSON honor the mode", () => {
+  const result = parse(DOC, { numbers: "bigint" });
+  assertStrictEqual(materialize(result.value).list[0], BigInt(SNOWFLAKE));
+  assertStrictEqual(result.toJSON().id, BigInt(SNOWFLAKE));
+});
+
+await test("root-level unsafe integer", () => {
+  assertStrictEqual(parse(SNOWFLAKE, { numbers: "bigint" }).value, BigInt(SNOWFLAKE));
+  assertStrictEqual(parse("18446744073709551615", { numbers: "string" }).value, "18446744073709551615");
+});
+
+await test("invalid mode throws TypeError", () => {
+  let threw = false;
+  try { parse("1", { numbers: "decimal" }); } catch (err) { threw = err instanceof TypeError; }
+  assertStrictEqual(threw, true);
+});
+
+await test("createParser: live document uses exact numbers", () => {
+  const parser = createParser({ numbers: "bigint" });
+  parser.feed(`{"id":${SNOWFLAKE},`);
+  assertStrictEqual(parser.getValue().id, BigInt(SNOWFLAKE));
+  parser.feed(`"n":1}`);
+  assertStrictEqual(parser.getValue().id, BigInt(SNOWFLAKE));
+  parser.destroy();
+});
+
+await test("createEventParser: path events and final value use exact numbers", () => {
+  const parser = createEventParser({ numbers: "auto" });
+  const seen = [];
+  parser.on("id", (e) => seen.push(e.value));
+  parser.on("items", (e) => seen.push(e.value[0]));
+  parser.feed(`{"id":${SNOWFLAKE},"items":[0.10000000000000000001]}`);
+  assertStrictEqual(seen[0], BigInt(SNOWFLAKE));
+  assertStrictEqual(seen[1], "0.10000000000000000001");
+  assertStrictEqual(parser.getValue().id, BigInt(SNOWFLAKE));
+  parser.destroy();
+});
+
+console.log(`\n✨ Number Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
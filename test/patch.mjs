@@ -0,0 +1,132 @@
+/**
+ * Tests: applyPatch() (RFC 6902) and mergePatch() (RFC 7396) over parsed
+ * documents and plain values.
+ */
+import { parse, diff, applyPatch, mergePatch } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+function assertThrows(fn, re, type = Error) {
+  let err = null;
+  try { fn(); } catch (e) { err = e; }
+  if (!(err instanceof type)) throw new Error(`Expected ${type.name}, got ${err}`);
+  if (re && !re.test(err.message)) throw new Error(`Unexpected message: ${err.message}`);
+}
+
+const json = '{"title":"draft","tags":["a","b"],"meta":{"rev":1,"owner":{"id":7}},"body":[1,2,3]}';
+
+console.log("\n🧪 VectorJSON — Patch Tests\n");
+
+await test("applyPatch: add, remove, replace on a parsed document", () => {
+  const out = applyPatch(parse(json), [
+    { op: "replace", path: "/title", value: "final" },
+    { op: "add", path: "/tags/1", value: "x" },
+    { op: "add", path: "/tags/-", value: "z" },
+    { op: "remove", path: "/meta/rev" },
+    { op: "add", path: "/meta/owner/name", value: "Ada" },
+  ]);
+  assertEqual(out, { title: "final", tags: ["a", "x", "b", "z"], meta: { owner: { id: 7, name: "Ada" } }, body: [1, 2, 3] });
+});
+
+await test("applyPatch: result is plain and the source document is unchanged", () => {
+  const result = parse(json);
+  const out = applyPatch(result, [{ op: "replace", path: "/meta/rev", value: 2 }]);
+  assertEqual(Array.isArray(out.body), true);
+  assertEqual(out.body.length, 3);
+  assertEqual(result.value.meta.rev, 1);
+  assertEqual(JSON.parse(JSON.stringify(result.value)), JSON.parse(json));
+});
+
+await test("applyPatch: move, copy and test", () => {
+  const out = applyPatch(parse(json).value, [
+    { op: "test", path: "/meta/owner", value: { id: 7 } },
+    { op: "copy", from: "/meta/owner", path: "/author" },
+    { op: "add", path: "/author/role", value: "editor" },
+    { op: "move", from: "/body", path: "/meta/body" },
+  ]);
+  assertEqual(out, { title: "draft", tags: ["a", "b"], meta: { rev: 1, owner: { id: 7 }, body: [1, 2, 3] }, author: { id: 7, role: "editor" } });
+});
+
+await test("applyPatch: plain targets are copied on write, untouched subtrees shared", () => {
+  const target = JSON.parse(json);
+  const out = applyPatch(target, [{ op: "replace", path: "/meta/rev", value: 2 }]);
+  assertEqual(target.meta.rev, 1);
+  assertEqual(out.meta.rev, 2);
+  assertEqual(out.tags === target.tags, true);
+  assertEqual(out.meta.owner === target.meta.owner, true);
+});
+
+await test("applyPatch: root replacement and scalar targets", () => {
+  assertEqual(applyPatch(parse(json), [{ op: "replace", path: "", value: [1] }]), [1]);
+  assertEqual(applyPatch(1, [{ op: "replace", path: "", value: 2 }]), 2);
+});
+
+await test("applyPatch: round-trips diff()", () => {
+  const a = parse('{"a":1,"list":[1,2,3,4],"o":{"x":{"y":1}},"gone":true}');
+  const b = parse('{"list":[1,9],"a":2,"o":{"x":{"y":2,"z":[]}},"new":null}');
+  assertEqual(applyPatch(a, diff(a, b)), JSON.parse('{"a":2,"list":[1,9],"o":{"x":{"y":2,"z":[]}},"new":null}'));
+});
+
+await test("applyPatch: failed operations throw and leave nothing half-applied", () => {
+  const target = JSON.parse(json);
+  assertThrows(() => applyPatch(target, [
+    { op: "replace", path: "/title", value: "x" },
+    { op: "remove", path: "/missing" },
+  ]), /Patch operation 1 \(remove \/missing\) failed: path not found/);
+  assertEqual(target.title, "draft");
+  assertThrows(() => applyPatch(target, [{ op: "test", path: "/title", value: "final" }]), /value does not match/);
+  assertThrows(() => applyPatch(target, [{ op: "add", path: "/tags/5", value: 1 }]), /path not found/);
+  assertThrows(() => applyPatch(target, [{ op: "add", path: "/tags/01", value: 1 }]), /path not found/);
+  assertThrows(() => applyPatch(target, [{ op: "move", from: "/meta", path: "/meta/x" }]), /own child/);
+});
+
+await test("applyPatch: malformed operations throw TypeError", () => {
+  assertThrows(() => applyPatch({}, { op: "add" }), /array of operations/, TypeError);
+  assertThrows(() => applyPatch({}, [{ op: "add", path: "/a" }]), /index 0/, TypeError);
+  assertThrows(() => applyPatch({}, [{ op: "move", path: "/a" }]), /index 0/, TypeError);
+  assertThrows(() => applyPatch({}, [{ op: "upsert", path: "/a", value: 1 }]), /index 0/, TypeError);
+  assertThrows(() => applyPatch({}, [{ op: "add", path: "a", value: 1 }]), /JSON Pointer/, SyntaxError);
+});
+
+await test("applyPatch: __proto__ keys stay own properties", () => {
+  const out = applyPatch(parse("{}"), [{ op: "add", path: "/__proto__", value: { polluted: true } }]);
+  assertEqual(Object.getPrototypeOf(out), Object.prototype);
+  assertEqual(Object.keys(out), ["__proto__"]);
+  assertEqual({}.polluted, undefined);
+});
+
+await test("mergePatch: RFC 7396 semantics", () => {
+  const out = mergePatch(parse('{"a":"b","c":{"d":"e","f":"g"},"list":[1,2]}'), {
+    a: "z",
+    c: { f: null, h: { i: null, j: 1 } },
+    list: [3],
+  });
+  assertEqual(out, { a: "z", c: { d: "e", h: { j: 1 } }, list: [3] });
+});
+
+await test("mergePatch: non-object patches and targets", () => {
+  assertEqual(mergePatch(parse('{"a":1}'), ["x"]), ["x"]);
+  assertEqual(mergePatch(parse("[1,2]"), { a: 1 }), { a: 1 });
+  assertEqual(mergePatch("text", { a: { b: null } }), { a: {} });
+});
+
+await test("mergePatch: accepts a parsed patch and shares untouched plain subtrees", () => {
+  const target = { keep: { big: [1, 2, 3] }, n: 1 };
+  const out = mergePatch(target, parse('{"n":2}'));
+  assertEqual(out, { keep: { big: [1, 2, 3] }, n: 2 });
+  assertEqual(out.keep === target.keep, true);
+  assertEqual(target.n, 1);
+});
+
+console.log(`\n✨ Patch Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
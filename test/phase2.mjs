@@ -2,7 +2,7 @@
  * Phase 2: Streaming parser tests.
  * Tests incremental feeding of JSON chunks, status detection, and NDJSON.
  */
-import { createParser } from "../dist/index.js";
+import { createParser, createEventParser, init } from "../dist/index.js";
 
 let passed = 0, failed = 0;
 async function test(name, fn) {
@@ -165,6 +165,32 @@ await test("stream: multiple concurrent parsers", () => {
   p2.destroy();
 });
 
+await test("stream: more than 4 concurrent parsers (slots grow on demand)", () => {
+  const parsers = Array.from({ length: 32 }, () => createParser());
+  parsers.forEach((p, i) => p.feed(`{"id":${i}`));
+  parsers.forEach((p) => p.feed("}"));
+  parsers.forEach((p, i) => assertEqual(p.getValue(), { id: i }));
+  parsers.forEach((p) => p.destroy());
+});
+
+await test("stream: init({ maxStreams }) caps concurrent parsers with a clear error", async () => {
+  await init({ maxStreams: 2 });
+  const p1 = createParser();
+  const p2 = createEventParser();
+  let err = null;
+  try { createParser(); } catch (e) { err = e; }
+  await init({ maxStreams: 0 });
+  if (!err) throw new Error("Expected stream limit error");
+  if (!/stream limit reached: 2\/2 active/.test(err.message)) throw new Error(`Unexpected message: ${err.message}`);
+  p1.destroy();
+  p2.destroy();
+  // Freed slots are reusable after the limit is lifted
+  const p3 = createParser();
+  p3.feed("[1]");
+  assertEqual(p3.getValue(), [1]);
+  p3.destroy();
+});
+
 // --- Byte input ---
 await test("stream: feed Uint8Array chunks", () => {
   const p = createParser();
@@ -11,6 +11,7 @@
  * 7. for-await auto-destroy on completion and on break
  * 8. Array transparency — schema picks through arrays
  * 9. createEventParser schema + for-await
+ * 10. Explicit pick / omit path options
  */
 
 import { createParser, createEventParser } from "../dist/index.js";
@@ -489,6 +490,105 @@ test("createEventParser schema: rejects invalid returns undefined", () => {
   p.destroy();
 });
 
+// ── 14. Explicit pick / omit options ──
+
+test("createParser pick: only listed paths are built", () => {
+  const p = createParser({ pick: ["name", "address.city"] });
+  parsersToClean.push(p);
+  p.feed('{"name":"Alice","age":30,"address":{"city":"Paris","zip":"75001"}}');
+  assertEqual(p.getValue(), { name: "Alice", address: { city: "Paris" } });
+});
+
+test("createParser pick: wildcards and ** reach nested fields", () => {
+  const p = createParser({ pick: ["users[*].name", "**.id"] });
+  parsersToClean.push(p);
+  p.feed('{"users":[{"name":"A","age":1,"id":7}],"meta":{"owner":{"id":9,"x":0}},"total":1}');
+  assertEqual(p.getValue(), { users: [{ name: "A", id: 7 }], meta: { owner: { id: 9 } } });
+});
+
+test("createParser pick: explicit array indices", () => {
+  const p = createParser({ pick: ["items[0]", "items[2].v"] });
+  parsersToClean.push(p);
+  p.feed('{"items":[{"v":1,"w":1},{"v":2},{"v":3,"w":3},4]}');
+  assertEqual(p.getValue(), { items: [{ v: 1, w: 1 }, { v: 3 }] });
+});
+
+test("createParser pick: partial values stream while filtered", () => {
+  const p = createParser({ pick: ["answer"] });
+  parsersToClean.push(p);
+  p.feed('{"explanation":"long text","answer":"4');
+  assertEqual(p.getValue(), { answer: "4" });
+  p.feed('2"}');
+  assertEqual(p.getValue(), { answer: "42" });
+});
+
+test("createParser omit: skips big fields anywhere", () => {
+  const p = createParser({ omit: ["explanation", "**.debug"] });
+  parsersToClean.push(p);
+  p.feed('{"explanation":"very long","answer":42,"steps":[{"n":1,"debug":{"t":[1,2]}}]}');
+  assertEqual(p.getValue(), { answer: 42, steps: [{ n: 1 }] });
+});
+
+test("createParser pick + omit: omit wins inside picked subtrees", () => {
+  const p = createParser({ pick: ["result"], omit: ["result.raw"] });
+  parsersToClean.push(p);
+  p.feed('{"result":{"ok":true,"raw":"..."},"log":[]}');
+  assertEqual(p.getValue(), { result: { ok: true } });
+});
+
+test("createParser pick: overrides the schema's fields, schema still validates", () => {
+  const p = createParser({ schema: makeSchema({ name: {}, age: {} }), pick: ["name"] });
+  parsersToClean.push(p);
+  p.feed('{"name":"Alice","age":30}');
+  assertEqual(p.getValue(), { name: "Alice" });
+});
+
+test("createEventParser pick/omit: getValue() is filtered, events still fire", () => {
+  const p = createEventParser({ pick: ["user.{name,email}"], omit: ["user.email"] });
+  parsersToClean.push(p);
+  const ages = [];
+  p.on("user.age", (e) => ages.push(e.value));
+  p.feed('{"user":{"name":"Bob","email":"b@x.io","age":41},"trace":[1,2,3]}');
+  assertEqual(p.getValue(), { user: { name: "Bob" } });
+  assertEqual(ages, [41]);
+});
+
+test("createEventParser pick: explicit array indices", () => {
+  const p = createEventParser({ pick: ["rows[1]"] });
+  parsersToClean.push(p);
+  p.feed('{"rows":[{"a":1},{"b":2},[3]],"n":3}');
+  assertEqual(p.getValue(), { rows: [{ b: 2 }] });
+});
+
+test("JSON Schema: null for a nullable object and scalars in object arrays are kept", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      user: { type: ["object", "null"], properties: { name: { type: "string" } } },
+      rows: { type: "array", items: { type: ["object", "null"], properties: { v: { type: "string" } } } },
+    },
+    required: ["user"],
+  };
+  const input = '{"user":null,"rows":[null,{"v":"x"}]}';
+  for (const create of [createParser, createEventParser]) {
+    const p = create({ schema });
+    parsersToClean.push(p);
+    p.feed(input);
+    assertEqual(p.getValue(), { user: null, rows: [null, { v: "x" }] }, `${create.name}`);
+  }
+});
+
+test("pick/omit: non-array options throw TypeError", () => {
+  for (const opts of [{ pick: "name" }, { omit: [1] }]) {
+    let threw = false;
+    try { createParser(opts); } catch (err) { threw = err instanceof TypeError; }
+    assert(threw, `createParser(${JSON.stringify(opts)}) should throw`);
+    threw = false;
+    try { createEventParser(opts); } catch (err) { threw = err instanceof TypeError; }
+    assert(threw, `createEventParser(${JSON.stringify(opts)}) should throw`);
+  }
+});
+
 // ── Results ──
 console.log(`\n\u2728 Schema + Async Iterator Results: ${passed} passed, ${failed} failed\n`);
 if (failed > 0) process.exit(1);
@@ -0,0 +1,100 @@
+/**
+ * Tests: query() JSONPath and get() JSON Pointer over lazy documents.
+ */
+import { parse, query, get } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+const json = JSON.stringify({
+  id: "msg_1",
+  content: [
+    { type: "text", text: "Let me search." },
+    { type: "tool_use", id: "t1", name: "search", input: { q: "zig", limit: 5 } },
+    { type: "tool_use", id: "t2", name: "fetch", input: { url: "https://x" } },
+  ],
+  items: [{ id: 1, price: 9.5 }, { id: 2, price: 20 }, { id: 3, price: 3 }],
+  "a/b": { "m~n": true },
+  "esc\nkey": 1,
+});
+
+console.log("\n🧪 VectorJSON — Query Tests\n");
+
+await test("query: wildcard over array", () => {
+  assertEqual(query(parse(json).value, "$.items[*].id"), [1, 2, 3]);
+});
+
+await test("query: filter on string equality", () => {
+  assertEqual(query(parse(json).value, '$.content[?(@.type=="tool_use")].name'), ["search", "fetch"]);
+});
+
+await test("query: filter with numeric comparison and &&", () => {
+  assertEqual(query(parse(json).value, "$.items[?(@.price < 10 && @.id > 1)].id"), [3]);
+});
+
+await test("query: existence filter, negative index, slice, union", () => {
+  const v = parse(json).value;
+  assertEqual(query(v, "$.content[?(@.input.url)].id"), ["t2"]);
+  assertEqual(query(v, "$.items[-1].id"), [3]);
+  assertEqual(query(v, "$.items[1:].id"), [2, 3]);
+  assertEqual(query(v, "$.items[0,2].price"), [9.5, 3]);
+});
+
+await test("query: recursive descent", () => {
+  assertEqual(query(parse(json).value, "$..q"), ["zig"]);
+});
+
+await test("query: containers are returned as plain values", () => {
+  const [input] = query(parse(json).value, "$.content[1].input");
+  assertEqual(input, { q: "zig", limit: 5 });
+});
+
+await test("query: accepts a ParseResult and plain objects", () => {
+  assertEqual(query(parse(json), "$.id"), ["msg_1"]);
+  assertEqual(query({ a: [{ b: 1 }, { b: 2 }] }, "$.a[*].b"), [1, 2]);
+});
+
+await test("query: bracket names with escaped keys", () => {
+  assertEqual(query(parse(json).value, '$["esc\\nkey"]'), [1]);
+});
+
+await test("query: invalid path throws SyntaxError", () => {
+  let err;
+  try { query(parse(json).value, "$.items[?(@.id ==)]"); } catch (e) { err = e; }
+  assertEqual(err instanceof SyntaxError, true);
+});
+
+await test("get: JSON Pointer with ~0 / ~1 escapes", () => {
+  const v = parse(json).value;
+  assertEqual(get(v, "/content/1/input/limit"), 5);
+  assertEqual(get(v, "/a~1b/m~0n"), true);
+  assertEqual(get(v, ""), JSON.parse(json));
+});
+
+await test("get: missing paths return undefined", () => {
+  const v = parse(json).value;
+  assertEqual(get(v, "/items/9") === undefined, true);
+  assertEqual(get(v, "/items/01") === undefined, true);
+  assertEqual(get(v, "/nope/x") === undefined, true);
+});
+
+await test("get: freed document throws", () => {
+  const result = parse(json);
+  const v = result.value;
+  result.free();
+  let threw = false;
+  try { get(v, "/id"); } catch { threw = true; }
+  assertEqual(threw, true);
+});
+
+console.log(`\n✨ Query Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,179 @@
+/**
+ * Tests: repair mode — trailing commas, unquoted keys, single and smart quotes,
+ * Python literals, raw control characters and comments, with repair reports.
+ */
+import { parse, parsePartialJson, createParser } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+const kinds = (repairs) => repairs.map((r) => r.kind);
+
+console.log("\n🧪 VectorJSON — Repair Tests\n");
+
+await test("parse: each kind of repair", () => {
+  const cases = [
+    ['[1, 2, ]', [1, 2], "trailing_comma"],
+    ['{name: "Ada"}', { name: "Ada" }, "unquoted_key"],
+    ["{'a': 'it\\'s \"x\"'}", { a: "it's \"x\"" }, "single_quotes"],
+    ['{“a”: ‘b’}', { a: "b" }, "smart_quotes"],
+    ['[True, False, None]', [true, false, null], "python_literal"],
+    ['{"text": "line 1\nline 2\tend"}', { text: "line 1\nline 2\tend" }, "control_character"],
+    ['{"a": 1 /* one */, // done\n"b": 2}', { a: 1, b: 2 }, "comment"],
+  ];
+  for (const [input, value, kind] of cases) {
+    const r = parse(input, { repair: true });
+    assertEqual(r.status, "complete", `${input} should parse`);
+    assertEqual(r.toJSON(), value, `value of ${input}`);
+    assertEqual(kinds(r.repairs).includes(kind), true, `${input} should report ${kind}`);
+  }
+});
+
+await test("parse: repairs carry input offsets", () => {
+  const r = parse("{name: 'Al', ok: True,}", { repair: true });
+  assertEqual(r.repairs, [
+    { kind: "unquoted_key", offset: 1 },
+    { kind: "single_quotes", offset: 7 },
+    { kind: "unquoted_key", offset: 13 },
+    { kind: "python_literal", offset: 17 },
+    { kind: "trailing_comma", offset: 21 },
+  ]);
+});
+
+await test("parse: words that only start with a Python literal are not rewritten", () => {
+  for (const input of ["[Nonesuch]", "{a: Truex}", "[Falsey, 1]"]) {
+    const r = parse(input, { repair: true });
+    assertEqual(r.status, "invalid", `${input} should stay invalid`);
+    assertEqual(kinds(r.repairs).includes("python_literal"), false, `${input} should not report python_literal`);
+  }
+  assertEqual(parse("[None]", { repair: true }).toJSON(), [null]);
+  assertEqual(parsePartialJson("[1, True", { repair: true }).value, [1, true]);
+});
+
+await test("parse: valid JSON is untouched", () => {
+  const input = '{"a": [true, null, "True", "it’s"], "n": -1.5e3, "s": "// not a comment"}';
+  const r = parse(input, { repair: true });
+  assertEqual(r.repairs, []);
+  assertEqual(r.toJSON(), JSON.parse(input));
+});
+
+await test("parse: without repair the same input is invalid", () => {
+  assertEqual(parse("{a: 1,}").status, "invalid");
+  assertEqual(parse("{a: 1,}").repairs, undefined);
+});
+
+await test("parse: unrepairable input stays invalid", () => {
+  const r = parse('{"a": 1 "b": 2}', { repair: true });
+  assertEqual(r.status, "invalid");
+  assertEqual(r.repairs, []);
+});
+
+await test("parsePartialJson: repaired complete value reports repaired-parse", () => {
+  const r = parsePartialJson("{name: 'Ada', admin: True}", { repair: true });
+  assertEqual(r.value, { name: "Ada", admin: true });
+  assertEqual(r.state, "repaired-parse");
+  assertEqual(kinds(r.repairs), ["unquoted_key", "single_quotes", "unquoted_key", "python_literal"]);
+  const clean = parsePartialJson('{"a":1}', { repair: true });
+  assertEqual([clean.state, clean.repairs], ["successful-parse", []]);
+});
+
+await test("parsePartialJson: truncated input is repaired and completed", () => {
+  const r = parsePartialJson("{items: ['a', 'b", { repair: true });
+  assertEqual(r.state, "repaired-parse");
+  assertEqual(r.value, { items: ["a", "b"] });
+  const literal = parsePartialJson("[1, Tr", { repair: true });
+  assertEqual(literal.value, [1, true]);
+});
+
+await test("parsePartialJson: schema in the options object", () => {
+  const schema = { safeParse: (v) => (typeof v?.n === "number" ? { success: true, data: v } : { success: false }) };
+  assertEqual(parsePartialJson("{n: 1,}", { schema, repair: true }).value, { n: 1 });
+  assertEqual(parsePartialJson("{n: 'x'}", { schema, repair: true }).state, "failed-parse");
+  assertEqual(parsePartialJson('{"n":1}', schema).repairs, undefined);
+});
+
+await test("createParser: repairs across arbitrary chunk splits", () => {
+  const input = "{city: 'Paris', // capital\n tags: ['a',], ok: None, note: “hi”}";
+  const expected = { city: "Paris", tags: ["a"], ok: null, note: "hi" };
+  for (let k = 1; k < input.length; k++) {
+    const p = createParser({ repair: true });
+    p.feed(input.slice(0, k));
+    assertEqual(p.feed(input.slice(k)), "complete", `split at ${k}`);
+    assertEqual(p.getValue(), expected, `split at ${k}`);
+    assertEqual(kinds(p.getRepairs()), ["unquoted_key", "single_quotes", "comment", "unquoted_key",
+      "single_quotes", "trailing_comma", "unquoted_key", "python_literal", "unquoted_key", "smart_quotes"]);
+    p.destroy();
+  }
+});
+
+await test("createParser: a literal is rewritten only once the word ends", () => {
+  for (const [chunks, value] of [[["[None", "such]"], undefined], [["[None", "]"], [null]], [["[Tru", "e", ",1]"], [true, 1]]]) {
+    const p = createParser({ repair: true });
+    for (const chunk of chunks) p.feed(chunk);
+    if (value !== undefined) assertEqual(p.getValue(), value, chunks.join("|"));
+    assertEqual(kinds(p.getRepairs()).includes("python_literal"), value !== undefined, chunks.join("|"));
+    p.destroy();
+  }
+});
+
+await test("createParser: byte chunks split inside a character", () => {
+  const bytes = new TextEncoder().encode("{'é': 'ü', n: 1}");
+  const p = createParser({ repair: true });
+  p.feed(bytes.subarray(0, 3)); // splits the two-byte é
+  assertEqual(p.feed(bytes.subarray(3)), "complete");
+  assertEqual(p.getValue(), { "é": "ü", n: 1 });
+  assertEqual(kinds(p.getRepairs()), ["single_quotes", "single_quotes", "unquoted_key"]);
+  p.destroy();
+});
+
+await test("createParser: getRepairs() is empty without repair", () => {
+  const p = createParser();
+  p.feed('{"a":1}');
+  assertEqual(p.getRepairs(), []);
+  p.destroy();
+});
+
+await test("createParser: for-await with a repairing source", async () => {
+  async function* chunks() { yield "{done: Tr"; yield "ue, items: [1, 2,]}"; }
+  let last;
+  for await (const value of createParser({ repair: true, source: chunks() })) last = value;
+  assertEqual(last, { done: true, items: [1, 2] });
+});
+
+await test("createParser: end() releases a held-back literal", () => {
+  const p = createParser({ repair: true });
+  assertEqual(p.feed("None"), "incomplete");
+  assertEqual(p.end(), "complete");
+  assertEqual(p.getValue(), null);
+  p.destroy();
+
+  const q = createParser({ repair: true });
+  q.feed('{"ok": Tr');
+  assertEqual(q.end(), "incomplete");
+  assertEqual(q.getValue(), { ok: true });
+  assertEqual(kinds(q.getRepairs()), ["python_literal"]);
+  q.destroy();
+});
+
+await test("createParser: a repairing source ending in a literal completes", async () => {
+  async function* root() { yield "Tru"; yield "e"; }
+  const values = [];
+  for await (const value of createParser({ repair: true, source: root() })) values.push(value);
+  assertEqual(values[values.length - 1], true);
+
+  async function* cut() { yield '{"ok": Tr'; }
+  let last;
+  for await (const value of createParser({ repair: true, source: cut() })) last = value;
+  assertEqual(last, { ok: true });
+});
+
+console.log(`\n✨ Repair Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -31,36 +31,75 @@ await test("importTape rejects buffer too small", async () => {
   }
 });
 
-await test("importTape rejects zero tape_count", async () => {
-  const buf = new ArrayBuffer(16);
+/** Versioned tape header (magic, version, flags) with the given dimensions. */
+function tapeHeader(byteLength, tapeCount, inputLen) {
+  const buf = new ArrayBuffer(byteLength);
   const v = new DataView(buf);
-  v.setUint32(0, 0, true); // tape_count = 0
-  v.setUint32(4, 0, true); // input_len = 0
-  try { importTape(buf); assert(false); } catch (e) {
+  v.setUint32(0, 0x50544A56, true); // "VJTP"
+  v.setUint16(4, 1, true); // version
+  v.setUint32(8, tapeCount, true);
+  v.setUint32(12, inputLen, true);
+  return buf;
+}
+
+await test("importTape rejects zero tape_count", async () => {
+  try { importTape(tapeHeader(32, 0, 0)); assert(false); } catch (e) {
     assert(e.message.includes("invalid"), e.message);
   }
 });
 
 await test("importTape rejects tape_count = 1 (need at least 2)", async () => {
-  const buf = new ArrayBuffer(16);
-  const v = new DataView(buf);
-  v.setUint32(0, 1, true); // tape_count = 1
-  v.setUint32(4, 0, true); // input_len = 0
-  try { importTape(buf); assert(false); } catch (e) {
+  try { importTape(tapeHeader(32, 1, 0)); assert(false); } catch (e) {
     assert(e.message.includes("invalid"), e.message);
   }
 });
 
 await test("importTape rejects buffer with mismatched size", async () => {
-  const buf = new ArrayBuffer(20); // too small for tape_count=2 + input
-  const v = new DataView(buf);
-  v.setUint32(0, 2, true); // tape_count = 2 → needs 8 + 16 = 24 bytes minimum
-  v.setUint32(4, 0, true);
-  try { importTape(buf); assert(false); } catch (e) {
+  // tape_count=2 needs 24 + 16 = 40 bytes minimum
+  try { importTape(tapeHeader(36, 2, 0)); assert(false); } catch (e) {
     assert(e.message.includes("invalid"), e.message);
   }
 });
 
+await test("importTape rejects buffers without the tape magic", async () => {
+  const buf = tapeHeader(40, 2, 0);
+  new DataView(buf).setUint32(0, 2, true); // pre-versioned layout started with tape_count
+  try { importTape(buf); assert(false); } catch (e) {
+    assert(e.message.includes("bad magic"), e.message);
+  }
+});
+
+await test("importTape rejects unknown versions and flags", async () => {
+  const p = createParser();
+  p.feed('{"a":1}');
+  const tape = p.getTapeBuffer();
+  p.destroy();
+  const future = tape.slice(0);
+  new DataView(future).setUint16(4, 2, true);
+  try { importTape(future); assert(false); } catch (e) {
+    assert(e.message.includes("Unsupported tape format version 2"), e.message);
+  }
+  const flagged = tape.slice(0);
+  new DataView(flagged).setUint16(6, 0x80, true);
+  try { importTape(flagged); assert(false); } catch (e) {
+    assert(e.message.includes("flags 0x80"), e.message);
+  }
+});
+
+await test("importTape verifies the CRC32 when present", async () => {
+  const p = createParser();
+  p.feed('{"key":"value"}');
+  const tape = p.getTapeBuffer({ checksum: true });
+  p.destroy();
+  const bytes = new Uint8Array(tape);
+  bytes[bytes.length - 3] ^= 0x01; // flip a bit in the source bytes
+  try { importTape(tape); assert(false); } catch (e) {
+    assert(e.message.includes("checksum mismatch"), e.message);
+  }
+  bytes[bytes.length - 3] ^= 0x01;
+  assertEqual(importTape(tape).key, "value");
+});
+
 await test("importTape rejects crafted tape with out-of-bounds string ptr", async () => {
   // Create a valid tape via round-trip, then corrupt string ptr
   const p = createParser();
@@ -71,14 +110,14 @@ await test("importTape rejects crafted tape with out-of-bounds string ptr", asyn
 
   // Corrupt: set a string word's data.ptr to point past input
   const v = new DataView(tape);
-  const tc = v.getUint32(0, true);
-  const il = v.getUint32(4, true);
+  const tc = v.getUint32(8, true);
+  const il = v.getUint32(12, true);
   // Find a string word (tag = 0x73 = 's')
   for (let i = 0; i < tc; i++) {
-    const tag = v.getUint8(8 + i * 8);
+    const tag = v.getUint8(24 + i * 8);
     if (tag === 0x73) { // string tag
       // Set ptr to way past input_len
-      v.setUint32(8 + i * 8 + 4, il + 1000, true); // data.ptr = out of bounds
+      v.setUint32(24 + i * 8 + 4, il + 1000, true); // data.ptr = out of bounds
       break;
     }
   }
@@ -95,13 +134,13 @@ await test("importTape rejects crafted tape with out-of-bounds container close",
   assert(tape !== null);
 
   const v = new DataView(tape);
-  const tc = v.getUint32(0, true);
+  const tc = v.getUint32(8, true);
   // Find object_opening (tag = 0x7b = '{')
   for (let i = 0; i < tc; i++) {
-    const tag = v.getUint8(8 + i * 8);
+    const tag = v.getUint8(24 + i * 8);
     if (tag === 0x7b) {
       // Set close index to way past tape_count
-      v.setUint32(8 + i * 8 + 4, tc + 100, true);
+      v.setUint32(24 + i * 8 + 4, tc + 100, true);
       break;
     }
   }
@@ -119,7 +158,7 @@ await test("importTape rejects tape with invalid tag byte", async () => {
 
   const v = new DataView(tape);
   // Corrupt word 2's tag to an invalid value
-  v.setUint8(8 + 2 * 8, 0xFF);
+  v.setUint8(24 + 2 * 8, 0xFF);
   try { importTape(tape); assert(false, "should reject invalid tag"); } catch (e) {
     assert(e.message.includes("invalid"), e.message);
   }
@@ -0,0 +1,109 @@
+/**
+ * Seeker configuration tests — custom reasoning tags, onReasoning routing,
+ * capture tags, fence labels, and the seeker option on createParser.
+ */
+import { createEventParser, createParser } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+/** Feed `text` one character at a time (worst-case splits) and collect what each channel saw. */
+function run(text, seeker, { chunk = 1, parser = "event" } = {}) {
+  const p = parser === "event" ? createEventParser({ seeker }) : createParser({ seeker });
+  const prose = [], reasoning = [];
+  p.onText((t) => prose.push(t));
+  p.onReasoning((t) => reasoning.push(t));
+  let status;
+  for (let i = 0; i < text.length; i += chunk) status = p.feed(text.slice(i, i + chunk));
+  const out = { status, value: p.getValue(), text: prose.join(""), reasoning: reasoning.join("") };
+  p.destroy();
+  return out;
+}
+
+console.log("\n🧪 VectorJSON Seeker Tests\n");
+
+await test("skip: custom tag names replace <think>", () => {
+  const r = run('<thinking>maybe {"no": 1}</thinking>Answer: {"a":1}', { skip: ["thinking", "reasoning"] });
+  assertEqual(r.value, { a: 1 });
+  assertEqual(r.text, 'maybe {"no": 1}Answer: ');
+  const other = run('<reasoning>[draft]</reasoning>{"b":2}', { skip: ["thinking", "reasoning"] });
+  assertEqual(other.value, { b: 2 });
+});
+
+await test("skip: explicit delimiters (harmony-style channels)", () => {
+  const seeker = { skip: [{ open: "<|channel|>analysis<|message|>", close: "<|end|>" }] };
+  const r = run('<|channel|>analysis<|message|>compare {x} and [y]<|end|>{"ok":true}', seeker);
+  assertEqual(r.value, { ok: true });
+  assertEqual(r.text, "compare {x} and [y]");
+});
+
+await test("skipTo: reasoning routes blocks to onReasoning", () => {
+  const r = run('<think>step 1</think>Result: {"a":1}', { skipTo: "reasoning" });
+  assertEqual(r.value, { a: 1 });
+  assertEqual(r.reasoning, "step 1");
+  assertEqual(r.text, "Result: ");
+});
+
+await test("capture: JSON read from inside the tag, prose brackets are text", () => {
+  const text = 'Calling {tool} now: <tool_call>{"name":"search","arguments":{"q":"x"}}</tool_call>';
+  const r = run(text, { capture: ["tool_call"] });
+  assertEqual(r.value, { name: "search", arguments: { q: "x" } });
+  assertEqual(r.text, "Calling {tool} now: ");
+});
+
+await test("fences: only listed labels hold JSON", () => {
+  const text = 'Example:\n```python\nprint({1: 2})\n```\nOutput:\n```json\n{"b":3}\n```';
+  const r = run(text, { fences: ["json"] }, { chunk: 3 });
+  assertEqual(r.value, { b: 3 });
+  assertEqual(r.text, "Example:\n```python\nprint({1: 2})\n```\nOutput:\n");
+});
+
+await test("fences: a label split across chunks", () => {
+  const r = run('```js\n[1]\n```\n```JSON\n{"c":4}\n```', { fences: ["json"] });
+  assertEqual(r.value, { c: 4 });
+});
+
+await test("default seeker is unchanged", () => {
+  const r = run('<think>hmm</think>```json\n{"d":5}\n```', undefined);
+  assertEqual(r.value, { d: 5 });
+  assertEqual(r.text, "hmm");
+});
+
+await test("createParser: seeker option skips prose around the JSON", () => {
+  const r = run('Sure! <tool_call>{"x":[1,2]}</tool_call>', { capture: ["tool_call"] }, { parser: "stream", chunk: 4 });
+  assertEqual(r.value, { x: [1, 2] });
+  assertEqual(r.text, "Sure! ");
+});
+
+await test("byte chunks: characters split across chunks reach onText and the JSON intact", () => {
+  const bytes = new TextEncoder().encode('Café → {"name":"José"}');
+  for (const parser of ["event", "stream"]) {
+    for (const size of [1, 2, 3, 5]) {
+      const p = parser === "event" ? createEventParser() : createParser({ seeker: {} });
+      const prose = [];
+      p.onText((t) => prose.push(t));
+      for (let i = 0; i < bytes.length; i += size) p.feed(bytes.subarray(i, i + size));
+      assertEqual([p.getValue(), prose.join("")], [{ name: "José" }, "Café → "], `${parser}, ${size}-byte chunks`);
+      p.destroy();
+    }
+  }
+});
+
+await test("invalid seeker options throw TypeError", () => {
+  for (const seeker of [{ skip: "think" }, { capture: [{ open: "<a>" }] }, { skip: [""] }, { fences: [1] }]) {
+    let threw = false;
+    try { createEventParser({ seeker }).destroy(); } catch (err) { threw = err instanceof TypeError; }
+    assertEqual(threw, true, `${JSON.stringify(seeker)} should throw`);
+  }
+});
+
+console.log(`\n✨ Seeker Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,124 @@
+/**
+ * Tests: Server-Sent Events source adapter — readSSE() framing and
+ * sseSource() feeding createParser / createEventParser.
+ */
+import { readSSE, sseSource, createParser, createEventParser } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+const encoder = new TextEncoder();
+
+/** Build a ReadableStream that emits `text` in `size`-byte chunks. */
+function byteStream(text, size = 7) {
+  const bytes = encoder.encode(text);
+  let pos = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (pos >= bytes.length) { controller.close(); return; }
+      controller.enqueue(bytes.slice(pos, pos + size));
+      pos += size;
+    },
+  });
+}
+
+async function collect(iter) {
+  const out = [];
+  for await (const v of iter) out.push(v);
+  return out;
+}
+
+console.log("\n🧪 VectorJSON — SSE Source Tests\n");
+
+await test("readSSE: event, data and id fields", async () => {
+  const events = await collect(readSSE(byteStream(
+    "event: ping\ndata: {\"a\":1}\nid: 7\n\ndata: hello\n\n",
+  )));
+  assertEqual(events, [
+    { event: "ping", data: '{"a":1}', id: "7" },
+    { event: "message", data: "hello", id: "7" },
+  ]);
+});
+
+await test("readSSE: multi-line data is joined with \\n", async () => {
+  const events = await collect(readSSE(byteStream("data: line1\ndata: line2\ndata:line3\n\n", 3)));
+  assertEqual(events.map(e => e.data), ["line1\nline2\nline3"]);
+});
+
+await test("readSSE: CRLF and CR line endings, split across chunks", async () => {
+  const text = "event: a\r\ndata: 1\r\n\r\nevent: b\rdata: 2\r\r";
+  for (const size of [1, 2, 5, 64]) {
+    const events = await collect(readSSE(byteStream(text, size)));
+    assertEqual(events.map(e => [e.event, e.data]), [["a", "1"], ["b", "2"]], `chunk size ${size}`);
+  }
+});
+
+await test("readSSE: comments and empty frames are skipped", async () => {
+  const events = await collect(readSSE(byteStream(": keep-alive\n\nevent: x\n\ndata: ok\n\n")));
+  assertEqual(events, [{ event: "message", data: "ok" }]);
+});
+
+await test("readSSE: multi-byte UTF-8 split across chunks", async () => {
+  const events = await collect(readSSE(byteStream("data: héllo 🌍\n\n", 1)));
+  assertEqual(events[0].data, "héllo 🌍");
+});
+
+await test("readSSE: accepts a fetch Response", async () => {
+  const events = await collect(readSSE(new Response("data: 42\n\n")));
+  assertEqual(events.map(e => e.data), ["42"]);
+});
+
+await test("readSSE: flushes a final event without trailing blank line", async () => {
+  const events = await collect(readSSE(byteStream("data: last")));
+  assertEqual(events.map(e => e.data), ["last"]);
+});
+
+await test("sseSource: path selects Anthropic partial_json deltas", async () => {
+  const frames = [
+    'event: message_start\ndata: {"type":"message_start"}\n\n',
+    'event: content_block_delta\ndata: {"delta":{"type":"input_json_delta","partial_json":"{\\"command\\":"}}\n\n',
+    'event: content_block_delta\ndata: {"delta":{"type":"input_json_delta","partial_json":"\\"create\\"}"}}\n\n',
+    'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+  ].join("");
+  const parser = createParser({
+    source: sseSource(byteStream(frames, 11), { event: "content_block_delta", path: "delta.partial_json" }),
+  });
+  let last;
+  for await (const partial of parser) last = partial;
+  assertEqual(last, { command: "create" });
+});
+
+await test("sseSource: OpenAI choices path and [DONE] terminator", async () => {
+  const frames = [
+    'data: {"choices":[{"delta":{"content":"[1,"}}]}\n\n',
+    'data: {"choices":[{"delta":{"content":"2]"}}]}\n\n',
+    "data: [DONE]\n\n",
+  ].join("");
+  const chunks = await collect(sseSource(byteStream(frames), { path: "choices[0].delta.content" }));
+  assertEqual(chunks, ["[1,", "2]"]);
+});
+
+await test("sseSource: raw data feeds createEventParser", async () => {
+  const parser = createEventParser({ source: sseSource(byteStream('data: {"name":\ndata: "Ada"}\n\n')) });
+  const seen = [];
+  parser.on("name", (e) => seen.push(e.value));
+  for await (const _ of parser) { /* drain */ }
+  assertEqual(seen, ["Ada"]);
+});
+
+await test("sseSource: non-string path values are re-serialized", async () => {
+  const chunks = await collect(sseSource(byteStream('data: {"args":{"x":1}}\n\ndata: {"other":1}\n\n'), { path: "args" }));
+  assertEqual(chunks, ['{"x":1}']);
+});
+
+console.log(`\n✨ SSE Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
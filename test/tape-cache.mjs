@@ -0,0 +1,141 @@
+/**
+ * Tape cache tests — createTapeCache() with a directory backend: hits reopen
+ * stored tapes, stale or damaged tapes are rebuilt, and size-bounded eviction.
+ */
+import { mkdtemp, readdir, readFile, writeFile, rm, utimes } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createTapeCache, deepCompare } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+function assert(condition, msg) {
+  if (!condition) throw new Error(msg || "Assertion failed");
+}
+
+const root = await mkdtemp(join(tmpdir(), "vectorjson-tape-cache-"));
+let dirs = 0;
+const freshDir = () => join(root, `cache-${dirs++}`);
+const tapeFiles = async (dir) => (await readdir(dir)).filter((f) => f.endsWith(".tape"));
+
+const catalog = JSON.stringify({
+  apis: Array.from({ length: 50 }, (_, i) => ({ id: i, name: `api_${i}`, tags: ["a", "b"] })),
+});
+
+console.log("\n🧪 Tape Cache Tests\n");
+
+await test("miss parses and stores, hit reopens the tape", async () => {
+  const dir = freshDir();
+  const cache = createTapeCache({ dir });
+  const first = await cache.get(catalog);
+  assertEqual(first.apis[3].name, "api_3");
+  assertEqual((await tapeFiles(dir)).length, 1);
+
+  const again = createTapeCache({ dir }); // a later run
+  const second = await again.get(catalog);
+  assert(deepCompare(first, second), "cached document should equal the parsed one");
+  assertEqual(second.apis.length, 50);
+  assertEqual((await tapeFiles(dir)).length, 1);
+});
+
+await test("keys are content hashes — Uint8Array input shares the entry", async () => {
+  const dir = freshDir();
+  const cache = createTapeCache({ dir });
+  await cache.get('{"a":1}');
+  const doc = await cache.get(new TextEncoder().encode('{"a":1}'));
+  assertEqual(doc.a, 1);
+  assertEqual((await tapeFiles(dir)).length, 1);
+  await cache.get('{"a":2}');
+  assertEqual((await tapeFiles(dir)).length, 2);
+});
+
+await test("primitives and invalid JSON are not stored", async () => {
+  const dir = freshDir();
+  const cache = createTapeCache({ dir });
+  assertEqual(await cache.get("42"), 42);
+  let threw = false;
+  try { await cache.get('{"a":1]'); } catch (err) { threw = err instanceof SyntaxError; }
+  assert(threw, "invalid JSON should throw SyntaxError");
+  assertEqual(await tapeFiles(dir), []);
+});
+
+await test("damaged and foreign-version tapes are rebuilt", async () => {
+  const dir = freshDir();
+  const cache = createTapeCache({ dir });
+  await cache.get(catalog);
+  const [name] = await tapeFiles(dir);
+  const path = join(dir, name);
+
+  const bytes = new Uint8Array(await readFile(path));
+  bytes[bytes.length - 5] ^= 0xFF;
+  await writeFile(path, bytes);
+  assertEqual((await cache.get(catalog)).apis[49].id, 49);
+
+  const future = new Uint8Array(await readFile(path));
+  new DataView(future.buffer).setUint16(4, 99, true);
+  await writeFile(path, future);
+  assertEqual((await cache.get(catalog)).apis[0].id, 0);
+  const rebuilt = await readFile(path);
+  assertEqual(new DataView(rebuilt.buffer, rebuilt.byteOffset).getUint16(4, true), 1);
+});
+
+await test("delete, clear and size", async () => {
+  const dir = freshDir();
+  const cache = createTapeCache({ dir });
+  await cache.get('{"a":1}');
+  await cache.get('{"b":2}');
+  assert(await cache.size() > 0, "size should count stored tapes");
+  assertEqual(await cache.delete('{"a":1}'), true);
+  assertEqual(await cache.delete('{"a":1}'), false);
+  assertEqual((await tapeFiles(dir)).length, 1);
+  await cache.clear();
+  assertEqual(await cache.size(), 0);
+});
+
+await test("least recently used tapes are evicted past maxBytes", async () => {
+  const dir = freshDir();
+  const docs = ['{"doc":1,"pad":"xxxxxxxx"}', '{"doc":2,"pad":"xxxxxxxx"}', '{"doc":3,"pad":"xxxxxxxx"}'];
+  const probe = createTapeCache({ dir });
+  await probe.get(docs[0]);
+  const oneTape = await probe.size();
+  await probe.clear();
+
+  const cache = createTapeCache({ dir, maxBytes: oneTape * 2 });
+  await cache.get(docs[0]);
+  await cache.get(docs[1]);
+  // Age both entries, then use doc 1 so doc 2 becomes the oldest
+  const past = new Date(Date.now() - 60_000);
+  for (const name of await tapeFiles(dir)) await utimes(join(dir, name), past, past);
+  await cache.get(docs[0]);
+  await cache.get(docs[2]);
+  assertEqual((await tapeFiles(dir)).length, 2);
+  assertEqual(await cache.delete(docs[1]), false, "doc 2 should have been evicted");
+  assertEqual(await cache.delete(docs[0]), true);
+});
+
+await test("tapes larger than maxBytes are not stored", async () => {
+  const dir = freshDir();
+  const cache = createTapeCache({ dir, maxBytes: 16 });
+  assertEqual((await cache.get(catalog)).apis[1].id, 1);
+  assertEqual(await tapeFiles(dir), []);
+});
+
+await test("invalid maxBytes throws RangeError", async () => {
+  let threw = false;
+  try { createTapeCache({ dir: freshDir(), maxBytes: -1 }); } catch (err) { threw = err instanceof RangeError; }
+  assert(threw);
+});
+
+await rm(root, { recursive: true, force: true });
+
+console.log(`\n✨ Tape Cache Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
@@ -1,7 +1,7 @@
 /**
  * Tape transfer tests — verify getTapeBuffer() + importTape() round-trip.
  */
-import { parse, createParser, importTape, deepCompare } from "../dist/index.js";
+import { parse, createParser, importTape, exportTape, packTapes, attachTapes, deepCompare } from "../dist/index.js";
 
 let passed = 0, failed = 0;
 async function test(name, fn) {
@@ -138,5 +138,126 @@ await test("large payload (1000 items)", async () => {
   assertEqual(obj.items.length, 1000);
 });
 
+// --- Versioned header ---
+
+await test("tape header carries magic, version and JSON5 flag", async () => {
+  const header = (tape) => {
+    const v = new DataView(tape);
+    return [v.getUint32(0, true), v.getUint16(4, true), v.getUint16(6, true)];
+  };
+  const json = createParser();
+  json.feed('{"a":1}');
+  assertEqual(header(json.getTapeBuffer()), [0x50544A56, 1, 0]);
+  json.destroy();
+  const json5 = createParser({ format: "json5" });
+  json5.feed("{a: 1}");
+  const tape = json5.getTapeBuffer({ checksum: true });
+  json5.destroy();
+  assertEqual(header(tape), [0x50544A56, 1, 0b11]);
+  assertEqual(importTape(tape).a, 1);
+});
+
+await test("exportTape round-trips a parsed document", async () => {
+  const doc = parse('{"users":[{"name":"Ada"},{"name":"Linus"}]}').value;
+  const tape = exportTape(doc, { checksum: true });
+  const copy = importTape(tape);
+  assert(deepCompare(copy, doc), "copy should equal the original");
+  assertEqual(copy.users[1].name, "Linus");
+  let threw = false;
+  try { exportTape(doc.users); } catch (err) { threw = err instanceof TypeError; }
+  assert(threw, "nested proxies should be rejected");
+});
+
+// --- Multi-document packs ---
+
+/** Tape buffers for each line of a JSONL payload. */
+function jsonlTapes(lines) {
+  return lines.map((line) => {
+    const parser = createParser();
+    parser.feed(line);
+    const tape = parser.getTapeBuffer();
+    parser.destroy();
+    return tape;
+  });
+}
+
+await test("packTapes + attachTapes round-trip", async () => {
+  const pack = attachTapes(packTapes(jsonlTapes(['{"id":1}', '[true,null]', '"text"', '42'])));
+  assertEqual(pack.length, 4);
+  assertEqual(pack.get(0).id, 1);
+  assertEqual(pack.get(1)[0], true);
+  assertEqual(pack.get(2), "text");
+  assertEqual(pack.get(3), 42);
+  assertEqual([...pack].map((v) => JSON.stringify(v)), ['{"id":1}', '[true,null]', '"text"', "42"]);
+});
+
+await test("packTapes accepts parsed documents", async () => {
+  const a = parse('{"user":{"name":"Ada"}}').value;
+  const b = parse('[1,2,3]').value;
+  const pack = attachTapes(packTapes([a, b]));
+  assertEqual(pack.get(0).user.name, "Ada");
+  assertEqual(pack.get(1).length, 3);
+  let threw = false;
+  try { packTapes([a.user]); } catch (err) { threw = err instanceof TypeError; }
+  assert(threw, "nested proxies should be rejected");
+});
+
+await test("shared packs attach without copying", async () => {
+  const buf = packTapes(jsonlTapes(['{"n":1}', '{"n":2}']), { shared: true });
+  assert(buf instanceof SharedArrayBuffer, "should be SharedArrayBuffer");
+  const pack = attachTapes(buf);
+  const view = pack.tape(1);
+  assert(view.buffer === buf, "tape() should view the pack");
+  assertEqual(importTape(view).n, 2);
+  assertEqual(pack.get(0).n, 1);
+});
+
+await test("attachTapes returns each document once until it is freed", async () => {
+  const pack = attachTapes(packTapes(jsonlTapes(['{"n":1}', '"text"'])));
+  const first = pack.get(0);
+  assert(pack.get(0) === first, "second get() should reuse the import");
+  assert([...pack][0] === first, "iteration should reuse the import");
+  first.free();
+  const again = pack.get(0);
+  assert(again !== first, "get() after free() should open the document again");
+  assertEqual(again.n, 1);
+  assertEqual([pack.get(1), pack.get(1)], ["text", "text"]);
+});
+
+await test("attachTapes: documents outlive pack.free()", async () => {
+  const pack = attachTapes(packTapes(jsonlTapes(['{"a":{"b":[1,2]}}', '{"c":3}'])));
+  const doc = pack.get(0);
+  pack.free();
+  assertEqual(doc.a.b[1], 2);
+  assert(deepCompare(doc, { a: { b: [1, 2] } }), "document should stay readable");
+  let threw = false;
+  try { pack.get(1); } catch (err) { threw = /freed/.test(err.message); }
+  assert(threw, "get() of an unread document should throw after free()");
+  doc.free();
+});
+
+await test("empty pack", async () => {
+  const pack = attachTapes(packTapes([]));
+  assertEqual(pack.length, 0);
+  assertEqual([...pack], []);
+});
+
+await test("attachTapes rejects bad buffers and indices", async () => {
+  const errorOf = (fn) => { try { fn(); } catch (err) { return err.message; } return null; };
+  assert(/bad magic/.test(errorOf(() => attachTapes(new ArrayBuffer(16)))), "bad magic");
+  const buf = packTapes(jsonlTapes(['{"a":1}']));
+  assert(/truncated|out of bounds/.test(errorOf(() => attachTapes(buf.slice(0, 12)))), "truncated");
+  const pack = attachTapes(buf);
+  assert(/out of range/.test(errorOf(() => pack.get(1))), "index range");
+  const misaligned = buf.slice(0);
+  const view = new DataView(misaligned);
+  view.setUint32(8, view.getUint32(8, true) + 4, true);
+  view.setUint32(12, view.getUint32(12, true) - 4, true);
+  assert(/misaligned/.test(errorOf(() => attachTapes(misaligned))), "alignment");
+  const notTape = buf.slice(0);
+  new DataView(notTape).setUint32(new DataView(notTape).getUint32(8, true), 0, true);
+  assert(/not a tape/.test(errorOf(() => attachTapes(notTape))), "entry magic");
+});
+
 console.log(`\n✨ Tape Transfer Results: ${passed} passed, ${failed} failed\n`);
 if (failed > 0) process.exit(1);
@@ -0,0 +1,143 @@
+/**
+ * Tests: createToolCallStream — OpenAI / Anthropic tool-call demultiplexing.
+ */
+import { createToolCallStream } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+const encoder = new TextEncoder();
+
+/** OpenAI chat.completion.chunk carrying one tool_calls delta. */
+function oaChunk(index, fields, finish = null) {
+  return { choices: [{ index: 0, delta: { tool_calls: [{ index, ...fields }] }, finish_reason: finish }] };
+}
+
+console.log("\n🧪 VectorJSON — Tool Call Stream Tests\n");
+
+await test("openai: parallel tool calls are routed by index", () => {
+  const tcs = createToolCallStream();
+  const done = [];
+  tcs.onToolCall((e) => { if (e.done) done.push(e); });
+  tcs.push(oaChunk(0, { id: "call_a", function: { name: "search", arguments: "" } }));
+  tcs.push(oaChunk(1, { id: "call_b", function: { name: "fetch", arguments: '{"url":' } }));
+  tcs.push(oaChunk(0, { function: { arguments: '{"q":"vec' } }));
+  const partial = tcs.getToolCalls()[0];
+  assertEqual(partial.partialArgs, { q: "vec" });
+  assertEqual(partial.done, false);
+  tcs.push(oaChunk(0, { function: { arguments: 'tor"}' } }));
+  tcs.push(oaChunk(1, { function: { arguments: '"https://x"}' } }));
+  assertEqual(done, [
+    { index: 0, choice: 0, id: "call_a", name: "search", partialArgs: { q: "vector" }, done: true },
+    { index: 1, choice: 0, id: "call_b", name: "fetch", partialArgs: { url: "https://x" }, done: true },
+  ]);
+  tcs.destroy();
+});
+
+await test("openai: finish_reason closes calls, [DONE] is accepted", () => {
+  const tcs = createToolCallStream({ provider: "openai" });
+  tcs.push(JSON.stringify(oaChunk(0, { id: "call_a", function: { name: "noop", arguments: "" } })));
+  const events = tcs.push({ choices: [{ index: 0, delta: {}, finish_reason: "tool_calls" }] });
+  assertEqual(events, [{ index: 0, choice: 0, id: "call_a", name: "noop", partialArgs: {}, done: true }]);
+  assertEqual(tcs.push("[DONE]"), []);
+  tcs.destroy();
+});
+
+await test("openai: calls are kept apart per choice, finish_reason ends only its choice", () => {
+  const tcs = createToolCallStream();
+  const call = (choice, args, extra = {}) => ({ index: choice, delta: { tool_calls: [{ index: 0, function: { arguments: args }, ...extra }] } });
+  tcs.push({ choices: [call(0, '{"q":', { id: "a", function: { name: "f", arguments: '{"q":' } }), call(1, "", { id: "b", function: { name: "g", arguments: "" } })] });
+  tcs.push({ choices: [call(1, '{"n":') ] });
+  const events = tcs.push({ choices: [{ index: 0, delta: {}, finish_reason: "tool_calls" }] });
+  assertEqual(events, [{ index: 0, choice: 0, id: "a", name: "f", partialArgs: {}, done: true }]);
+  assertEqual(tcs.getToolCalls().map((e) => [e.choice, e.id, e.done]), [[0, "a", true], [1, "b", false]]);
+  tcs.push({ choices: [call(1, "7}")] });
+  assertEqual(tcs.getToolCalls()[1], { index: 0, choice: 1, id: "b", name: "g", partialArgs: { n: 7 }, done: true });
+  tcs.destroy();
+});
+
+await test("anthropic: content blocks become tool calls, text blocks are ignored", () => {
+  const tcs = createToolCallStream();
+  const events = [];
+  tcs.onToolCall((e) => events.push(e.done));
+  tcs.push({ type: "message_start", message: {} });
+  tcs.push({ type: "content_block_start", index: 0, content_block: { type: "text", text: "" } });
+  tcs.push({ type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Hi" } });
+  tcs.push({ type: "content_block_stop", index: 0 });
+  tcs.push({ type: "content_block_start", index: 1, content_block: { type: "tool_use", id: "toolu_1", name: "run", input: {} } });
+  tcs.push({ type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: '{"cmd": "l' } });
+  tcs.push({ type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: 's"}' } });
+  tcs.push({ type: "content_block_stop", index: 1 });
+  assertEqual(tcs.getToolCalls(), [{ index: 1, id: "toolu_1", name: "run", partialArgs: { cmd: "ls" }, done: true }]);
+  assertEqual(events, [false, false, true]);
+  tcs.destroy();
+});
+
+await test("onStart exposes the inner parser for path subscriptions", () => {
+  const tcs = createToolCallStream();
+  const deltas = [];
+  tcs.onStart((call) => call.parser.onDelta("code", (e) => deltas.push(`${call.name}:${e.value}`)));
+  tcs.push({ type: "content_block_start", index: 0, content_block: { type: "tool_use", id: "t", name: "exec", input: {} } });
+  tcs.push({ type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '{"code":"ab' } });
+  tcs.push({ type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: 'c"}' } });
+  assertEqual(deltas.join(""), "exec:abexec:c");
+  tcs.destroy();
+});
+
+await test("invalid argument JSON throws", () => {
+  const tcs = createToolCallStream();
+  let threw = false;
+  try { tcs.push(oaChunk(0, { id: "x", function: { name: "f", arguments: "{]" } })); }
+  catch (err) { threw = /tool call 0/.test(err.message); }
+  assertEqual(threw, true);
+  tcs.destroy();
+});
+
+await test("end() closes truncated calls with their partial arguments", () => {
+  const tcs = createToolCallStream();
+  tcs.push(oaChunk(0, { id: "x", function: { name: "f", arguments: '{"a":1,"b":[2,' } }));
+  const events = tcs.end();
+  assertEqual(events, [{ index: 0, choice: 0, id: "x", name: "f", partialArgs: { a: 1, b: [2] }, done: true }]);
+  tcs.destroy();
+});
+
+await test("source: SSE byte stream via for await", async () => {
+  const sse = [
+    'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"tool_use","id":"t1","name":"f","input":{}}}\n\n',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"input_json_delta","partial_json":"{\\"n\\": 4"}}\n\n',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"input_json_delta","partial_json":"2}"}}\n\n',
+    'event: content_block_stop\ndata: {"type":"content_block_stop","index":0}\n\n',
+  ].join("");
+  const bytes = encoder.encode(sse);
+  const stream = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += 11) controller.enqueue(bytes.slice(i, i + 11));
+      controller.close();
+    },
+  });
+  const last = [];
+  for await (const e of createToolCallStream({ source: stream })) if (e.done) last.push(e);
+  assertEqual(last, [{ index: 0, id: "t1", name: "f", partialArgs: { n: 42 }, done: true }]);
+});
+
+await test("source: async iterable of SDK event objects", async () => {
+  async function* sdk() {
+    yield oaChunk(0, { id: "c", function: { name: "g", arguments: '{"ok":' } });
+    yield oaChunk(0, { function: { arguments: "true}" } });
+  }
+  const names = [];
+  for await (const e of createToolCallStream({ source: sdk() })) names.push(`${e.name}:${e.done}`);
+  assertEqual(names, ["g:false", "g:true"]);
+});
+
+console.log(`\n✨ Tool Call Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
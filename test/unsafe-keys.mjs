@@ -0,0 +1,124 @@
+/**
+ * Prototype-safety tests — "__proto__", "constructor" and "prototype" keys in
+ * live documents (unsafeKeys: "define" | "error" | "rename") and in tape walks.
+ */
+import { parse, createParser, createEventParser, materialize, deepCompare } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+/** The object still has Object.prototype, and "__proto__" is an own data property. */
+function assertSafe(obj, msg) {
+  assertEqual(Object.getPrototypeOf(obj) === Object.prototype, true, `${msg}: prototype replaced`);
+  assertEqual(obj.polluted, undefined, `${msg}: inherited from the payload`);
+  assertEqual(Object.prototype.hasOwnProperty.call(obj, "__proto__"), true, `${msg}: key dropped`);
+}
+
+/** Feed `json` one character at a time; returns the last status and the parser (caller destroys). */
+function feedChars(parser, json) {
+  let status;
+  for (const ch of json) status = parser.feed(ch);
+  return status;
+}
+
+const PAYLOAD = '{"__proto__":{"polluted":true},"a":{"__proto__":{"polluted":true}}}';
+
+console.log("\n🧪 VectorJSON Unsafe Key Tests\n");
+
+for (const [name, create] of [["createParser", createParser], ["createEventParser", createEventParser]]) {
+  await test(`${name}: "__proto__" stays an own key by default`, () => {
+    const p = create();
+    feedChars(p, PAYLOAD.slice(0, -2));
+    const partial = p.getValue();
+    assertSafe(partial, "partial root");
+    assertSafe(partial.a, "partial child");
+    assertEqual(p.feed("}}"), "complete");
+    const value = p.getValue();
+    assertSafe(value, "root");
+    assertEqual(Object.keys(value), ["__proto__", "a"]);
+    assertEqual(materialize(value), JSON.parse(PAYLOAD));
+    assertEqual({}.polluted, undefined);
+    p.destroy();
+  });
+
+  await test(`${name}: unsafeKeys "error" stops at the key`, () => {
+    const p = create({ unsafeKeys: "error" });
+    assertEqual(p.feed('{"a":1,"constructor":{}}'), "error");
+    assertEqual([p.getError().code, p.getError().offset], ["unsafe_key", 7]);
+    p.destroy();
+    const q = create({ unsafeKeys: "error" });
+    assertEqual(feedChars(q, PAYLOAD), "error");
+    assertEqual([q.getError().code, q.getError().offset], ["unsafe_key", 1]);
+    q.destroy();
+  });
+
+  await test(`${name}: unsafeKeys "rename" prefixes an underscore`, () => {
+    const p = create({ unsafeKeys: "rename" });
+    assertEqual(feedChars(p, '{"__proto__":1,"constructor":{"prototype":[2]},"x":3}'), "complete");
+    assertEqual(p.getValue(), { ___proto__: 1, _constructor: { _prototype: [2] }, x: 3 });
+    p.destroy();
+  });
+
+  await test(`${name}: unsafeKeys "rename" fails when the new name is taken`, () => {
+    for (const [json, offset] of [['{"constructor":1,"_constructor":2}', 17], ['{"_constructor":1,"constructor":2}', 18]]) {
+      const p = create({ unsafeKeys: "rename" });
+      assertEqual(p.feed(json), "error", json);
+      assertEqual([p.getError().code, p.getError().offset], ["unsafe_key", offset], json);
+      p.destroy();
+    }
+  });
+
+  await test(`${name}: unsafeKeys "rename" keeps numbers exact`, () => {
+    const json = '{"constructor":12345678901234567890,"x":{"prototype":0.1000000000000000055511151231257827}}';
+    const p = create({ unsafeKeys: "rename", numbers: "string" });
+    assertEqual(feedChars(p, json), "complete");
+    assertEqual(p.getValue(), { _constructor: "12345678901234567890", x: { _prototype: "0.1000000000000000055511151231257827" } });
+    p.destroy();
+    const q = create({ unsafeKeys: "rename", numbers: "bigint" });
+    assertEqual(q.feed(json), "complete");
+    assertEqual(q.getValue()._constructor === 12345678901234567890n, true);
+    q.destroy();
+  });
+}
+
+await test("createEventParser: patches name the own key", () => {
+  const parser = createEventParser();
+  const ops = [];
+  parser.onPatch((op) => ops.push(op));
+  parser.feed('{"__proto__":{"polluted":true}}');
+  assertEqual(ops.map((op) => op.path), ["", "/__proto__", "/__proto__", "/__proto__/polluted", "/__proto__/polluted"]);
+  parser.destroy();
+});
+
+await test("parse: tape walks keep \"__proto__\" as an own key", () => {
+  // Exact numbers and duplicate-key policies materialize by walking the tape
+  for (const options of [{ numbers: "bigint" }, { duplicateKeys: "first" }]) {
+    const r = parse('{"__proto__":{"polluted":1},"__proto__":{"polluted":2}}', options);
+    assertSafe(r.toJSON(), JSON.stringify(options));
+    assertSafe(materialize(r.value), JSON.stringify(options));
+  }
+});
+
+await test("deepCompare: \"__proto__\" keys are compared", () => {
+  assertEqual(deepCompare(JSON.parse('{"__proto__":{"a":1}}'), JSON.parse('{"__proto__":{"a":2}}')), false);
+  assertEqual(deepCompare(JSON.parse('{"__proto__":{"a":1}}'), JSON.parse('{"__proto__":{"a":1}}')), true);
+});
+
+await test("invalid unsafeKeys throws TypeError", () => {
+  for (const make of [() => createParser({ unsafeKeys: "remove" }), () => createEventParser({ unsafeKeys: false })]) {
+    let err = null;
+    try { make(); } catch (e) { err = e; }
+    assertEqual(err instanceof TypeError, true);
+  }
+});
+
+console.log(`\n✨ Unsafe Key Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,106 @@
+/**
+ * Tests: createWriter — streaming JSON serializer.
+ */
+import { createWriter, parse } from "../dist/index.js";
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.error(`  ❌ ${name}: ${err.message}`); }
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(msg || `Expected ${e}, got ${a}`);
+}
+
+function assertThrows(fn, re) {
+  try { fn(); } catch (err) {
+    if (re && !re.test(err.message)) throw new Error(`Wrong error: ${err.message}`);
+    return;
+  }
+  throw new Error("Expected an error");
+}
+
+/** Collect the writer output; returns [chunkCount, text]. */
+async function readAll(readable) {
+  const decoder = new TextDecoder();
+  const reader = readable.getReader();
+  let text = "", chunks = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return [chunks, text];
+    if (!(value instanceof Uint8Array)) throw new Error("chunk is not a Uint8Array");
+    chunks++;
+    text += decoder.decode(value, { stream: true });
+  }
+}
+
+console.log("\n🧪 VectorJSON — Writer Tests\n");
+
+await test("structural calls produce compact JSON", async () => {
+  const w = createWriter();
+  const out = readAll(w.readable);
+  w.beginObject().key("a").value(1).key("b").beginArray().value(true).value(null).value("x").endArray().endObject();
+  await w.end();
+  assertEqual((await out)[1], '{"a":1,"b":[true,null,"x"]}');
+});
+
+await test("value(): plain values follow JSON.stringify rules, BigInt is written exactly", async () => {
+  const w = createWriter();
+  const out = readAll(w.readable);
+  w.value({ id: 12345678901234567890n, skip: undefined, n: NaN, list: [undefined, 2], when: new Date(0) });
+  await w.end();
+  assertEqual((await out)[1], '{"id":12345678901234567890,"n":null,"list":[null,2],"when":"1970-01-01T00:00:00.000Z"}');
+});
+
+await test("async-iterable values stream as one JSON string", async () => {
+  async function* tokens() {
+    yield "Hello, ";
+    await new Promise((r) => setTimeout(r, 1));
+    yield 'he said "hi"\n';
+  }
+  const w = createWriter();
+  const out = readAll(w.readable);
+  w.beginObject().key("text").value(tokens()).key("done").value(true).endObject();
+  await w.end();
+  const [chunks, text] = await out;
+  assertEqual(JSON.parse(text), { text: 'Hello, he said "hi"\n', done: true });
+  if (chunks < 2) throw new Error(`expected incremental chunks, got ${chunks}`);
+});
+
+await test("lazy proxies are copied from the tape verbatim", async () => {
+  const src = '{"items":[{"id":1,"big":1234567890123456789},{"id":2}],"x":"y"}';
+  const { value } = parse(src);
+  const w = createWriter();
+  const out = readAll(w.readable);
+  w.beginObject().key("copy").value(value.items).key("root").value(value).endObject();
+  await w.end();
+  const text = (await out)[1];
+  assertEqual(text, `{"copy":[{"id":1,"big":1234567890123456789},{"id":2}],"root":${src}}`);
+});
+
+await test("misuse throws synchronously", () => {
+  assertThrows(() => createWriter().key("a"), /only valid inside an object/);
+  assertThrows(() => createWriter().beginObject().value(1), /requires key\(\) first/);
+  assertThrows(() => createWriter().beginArray().endObject(), /without a matching beginObject/);
+  assertThrows(() => createWriter().value(undefined), /Cannot write undefined/);
+  assertThrows(() => createWriter().value(1).value(2), /top-level value is complete/);
+});
+
+await test("end() rejects on unclosed containers and failed streams", async () => {
+  let msg = "";
+  try { await createWriter().beginArray().end(); } catch (err) { msg = err.message; }
+  if (!/unclosed/.test(msg)) throw new Error(`got: ${msg}`);
+  const w = createWriter();
+  const out = readAll(w.readable).catch((err) => err.message);
+  w.value((async function* () { yield "a"; throw new Error("upstream failed"); })());
+  msg = "";
+  try { await w.end(); } catch (err) { msg = err.message; }
+  assertEqual(msg, "upstream failed");
+  assertEqual(await out, "upstream failed");
+});
+
+console.log(`\n✨ Writer Results: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exitCode = 1;